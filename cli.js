@@ -7,6 +7,8 @@
 
 const { validate_and_generate_tdd } = require('./handlers/generate_tdd');
 const pdfExporter = require('./utils/pdfExporter');
+const documentExporter = require('./utils/documentExporter');
+const { getScoringModelPath } = require('./utils/projectConfig');
 const fs = require('fs').promises;
 const path = require('path');
 const readline = require('readline');
@@ -24,17 +26,38 @@ const {
 // Import compiled TypeScript modules (conditionally loaded based on feature flag)
 let schemaModules = null;
 
+/**
+ * Binds the complexity functions to a scoring model
+ * @param {object} complexity - The compiled complexity module.
+ * @param {object} scoringModel - Scoring model (loadScoringModel).
+ * @returns {object} - { recommendLevel, analyzeComplexity, getComplexityLevelDescription }
+ */
+function withScoringModel(complexity, scoringModel) {
+  return {
+    recommendLevel: (answers, tagSchema) => complexity.recommendLevel(answers, tagSchema, scoringModel),
+    analyzeComplexity: (answers, tagSchema) => complexity.analyzeComplexity(answers, tagSchema, scoringModel),
+    getComplexityLevelDescription: complexity.getComplexityLevelDescription
+  };
+}
+
 function loadSchemaModules() {
   if (!schemaModules) {
+    let modules;
+    let complexity;
     try {
-      schemaModules = {
+      complexity = require('./dist/src/lib/complexity');
+      modules = {
         loadQuestionnaireSchema: require('./dist/src/lib/schemaLoader').loadQuestionnaireSchema,
         loadTagSchema: require('./dist/src/lib/schemaLoader').loadTagSchema,
+        loadScoringModel: require('./dist/src/lib/schemaLoader').loadScoringModel,
         evaluateSkip: require('./dist/src/lib/rulesEngine').evaluateSkip,
         filterQuestions: require('./dist/src/lib/rulesEngine').filterQuestions,
         expandTriggers: require('./dist/src/lib/rulesEngine').expandTriggers,
-        recommendLevel: require('./dist/src/lib/complexity').recommendLevel,
-        getComplexityLevelDescription: require('./dist/src/lib/complexity').getComplexityLevelDescription,
+        explainQuestion: require('./dist/src/lib/rulesEngine').explainQuestion,
+        checkConsistency: require('./dist/src/lib/consistency').checkConsistency,
+        analyzeAnswerQuality: require('./dist/src/lib/answerQuality').analyzeAnswerQuality,
+        buildQuestionGraph: require('./dist/src/lib/questionGraph').buildQuestionGraph,
+        renderQuestionGraph: require('./dist/src/lib/questionGraph').renderQuestionGraph,
         groupQuestionsByTag: require('./dist/src/lib/tagRouter').groupQuestionsByTag,
         filterByTagsAndComplexity: require('./dist/src/lib/tagRouter').filterQuestions,
         validateAnswer: require('./dist/src/lib/validateAnswer').validateAnswer
@@ -42,12 +65,24 @@ function loadSchemaModules() {
     } catch (error) {
       throw new Error(`Failed to load schema modules: ${error.message}. Run "npm run build" to compile TypeScript modules.`);
     }
+    // Complexity scoring uses the organization's scoring model when one is configured;
+    // an invalid one is not memoized, so fixing the file takes effect on the next call
+    let scoringModel;
+    try {
+      scoringModel = modules.loadScoringModel(getScoringModelPath());
+    } catch (error) {
+      throw new Error(`Failed to load the complexity scoring model: ${error.message}\nFix or remove TDD_SCORING_MODEL / complexity.scoring_model in tdd.config.json.`);
+    }
+    schemaModules = { ...modules, ...withScoringModel(complexity, scoringModel) };
   }
   return schemaModules;
 }
 
 // Import review screen module
 const reviewScreen = require('./src/lib/reviewScreen');
+const sessionStore = require('./src/lib/sessionStore');
+const { OMITTED_SECTION_MODES } = require('./src/lib/tddSections');
+const docTemplates = require('./utils/docTemplates');
 
 // Import telemetry module (optional - guard against missing module)
 let telemetryApi = null;
@@ -310,6 +345,11 @@ function parseAnswer(answer, question) {
     return trimmed;
   }
   
+  if (question.type === 'number') {
+    const number = Number(trimmed);
+    return Number.isNaN(number) ? trimmed : number;
+  }
+
   if (question.type === 'multi-select') {
     if (question.options) {
       const selections = trimmed.split(',').map(s => s.trim());
@@ -337,7 +377,7 @@ function parseAnswer(answer, question) {
 /**
  * STAGE 1: Core Questions (5-7 essentials)
  */
-async function runCoreStage(schema, tagSchema, answers = {}, telemetry = null) {
+async function runCoreStage(schema, tagSchema, answers = {}, telemetry = null, session = null) {
   const modules = loadSchemaModules();
   
   // Start telemetry tracking for this stage
@@ -361,11 +401,10 @@ async function runCoreStage(schema, tagSchema, answers = {}, telemetry = null) {
   schema.questions.forEach(q => questionRegistry.set(q.id, q));
   
   let questionNum = 1;
-  const totalQuestions = coreQuestions.length;
   
   for (const question of coreQuestions) {
-    // Skip if already answered
-    if (answers[question.id] !== undefined) {
+    // Skip if already answered, or no longer applicable after earlier answers
+    if (answers[question.id] !== undefined || modules.evaluateSkip(question, answers)) {
       questionNum++;
       continue;
     }
@@ -375,7 +414,7 @@ async function runCoreStage(schema, tagSchema, answers = {}, telemetry = null) {
       telemetry.trackQuestionAsked(question.id, question.tags || []);
     }
     
-    const answer = await askQuestion(question, questionNum, totalQuestions, true);
+    const answer = await askQuestion(question, questionNum, coreQuestions.length, true);
     
     // Track answer
     if (telemetry) {
@@ -385,16 +424,19 @@ async function runCoreStage(schema, tagSchema, answers = {}, telemetry = null) {
       if (answer !== null) {
       answers[question.id] = answer;
       
-      // Check for triggers
-      const triggered = modules.expandTriggers(question, answer, questionRegistry);
-      if (triggered.length > 0) {
-        // Add triggered questions to core stage if they're not already there
-        triggered.forEach(tq => {
-          if (tq.stage === 'core' && !coreQuestions.find(q => q.id === tq.id)) {
-            coreQuestions.push(tq);
-          }
-        });
+      // Persist progress so the interview can be resumed
+      if (session) {
+        session.recordAnswer(question.id, answer);
       }
+      
+      // Check for triggers: follow-ups from any stage are asked now, as they would
+      // otherwise be lost (the review stage asks nothing and deep dive filters by tag)
+      const triggered = modules.expandTriggers(question, answer, questionRegistry, answers);
+      triggered.forEach(tq => {
+        if (answers[tq.id] === undefined && !coreQuestions.find(q => q.id === tq.id)) {
+          coreQuestions.push(tq);
+        }
+      });
     }
     
     questionNum++;
@@ -428,13 +470,19 @@ async function runReviewStage(schema, tagSchema, answers, complexity, telemetry
   // Determine complexity level for preview
   const previewComplexity = complexity || modules.recommendLevel(answers, tagSchema);
   
-  // Display enhanced review screen with grouped answers and TDD preview
-  reviewScreen.displayReviewScreen(answers, schema, tagSchema, previewComplexity, colors);
+  // Display enhanced review screen with grouped answers, questions not asked and TDD preview
+  reviewScreen.displayReviewScreen(answers, schema, tagSchema, previewComplexity, colors, {
+    explain: id => modules.explainQuestion(id, { questions: schema.questions, answers, tagSchema, complexity: previewComplexity }),
+    consistency: modules.checkConsistency(schema.consistency_rules, answers),
+    quality: modules.analyzeAnswerQuality(answers, schema.questions)
+  });
   
-  // Recommend complexity level
-  const recommendedLevel = modules.recommendLevel(answers, tagSchema);
+  // Recommend complexity level, with the points behind it
+  const analysis = modules.analyzeComplexity(answers, tagSchema);
+  const recommendedLevel = analysis.recommendedLevel;
   console.log(`${colors.yellow}${colors.bold}📊 Recommended Complexity Level:${colors.reset} ${recommendedLevel}`);
-  console.log(`${colors.dim}   ${modules.getComplexityLevelDescription(recommendedLevel)}${colors.reset}\n`);
+  console.log(`${colors.dim}   ${modules.getComplexityLevelDescription(recommendedLevel)}${colors.reset}`);
+  console.log(`${colors.dim}   ${formatScoreBreakdown(analysis)}${colors.reset}\n`);
   
   // Track complexity recommendation
   if (telemetry) {
@@ -455,10 +503,23 @@ async function runReviewStage(schema, tagSchema, answers, complexity, telemetry
   return answers;
 }
 
+/**
+ * Formats how each factor contributed to a complexity recommendation
+ * @param {object} analysis - Result of analyzeComplexity.
+ * @returns {string} - e.g. "Score 24 (model 1.0): Base score 4, PII handling +6, External integrations (3) +6"
+ */
+function formatScoreBreakdown(analysis) {
+  const parts = analysis.breakdown.map((contribution, index) => {
+    const label = contribution.count !== undefined ? `${contribution.label} (${contribution.count})` : contribution.label;
+    return index === 0 ? `${label} ${contribution.points}` : `${label} ${contribution.points < 0 ? '' : '+'}${contribution.points}`;
+  });
+  return `Score ${analysis.levelScore} (model ${analysis.model}): ${parts.join(', ')}`;
+}
+
 /**
  * STAGE 3: Deep Dive (filtered by tags/complexity)
  */
-async function runDeepDiveStage(schema, tagSchema, answers, options = {}, telemetry = null) {
+async function runDeepDiveStage(schema, tagSchema, answers, options = {}, telemetry = null, session = null) {
   const modules = loadSchemaModules();
   
   // Start telemetry tracking for this stage
@@ -515,12 +576,22 @@ async function runDeepDiveStage(schema, tagSchema, answers, options = {}, teleme
     }
     console.log(`${colors.dim}${questions.length} question(s) in this section${colors.reset}\n`);
     
+    // Sections skipped before the session was resumed stay skipped
+    if (session && session.isSectionSkipped(tag)) {
+      console.log(`${colors.yellow}⊘ Skipping ${tagLabel} section (skipped earlier in this session)${colors.reset}\n`);
+      continue;
+    }
+    
     // Ask if user wants to skip this section
     const skipSection = await prompt(`${colors.bold}Do you want to answer questions in this section? (y/n): ${colors.reset}`);
     
     if (skipSection.toLowerCase() === 'n' || skipSection.toLowerCase() === 'no') {
       console.log(`${colors.yellow}⊘ Skipping ${tagLabel} section${colors.reset}\n`);
       
+      if (session) {
+        session.skipSection(tag);
+      }
+      
       // Track section skip
       if (telemetry) {
         telemetry.trackSectionSkipped(tagLabel, questions.length);
@@ -554,6 +625,11 @@ async function runDeepDiveStage(schema, tagSchema, answers, options = {}, teleme
       
       if (answer !== null) {
         answers[question.id] = answer;
+        
+        // Persist progress so the interview can be resumed
+        if (session) {
+          session.recordAnswer(question.id, answer);
+        }
       }
       
       questionNum++;
@@ -609,36 +685,75 @@ async function interactiveMode(options = {}) {
   
   let answers = {};
   let template = null;
+  let session;
   
-  // Load template if specified
-  if (options.template) {
-    template = loadTemplate(options.template);
-    
-    // Track template usage
-    if (telemetry) {
-      telemetry.trackTemplate(options.template);
+  if (options.resume) {
+    // Resume a saved session: restore answers, stage and interview options
+    session = sessionStore.loadSession(options.resume);
+    if (session.status === 'complete') {
+      throw new Error(`Session ${session.id} is already complete (TDD saved to ${session.outputPath})`);
     }
     
-    // Pre-fill answers from template defaults
-    answers = { ...template.defaults };
+    answers = { ...session.answers };
+    options.template = session.template;
+    options.tags = session.tags;
+    options.complexity = session.complexity || options.complexity;
     
-    // Apply template tag focus if no tags specified
-    if (!options.tags || options.tags.length === 0) {
-      options.tags = template.tag_focus;
+    console.log(`${colors.green}✓ Resumed session ${session.id}${colors.reset}`);
+    console.log(`${colors.dim}  ${Object.keys(answers).length} answers restored, continuing at stage: ${session.stage}${colors.reset}\n`);
+  } else {
+    // Load template if specified
+    if (options.template) {
+      template = loadTemplate(options.template);
+      
+      // Track template usage
+      if (telemetry) {
+        telemetry.trackTemplate(options.template);
+      }
+      
+      // Pre-fill answers from template defaults
+      answers = { ...template.defaults };
+      
+      // Apply template tag focus if no tags specified
+      if (!options.tags || options.tags.length === 0) {
+        options.tags = template.tag_focus;
+      }
+      
+      // Apply template complexity recommendation if not specified
+      if (!options.complexity || options.complexity === 'auto') {
+        options.complexity = template.complexity_recommendation;
+      }
+      
+      console.log(`${colors.green}✓ Pre-filled ${Object.keys(template.defaults).length} answers${colors.reset}`);
+      console.log(`${colors.dim}  Tag focus: ${template.tag_focus.join(', ')}${colors.reset}`);
+      console.log(`${colors.dim}  Complexity: ${template.complexity_recommendation}${colors.reset}\n`);
     }
     
-    // Apply template complexity recommendation if not specified
-    if (!options.complexity || options.complexity === 'auto') {
-      options.complexity = template.complexity_recommendation;
-    }
+    session = new sessionStore.InterviewSession({
+      answers,
+      tags: options.tags,
+      complexity: options.complexity,
+      template: options.template
+    });
+    session.save();
     
-    console.log(`${colors.green}✓ Pre-filled ${Object.keys(template.defaults).length} answers${colors.reset}`);
-    console.log(`${colors.dim}  Tag focus: ${template.tag_focus.join(', ')}${colors.reset}`);
-    console.log(`${colors.dim}  Complexity: ${template.complexity_recommendation}${colors.reset}\n`);
+    console.log(`${colors.dim}💾 Progress is saved after every answer. Resume later with: node cli.js --resume ${session.id}${colors.reset}\n`);
   }
   
+  // Ctrl-C: answers are already on disk, so just explain how to pick up again
+  rl.on('SIGINT', () => {
+    console.log(`\n\n${colors.yellow}Interview interrupted. Answers saved - resume with: node cli.js --resume ${session.id}${colors.reset}`);
+    process.exit(130);
+  });
+  
+  const cancel = () => {
+    throw new Error(`TDD generation cancelled by user. Answers saved - resume with: node cli.js --resume ${session.id}`);
+  };
+  
   // STAGE 1: Core Questions
-  answers = await runCoreStage(schema, tagSchema, answers, telemetry);
+  if (!session.hasReachedStage('review')) {
+    answers = await runCoreStage(schema, tagSchema, answers, telemetry, session);
+  }
   
   // Determine complexity level for review and deep dive
   const modules = loadSchemaModules();
@@ -646,23 +761,42 @@ async function interactiveMode(options = {}) {
   if (!complexity || complexity === 'auto') {
     complexity = modules.recommendLevel(answers, tagSchema);
   }
+  session.complexity = complexity;
   
   // STAGE 2: Review with enhanced preview
-  answers = await runReviewStage(schema, tagSchema, answers, complexity, telemetry);
+  if (!session.hasReachedStage('deep_dive')) {
+    session.setStage('review');
+    answers = await runReviewStage(schema, tagSchema, answers, complexity, telemetry);
+    session.setAnswers(answers);
+  }
   
-  // Ask if user wants to continue to deep dive
-  const continueToDeepDive = await prompt(`${colors.bold}Continue to detailed questions (Deep Dive)? (y/n): ${colors.reset}`);
+  // Ask if user wants to continue to deep dive (unless the session already decided)
+  const resumedAtConfirm = session.stage === 'confirm';
+  let continueToDeepDive;
+  if (session.stage === 'deep_dive') {
+    continueToDeepDive = 'y';
+  } else if (resumedAtConfirm) {
+    continueToDeepDive = 'n';
+  } else {
+    continueToDeepDive = await prompt(`${colors.bold}Continue to detailed questions (Deep Dive)? (y/n): ${colors.reset}`);
+  }
   
   if (continueToDeepDive.toLowerCase() === 'y' || continueToDeepDive.toLowerCase() === 'yes') {
     // STAGE 3: Deep Dive
+    session.setStage('deep_dive');
     answers = await runDeepDiveStage(schema, tagSchema, answers, {
       tags: options.tags,
       complexity: complexity
-    }, telemetry);
+    }, telemetry, session);
+    session.setStage('confirm');
     
     // FINAL REVIEW: Show updated preview after deep dive
     console.log(`\n${colors.cyan}${colors.bold}FINAL REVIEW${colors.reset}\n`);
-    reviewScreen.displayReviewScreen(answers, schema, tagSchema, complexity, colors);
+    reviewScreen.displayReviewScreen(answers, schema, tagSchema, complexity, colors, {
+      explain: id => modules.explainQuestion(id, { questions: schema.questions, answers, tagSchema, complexity, tags: options.tags }),
+      consistency: modules.checkConsistency(schema.consistency_rules, answers),
+      quality: modules.analyzeAnswerQuality(answers, schema.questions)
+    });
     
     // Confirm before generation
     const confirmation = await reviewScreen.confirmGeneration(prompt, colors);
@@ -670,21 +804,28 @@ async function interactiveMode(options = {}) {
     if (confirmation.action === 'edit') {
       // Allow final edits
       answers = await reviewScreen.handleAnswerEditing(answers, schema, prompt, askQuestion, colors);
+      session.setAnswers(answers);
       
       // Ask for confirmation again
       const finalConfirmation = await reviewScreen.confirmGeneration(prompt, colors);
       if (finalConfirmation.action === 'cancel') {
-        throw new Error('TDD generation cancelled by user');
+        cancel();
       }
     } else if (confirmation.action === 'cancel') {
-      throw new Error('TDD generation cancelled by user');
+      cancel();
     }
   } else {
-    console.log(`${colors.yellow}⊘ Skipping deep dive stage${colors.reset}\n`);
-    
-    // Track that deep dive was skipped entirely
-    if (telemetry) {
-      telemetry.trackSectionSkipped('Deep Dive (entire stage)', 0);
+    if (resumedAtConfirm) {
+      console.log(`\n${colors.cyan}${colors.bold}FINAL REVIEW${colors.reset}\n`);
+      reviewScreen.displayReviewScreen(answers, schema, tagSchema, complexity, colors);
+    } else {
+      console.log(`${colors.yellow}⊘ Skipping deep dive stage${colors.reset}\n`);
+      session.setStage('confirm');
+      
+      // Track that deep dive was skipped entirely
+      if (telemetry) {
+        telemetry.trackSectionSkipped('Deep Dive (entire stage)', 0);
+      }
     }
     
     // Still show confirmation before generation
@@ -693,18 +834,19 @@ async function interactiveMode(options = {}) {
     if (confirmation.action === 'edit') {
       // Allow edits
       answers = await reviewScreen.handleAnswerEditing(answers, schema, prompt, askQuestion, colors);
+      session.setAnswers(answers);
       
       // Ask for confirmation again
       const finalConfirmation = await reviewScreen.confirmGeneration(prompt, colors);
       if (finalConfirmation.action === 'cancel') {
-        throw new Error('TDD generation cancelled by user');
+        cancel();
       }
     } else if (confirmation.action === 'cancel') {
-      throw new Error('TDD generation cancelled by user');
+      cancel();
     }
   }
   
-  return { project_data: answers, complexity, telemetry };
+  return { project_data: answers, complexity, telemetry, session };
 }
 
 /**
@@ -748,10 +890,193 @@ async function nonInteractiveMode(filePath) {
   }
 }
 
+/**
+ * Sessions command - list saved interview sessions
+ */
+function displaySessions() {
+  const sessions = sessionStore.listSessions();
+  
+  if (sessions.length === 0) {
+    console.log(`${colors.dim}No saved interview sessions in ${sessionStore.getSessionsDir()}${colors.reset}\n`);
+    return;
+  }
+  
+  console.log(`${colors.bold}Saved Interview Sessions${colors.reset} ${colors.dim}(${sessionStore.getSessionsDir()})${colors.reset}\n`);
+  
+  sessions.forEach(session => {
+    const projectName = session.answers['project.name'] || 'unnamed project';
+    const statusColor = session.status === 'complete' ? colors.green : colors.yellow;
+    const statusLabel = session.status === 'complete' ? 'complete' : `in progress - ${session.stage}`;
+    
+    console.log(`  ${colors.cyan}${session.id}${colors.reset}  ${projectName}`);
+    console.log(`${colors.dim}    ${statusColor}${statusLabel}${colors.reset}${colors.dim} | ${Object.keys(session.answers).length} answers | complexity: ${session.complexity || 'auto'}${session.template ? ` | template: ${session.template}` : ''} | updated ${session.updatedAt}${colors.reset}`);
+  });
+  
+  console.log(`\n${colors.dim}Resume with: node cli.js --resume <session>${colors.reset}\n`);
+}
+
+/**
+ * List document templates (built-in and organization)
+ */
+async function displayDocTemplates() {
+  const directory = docTemplates.getTemplateDirectory();
+  const templates = await docTemplates.listDocumentTemplates({ directory });
+
+  console.log(`${colors.bold}Document Templates${colors.reset}${directory ? ` ${colors.dim}(organization directory: ${directory})${colors.reset}` : ''}\n`);
+
+  templates.forEach(template => {
+    console.log(`  ${colors.cyan}${template.name.padEnd(12)}${colors.reset} ${template.title}`);
+    if (template.description) {
+      console.log(`${colors.dim}               ${template.description}${colors.reset}`);
+    }
+    console.log(`${colors.dim}               complexity: ${template.complexity.join(', ')} | requires: ${template.requires.join(', ') || 'none'}${colors.reset}`);
+  });
+
+  console.log(`\n${colors.dim}Use with: node cli.js --doc-template <name>${colors.reset}\n`);
+}
+
+/**
+ * Explain command - why a question is or is not asked for a set of answers
+ */
+async function explainMode(options) {
+  if (!options.explain || options.explain.startsWith('--')) {
+    throw new Error('Usage: node cli.js explain <question-id> [--answers FILE] [--complexity LEVEL] [--tags TAG1,TAG2] [--json]');
+  }
+
+  const modules = loadSchemaModules();
+  const schema = modules.loadQuestionnaireSchema();
+  const tagSchema = modules.loadTagSchema();
+  let answers = {};
+  if (options.answers) {
+    try {
+      answers = JSON.parse(await fs.readFile(options.answers, 'utf8'));
+    } catch (error) {
+      throw new Error(`Failed to load answers file '${options.answers}': ${error.message}`);
+    }
+  }
+  const complexity = options.complexity && options.complexity !== 'auto'
+    ? options.complexity
+    : answers.complexity || modules.recommendLevel(answers, tagSchema);
+
+  const explanation = modules.explainQuestion(options.explain, {
+    questions: schema.questions,
+    answers,
+    tagSchema,
+    complexity,
+    tags: options.tags
+  });
+  if (explanation.status === 'unknown') {
+    process.exitCode = 1;
+  }
+
+  if (options.json) {
+    console.log(JSON.stringify(explanation, null, 2));
+  } else {
+    displayExplanation(explanation, complexity);
+  }
+}
+
+/**
+ * Print a question explanation with its skip_if and trigger traces
+ */
+function displayExplanation(explanation, complexity) {
+  const mark = passed => (passed ? `${colors.green}✓${colors.reset}` : `${colors.red}✗${colors.reset}`);
+  const printTrace = (trace, indent) => {
+    const values = trace.values
+      ? `  ${colors.dim}${Object.entries(trace.values).map(([field, value]) => `${field} = ${value === undefined ? 'unanswered' : JSON.stringify(value)}`).join(', ')}${colors.reset}`
+      : '';
+    const error = trace.error ? `  ${colors.red}(${trace.error})${colors.reset}` : '';
+    console.log(`${' '.repeat(indent)}${mark(trace.result)} ${trace.expression}${values}${error}`);
+    (trace.children || []).forEach(child => printTrace(child, indent + 2));
+  };
+
+  if (explanation.status === 'unknown') {
+    console.log(`${colors.red}❌ ${explanation.summary}${colors.reset}\n`);
+    return;
+  }
+
+  const statusColor = { answered: colors.green, pending: colors.green, skipped: colors.yellow, filtered: colors.yellow }[explanation.status];
+  console.log(`${colors.bold}${explanation.question_id}${colors.reset} ${colors.dim}(${explanation.stage})${colors.reset} ${explanation.question}`);
+  console.log(`${statusColor}${colors.bold}${explanation.summary}${colors.reset} ${colors.dim}(complexity: ${complexity})${colors.reset}\n`);
+
+  if (explanation.skip_if) {
+    console.log(`${colors.bold}skip_if${colors.reset} ${colors.dim}(true skips the question)${colors.reset}`);
+    printTrace(explanation.skip_if.trace, 2);
+    console.log('');
+  }
+
+  if (explanation.triggers.length > 0) {
+    console.log(`${colors.bold}Triggers${colors.reset}`);
+    explanation.triggers.forEach(trigger => {
+      const answer = trigger.answer === undefined ? 'not answered' : `answer: ${JSON.stringify(trigger.answer)}`;
+      if (trigger.trace) {
+        console.log(`  ${mark(trigger.fired)} ${trigger.question_id} ${trigger.key} ${colors.dim}(${answer})${colors.reset}`);
+        printTrace(trigger.trace, 4);
+      } else {
+        console.log(`  ${mark(trigger.fired)} ${trigger.question_id} == ${JSON.stringify(trigger.key)} ${colors.dim}(${answer})${colors.reset}`);
+      }
+    });
+    console.log('');
+  }
+
+  if (explanation.filters.length > 0) {
+    console.log(`${colors.bold}Filters${colors.reset}`);
+    explanation.filters.forEach(filter => console.log(`  ${mark(filter.passed)} ${filter.reason}`));
+    console.log('');
+  }
+}
+
+/**
+ * Graph command - export the trigger/skip_if dependency graph as Mermaid or DOT
+ */
+async function graphMode(options) {
+  const modules = loadSchemaModules();
+  const schemaDir = options.schemas || 'schemas';
+  const tagSchema = modules.loadTagSchema(schemaDir);
+  const schema = modules.loadQuestionnaireSchema(schemaDir, tagSchema);
+  const output = modules.renderQuestionGraph(modules.buildQuestionGraph(schema, tagSchema), options.graphFormat);
+
+  if (options.output) {
+    await fs.mkdir(path.dirname(path.resolve(options.output)), { recursive: true });
+    await fs.writeFile(options.output, output, 'utf8');
+    console.log(`${colors.green}✓ ${options.graphFormat === 'dot' ? 'DOT' : 'Mermaid'} graph saved to: ${options.output}${colors.reset}`);
+  } else {
+    process.stdout.write(output);
+  }
+}
+
+/**
+ * Serve mode - expose the generator as a local HTTP/REST API
+ */
+async function serveMode(options) {
+  const { startHttpServer, DEFAULT_HOST, DEFAULT_PORT } = require('./handlers/http_server');
+  const host = options.host || DEFAULT_HOST;
+  const port = options.port !== null ? options.port : DEFAULT_PORT;
+
+  let server;
+  try {
+    server = await startHttpServer({ host, port });
+  } catch (error) {
+    throw new Error(`Failed to start API server on ${host}:${port}: ${error.message}`);
+  }
+
+  const address = server.address();
+  const baseUrl = `http://${address.address}:${address.port}`;
+  console.log(`${colors.green}✓ TDD Builder API listening on ${baseUrl}${colors.reset}\n`);
+  console.log(`  ${colors.cyan}POST${colors.reset} ${baseUrl}/api/generate`);
+  console.log(`  ${colors.cyan}POST${colors.reset} ${baseUrl}/api/validate`);
+  console.log(`  ${colors.cyan}GET${colors.reset}  ${baseUrl}/api/requirements/:complexity`);
+  console.log(`  ${colors.cyan}GET${colors.reset}  ${baseUrl}/api/questionnaire`);
+  console.log(`\n${colors.dim}Press Ctrl+C to stop${colors.reset}`);
+
+  return server;
+}
+
 /**
  * Generate TDD with retry logic for incomplete data
+ * @param {object} generateOptions - Extra validate_and_generate_tdd arguments (e.g. omitted_sections, doc_template)
  */
-async function generateWithRetry(project_data, complexity, isInteractive = true, maxRetries = 3) {
+async function generateWithRetry(project_data, complexity, isInteractive = true, generateOptions = {}, maxRetries = 3) {
   let retryCount = 0;
   let currentData = { ...project_data };
 
@@ -761,8 +1086,9 @@ async function generateWithRetry(project_data, complexity, isInteractive = true,
     const result = await validate_and_generate_tdd({
       project_data: currentData,
       complexity: complexity,
-      allowIncomplete: !isInteractive  // Allow incomplete in non-interactive mode
-    });
+      allowIncomplete: !isInteractive,  // Allow incomplete in non-interactive mode
+      ...generateOptions
+    }, { allowFilePaths: true });
 
     if (result.status === 'complete') {
       return result;
@@ -803,7 +1129,8 @@ async function generateWithRetry(project_data, complexity, isInteractive = true,
         return result;
       }
     } else {
-      throw new Error(result.message || 'Generation failed');
+      const details = result.validation_errors ? `: ${result.validation_errors.join('; ')}` : '';
+      throw new Error(`${result.message || 'Generation failed'}${details}`);
     }
   }
 }
@@ -817,6 +1144,15 @@ async function saveTDD(tdd, outputPath) {
   console.log(`${colors.green}✅ TDD saved to: ${outputPath}${colors.reset}`);
 }
 
+/**
+ * Save the generated OpenAPI document
+ */
+async function saveOpenApi(openapi, outputPath) {
+  await fs.mkdir(path.dirname(outputPath), { recursive: true });
+  await fs.writeFile(outputPath, openapi, 'utf8');
+  console.log(`${colors.green}✅ OpenAPI spec saved to: ${outputPath}${colors.reset}`);
+}
+
 /**
  * Export answers to JSON file for later reuse
  */
@@ -837,6 +1173,20 @@ async function exportAnswers(answers, complexity, outputPath) {
   console.log(`${colors.dim}   You can reuse these answers with: --answers ${outputPath}${colors.reset}`);
 }
 
+/**
+ * Export TDD to another document format (html, docx, confluence)
+ */
+async function exportToFormat(tdd, format, basePath) {
+  try {
+    const outputPath = await documentExporter.exportDocument(tdd, format, basePath);
+    console.log(`${colors.green}✅ ${format.toUpperCase()} exported to: ${outputPath}${colors.reset}`);
+    return outputPath;
+  } catch (error) {
+    console.log(`${colors.red}❌ ${format.toUpperCase()} export error: ${error.message}${colors.reset}`);
+    return null;
+  }
+}
+
 /**
  * Export TDD to PDF
  */
@@ -866,12 +1216,29 @@ ${colors.bold}TDD Builder CLI - 3-Stage Interview System${colors.reset}
 
 ${colors.bold}Usage:${colors.reset}
   node cli.js [options]
+  node cli.js serve [--port PORT] [--host HOST]
+  node cli.js sessions
+  node cli.js doc-templates
+  node cli.js explain <question-id> [--answers FILE] [--json]
+  node cli.js graph [mermaid|dot] [--output FILE] [--schemas DIR]
+
+${colors.bold}Commands:${colors.reset}
+  ${colors.cyan}serve${colors.reset}                  Start the local HTTP/REST API (default: 127.0.0.1:3000)
+                            Endpoints: POST /api/generate, POST /api/validate,
+                            GET /api/requirements/:complexity, GET /api/questionnaire
+  ${colors.cyan}sessions${colors.reset}               List saved interview sessions
+  ${colors.cyan}doc-templates${colors.reset}          List document templates (built-in and organization)
+  ${colors.cyan}explain ID${colors.reset}             Explain why a question is or is not asked (skip_if trace, triggers,
+                            tag and complexity filters); uses --answers, --complexity, --tags, --json
+  ${colors.cyan}graph [FORMAT]${colors.reset}         Export the question dependency graph (triggers and skip_if) as
+                            mermaid (default) or dot; --output FILE, --schemas DIR
 
 ${colors.bold}Options:${colors.reset}
   ${colors.cyan}--answers FILE${colors.reset}         Load answers from JSON file (skip interview)
   ${colors.cyan}--export-answers FILE${colors.reset}  Save answers to JSON file after interview
   ${colors.cyan}--noninteractive FILE${colors.reset}  (Alias for --answers) Load from JSON
   ${colors.cyan}--template NAME${colors.reset}        Use an industry starter template
+  ${colors.cyan}--resume SESSION${colors.reset}       Resume a saved interview session (ID or unique prefix)
   ${colors.cyan}--tags TAG1,TAG2${colors.reset}       Filter deep dive questions by tags
   ${colors.cyan}--complexity LEVEL${colors.reset}     Set complexity level for deep dive
                             Levels: base → minimal → standard → comprehensive → enterprise
@@ -879,6 +1246,11 @@ ${colors.bold}Options:${colors.reset}
                             Default: auto (recommended based on answers)
   ${colors.cyan}--legacy${colors.reset}               Force legacy mode (hardcoded questions)
   ${colors.cyan}--pdf${colors.reset}                  Export generated TDD as PDF
+  ${colors.cyan}--format F1,F2${colors.reset}         Also export as html (with TOC), docx, confluence or pdf
+  ${colors.cyan}--omitted-sections M${colors.reset}   Stages outside the complexity level: appendix (default), drop or include
+  ${colors.cyan}--doc-template NAME${colors.reset}    Document template: tdd-v5 (default), rfc, adr, an org template or a .md path
+  ${colors.cyan}--policies FILE${colors.reset}        Evaluate an organizational policy file and add a Policy Report
+  ${colors.cyan}--policy-block-on S${colors.reset}    Block generation on policy violations: never (default), error, warning or info
   ${colors.cyan}-h, --help${colors.reset}             Show this help message
 
 ${colors.bold}Feature Flags:${colors.reset}
@@ -940,6 +1312,9 @@ ${colors.bold}Examples:${colors.reset}
   ${colors.dim}# Save answers for later reuse${colors.reset}
   node cli.js --export-answers ./my-answers.json
 
+  ${colors.dim}# Export for Word and Confluence reviews${colors.reset}
+  node cli.js --answers tests/sample_enterprise.json --format docx,confluence
+
   ${colors.dim}# Combine: start with template, export answers, and generate PDF${colors.reset}
   node cli.js --template saas --export-answers ./saas-answers.json --pdf
 
@@ -958,9 +1333,20 @@ ${colors.bold}Examples:${colors.reset}
   ${colors.dim}# Combine template with other options${colors.reset}
   node cli.js --template fintech --complexity comprehensive --pdf
 
+  ${colors.dim}# Finish an interrupted interview${colors.reset}
+  node cli.js sessions
+  node cli.js --resume 3f9a1c
+
+  ${colors.dim}# Review a questionnaire's flow before shipping it${colors.reset}
+  node cli.js graph dot --output questionnaire.dot
+
+  ${colors.dim}# Serve the generator as a local HTTP API on port 8080${colors.reset}
+  node cli.js serve --port 8080
+
 ${colors.bold}Output:${colors.reset}
   Generated TDD will be saved to ./output/[project_name]_tdd.md
   If --pdf flag is used, PDF will be saved to ./output/[project_name]_tdd.pdf
+  --format writes ./output/[project_name]_tdd.html, .docx or .confluence.xhtml
   `);
 }
 
@@ -1019,9 +1405,23 @@ function parseArgs(args) {
     tags: [],
     complexity: 'auto',
     pdf: false,
+    formats: [],
+    omittedSections: null,
+    docTemplate: null,
+    policyFile: null,
+    policyBlockOn: null,
+    explain: null,
+    json: false,
+    graphFormat: 'mermaid',
+    output: null,
+    schemas: null,
     help: false,
     template: null,
-    legacy: false
+    legacy: false,
+    resume: null,
+    command: null,
+    port: null,
+    host: null
   };
   
   for (let i = 0; i < args.length; i++) {
@@ -1029,6 +1429,33 @@ function parseArgs(args) {
     
     if (arg === '--help' || arg === '-h') {
       options.help = true;
+    } else if (arg === 'serve' || arg === 'sessions' || arg === 'doc-templates') {
+      options.command = arg;
+    } else if (arg === 'explain') {
+      options.command = arg;
+      options.explain = args[++i];
+    } else if (arg === 'graph') {
+      options.command = arg;
+      if (args[i + 1] && !args[i + 1].startsWith('--')) {
+        options.graphFormat = args[++i];
+      }
+    } else if (arg === '--output') {
+      options.output = args[++i];
+    } else if (arg === '--schemas') {
+      options.schemas = args[++i];
+    } else if (arg === '--json') {
+      options.json = true;
+    } else if (arg === '--resume') {
+      options.resume = args[++i];
+    } else if (arg === '--port') {
+      const portValue = parseInt(args[++i], 10);
+      if (Number.isNaN(portValue) || portValue < 0 || portValue > 65535) {
+        console.error(`Invalid port: "${args[i]}". Use a number between 0 and 65535`);
+        process.exit(1);
+      }
+      options.port = portValue;
+    } else if (arg === '--host') {
+      options.host = args[++i];
     } else if (arg === '--noninteractive') {
       options.noninteractive = args[++i];
     } else if (arg === '--answers') {
@@ -1067,6 +1494,28 @@ function parseArgs(args) {
       }
     } else if (arg === '--pdf') {
       options.pdf = true;
+    } else if (arg === '--format') {
+      try {
+        const formats = documentExporter.parseFormats(args[++i], ['pdf']);
+        options.pdf = options.pdf || formats.includes('pdf');
+        // Markdown is always written; PDF goes through the PDF exporter
+        options.formats = formats.filter(format => format !== 'pdf' && format !== 'md');
+      } catch (error) {
+        console.error(error.message);
+        process.exit(1);
+      }
+    } else if (arg === '--omitted-sections') {
+      options.omittedSections = args[++i];
+      if (!OMITTED_SECTION_MODES.includes(options.omittedSections)) {
+        console.error(`Unsupported --omitted-sections mode: ${options.omittedSections}. Use one of: ${OMITTED_SECTION_MODES.join(', ')}`);
+        process.exit(1);
+      }
+    } else if (arg === '--doc-template') {
+      options.docTemplate = args[++i];
+    } else if (arg === '--policies') {
+      options.policyFile = args[++i];
+    } else if (arg === '--policy-block-on') {
+      options.policyBlockOn = args[++i];
     } else if (arg === '--template') {
       options.template = args[++i];
     } else if (arg === '--legacy') {
@@ -1097,11 +1546,14 @@ async function main() {
     setSchemaOnboardingEnabled(false);
   }
 
-  // Display banner (shows current mode)
-  displayBanner();
+  // Display banner (shows current mode); JSON and graph output stay machine-readable
+  if (!options.json && options.command !== 'graph') {
+    displayBanner();
+  }
 
   // Declare telemetry at function scope so it's accessible in catch block
   let telemetry = null;
+  let session = null;
 
   try {
     // Validate feature flags before proceeding
@@ -1119,6 +1571,36 @@ async function main() {
       process.exit(0);
     }
 
+    // Serve mode (local HTTP API) - runs until the process is stopped
+    if (options.command === 'serve') {
+      await serveMode(options);
+      return;
+    }
+
+    // List saved interview sessions
+    if (options.command === 'sessions') {
+      displaySessions();
+      return;
+    }
+
+    // List document templates
+    if (options.command === 'doc-templates') {
+      await displayDocTemplates();
+      return;
+    }
+
+    // Explain why a question is or is not asked
+    if (options.command === 'explain') {
+      await explainMode(options);
+      return;
+    }
+
+    // Export the question dependency graph
+    if (options.command === 'graph') {
+      await graphMode(options);
+      return;
+    }
+
     let project_data, complexity;
     const isInteractive = !options.noninteractive;
 
@@ -1132,7 +1614,7 @@ async function main() {
       ({ project_data, complexity } = await nonInteractiveMode(options.noninteractive));
     } else {
       // Interactive mode (3-stage interview)
-      ({ project_data, complexity, telemetry } = await interactiveMode(options));
+      ({ project_data, complexity, telemetry, session } = await interactiveMode(options));
     }
 
     // Export answers if requested
@@ -1143,7 +1625,12 @@ async function main() {
     }
 
     // Generate TDD
-    const result = await generateWithRetry(project_data, complexity, isInteractive);
+    const result = await generateWithRetry(project_data, complexity, isInteractive, {
+      ...(options.omittedSections && { omitted_sections: options.omittedSections }),
+      ...(options.docTemplate && { doc_template: options.docTemplate }),
+      ...(options.policyFile && { policy_file: options.policyFile }),
+      ...(options.policyBlockOn && { policy_block_on: options.policyBlockOn })
+    });
 
     if (result.status === 'complete' || result.status === 'incomplete') {
       // Check if TDD was actually generated
@@ -1163,6 +1650,9 @@ async function main() {
         console.log(`  Complexity: ${result.metadata.complexity}`);
         console.log(`  Total Fields: ${result.metadata.total_fields}`);
         console.log(`  Populated Fields: ${result.metadata.populated_fields}`);
+        if (result.metadata.readiness) {
+          console.log(`  Readiness: ${result.metadata.readiness.score}% (weighted)`);
+        }
         console.log(`  Generated: ${result.metadata.generation_timestamp}`);
       }
 
@@ -1179,6 +1669,25 @@ async function main() {
 
       await saveTDD(result.tdd, outputPath);
 
+      // Write the API contract alongside the Markdown
+      if (result.openapi) {
+        await saveOpenApi(result.openapi, path.join(path.dirname(outputPath), `${safeProjectName}_openapi.yaml`));
+      }
+
+      // The interview is finished; keep the session only as a record
+      if (session) {
+        session.complete(outputPath);
+      }
+
+      // Export other formats from the same rendered TDD
+      const exportedPaths = [];
+      for (const format of options.formats) {
+        const exportedPath = await exportToFormat(result.tdd, format, path.join('output', `${safeProjectName}_tdd`));
+        if (exportedPath) {
+          exportedPaths.push(exportedPath);
+        }
+      }
+
       // Export to PDF if requested
       if (options.pdf) {
         const pdfPath = path.join('output', `${safeProjectName}_tdd.pdf`);
@@ -1192,6 +1701,9 @@ async function main() {
         const pdfPath = path.join('output', `${safeProjectName}_tdd.pdf`);
         console.log(`${colors.dim}PDF version available at: ${pdfPath}${colors.reset}`);
       }
+      exportedPaths.forEach(exportedPath => {
+        console.log(`${colors.dim}Also available at: ${exportedPath}${colors.reset}`);
+      });
       
       // Display and save telemetry if enabled
       if (telemetry) {
@@ -7,9 +7,25 @@
  * 4. Self-Audit: Appends compliance and completeness reports to the output.
  */
 
-const fs = require('fs').promises;
 const path = require('path');
 const { validateIS8601Date, validateDateFields } = require('../src/validation/date');
+const { generateOpenApi, validateEndpoints } = require('../utils/openApiGenerator');
+const { getProvider } = require('../utils/llmProvider');
+const { renderTemplate } = require('../utils/templateEngine');
+const { readProjectConfig, getScoringModelPath } = require('../utils/projectConfig');
+const { runMpkfAudit, formatAuditRow } = require('../utils/mpkfAudit');
+const {
+  DEFAULT_DOC_TEMPLATE,
+  parseDocumentTemplate,
+  getTemplateDirectory,
+  loadDocumentTemplate
+} = require('../utils/docTemplates');
+const {
+  OMITTED_SECTION_MODES,
+  getSectionPlan,
+  getFullSectionPlan,
+  getOmittedSections
+} = require('../src/lib/tddSections');
 
 // Import feature flags
 let featureFlagsModule;
@@ -41,10 +57,103 @@ function loadGenerateTddModule() {
   return generateTddModule;
 }
 
+// Cross-field consistency rules (questionnaire consistency_rules), loaded once.
+// Without the compiled TypeScript modules no consistency checks run.
+let consistencyChecker;
+
+function checkAnswerConsistency(project_data) {
+  if (consistencyChecker === undefined) {
+    try {
+      const { loadQuestionnaireSchema } = require('../dist/src/lib/schemaLoader');
+      const { checkConsistency } = require('../dist/src/lib/consistency');
+      const rules = loadQuestionnaireSchema(path.join(__dirname, '..', 'schemas')).consistency_rules || [];
+      consistencyChecker = answers => checkConsistency(rules, answers);
+    } catch (error) {
+      console.warn(`Warning: consistency rules not available (${error.message})`);
+      consistencyChecker = null;
+    }
+  }
+  return consistencyChecker ? consistencyChecker(project_data) : [];
+}
+
+// Weighted readiness scoring (src/lib/readiness.ts) with the tag schema field weights, loaded once.
+// The scoring model is loaded on every generation (loadReadinessScoringModel), so fixing an
+// invalid override takes effect without a restart.
+// Without the compiled TypeScript modules the gap analysis lists the fields unweighted.
+let readinessModules;
+
+function loadReadinessModules() {
+  if (readinessModules === undefined) {
+    try {
+      const { loadTagSchema, loadScoringModel } = require('../dist/src/lib/schemaLoader');
+      const { scoreReadiness } = require('../dist/src/lib/readiness');
+      const tagSchema = loadTagSchema(path.join(__dirname, '..', 'schemas'));
+      readinessModules = { tagSchema, loadScoringModel, scoreReadiness };
+    } catch (error) {
+      console.warn(`Warning: readiness scoring not available (${error.message})`);
+      readinessModules = null;
+    }
+  }
+  return readinessModules;
+}
+
+/**
+ * Loads the complexity scoring model whose risk factors weight the readiness score
+ * @returns {object|null} - The organization's model (TDD_SCORING_MODEL or tdd.config.json
+ *   complexity.scoring_model), the built-in model, or null without the compiled modules
+ * @throws {Error} - When the configured model is invalid
+ */
+function loadReadinessScoringModel() {
+  const modules = loadReadinessModules();
+  return modules ? modules.loadScoringModel(getScoringModelPath()) : null;
+}
+
+function scoreAnswerReadiness(requiredFields, project_data, scoringModel) {
+  const modules = loadReadinessModules();
+  return modules && scoringModel ? modules.scoreReadiness(requiredFields, project_data, modules.tagSchema, scoringModel) : null;
+}
+
+// Answer quality analyzer (src/lib/answerQuality.ts) with the questionnaire answer types, loaded once.
+// Without the compiled TypeScript modules answers are not analyzed.
+let qualityAnalyzer;
+
+function checkAnswerQuality(project_data) {
+  if (qualityAnalyzer === undefined) {
+    try {
+      const { loadQuestionnaireSchema } = require('../dist/src/lib/schemaLoader');
+      const { analyzeAnswerQuality } = require('../dist/src/lib/answerQuality');
+      const { questions } = loadQuestionnaireSchema(path.join(__dirname, '..', 'schemas'));
+      qualityAnalyzer = answers => analyzeAnswerQuality(answers, questions);
+    } catch (error) {
+      console.warn(`Warning: answer quality analysis not available (${error.message})`);
+      qualityAnalyzer = null;
+    }
+  }
+  return qualityAnalyzer ? qualityAnalyzer(project_data) : [];
+}
+
+// Organizational policies (src/lib/policies.ts) and the policy file loader, loaded once.
+// Without the compiled TypeScript modules a configured policy file is an input error.
+let policyModules;
+
+function loadPolicyModules() {
+  if (policyModules === undefined) {
+    try {
+      const { loadPolicySet } = require('../dist/src/lib/schemaLoader');
+      const { evaluatePolicies, blockingViolations, POLICY_BLOCK_LEVELS } = require('../dist/src/lib/policies');
+      policyModules = { loadPolicySet, evaluatePolicies, blockingViolations, POLICY_BLOCK_LEVELS };
+    } catch (error) {
+      console.warn(`Warning: policy evaluation not available (${error.message})`);
+      policyModules = null;
+    }
+  }
+  return policyModules;
+}
+
 // --- TEMPLATE CACHE ---
-// Caching mechanism to avoid reading the template file on every invocation
-let templateCache = null;
-let templateCacheTimestamp = null;
+// Caching mechanism to avoid reading template files on every invocation
+// Entries are keyed by template name (or path) and organization template directory
+const templateCache = new Map();
 const TEMPLATE_CACHE_TTL = 5 * 60 * 1000; // 5 minutes
 
 // --- INPUT VALIDATION UTILITIES ---
@@ -61,22 +170,25 @@ function isValidIso8601Date(dateString) {
 }
 
 /**
- * Validates the project_data object for type correctness and required constraints.
+ * Validates the project_data object for type correctness and required constraints,
+ * and checks it against the questionnaire's cross-field consistency rules.
  * @param {object} project_data - The project data to validate.
  * @param {string} complexity - The complexity level.
- * @returns {object} - { valid: boolean, errors: string[] }
+ * @returns {object} - { valid: boolean, errors: string[], warnings: string[], consistency: object[] }
+ *   Consistency rules with severity 'error' add to errors, the others to warnings;
+ *   consistency lists every rule that fired ({ rule, severity, message, fields }).
  */
 function validateProjectData(project_data, complexity) {
   const errors = [];
 
   if (!project_data || typeof project_data !== 'object') {
     errors.push('project_data must be a valid object');
-    return { valid: false, errors };
+    return { valid: false, errors, warnings: [], consistency: [] };
   }
 
   if (!complexity || typeof complexity !== 'string') {
     errors.push('complexity must be a valid string');
-    return { valid: false, errors };
+    return { valid: false, errors, warnings: [], consistency: [] };
   }
 
   // Support both old and new complexity levels
@@ -121,106 +233,85 @@ function validateProjectData(project_data, complexity) {
     errors.push('doc.version must be a non-empty string');
   }
 
+  // Validate structured API endpoints if provided
+  if (project_data['api.endpoints'] !== undefined) {
+    errors.push(...validateEndpoints(project_data['api.endpoints']));
+  }
+
+  // Cross-field consistency (e.g. cloud.regions set for an on-premise deployment)
+  const consistency = checkAnswerConsistency(project_data);
+  const describe = issue => `${issue.message} (${issue.fields.join(', ')})`;
+  errors.push(...consistency.filter(issue => issue.severity === 'error').map(describe));
+
   return {
     valid: errors.length === 0,
-    errors
+    errors,
+    warnings: consistency.filter(issue => issue.severity === 'warning').map(describe),
+    consistency
   };
 }
 
-// --- Dynamic Module Breakdown (optional) ---
-function renderDynamicModules(modules) {
-  if (!Array.isArray(modules) || modules.length === 0) return '';
-  const items = modules.map(m => {
-    const name = m?.name || 'Unnamed Module';
-    const owner = m?.owner ? ` — Owner: ${m.owner}` : '';
-    const deps = Array.isArray(m?.deps) && m.deps.length ? `\n    - Depends on: ${m.deps.join(', ')}` : '';
-    const risks = Array.isArray(m?.risks) && m.risks.length ? `\n    - Risks: ${m.risks.join(', ')}` : '';
-    return `- **${name}**${owner}\n    - Goal: ${m?.goal || 'n/a'}${deps}${risks}`;
-  }).join('\n');
-  return `\n### Dynamic Module Breakdown (auto-generated)\n${items}\n`;
-}
-
 // --- OPUS-POWERED HOOKS ---
-// In production, these would make API calls to external services.
+// Each hook delegates to the configured LLM provider (see utils/llmProvider.js).
+// The default local provider is deterministic and runs offline.
+
+// Narrative answers passed through the prose-expansion hook before templating
+const PROSE_FIELDS = [
+  'summary.problem',
+  'summary.solution',
+  'summary.key_decisions',
+  'context.business_goals',
+  'architecture.style'
+];
+
+// Defaults for the MCP security answers when generating at an MCP complexity
+const MCP_DEFAULTS = {
+  'security.mcp_protocol_compliance': 'Full compliance with MCP JSON-RPC 2.0 specification including robust error handling and request validation.',
+  'security.mcp_sandboxing_model': 'Minimal-privilege container with restricted file system access and strict network policies.',
+  'security.mcp_permission_model': 'Dynamic per-request permissioning with JWT token validation for end-user authorization.'
+};
+
 const opus = {
   /**
-   * Generates diagram source code from a description.
+   * Generates diagram source code from a description and the project answers.
    * @param {string} description - A natural language description of the diagram.
-   * @param {string} diagramType - The type of diagram (e.g., 'C4-L1', 'DataFlow').
-   * @returns {string} - The generated PlantUML or Structurizr source code.
+   * @param {string} diagramType - The type of diagram (e.g., 'C4 Model - Level 1', 'Data Flow Diagram').
+   * @param {object} project_data - The project answers the architecture is derived from.
+   * @returns {Promise<string>} - The generated diagram source code.
    */
-  generateDiagramSource: (description, diagramType) => {
+  generateDiagramSource: async (description, diagramType, project_data = {}) => {
     if (!description || description === '*Not Provided*') {
       return '';
     }
-    return `
-\`\`\`plantuml
-@startuml
-!theme spacelab
-title ${diagramType}: ${description.substring(0, 50)}...
-skinparam componentStyle uml2
-
-package "System Context" {
-  [External System] as ext
-  [Main System] as main
-  [Database] as db
-}
-
-ext --> main : API Calls
-main --> db : Data Operations
-
-note right of main
-  ${description.substring(0, 100)}...
-end note
-
-@enduml
-\`\`\`
-`;
+    return getProvider().generateDiagram({ description, diagramType, project_data });
   },
 
   /**
-   * Generates API contract and code scaffold from a description.
-   * @param {string} description - A description of the API endpoint.
+   * Generates the API contract section from the project's OpenAPI document.
+   * @param {string} description - A description of the API.
    * @param {string} projectName - The project name for context.
-   * @returns {string} - A formatted code block with the API contract.
+   * @param {object} openApi - The generated OpenAPI document ({ document, yaml }).
+   * @returns {Promise<string>} - A formatted code block with the API contract.
    */
-  generateCodeScaffold: (description, projectName) => {
-    if (!description || description === '*Not Provided*') {
+  generateCodeScaffold: async (description, projectName, openApi) => {
+    if (!openApi) {
       return '';
     }
-    return `
-\`\`\`openapi
-openapi: 3.0.0
-info:
-  title: ${projectName} API
-  description: ${description}
-  version: 1.0.0
-paths:
-  /api/v1/resource:
-    get:
-      summary: Retrieve resources
-      responses:
-        '200':
-          description: Successful response
-          content:
-            application/json:
-              schema:
-                type: array
-                items:
-                  type: object
-    post:
-      summary: Create new resource
-      requestBody:
-        required: true
-        content:
-          application/json:
-            schema:
-              type: object
-      responses:
-        '201':
-          description: Resource created
-\`\`\`
-`;
+    return getProvider().generateScaffold({ description, projectName, openApi });
+  },
+
+  /**
+   * Expands a narrative answer into TDD prose.
+   * @param {string} field - The answer's field ID (e.g., 'summary.problem').
+   * @param {string} text - The answer as written.
+   * @param {object} project_data - The project answers for context.
+   * @returns {Promise<string>} - The text to place in the TDD.
+   */
+  expandProse: async (field, text, project_data = {}) => {
+    if (typeof text !== 'string' || text.trim() === '') {
+      return text;
+    }
+    return getProvider().expandProse({ field, text, project_data });
   }
 };
 
@@ -228,15 +319,93 @@ paths:
 
 /**
  * Main handler for the "validate_and_generate_tdd" command.
+ * The MCP and HTTP servers pass client arguments straight through, so by default
+ * doc_template must be a template name and policy_file the file configured in
+ * tdd.config.json; the CLI sets allowFilePaths to accept any local file.
  * @param {object} args - The arguments object from the MCP command.
+ * @param {object} options - { allowFilePaths }: accept file paths in doc_template and policy_file.
  * @returns {object} - The result of the operation.
  */
-async function validate_and_generate_tdd(args) {
-  const { project_data, complexity, mpkf_files = [], allowIncomplete = false } = args;
+async function validate_and_generate_tdd(args, options = {}) {
+  const { project_data, complexity, mpkf_files = [], allowIncomplete = false, omitted_sections, doc_template, policy_file, policy_block_on } = args;
 
   try {
     // --- 0. Input Validation Phase ---
     const validation = validateProjectData(project_data, complexity);
+    const config = readProjectConfig();
+
+    // How stages outside the complexity level are rendered (tdd.config.json sections.omitted)
+    const omittedMode = omitted_sections || (config.sections || {}).omitted || 'appendix';
+    if (!OMITTED_SECTION_MODES.includes(omittedMode)) {
+      validation.valid = false;
+      validation.errors.push(`omitted_sections must be one of: ${OMITTED_SECTION_MODES.join(', ')}`);
+    }
+
+    // Document template (tdd.config.json templates.default), checked against the complexity level
+    const templateName = doc_template || (config.templates || {}).default || DEFAULT_DOC_TEMPLATE;
+    let docTemplate = null;
+    if (doc_template && !options.allowFilePaths && isTemplatePath(doc_template)) {
+      validation.valid = false;
+      validation.errors.push('doc_template must be a template name; template file paths are only accepted from the CLI');
+    } else {
+      try {
+        docTemplate = await loadTemplate(templateName);
+      } catch (error) {
+        validation.valid = false;
+        validation.errors.push(error.message);
+      }
+    }
+    if (docTemplate && validation.valid && !docTemplate.complexity.includes(complexity)) {
+      validation.valid = false;
+      validation.errors.push(`Document template "${docTemplate.name}" does not support complexity '${complexity}' (supported: ${docTemplate.complexity.join(', ')})`);
+    }
+
+    // Organizational policy file (tdd.config.json policies.file), and the severity that blocks generation
+    const policyConfig = config.policies || {};
+    const policyFile = policy_file || policyConfig.file;
+    const policyBlockOn = policy_block_on || policyConfig.block_on || 'never';
+    const policyFileAllowed = !policy_file || options.allowFilePaths || isConfiguredFile(policy_file, policyConfig.file);
+    const policies = policyFile && policyFileAllowed ? loadPolicyModules() : null;
+    let policySet = null;
+    if (!policyFileAllowed) {
+      validation.valid = false;
+      validation.errors.push('policy_file must be the policies.file configured in tdd.config.json');
+    } else if (policyFile && !policies) {
+      validation.valid = false;
+      validation.errors.push(`Policy file ${policyFile} cannot be evaluated: the compiled policy modules are missing (run npm run build)`);
+    } else if (policies) {
+      try {
+        policySet = policies.loadPolicySet(policyFile);
+      } catch (error) {
+        validation.valid = false;
+        if (options.allowFilePaths) {
+          validation.errors.push(error.message);
+        } else {
+          // Parser messages quote the file; keep them in the server log
+          console.error(error.message);
+          validation.errors.push('The policy file configured in tdd.config.json could not be loaded; see the server log for details');
+        }
+      }
+      if (!policies.POLICY_BLOCK_LEVELS.includes(policyBlockOn)) {
+        validation.valid = false;
+        validation.errors.push(`policy_block_on must be one of: ${policies.POLICY_BLOCK_LEVELS.join(', ')}`);
+      }
+    }
+
+    // Complexity scoring model (TDD_SCORING_MODEL or tdd.config.json complexity.scoring_model)
+    let scoringModel = null;
+    try {
+      scoringModel = loadReadinessScoringModel();
+    } catch (error) {
+      validation.valid = false;
+      if (options.allowFilePaths) {
+        validation.errors.push(error.message);
+      } else {
+        console.error(error.message);
+        validation.errors.push('The complexity scoring model configured for this server could not be loaded; see the server log for details');
+      }
+    }
+
     if (!validation.valid) {
       return {
         status: "error",
@@ -246,7 +415,7 @@ async function validate_and_generate_tdd(args) {
     }
 
     // --- 1. MPKF Interrogation Phase ---
-    const template = await loadTemplate();
+    const { template, partials } = docTemplate;
     const master_reqs = getMpkfRequirements(complexity);
     
     // Log which mode we're using
@@ -256,12 +425,14 @@ async function validate_and_generate_tdd(args) {
     }
 
     // --- 2. Intake Validation (Pre-TDD Gating) ---
+    // The complexity level's required fields, plus the answers the document template requires
     const missingFields = [];
-    for (const key of Object.keys(master_reqs.required_fields)) {
+    const requiredKeys = new Set([...Object.keys(master_reqs.required_fields), ...docTemplate.requires]);
+    for (const key of requiredKeys) {
       if (!project_data || !project_data.hasOwnProperty(key) || !project_data[key] || project_data[key] === '') {
         missingFields.push({
           field: key,
-          question: master_reqs.required_fields[key]
+          question: master_reqs.required_fields[key] || `Please provide ${key} (required by the ${docTemplate.title} template).`
         });
       }
     }
@@ -282,91 +453,128 @@ async function validate_and_generate_tdd(args) {
     // Track if we're generating with missing fields
     const hasIncompleteData = missingFields.length > 0;
 
-    // --- 3. Generation Phase ---
-    let tddOutput = template;
+    // --- 2b. Policy Evaluation ---
+    // Violations at or above the block level stop generation; the rest go to the Policy Report
+    const policyResults = policySet ? policies.evaluatePolicies(policySet.policies, project_data, complexity) : null;
+    const blocking = policyResults ? policies.blockingViolations(policyResults, policyBlockOn) : [];
+    if (blocking.length > 0) {
+      return {
+        status: "error",
+        message: "Generation blocked by policy",
+        validation_errors: blocking.map(result => `${result.policy}: ${result.message}`),
+        policies: policyResults
+      };
+    }
 
-    // Populate all provided project_data fields
-    for (const key in project_data) {
-      const value = project_data[key] || '*Not Provided*';
-      const regex = new RegExp(`{{${key}}}`, 'g');
-      tddOutput = tddOutput.replace(regex, value);
+    // --- 3. Generation Phase ---
+    // Stages and subsections included at this complexity; the rest is collapsed into an appendix
+    const plan = omittedMode === 'include' ? getFullSectionPlan() : getSectionPlan(complexity);
+    const omitted = getOmittedSections(plan, project_data);
+    const omittedFields = new Set(omitted.flatMap(section => section.fields));
+    const included = id => plan.sections.includes(id);
+
+    // Template context: the answers, with narrative fields passed through the prose hook
+    const context = { ...project_data, complexity };
+    for (const key of PROSE_FIELDS) {
+      if (project_data[key] && !omittedFields.has(key)) {
+        context[key] = await opus.expandProse(key, project_data[key], project_data);
+      }
     }
 
     // Generate diagrams using Opus hooks if descriptions are provided
-    if (project_data['architecture.c4_l1_description']) {
-      const c4l1Diagram = opus.generateDiagramSource(
-        project_data['architecture.c4_l1_description'], 
-        'C4 Model - Level 1'
+    if (included('3.2') && project_data['architecture.c4_l1_description']) {
+      context['architecture.c4_l1_diagram'] = await opus.generateDiagramSource(
+        project_data['architecture.c4_l1_description'],
+        'C4 Model - Level 1',
+        project_data
       );
-      tddOutput = tddOutput.replace(/{{architecture\.c4_l1_diagram}}/g, c4l1Diagram);
     }
 
-    if (project_data['architecture.c4_l2_description']) {
-      const c4l2Diagram = opus.generateDiagramSource(
-        project_data['architecture.c4_l2_description'], 
-        'C4 Model - Level 2'
+    if (included('3.3') && project_data['architecture.c4_l2_description']) {
+      context['architecture.c4_l2_diagram'] = await opus.generateDiagramSource(
+        project_data['architecture.c4_l2_description'],
+        'C4 Model - Level 2',
+        project_data
       );
-      tddOutput = tddOutput.replace(/{{architecture\.c4_l2_diagram}}/g, c4l2Diagram);
     }
 
-    if (project_data['architecture.data_model'] || project_data['architecture.data_flow_description']) {
-      const dataFlowDiagram = opus.generateDiagramSource(
-        project_data['architecture.data_flow_description'] || project_data['architecture.data_model'] || 'Data Flow', 
-        'Data Flow Diagram'
+    if (included('3.4') && (project_data['architecture.data_model'] || project_data['architecture.data_flow_description'])) {
+      context['architecture.data_flow_diagram'] = await opus.generateDiagramSource(
+        project_data['architecture.data_flow_description'] || project_data['architecture.data_model'] || 'Data Flow',
+        'Data Flow Diagram',
+        project_data
       );
-      tddOutput = tddOutput.replace(/{{architecture\.data_flow_diagram}}/g, dataFlowDiagram);
     }
 
-    // Generate API scaffolds if specified
-    if (project_data['api.description']) {
-      const apiScaffold = opus.generateCodeScaffold(
+    // Generate the OpenAPI contract from api.endpoints (info only when just api.description is given)
+    const openApi = generateOpenApi(project_data);
+    if (included('3.5') && openApi) {
+      context['api.scaffold'] = await opus.generateCodeScaffold(
         project_data['api.description'],
-        project_data['project.name'] || 'Project'
+        project_data['project.name'] || 'Project',
+        openApi
       );
-      tddOutput = tddOutput.replace(/{{api\.scaffold}}/g, apiScaffold);
     }
 
     // Populate MCP-specific section if needed
-    if (complexity === 'mcp-specific' || complexity === 'mcp') {
-      const mcpDefaults = {
-        'security.mcp_protocol_compliance': 'Full compliance with MCP JSON-RPC 2.0 specification including robust error handling and request validation.',
-        'security.mcp_sandboxing_model': 'Minimal-privilege container with restricted file system access and strict network policies.',
-        'security.mcp_permission_model': 'Dynamic per-request permissioning with JWT token validation for end-user authorization.'
-      };
-
-      for (const key in mcpDefaults) {
+    const isMcp = complexity === 'mcp-specific' || complexity === 'mcp';
+    if (isMcp) {
+      for (const key in MCP_DEFAULTS) {
         if (!project_data[key] || project_data[key] === '') {
-          const regex = new RegExp(`{{${key}}}`, 'g');
-          tddOutput = tddOutput.replace(regex, mcpDefaults[key]);
+          context[key] = MCP_DEFAULTS[key];
         }
       }
     }
 
+    // Section flags for the template; 3.5 and 5.3 also need API or MCP answers to apply
+    plan.stages.forEach(stage => { context[`stage.${stage}`] = true; });
+    plan.sections.forEach(id => { context[`section.${id}`] = true; });
+    context['section.3.5'] = included('3.5') && Boolean(openApi);
+    context['section.5.3'] = included('5.3') && (isMcp || Object.keys(MCP_DEFAULTS).some(key => project_data[key]));
+    context.omitted = omittedMode === 'appendix' ? omitted : [];
+
     // --- 4. Generate Micro Builds Guide ---
-    const microBuildsGuide = generateMicroBuildsGuide();
-    const dynamicModules = renderDynamicModules(project_data.modules);
-    tddOutput = tddOutput.replace(/{{micro_builds}}/g, microBuildsGuide + dynamicModules);
+    context.micro_builds = generateMicroBuildsGuide();
 
-    // Clean up any remaining optional tags
-    tddOutput = tddOutput.replace(/{{[^}]+}}/g, '*Not Provided*');
+    const tddOutput = renderTemplate(template, context, { partials });
 
     // --- 5. Self-Audit & Reports ---
-    const auditReports = generateAuditReports(project_data, master_reqs, tddOutput, complexity);
+    // The MPKF audit checklist (docs/mpkf_audit_checklist.md), run against the answers and the document
+    const audit = runMpkfAudit({
+      project_data,
+      complexity,
+      tddOutput,
+      requiredFields: [...requiredKeys],
+      docTemplate,
+      plan,
+      consistency: validation.consistency
+    });
+    const readiness = scoreAnswerReadiness([...requiredKeys], project_data, scoringModel);
+    const quality = checkAnswerQuality(project_data);
+    const auditReports = generateAuditReports(project_data, master_reqs, audit, readiness, quality);
 
     // --- 6. Output ---
     const finalOutput = tddOutput + 
       "\n\n---\n\n" + auditReports.gapTable + 
       "\n\n---\n\n" + auditReports.complianceReport + 
-      "\n\n---\n\n" + auditReports.completenessReport;
+      "\n\n---\n\n" + auditReports.completenessReport +
+      (policyResults ? "\n\n---\n\n" + generatePolicyReport(policyResults, policyFile, policyBlockOn) : "");
 
     return {
       status: hasIncompleteData ? "incomplete" : "complete",
       tdd: finalOutput,
       missing_fields: hasIncompleteData ? missingFields.map(f => f.field) : [],
+      ...(validation.warnings.length > 0 && { warnings: validation.warnings }),
+      ...(quality.length > 0 && { quality }),
+      ...(openApi && { openapi: openApi.yaml }),
+      audit,
+      ...(policyResults && { policies: policyResults }),
       metadata: {
         complexity: complexity,
+        doc_template: docTemplate.name,
         total_fields: Object.keys(master_reqs.required_fields).length,
         populated_fields: Object.keys(project_data).length,
+        ...(readiness && { readiness }),
         generation_timestamp: new Date().toISOString()
       }
     };
@@ -383,56 +591,99 @@ async function validate_and_generate_tdd(args) {
 // --- HELPER FUNCTIONS ---
 
 /**
- * Loads the TDD template from file system with caching.
- * Uses a TTL-based cache to avoid repeated file reads.
- * @returns {string} - The template content.
+ * Whether a doc_template argument is a file path rather than a template name
+ * (the same test loadDocumentTemplate uses to read a file).
+ * @param {string} name - doc_template from the arguments.
+ * @returns {boolean}
+ */
+function isTemplatePath(name) {
+  return typeof name !== 'string' || name.endsWith('.md') || name.includes('/') || name.includes(path.sep);
+}
+
+/**
+ * Whether a client-supplied path names the file configured in tdd.config.json.
+ * @param {string} file - Path from the arguments.
+ * @param {string} configured - Path from tdd.config.json (may be undefined).
+ * @returns {boolean}
  */
-async function loadTemplate() {
+function isConfiguredFile(file, configured) {
+  return typeof file === 'string' && typeof configured === 'string' && path.resolve(file) === path.resolve(configured);
+}
+
+/**
+ * Loads a document template and its partials from file system with caching.
+ * Uses a TTL-based cache to avoid repeated file reads. Templates come from
+ * templates/ and the organization template directory (see utils/docTemplates.js);
+ * the default template falls back to the embedded copy when templates/ is missing.
+ * @param {string} name - Template name or path to a template file.
+ * @returns {object} - { name, title, complexity, requires, template, partials, ... }
+ * @throws {TemplateError} - When the template is unknown or fails its load-time checks.
+ */
+async function loadTemplate(name = DEFAULT_DOC_TEMPLATE) {
   const now = Date.now();
+  const directory = getTemplateDirectory();
+  const key = `${directory || ''}|${name}`;
 
   // Check if cache is valid
-  if (templateCache && templateCacheTimestamp && (now - templateCacheTimestamp) < TEMPLATE_CACHE_TTL) {
-    return templateCache;
+  const cached = templateCache.get(key);
+  if (cached && (now - cached.timestamp) < TEMPLATE_CACHE_TTL) {
+    return cached.loaded;
   }
 
-  // Load template from file or use embedded fallback
+  let loaded;
   try {
-    const templatePath = path.join(__dirname, '..', 'templates', 'tdd_v5.0.md');
-    const template = await fs.readFile(templatePath, 'utf8');
-
-    // Update cache
-    templateCache = template;
-    templateCacheTimestamp = now;
-
-    return template;
+    loaded = await loadDocumentTemplate(name, { directory, partials: EMBEDDED_PARTIALS });
   } catch (error) {
-    // Fallback to embedded template if file not found
-    const template = getEmbeddedTemplate();
-
-    // Cache the embedded template too
-    templateCache = template;
-    templateCacheTimestamp = now;
-
-    return template;
+    // Fallback to embedded template if the default template file is not found
+    if (name !== DEFAULT_DOC_TEMPLATE || error.code !== 'TEMPLATE_NOT_FOUND') {
+      throw error;
+    }
+    const partials = { ...EMBEDDED_PARTIALS };
+    loaded = { ...parseDocumentTemplate(getEmbeddedTemplate(), 'embedded tdd_v5.0.md', partials), partials };
   }
+
+  templateCache.set(key, { loaded, timestamp: now });
+  return loaded;
 }
 
 /**
  * Clears the template cache (useful for testing or hot-reloading).
  */
 function clearTemplateCache() {
-  templateCache = null;
-  templateCacheTimestamp = null;
+  templateCache.clear();
 }
 
+// Embedded copies of templates/partials, used with the embedded template
+// tests/doc_templates.test.js checks that they match the files.
+const EMBEDDED_PARTIALS = {
+  module: `- **{{#if name}}{{name}}{{else}}Unnamed Module{{/if}}**{{#if owner}} — Owner: {{owner}}{{/if}}
+    - Goal: {{#if goal}}{{goal}}{{else}}n/a{{/if}}
+{{#if deps}}
+    - Depends on: {{deps}}
+{{/if}}
+{{#if risks}}
+    - Risks: {{risks}}
+{{/if}}
+`
+};
+
 /**
- * Returns the embedded TDD template.
+ * Returns the embedded TDD template, a copy of templates/tdd_v5.0.md used when the file is missing.
  * @returns {string} - The template content.
  */
 function getEmbeddedTemplate() {
-  return `# Technical Design Document: {{project.name}}
+  return `---
+name: tdd-v5
+title: Technical Design Document v5.0
+description: The full nine-stage MPKF technical design document, pruned by complexity level
+complexity: all
+requires: [project.name, summary.problem, summary.solution]
+---
+# Technical Design Document: {{project.name}}
 
+{{#if stage.1}}
 ## Stage 1: Project Foundation
+{{#if section.1.1}}
 ### 1.1 Document Information
 | Field | Value |
 |---|---|
@@ -443,55 +694,84 @@ function getEmbeddedTemplate() {
 | **Approval Status** | \`{{doc.approval_status}}\` |
 | **Document Type** | \`{{doc.type}}\` |
 
+{{/if}}
+{{#if section.1.2}}
 ### 1.2 Executive Summary
 - **Problem Statement:** \`{{summary.problem}}\`
 - **Proposed Solution:** \`{{summary.solution}}\`
 - **Key Architectural Decisions:** \`{{summary.key_decisions}}\`
 - **Business Outcomes & Success Criteria:** \`{{summary.success_criteria}}\`
 
+{{/if}}
 ---
 
+{{/if}}
+{{#if stage.2}}
 ## Stage 2: Requirements & Context Analysis
+{{#if section.2.1}}
 ### 2.1 Business Context & Scope
 - **Business Goals:** \`{{context.business_goals}}\`
 - **In-Scope Functionality:** \`{{context.scope_in}}\`
 - **Out-of-Scope Functionality:** \`{{context.scope_out}}\`
 - **Key User Personas & Roles:** \`{{context.personas}}\`
 
+{{/if}}
+{{#if section.2.2}}
 ### 2.2 Constraints & Assumptions
 - **Technical Constraints:** \`{{constraints.technical}}\`
 - **Business & Budget Constraints:** \`{{constraints.business}}\`
 - **Legal & Compliance Constraints:** \`{{constraints.compliance}}\`
 - **Key Assumptions:** \`{{constraints.assumptions}}\`
 
+{{/if}}
 ---
 
+{{/if}}
+{{#if stage.3}}
 ## Stage 3: Architecture Design
+{{#if section.3.1}}
 ### 3.1 Solution Strategy & Style
 - **Architecture Style:** \`{{architecture.style}}\`
 - **Key Design Principles:** \`{{architecture.principles}}\`
 - **Technology Stack:** \`{{architecture.tech_stack}}\`
 
+{{/if}}
+{{#if section.3.2}}
 ### 3.2 C4 Model: System Context (Level 1)
 - **Description:** \`{{architecture.c4_l1_description}}\`
 - **Diagram:**
-{{architecture.c4_l1_diagram}}
+{{{architecture.c4_l1_diagram}}}
 
 
+{{/if}}
+{{#if section.3.3}}
 ### 3.3 C4 Model: Container Diagram (Level 2)
 - **Description:** \`{{architecture.c4_l2_description}}\`
 - **Diagram:**
-{{architecture.c4_l2_diagram}}
+{{{architecture.c4_l2_diagram}}}
 
 
+{{/if}}
+{{#if section.3.4}}
 ### 3.4 Data Model & Flow
 - **High-Level Data Model:** \`{{architecture.data_model}}\`
 - **Data Flow Diagram:**
-{{architecture.data_flow_diagram}}
+{{{architecture.data_flow_diagram}}}
+
 
+{{/if}}
+{{#if section.3.5}}
+### 3.5 API Contract
+- **API Overview:** \`{{api.description}}\`
+- **OpenAPI Specification:**
+{{{api.scaffold}}}
 
+
+{{/if}}
 ---
 
+{{/if}}
+{{#if stage.4}}
 ## Stage 4: Non-Functional Requirements (NFRs)
 | Category | Requirement |
 |---|---|
@@ -505,25 +785,35 @@ function getEmbeddedTemplate() {
 
 ---
 
+{{/if}}
+{{#if stage.5}}
 ## Stage 5: Security & Privacy Architecture
+{{#if section.5.1}}
 ### 5.1 Security by Design
 - **Threat Model Summary:** \`{{security.threat_model}}\`
 - **Authentication & Authorization:** \`{{security.auth}}\`
 - **Key Security Controls:** \`{{security.controls}}\`
 - **Data Classification:** \`{{security.data_classification}}\`
 
+{{/if}}
+{{#if section.5.2}}
 ### 5.2 Privacy by Design
 - **Data Privacy Controls (PII):** \`{{privacy.controls}}\`
 - **Data Residency Requirements:** \`{{privacy.residency}}\`
 - **Data Retention Policies:** \`{{privacy.retention}}\`
 
+{{/if}}
+{{#if section.5.3}}
 ### 5.3 [MCP] Tool Security Boundaries
 - **MCP Protocol Compliance:** \`{{security.mcp_protocol_compliance}}\`
 - **MCP Tool Sandboxing Model:** \`{{security.mcp_sandboxing_model}}\`
 - **MCP Tool Permission Model:** \`{{security.mcp_permission_model}}\`
 
+{{/if}}
 ---
 
+{{/if}}
+{{#if stage.6}}
 ## Stage 6: Operations & Observability
 - **Deployment Strategy:** \`{{ops.deployment_strategy}}\`
 - **Environment Strategy (Dev/Staging/Prod):** \`{{ops.environments}}\`
@@ -533,6 +823,8 @@ function getEmbeddedTemplate() {
 
 ---
 
+{{/if}}
+{{#if stage.7}}
 ## Stage 7: Implementation Planning
 - **Development Methodology:** \`{{implementation.methodology}}\`
 - **Team Structure & Roles:** \`{{implementation.team}}\`
@@ -541,6 +833,8 @@ function getEmbeddedTemplate() {
 
 ---
 
+{{/if}}
+{{#if stage.8}}
 ## Stage 8: Risk Management & Technical Debt
 - **Identified Technical Risks:** \`{{risks.technical}}\`
 - **Identified Business Risks:** \`{{risks.business}}\`
@@ -549,6 +843,8 @@ function getEmbeddedTemplate() {
 
 ---
 
+{{/if}}
+{{#if stage.9}}
 ## Stage 9: Appendices & References
 - **Glossary of Terms:** \`{{appendices.glossary}}\`
 - **Linked Documents & References:** \`{{appendices.references}}\`
@@ -556,8 +852,28 @@ function getEmbeddedTemplate() {
 
 ---
 
+{{/if}}
+{{#if omitted}}
+## Appendix: Omitted Sections
+These sections are not part of a \`{{complexity}}\` TDD and are collapsed here. Generate the TDD at a higher complexity to expand them.
+
+| Section | Answers Provided |
+|---|---|
+{{#each omitted}}
+| {{title}} | {{#if fields}}\`{{fields}}\`{{else}}None{{/if}} |
+{{/each}}
+
+---
+
+{{/if}}
 ## Micro Builds Guide
-{{micro_builds}}`;
+{{{micro_builds}}}{{#if modules}}
+
+### Dynamic Module Breakdown (auto-generated)
+{{#each modules}}
+{{> module}}
+{{/each}}
+{{/if}}`;
 }
 
 /**
@@ -770,10 +1086,12 @@ This approach ensures modular progress, faster feedback loops, and a scalable TD
 }
 
 /**
- * Generates the self-audit reports to be appended to the TDD.
+ * Generates the unweighted gap analysis: one row per required field.
+ * @param {object} project_data - The project answers.
+ * @param {object} master_reqs - Requirements for the complexity level (getMpkfRequirements).
+ * @returns {string} - The Gap Analysis Report.
  */
-function generateAuditReports(project_data, master_reqs, tddOutput, complexity) {
-  // Gap Table
+function generateGapTable(project_data, master_reqs) {
   let gapTable = `## Gap Analysis Report
 
 | Section | Status | Missing Elements | Source Reference |
@@ -799,64 +1117,163 @@ function generateAuditReports(project_data, master_reqs, tddOutput, complexity)
     gapTable += `| **Summary** | ⚠️ **${missingCount} gaps found** | ${completedCount} of ${completedCount + missingCount} fields completed | MPKF_Consolidated_MASTER.md |\n`;
   }
 
-  // Normalize complexity for display
-  const displayComplexity = complexity === 'mcp' ? 'mcp-specific' : complexity;
+  return gapTable;
+}
+
+// Gap analysis labels for missing-field severities and answer quality issues
+const SEVERITY_LABELS = {
+  critical: '🔴 Critical',
+  high: '🟠 High',
+  medium: '🟡 Medium',
+  low: '⚪ Low'
+};
+
+const QUALITY_LABELS = {
+  warning: '⚠️ Warning',
+  info: 'ℹ️ Info'
+};
+
+function sectionStatus(score) {
+  if (score === 100) return '🟢 Complete (100%)';
+  return `${score >= 50 ? '🟡' : '🔴'} ${score}%`;
+}
+
+/**
+ * Generates the gap analysis from a readiness score: one row per TDD stage with its
+ * weighted score, then the missing fields ranked by impact.
+ * @param {object} master_reqs - Requirements for the complexity level (getMpkfRequirements).
+ * @param {object} readiness - Result of scoreReadiness (src/lib/readiness.ts).
+ * @returns {string} - The Gap Analysis Report.
+ */
+function generateWeightedGapTable(master_reqs, readiness) {
+  const riskNote = readiness.riskFactors.length > 0 ? `; risk factors: ${readiness.riskFactors.join(', ')}` : '';
+  let gapTable = `## Gap Analysis Report
+
+**Readiness:** ${readiness.score}% (answered ${readiness.answeredWeight} of ${readiness.totalWeight} weighted points${riskNote})
+
+| Section | Status | Missing Elements | Source Reference |
+|:---|:---|:---|:---|
+`;
+
+  for (const section of readiness.sections) {
+    gapTable += `| ${section.title} | ${sectionStatus(section.score)} | ${section.missing.length > 0 ? section.missing.join(', ') : '-'} | Pre-TDD Client Questionnaire v2.0 |\n`;
+  }
+
+  if (readiness.gaps.length === 0) {
+    gapTable += `| **All Sections** | 🟢 **Complete** | No missing elements found. | MPKF_Consolidated_MASTER.md |\n`;
+    return gapTable;
+  }
+
+  gapTable += `| **Summary** | ⚠️ **${readiness.gaps.length} gaps found** | ${readiness.score}% weighted readiness | MPKF_Consolidated_MASTER.md |\n`;
+  gapTable += `
+### Missing Fields by Impact
+
+| Field | Severity | Impact | Risk Factors | Question |
+|:---|:---|:---|:---|:---|
+`;
+  for (const gap of readiness.gaps) {
+    gapTable += `| ${gap.field} | ${SEVERITY_LABELS[gap.severity]} | ${gap.impact} | ${gap.riskFactors.length > 0 ? gap.riskFactors.join(', ') : '-'} | ${master_reqs.required_fields[gap.field] || '-'} |\n`;
+  }
+  return gapTable;
+}
+
+/**
+ * Generates the self-audit reports to be appended to the TDD.
+ * The compliance and completeness reports list the checks from runMpkfAudit (utils/mpkfAudit.js).
+ * @param {object} project_data - The project answers.
+ * @param {object} master_reqs - Requirements for the complexity level (getMpkfRequirements).
+ * @param {object} audit - Result of runMpkfAudit ({ status, checks }).
+ * @param {object|null} readiness - Result of scoreReadiness; without it every field counts the same.
+ * @param {Array<object>} quality - Answer quality issues (analyzeAnswerQuality), listed after the gaps.
+ * @returns {object} - { gapTable, complianceReport, completenessReport }
+ */
+function generateAuditReports(project_data, master_reqs, audit, readiness = null, quality = []) {
+  // Gap Table
+  let gapTable = readiness ? generateWeightedGapTable(master_reqs, readiness) : generateGapTable(project_data, master_reqs);
+  if (quality.length > 0) {
+    gapTable += `
+### Answer Quality
+
+| Field | Status | Issue | Details |
+|:---|:---|:---|:---|
+${quality.map(issue => `| ${issue.field} | ${QUALITY_LABELS[issue.severity]} | ${issue.rule} | ${issue.message.replace(/\|/g, '\\|')} |`).join('\n')}
+`;
+  }
+
+  const rows = report => audit.checks
+    .filter(check => check.report === report)
+    .map(check => formatAuditRow(check) + '\n')
+    .join('');
 
   // Compliance Report
   const complianceReport = `## MPKF Compliance Report
 
 | Audit Item | Status | Notes |
 |:---|:---|:---|
-| Pre-TDD Gating | ✅ Passed | Input data was validated against the MPKF questionnaire schema for the '${displayComplexity}' complexity. |
-| Template Population | ✅ Passed | The TDD was generated by populating the authoritative 'Universal_Enterprise_Grade_TDD_Template_v5.0.md'. |
-| Complexity Adherence | ✅ Passed | Applied '${displayComplexity}' complexity rules per the Adaptive Complexity Model from Deep Research Addendum. |
-| Downstream Compatibility | ✅ Passed | Output is structured to be a valid component for the Phoenix and Iris Gem schemas. |
-| Self-Audit Executed | ✅ Passed | This report was generated automatically by the tool's internal compliance check. |
-| MCP Section Handling | ${(complexity === 'mcp-specific' || complexity === 'mcp') ? '✅ Passed' : 'N/A'} | ${(complexity === 'mcp-specific' || complexity === 'mcp') ? 'MCP-specific fields populated per Stage 5.3 requirements.' : 'Not applicable for this complexity level.'} |
-`;
-
-  // Completeness Report - Fixed to escape the orphan display
-  const orphanPattern = /{{[^}]+}}/g;
-  const orphans = tddOutput.match(orphanPattern) || [];
-  const hasOrphans = orphans.length > 0;
-
-  // Escape the orphan variables for display to prevent them from being detected as orphans in the output
-  const orphanDisplay = hasOrphans 
-    ? orphans.slice(0, 5).map(o => o.replace(/{{/g, '\\{\\{').replace(/}}/g, '\\}\\}')).join(', ') + (orphans.length > 5 ? '...' : '')
-    : '';
-
-  const sectionCountMap = {
-    // New graduated levels
-    'base': '2 sections (foundation, summary)',
-    'minimal': '3 sections (+ architecture)',
-    'standard': '5 sections (+ operations, security)',
-    'comprehensive': '7 sections (+ privacy, implementation)',
-    'enterprise': '9 full stages (+ risks, compliance)',
-    
-    // Legacy levels
-    'simple': '4 basic',
-    'startup': '7 MVP-focused',
-    'mcp-specific': '9 stages + MCP section',
-    'mcp': '9 stages + MCP section'
-  };
+${rows('compliance')}`;
 
+  // Completeness Report
   const completenessReport = `## Completeness Report
 
 | Check | Status | Details |
 |:---|:---|:---|
-| Orphan Variables | ${hasOrphans ? '🔴 Failed' : '✅ Passed'} | ${hasOrphans ? `${orphans.length} orphan variable tag(s) found: ${orphanDisplay}` : 'No orphan variable tags remain in the final document.'} |
-| Required Sections | ✅ Passed | All ${sectionCountMap[complexity] || '9 stages'} sections present per complexity level. |
-| Diagram Generation | ✅ Passed | Diagram placeholders ${project_data && project_data['architecture.c4_l1_description'] ? 'populated with PlantUML' : 'marked as not provided'}. |
-| Document Structure | ✅ Passed | Document maintains valid Markdown structure and MPKF template integrity. |
-`;
+${rows('completeness')}`;
 
   return { gapTable, complianceReport, completenessReport };
 }
 
+// Policy Report labels for policy severities and results
+const POLICY_SEVERITY_LABELS = {
+  error: '🔴 Error',
+  warning: '⚠️ Warning',
+  info: 'ℹ️ Info'
+};
+
+const POLICY_STATUS_LABELS = {
+  passed: '✅ Passed',
+  violated: '❌ Violated',
+  'not-applicable': 'N/A'
+};
+
+/**
+ * Generates the Policy Report: one row per organizational policy with its result.
+ * @param {Array<object>} results - Result of evaluatePolicies (src/lib/policies.ts).
+ * @param {string} source - Policy file path, named in the report.
+ * @param {string} blockOn - Lowest violation severity that blocks generation ('never' when only reported).
+ * @returns {string} - The Policy Report.
+ */
+function generatePolicyReport(results, source, blockOn) {
+  const count = status => results.filter(result => result.status === status).length;
+  const cell = text => text.replace(/\|/g, '\\|').replace(/\s*\n\s*/g, ' ');
+  const blocking = blockOn === 'never' ? 'violations are reported only' : `${blockOn} violations and above block generation`;
+
+  let report = `## Policy Report
+
+**Policy file:** \`${source}\` (${results.length} policies: ${count('passed')} passed, ${count('violated')} violated, ${count('not-applicable')} not applicable; ${blocking})
+
+| Policy | Severity | Status | Details | Remediation |
+|:---|:---|:---|:---|:---|
+`;
+  for (const result of results) {
+    const details = result.status === 'violated' ? result.message : `Requires ${result.requirement}`;
+    const remediation = result.status === 'violated' && result.remediation ? result.remediation : '-';
+    report += `| ${result.policy} | ${POLICY_SEVERITY_LABELS[result.severity]} | ${POLICY_STATUS_LABELS[result.status]} | ${cell(details)} | ${cell(remediation)} |\n`;
+  }
+  return report;
+}
+
 // Export the handler and utility functions
 module.exports = { 
   validate_and_generate_tdd,
   isValidIso8601Date,
   validateProjectData,
-  clearTemplateCache
-};
\ No newline at end of file
+  getMpkfRequirements,
+  clearTemplateCache,
+  getEmbeddedTemplate,
+  EMBEDDED_PARTIALS
+};
+
+// When launched directly (as declared in manifest.json), serve the handler over MCP stdio
+if (require.main === module) {
+  require('./mcp_server').startStdioServer();
+}
\ No newline at end of file
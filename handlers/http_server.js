@@ -0,0 +1,281 @@
+/**
+ * @fileoverview Local HTTP/REST API for the TDD Builder.
+ * Exposes the generator, its requirements and validation helpers, and the
+ * questionnaire schema as JSON endpoints, so internal tools can call the
+ * builder over HTTP. Uses only Node's built-in http module and binds to
+ * localhost by default, so it works fully offline.
+ *
+ * Endpoints:
+ * - GET  /health
+ * - POST /api/generate                  (validate_and_generate_tdd)
+ * - POST /api/validate                  (validateProjectData)
+ * - GET  /api/requirements/:complexity  (getMpkfRequirements)
+ * - GET  /api/questionnaire             (questionnaire schema)
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const {
+  validate_and_generate_tdd,
+  validateProjectData,
+  getMpkfRequirements
+} = require('./generate_tdd');
+
+const manifest = require('../manifest.json');
+const packageJson = require('../package.json');
+
+const PROJECT_ROOT = path.join(__dirname, '..');
+const DEFAULT_HOST = '127.0.0.1';
+const DEFAULT_PORT = 3000;
+const MAX_BODY_BYTES = 1024 * 1024; // 1 MB
+const QUESTIONNAIRE_PATH = path.join('schemas', 'Pre-TDD_Client_Questionnaire_v2.0.json');
+const VALID_COMPLEXITIES = manifest.tools.validate_and_generate_tdd.inputSchema.properties.complexity.enum;
+
+/**
+ * Error raised by route handlers to produce a non-200 response.
+ * The body uses the same status: "error" envelope as the handler.
+ */
+class HttpError extends Error {
+  constructor(statusCode, message, details) {
+    super(message);
+    this.name = 'HttpError';
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+/**
+ * Reads and parses a JSON request body.
+ * @param {http.IncomingMessage} req - The request.
+ * @returns {Promise<object>} - The parsed body ({} when empty).
+ */
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    const onData = (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        // Stop reading; handleRequest closes the connection once the 413 is sent
+        req.removeListener('data', onData);
+        req.pause();
+        reject(new HttpError(413, `Request body exceeds ${MAX_BODY_BYTES} bytes`));
+        return;
+      }
+      chunks.push(chunk);
+    };
+    req.on('data', onData);
+
+    req.on('end', () => {
+      const raw = Buffer.concat(chunks).toString('utf8');
+      if (!raw.trim()) {
+        resolve({});
+        return;
+      }
+      try {
+        const body = JSON.parse(raw);
+        if (!body || typeof body !== 'object' || Array.isArray(body)) {
+          reject(new HttpError(400, 'Request body must be a JSON object'));
+          return;
+        }
+        resolve(body);
+      } catch (error) {
+        reject(new HttpError(400, `Invalid JSON body: ${error.message}`));
+      }
+    });
+
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Writes a JSON response.
+ */
+function sendJson(res, statusCode, body) {
+  const payload = JSON.stringify(body, null, 2);
+  res.writeHead(statusCode, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Content-Length': Buffer.byteLength(payload)
+  });
+  res.end(payload);
+}
+
+/**
+ * Checks a complexity level against the levels the handler accepts.
+ */
+function assertComplexity(complexity) {
+  if (!VALID_COMPLEXITIES.includes(complexity)) {
+    throw new HttpError(400, `complexity must be one of: ${VALID_COMPLEXITIES.join(', ')}`);
+  }
+}
+
+// Route handlers keyed by "METHOD /path"; each returns { statusCode, body }
+const routes = {
+  'GET /health': async () => ({
+    statusCode: 200,
+    body: { status: 'ok', name: packageJson.name, version: packageJson.version }
+  }),
+
+  // Same arguments and envelopes as the MCP validate_and_generate_tdd tool
+  'POST /api/generate': async (req) => {
+    const body = await readJsonBody(req);
+    const result = await validate_and_generate_tdd(body);
+    return {
+      statusCode: result.status === 'error' ? 400 : 200,
+      body: result
+    };
+  },
+
+  'POST /api/validate': async (req) => {
+    const { project_data, complexity } = await readJsonBody(req);
+    const result = validateProjectData(project_data, complexity);
+    return {
+      statusCode: result.valid ? 200 : 400,
+      body: result.valid
+        ? { status: 'valid', errors: [], warnings: result.warnings }
+        : { status: 'error', message: 'Input validation failed', validation_errors: result.errors, warnings: result.warnings }
+    };
+  },
+
+  'GET /api/requirements/:complexity': async (req, params) => {
+    assertComplexity(params.complexity);
+    const requirements = getMpkfRequirements(params.complexity);
+    return {
+      statusCode: 200,
+      body: {
+        complexity: params.complexity,
+        required_fields: requirements.required_fields
+      }
+    };
+  },
+
+  'GET /api/questionnaire': async () => {
+    const schema = JSON.parse(fs.readFileSync(path.join(PROJECT_ROOT, QUESTIONNAIRE_PATH), 'utf8'));
+    return { statusCode: 200, body: schema };
+  }
+};
+
+/**
+ * Finds the route handler for a request, extracting :params from the path.
+ * @param {string} method - HTTP method.
+ * @param {string} pathname - Request path.
+ * @returns {object|null} - { handler, params }, { allowed } when only the method differs, or null.
+ * @throws {HttpError} - 400 when a :param segment is not valid percent-encoding.
+ */
+function matchRoute(method, pathname) {
+  const segments = pathname.split('/').filter(Boolean);
+  const allowed = [];
+
+  for (const [key, handler] of Object.entries(routes)) {
+    const [routeMethod, routePath] = key.split(' ');
+    const routeSegments = routePath.split('/').filter(Boolean);
+    if (routeSegments.length !== segments.length) continue;
+
+    const params = {};
+    const matches = routeSegments.every((segment, i) => {
+      if (segment.startsWith(':')) {
+        try {
+          params[segment.slice(1)] = decodeURIComponent(segments[i]);
+        } catch (error) {
+          throw new HttpError(400, `Malformed path segment: ${segments[i]}`);
+        }
+        return true;
+      }
+      return segment === segments[i];
+    });
+    if (!matches) continue;
+
+    if (routeMethod === method) {
+      return { handler, params };
+    }
+    allowed.push(routeMethod);
+  }
+
+  return allowed.length > 0 ? { allowed } : null;
+}
+
+/**
+ * Handles a single HTTP request.
+ * @param {http.IncomingMessage} req - The request.
+ * @param {http.ServerResponse} res - The response.
+ */
+async function handleRequest(req, res) {
+  try {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    const route = matchRoute(req.method, pathname);
+
+    if (!route) {
+      throw new HttpError(404, `Not found: ${req.method} ${pathname}`);
+    }
+    if (!route.handler) {
+      res.setHeader('Allow', route.allowed.join(', '));
+      throw new HttpError(405, `Method not allowed: ${req.method} ${pathname}`);
+    }
+
+    const { statusCode, body } = await route.handler(req, route.params);
+    sendJson(res, statusCode, body);
+  } catch (error) {
+    if (error instanceof HttpError) {
+      if (error.statusCode === 413) {
+        // The rest of the body is never read: answer first, then drop the connection
+        res.setHeader('Connection', 'close');
+        res.once('finish', () => req.destroy());
+      }
+      sendJson(res, error.statusCode, { status: 'error', message: error.message });
+      return;
+    }
+    sendJson(res, 500, { status: 'error', message: `Internal error: ${error.message}` });
+  }
+}
+
+/**
+ * Creates the HTTP server without starting it.
+ * @returns {http.Server} - The server.
+ */
+function createServer() {
+  return http.createServer(handleRequest);
+}
+
+/**
+ * Starts the HTTP server.
+ * @param {object} options - { host, port } (defaults to 127.0.0.1:3000; port 0 picks a free port).
+ * @returns {Promise<http.Server>} - The listening server.
+ */
+function startHttpServer({ host = DEFAULT_HOST, port = DEFAULT_PORT } = {}) {
+  // Schema and template files are resolved relative to the working directory
+  process.chdir(PROJECT_ROOT);
+
+  const server = createServer();
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => {
+      server.removeListener('error', reject);
+      resolve(server);
+    });
+  });
+}
+
+// Run if executed directly
+if (require.main === module) {
+  const port = process.env.PORT ? parseInt(process.env.PORT, 10) : DEFAULT_PORT;
+  startHttpServer({ port })
+    .then((server) => {
+      const address = server.address();
+      console.log(`TDD Builder API listening on http://${address.address}:${address.port}`);
+    })
+    .catch((error) => {
+      console.error(`Failed to start server: ${error.message}`);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  createServer,
+  startHttpServer,
+  handleRequest,
+  HttpError,
+  DEFAULT_HOST,
+  DEFAULT_PORT
+};
@@ -0,0 +1,417 @@
+/**
+ * @fileoverview Stepwise, schema-driven interview sessions.
+ * Runs the same 3-stage interview as cli.js (Core → Review → Deep Dive) one
+ * answer at a time, so non-terminal clients (e.g. MCP tools) can drive it:
+ * 1. Start a session (optionally pre-filled from an industry template).
+ * 2. Fetch the next questions for the current stage (skip_if applied).
+ * 3. Submit answers, which are validated and expanded through triggers.
+ * 4. Finalize, which hands the answers to validate_and_generate_tdd.
+ *
+ * Session state is a plain, JSON-serializable object.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const reviewScreen = require('../src/lib/reviewScreen');
+const { validate_and_generate_tdd } = require('./generate_tdd');
+const { getScoringModelPath } = require('../utils/projectConfig');
+
+const DEFAULT_STAGES = ['core', 'review', 'deep_dive'];
+const VALID_COMPLEXITIES = ['auto', 'base', 'minimal', 'standard', 'comprehensive', 'enterprise'];
+
+// Import compiled TypeScript modules (the interview is schema-driven only)
+let schemaModules = null;
+
+/**
+ * Binds the complexity functions to a scoring model
+ * @param {object} complexity - The compiled complexity module.
+ * @param {object} scoringModel - Scoring model (loadScoringModel).
+ * @returns {object} - { recommendLevel, analyzeComplexity }
+ */
+function withScoringModel(complexity, scoringModel) {
+  return {
+    recommendLevel: (answers, tagSchema) => complexity.recommendLevel(answers, tagSchema, scoringModel),
+    analyzeComplexity: (answers, tagSchema) => complexity.analyzeComplexity(answers, tagSchema, scoringModel)
+  };
+}
+
+function loadSchemaModules() {
+  if (!schemaModules) {
+    let modules;
+    let complexity;
+    try {
+      complexity = require('../dist/src/lib/complexity');
+      modules = {
+        loadQuestionnaireSchema: require('../dist/src/lib/schemaLoader').loadQuestionnaireSchema,
+        loadTagSchema: require('../dist/src/lib/schemaLoader').loadTagSchema,
+        loadScoringModel: require('../dist/src/lib/schemaLoader').loadScoringModel,
+        getNextQuestions: require('../dist/src/lib/rulesEngine').getNextQuestions,
+        evaluateSkip: require('../dist/src/lib/rulesEngine').evaluateSkip,
+        expandTriggers: require('../dist/src/lib/rulesEngine').expandTriggers,
+        checkConsistency: require('../dist/src/lib/consistency').checkConsistency,
+        analyzeAnswerQuality: require('../dist/src/lib/answerQuality').analyzeAnswerQuality,
+        validateAnswer: require('../dist/src/lib/validateAnswer').validateAnswer
+      };
+    } catch (error) {
+      throw new Error(`Failed to load schema modules: ${error.message}. Run "npm run build" to compile TypeScript modules.`);
+    }
+    // Complexity scoring uses the organization's scoring model when one is configured;
+    // an invalid one is not memoized, so fixing the file takes effect on the next call
+    let scoringModel;
+    try {
+      scoringModel = modules.loadScoringModel(getScoringModelPath());
+    } catch (error) {
+      throw new Error(`Failed to load the complexity scoring model: ${error.message}\nFix or remove TDD_SCORING_MODEL / complexity.scoring_model in tdd.config.json.`);
+    }
+    schemaModules = { ...modules, ...withScoringModel(complexity, scoringModel) };
+  }
+  return schemaModules;
+}
+
+// In-memory session registry (one per server process)
+const sessions = new Map();
+
+/**
+ * Loads the questionnaire and tag schemas.
+ * @returns {object} - { schema, tagSchema, registry }
+ */
+function loadSchemas() {
+  const modules = loadSchemaModules();
+  const schema = modules.loadQuestionnaireSchema();
+  const tagSchema = modules.loadTagSchema();
+  const registry = new Map();
+  schema.questions.forEach(q => registry.set(q.id, q));
+  return { schema, tagSchema, registry };
+}
+
+/**
+ * Loads an industry starter template's defaults.
+ * @param {string} templateName - Template name (e.g. 'saas').
+ * @returns {object} - The parsed template.
+ */
+function loadIndustryTemplate(templateName) {
+  // Names come from MCP/HTTP clients: only bare names of templates/industries/*-starter.json
+  if (typeof templateName !== 'string' || !/^[a-z0-9-]+$/.test(templateName)) {
+    throw new Error(`Template '${templateName}' not found`);
+  }
+  const templatePath = path.join(__dirname, '..', 'templates', 'industries', `${templateName}-starter.json`);
+  if (!fs.existsSync(templatePath)) {
+    throw new Error(`Template '${templateName}' not found`);
+  }
+  return JSON.parse(fs.readFileSync(templatePath, 'utf8'));
+}
+
+/**
+ * Starts a new interview session.
+ * @param {object} options - { complexity, tags, template, answers }
+ * @returns {object} - The new session state.
+ */
+function startSession(options = {}) {
+  const { schema } = loadSchemas();
+
+  const complexity = options.complexity || 'auto';
+  if (!VALID_COMPLEXITIES.includes(complexity)) {
+    throw new Error(`complexity must be one of: ${VALID_COMPLEXITIES.join(', ')}`);
+  }
+
+  let answers = {};
+  let tags = Array.isArray(options.tags) ? options.tags : [];
+  let requestedComplexity = complexity;
+
+  // Pre-fill from an industry template, mirroring cli.js --template
+  if (options.template) {
+    const template = loadIndustryTemplate(options.template);
+    answers = { ...template.defaults };
+    if (tags.length === 0) {
+      tags = template.tag_focus || [];
+    }
+    if (requestedComplexity === 'auto' && template.complexity_recommendation) {
+      requestedComplexity = template.complexity_recommendation;
+    }
+  }
+
+  if (options.answers && typeof options.answers === 'object') {
+    answers = { ...answers, ...options.answers };
+  }
+
+  const now = new Date().toISOString();
+  const session = {
+    id: crypto.randomUUID(),
+    stage: (schema.stages && schema.stages[0]) || DEFAULT_STAGES[0],
+    stages: schema.stages || DEFAULT_STAGES,
+    answers,
+    skipped: [],
+    triggered: {},
+    options: {
+      complexity: requestedComplexity,
+      tags,
+      template: options.template || null
+    },
+    complexity: null,
+    created_at: now,
+    updated_at: now
+  };
+
+  sessions.set(session.id, session);
+  return session;
+}
+
+/**
+ * Looks up a session by ID.
+ * @param {string} sessionId - The session ID.
+ * @returns {object} - The session state.
+ */
+function getSession(sessionId) {
+  const session = sessions.get(sessionId);
+  if (!session) {
+    throw new Error(`Unknown interview session: ${sessionId}`);
+  }
+  return session;
+}
+
+/**
+ * Resolves the effective complexity level, recommending one from answers when 'auto'.
+ * @param {object} session - The session state.
+ * @param {object} tagSchema - The tag schema.
+ * @returns {string} - The complexity level.
+ */
+function resolveComplexity(session, tagSchema) {
+  if (session.options.complexity && session.options.complexity !== 'auto') {
+    return session.options.complexity;
+  }
+  return loadSchemaModules().recommendLevel(session.answers, tagSchema);
+}
+
+/**
+ * Computes the questions still to be asked in the session's current stage.
+ * Deep dive questions are additionally filtered by tag focus and complexity,
+ * exactly as cli.js runDeepDiveStage does.
+ * @param {object} session - The session state.
+ * @param {object} context - { schema, tagSchema }
+ * @returns {object[]} - Pending question objects.
+ */
+function pendingQuestionsForStage(session, { schema, tagSchema }) {
+  const modules = loadSchemaModules();
+  let questions = modules.getNextQuestions(schema.questions, session.answers, session.stage)
+    .filter(q => !session.skipped.includes(q.id));
+
+  if (session.stage === 'deep_dive') {
+    const tags = session.options.tags;
+    if (tags && tags.length > 0) {
+      questions = questions.filter(q => q.tags.some(tag => tags.includes(tag)));
+    }
+
+    const complexity = session.complexity || resolveComplexity(session, tagSchema);
+    questions = questions.filter(q => {
+      const metadata = tagSchema.field_metadata[q.id];
+      if (!metadata) return complexity === 'base';
+      return metadata.complexity_levels.includes(complexity);
+    });
+  }
+
+  return questions;
+}
+
+/**
+ * Advances the session through stages until one has pending questions.
+ * The complexity level is fixed once the core stage completes, as in cli.js.
+ * @param {object} session - The session state.
+ * @param {object} context - { schema, tagSchema }
+ * @returns {object[]} - Pending questions for the (possibly new) current stage.
+ */
+function advanceToPendingStage(session, context) {
+  while (session.stage !== 'complete') {
+    const pending = pendingQuestionsForStage(session, context);
+    if (pending.length > 0) {
+      return pending;
+    }
+
+    if (session.stage === 'core' && !session.complexity) {
+      session.complexity = resolveComplexity(session, context.tagSchema);
+    }
+
+    const index = session.stages.indexOf(session.stage);
+    session.stage = index >= 0 && index < session.stages.length - 1
+      ? session.stages[index + 1]
+      : 'complete';
+  }
+  return [];
+}
+
+/**
+ * Serializes a question for clients.
+ */
+function describeQuestion(question, session) {
+  const described = {
+    id: question.id,
+    stage: question.stage,
+    type: question.type,
+    question: question.question,
+    tags: question.tags
+  };
+  if (question.hint) described.hint = question.hint;
+  if (question.options) described.options = question.options;
+  if (question.validation) described.validation = question.validation;
+  if (question.help) described.help = question.help;
+  if (session.triggered[question.id]) described.triggered_by = session.triggered[question.id];
+  return described;
+}
+
+/**
+ * Gets the next batch of questions for a session.
+ * Entering the review stage also returns the review screen data
+ * (answers grouped by TDD section, section preview, recommended level,
+ * consistency issues, answer quality issues).
+ * @param {string} sessionId - The session ID.
+ * @param {object} options - { limit } maximum number of questions to return.
+ * @returns {object} - { session_id, stage, complexity, questions, remaining, review?, done }
+ */
+function getNextQuestionsForSession(sessionId, { limit } = {}) {
+  const session = getSession(sessionId);
+  const context = loadSchemas();
+  const pending = advanceToPendingStage(session, context);
+  const batch = limit && limit > 0 ? pending.slice(0, limit) : pending;
+
+  const response = {
+    session_id: session.id,
+    stage: session.stage,
+    complexity: session.complexity || resolveComplexity(session, context.tagSchema),
+    questions: batch.map(q => describeQuestion(q, session)),
+    remaining: pending.length,
+    answered: Object.keys(session.answers).length,
+    done: session.stage === 'complete'
+  };
+
+  if (session.stage === 'review' || session.stage === 'complete') {
+    response.review = buildReview(session, context);
+  }
+
+  return response;
+}
+
+/**
+ * Builds the review payload shown by cli.js runReviewStage.
+ */
+function buildReview(session, { schema, tagSchema }) {
+  const complexity = session.complexity || resolveComplexity(session, tagSchema);
+  const analysis = loadSchemaModules().analyzeComplexity(session.answers, tagSchema);
+  return {
+    sections: reviewScreen.groupAnswersBySection(session.answers, schema),
+    preview: reviewScreen.generateTddPreview(session.answers, complexity),
+    recommended_complexity: analysis.recommendedLevel,
+    complexity_score: { score: analysis.levelScore, model: analysis.model, breakdown: analysis.breakdown },
+    consistency: loadSchemaModules().checkConsistency(schema.consistency_rules, session.answers),
+    quality: loadSchemaModules().analyzeAnswerQuality(session.answers, schema.questions)
+  };
+}
+
+/**
+ * Submits (or skips) an answer.
+ * Answers to questionnaire questions are validated with validateAnswer and
+ * expanded through triggers. Answers for fields outside the questionnaire
+ * (e.g. adhoc_questions returned by an incomplete finalize) are stored as-is.
+ * @param {string} sessionId - The session ID.
+ * @param {string} questionId - The question/field ID.
+ * @param {*} answer - The answer value; null skips the question.
+ * @returns {object} - { accepted, errors?, triggered_questions, next_questions }
+ */
+function submitAnswer(sessionId, questionId, answer) {
+  const session = getSession(sessionId);
+  const context = loadSchemas();
+  const modules = loadSchemaModules();
+  const question = context.registry.get(questionId);
+
+  if (answer === null || answer === undefined || answer === '') {
+    if (!session.skipped.includes(questionId)) {
+      session.skipped.push(questionId);
+    }
+    delete session.answers[questionId];
+    session.updated_at = new Date().toISOString();
+    return {
+      session_id: session.id,
+      accepted: true,
+      skipped: true,
+      triggered_questions: [],
+      next: getNextQuestionsForSession(sessionId, { limit: 1 })
+    };
+  }
+
+  if (question && question.validation) {
+    const result = modules.validateAnswer(question, answer);
+    if (!result.valid) {
+      return {
+        session_id: session.id,
+        accepted: false,
+        question_id: questionId,
+        errors: result.errors,
+        examples: result.examples,
+        learnMore: result.learnMore
+      };
+    }
+  }
+
+  session.answers[questionId] = answer;
+  session.skipped = session.skipped.filter(id => id !== questionId);
+
+  const triggered = question
+    ? modules.expandTriggers(question, answer, context.registry, session.answers)
+    : [];
+  triggered.forEach(tq => {
+    session.triggered[tq.id] = questionId;
+  });
+
+  session.updated_at = new Date().toISOString();
+
+  return {
+    session_id: session.id,
+    accepted: true,
+    validated: Boolean(question),
+    triggered_questions: triggered
+      .filter(tq => !modules.evaluateSkip(tq, session.answers))
+      .map(tq => tq.id),
+    next: getNextQuestionsForSession(sessionId, { limit: 1 })
+  };
+}
+
+/**
+ * Finalizes a session by generating the TDD from the collected answers.
+ * The session is kept when generation is incomplete, so the client can answer
+ * the returned adhoc_questions and finalize again.
+ * @param {string} sessionId - The session ID.
+ * @param {object} options - { complexity, allowIncomplete }
+ * @returns {Promise<object>} - The validate_and_generate_tdd result plus session_id.
+ */
+async function finalizeSession(sessionId, { complexity, allowIncomplete = false } = {}) {
+  const session = getSession(sessionId);
+  const { tagSchema } = loadSchemas();
+  const level = complexity || session.complexity || resolveComplexity(session, tagSchema);
+
+  const result = await validate_and_generate_tdd({
+    project_data: { ...session.answers },
+    complexity: level,
+    allowIncomplete
+  });
+
+  if (result.status === 'complete' || (allowIncomplete && result.tdd)) {
+    sessions.delete(session.id);
+  }
+
+  return { session_id: session.id, ...result };
+}
+
+/**
+ * Removes all in-memory sessions (useful for testing).
+ */
+function clearSessions() {
+  sessions.clear();
+}
+
+module.exports = {
+  startSession,
+  getSession,
+  getNextQuestionsForSession,
+  submitAnswer,
+  finalizeSession,
+  clearSessions
+};
@@ -0,0 +1,308 @@
+/**
+ * @fileoverview MCP (Model Context Protocol) stdio server for the TDD Builder.
+ * Speaks newline-delimited JSON-RPC 2.0 over stdin/stdout and exposes the
+ * validate_and_generate_tdd handler and the stepwise interview (see
+ * interview.js) as MCP tools, so agents can call the builder directly
+ * instead of shelling out to cli.js.
+ *
+ * Supported methods:
+ * - initialize / notifications/initialized
+ * - ping
+ * - tools/list
+ * - tools/call
+ */
+
+const path = require('path');
+const readline = require('readline');
+const { validate_and_generate_tdd } = require('./generate_tdd');
+const interview = require('./interview');
+
+const manifest = require('../manifest.json');
+const packageJson = require('../package.json');
+
+const SERVER_NAME = 'tdd-builder-mpkf';
+const PROJECT_ROOT = path.join(__dirname, '..');
+const SUPPORTED_PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+
+// Standard JSON-RPC 2.0 error codes
+const JSON_RPC_ERRORS = {
+  PARSE_ERROR: -32700,
+  INVALID_REQUEST: -32600,
+  METHOD_NOT_FOUND: -32601,
+  INVALID_PARAMS: -32602,
+  INTERNAL_ERROR: -32603
+};
+
+/**
+ * Error raised by method handlers to produce a JSON-RPC error response.
+ */
+class JsonRpcError extends Error {
+  constructor(code, message, data) {
+    super(message);
+    this.name = 'JsonRpcError';
+    this.code = code;
+    this.data = data;
+  }
+}
+
+/**
+ * Wraps an interview function so failures (unknown session, bad options)
+ * come back as status "error" results instead of protocol errors.
+ */
+function interviewTool(fn) {
+  return async (args) => {
+    try {
+      return await fn(args);
+    } catch (error) {
+      return { status: 'error', message: error.message };
+    }
+  };
+}
+
+// --- TOOL REGISTRY ---
+// Each tool pairs the schema advertised in tools/list with the function that runs it.
+// Tool schemas are sourced from manifest.json so the manifest stays the single source of truth.
+const tools = {
+  validate_and_generate_tdd: {
+    description: manifest.tools.validate_and_generate_tdd.description,
+    inputSchema: manifest.tools.validate_and_generate_tdd.inputSchema,
+    handler: async (args) => validate_and_generate_tdd(args)
+  },
+  start_interview: {
+    description: manifest.tools.start_interview.description,
+    inputSchema: manifest.tools.start_interview.inputSchema,
+    handler: interviewTool((args) => {
+      const session = interview.startSession(args);
+      return {
+        session_id: session.id,
+        ...interview.getNextQuestionsForSession(session.id)
+      };
+    })
+  },
+  get_next_questions: {
+    description: manifest.tools.get_next_questions.description,
+    inputSchema: manifest.tools.get_next_questions.inputSchema,
+    handler: interviewTool((args) => interview.getNextQuestionsForSession(args.session_id, { limit: args.limit }))
+  },
+  submit_answer: {
+    description: manifest.tools.submit_answer.description,
+    inputSchema: manifest.tools.submit_answer.inputSchema,
+    handler: interviewTool((args) => interview.submitAnswer(args.session_id, args.question_id, args.answer))
+  },
+  finalize_interview: {
+    description: manifest.tools.finalize_interview.description,
+    inputSchema: manifest.tools.finalize_interview.inputSchema,
+    handler: interviewTool((args) => interview.finalizeSession(args.session_id, {
+      complexity: args.complexity,
+      allowIncomplete: args.allowIncomplete
+    }))
+  }
+};
+
+/**
+ * Builds the tool descriptors returned by tools/list.
+ * @returns {object[]} - Array of { name, description, inputSchema }.
+ */
+function listTools() {
+  return Object.entries(tools).map(([name, tool]) => ({
+    name,
+    description: tool.description,
+    inputSchema: tool.inputSchema
+  }));
+}
+
+/**
+ * Checks that all required tool arguments are present.
+ * @param {object} inputSchema - The tool's JSON schema.
+ * @param {object} args - The arguments supplied by the client.
+ * @returns {string[]} - Names of missing required arguments.
+ */
+function findMissingArguments(inputSchema, args) {
+  const required = (inputSchema && inputSchema.required) || [];
+  return required.filter(key => args[key] === undefined);
+}
+
+/**
+ * Executes a tool and wraps its result in an MCP CallToolResult.
+ * Tool-level failures (status: "error") are reported with isError so the
+ * calling model can see and react to them, per the MCP specification.
+ * @param {object} params - The tools/call params ({ name, arguments }).
+ * @returns {Promise<object>} - The CallToolResult.
+ */
+async function callTool(params) {
+  if (!params || typeof params.name !== 'string') {
+    throw new JsonRpcError(JSON_RPC_ERRORS.INVALID_PARAMS, 'tools/call requires a tool name');
+  }
+
+  const tool = tools[params.name];
+  if (!tool) {
+    throw new JsonRpcError(JSON_RPC_ERRORS.INVALID_PARAMS, `Unknown tool: ${params.name}`);
+  }
+
+  const args = params.arguments || {};
+  const missing = findMissingArguments(tool.inputSchema, args);
+  if (missing.length > 0) {
+    return {
+      content: [{ type: 'text', text: `Missing required argument(s): ${missing.join(', ')}` }],
+      isError: true
+    };
+  }
+
+  const result = await tool.handler(args);
+
+  return {
+    content: [{ type: 'text', text: JSON.stringify(result, null, 2) }],
+    structuredContent: result,
+    isError: Boolean(result && result.status === 'error')
+  };
+}
+
+/**
+ * Negotiates the protocol version with the client.
+ * Echoes the requested version when supported, otherwise offers the latest one.
+ * @param {string} requested - The client's requested protocol version.
+ * @returns {string} - The protocol version to use.
+ */
+function negotiateProtocolVersion(requested) {
+  return SUPPORTED_PROTOCOL_VERSIONS.includes(requested)
+    ? requested
+    : SUPPORTED_PROTOCOL_VERSIONS[0];
+}
+
+// Request handlers keyed by JSON-RPC method name
+const methods = {
+  initialize: async (params = {}) => ({
+    protocolVersion: negotiateProtocolVersion(params.protocolVersion),
+    capabilities: {
+      tools: { listChanged: false }
+    },
+    serverInfo: {
+      name: SERVER_NAME,
+      version: packageJson.version
+    },
+    instructions: 'Use validate_and_generate_tdd to validate project data and generate MPKF-compliant Technical Design Documents. An "incomplete" status returns adhoc_questions to answer before resubmitting. To interview a user step by step instead, call start_interview, then alternate get_next_questions and submit_answer until done is true, and finish with finalize_interview.'
+  }),
+  ping: async () => ({}),
+  'tools/list': async () => ({ tools: listTools() }),
+  'tools/call': callTool
+};
+
+/**
+ * Handles a single decoded JSON-RPC message.
+ * @param {object} message - The decoded JSON-RPC message.
+ * @returns {Promise<object|null>} - The response, or null for notifications.
+ */
+async function handleMessage(message) {
+  if (!message || typeof message !== 'object' || Array.isArray(message) || message.jsonrpc !== '2.0') {
+    return errorResponse(null, JSON_RPC_ERRORS.INVALID_REQUEST, 'Invalid Request');
+  }
+
+  // This server never issues requests, so client responses can be ignored
+  if (!('method' in message)) {
+    return null;
+  }
+
+  if (typeof message.method !== 'string') {
+    return errorResponse(message.id !== undefined ? message.id : null, JSON_RPC_ERRORS.INVALID_REQUEST, 'Invalid Request');
+  }
+
+  const isNotification = !('id' in message);
+
+  // Notifications (e.g. notifications/initialized) never receive a response
+  if (isNotification) {
+    return null;
+  }
+
+  const method = methods[message.method];
+  if (!method) {
+    return errorResponse(message.id, JSON_RPC_ERRORS.METHOD_NOT_FOUND, `Method not found: ${message.method}`);
+  }
+
+  try {
+    const result = await method(message.params);
+    return { jsonrpc: '2.0', id: message.id, result };
+  } catch (error) {
+    if (error instanceof JsonRpcError) {
+      return errorResponse(message.id, error.code, error.message, error.data);
+    }
+    return errorResponse(message.id, JSON_RPC_ERRORS.INTERNAL_ERROR, `Internal error: ${error.message}`);
+  }
+}
+
+/**
+ * Handles one line of raw input from the transport.
+ * @param {string} line - A single newline-delimited JSON-RPC message.
+ * @returns {Promise<object|null>} - The response to write, or null.
+ */
+async function handleLine(line) {
+  if (!line.trim()) {
+    return null;
+  }
+
+  let message;
+  try {
+    message = JSON.parse(line);
+  } catch (error) {
+    return errorResponse(null, JSON_RPC_ERRORS.PARSE_ERROR, 'Parse error');
+  }
+
+  return handleMessage(message);
+}
+
+/**
+ * Builds a JSON-RPC error response.
+ */
+function errorResponse(id, code, message, data) {
+  const error = { code, message };
+  if (data !== undefined) {
+    error.data = data;
+  }
+  return { jsonrpc: '2.0', id, error };
+}
+
+/**
+ * Starts the server on the given streams (stdin/stdout by default).
+ * stdout carries protocol messages only, so console.log output from the
+ * handler is redirected to stderr while the server is running.
+ * @param {object} options - Optional { input, output } streams.
+ * @returns {readline.Interface} - The line reader driving the server.
+ */
+function startStdioServer({ input = process.stdin, output = process.stdout } = {}) {
+  // MCP clients spawn the server from arbitrary directories, but schema
+  // files are resolved relative to the working directory
+  process.chdir(PROJECT_ROOT);
+
+  if (output === process.stdout) {
+    console.log = (...args) => console.error(...args);
+  }
+
+  const reader = readline.createInterface({ input, terminal: false });
+  let pending = Promise.resolve();
+
+  reader.on('line', (line) => {
+    // Serialize handling so responses are written in request order
+    pending = pending.then(async () => {
+      const response = await handleLine(line);
+      if (response) {
+        output.write(JSON.stringify(response) + '\n');
+      }
+    });
+  });
+
+  return reader;
+}
+
+// Run if executed directly
+if (require.main === module) {
+  startStdioServer();
+}
+
+module.exports = {
+  startStdioServer,
+  handleMessage,
+  handleLine,
+  listTools,
+  JsonRpcError,
+  JSON_RPC_ERRORS,
+  SUPPORTED_PROTOCOL_VERSIONS
+};
@@ -0,0 +1,56 @@
+#!/usr/bin/env node
+/**
+ * Cross-lint the document templates, questionnaire, tag schema, required-field
+ * tables and review screen sections (see utils/templateLinter.js).
+ *
+ * Usage: node scripts/lint_templates.js [--json] [--fail-on error|warning|none] [--template-dir DIR]
+ * Exits 1 when an issue at or above the --fail-on severity is found (default: error).
+ */
+const { lintTemplates } = require('../utils/templateLinter');
+
+const FAIL_ON = ['error', 'warning', 'none'];
+
+function parseArgs(args) {
+  const options = { json: false, failOn: 'error', directory: undefined };
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--json') {
+      options.json = true;
+    } else if (args[i] === '--fail-on') {
+      options.failOn = args[++i];
+      if (!FAIL_ON.includes(options.failOn)) {
+        console.error(`Unsupported --fail-on level: ${options.failOn}. Use one of: ${FAIL_ON.join(', ')}`);
+        process.exit(2);
+      }
+    } else if (args[i] === '--template-dir') {
+      options.directory = args[++i];
+    }
+  }
+  return options;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const { summary, issues } = await lintTemplates({ directory: options.directory });
+
+  if (options.json) {
+    console.log(JSON.stringify({ summary, issues }, null, 2));
+  } else {
+    for (const issue of issues) {
+      const icon = issue.severity === 'error' ? '❌' : '⚠️ ';
+      const where = issue.template ? `${issue.source} (${issue.template})` : issue.source;
+      const log = issue.severity === 'error' ? console.error : console.warn;
+      log(`${icon} [${issue.rule}] ${issue.message} — ${where}`);
+    }
+    console.log(`${summary.errors} error(s), ${summary.warnings} warning(s) across ${summary.templates} template(s), ${summary.questions} question(s) and ${summary.fields} field(s)`);
+  }
+
+  const failed = (options.failOn === 'error' && summary.errors > 0) ||
+    (options.failOn === 'warning' && summary.errors + summary.warnings > 0);
+  if (failed) process.exit(1);
+  if (!options.json && issues.length === 0) console.log('✅ Templates and questionnaire are consistent.');
+}
+
+main().catch(error => {
+  console.error(`❌ ${error.message}`);
+  process.exit(2);
+});
@@ -3,6 +3,9 @@
  * Tests schema-based question loading and compatibility with simple/base path.
  */
 
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
 import {
   loadQuestionnaire,
   getQuestionFlow,
@@ -102,6 +105,33 @@ describe('generateTdd', () => {
       
       expect(result.applied_triggers.length).toBeGreaterThan(0);
     });
+
+    it('should fire every selected option and cascade', () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tdd-triggers-'));
+      const question = (id: string, triggers?: object) => ({
+        id, stage: 'core', type: 'text', question: `${id}?`, validation: {}, tags: ['foundation'], triggers
+      });
+      fs.writeFileSync(path.join(dir, 'Pre-TDD_Client_Questionnaire_v2.0.json'), JSON.stringify({
+        version: '2.0',
+        stages: ['core'],
+        complexity_levels: ['base'],
+        questions: [
+          { ...question('compliance.frameworks', { hipaa: ['hipaa.baa'], gdpr: ['gdpr.dpo'] }), type: 'multi-select', options: ['hipaa', 'gdpr'] },
+          question('hipaa.baa', [{ when: { eq: ['$', true] }, ask: ['hipaa.audit'] }]),
+          question('hipaa.audit'),
+          question('gdpr.dpo')
+        ]
+      }));
+
+      try {
+        const result = applyTriggers({ 'compliance.frameworks': ['hipaa', 'gdpr'], 'hipaa.baa': true }, dir);
+
+        expect(result.applied_triggers).toEqual(['compliance.frameworks:hipaa', 'compliance.frameworks:gdpr', 'hipaa.baa:when[0]']);
+        expect(result.questions.map(q => q.id)).toEqual(['hipaa.baa', 'gdpr.dpo', 'hipaa.audit']);
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
   });
 
   describe('filterByTags', () => {
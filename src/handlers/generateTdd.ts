@@ -8,6 +8,7 @@ import {
   loadTagSchema, 
   Question
 } from '../lib/schemaLoader';
+import { matchTriggers, expandTriggers, QuestionRegistry } from '../lib/rulesEngine';
 
 // Type definitions for compatibility with existing system
 export interface ProjectData {
@@ -138,49 +139,34 @@ export function getQuestionFlow({
 
 /**
  * Applies triggers to expand follow-up questions based on answers
+ * Every selected option of a multi-select answer fires, expression triggers are evaluated
+ * against all answers, and triggered questions cascade through their own answers.
  * @param answers - Object containing answers to questions
  * @param basePath - Base path to schemas directory
- * @returns Object containing expanded questions and applied triggers
+ * @returns Object containing expanded questions and applied triggers ("question.id:key")
  */
 export function applyTriggers(answers: ProjectData, basePath: string = 'schemas'): TriggerResult {
   try {
     const questionnaire = loadQuestionnaire(basePath);
+    const registry: QuestionRegistry = new Map(questionnaire.questions.map(q => [q.id, q] as [string, Question]));
     const appliedTriggers: string[] = [];
     const additionalQuestions: Question[] = [];
     
     // Process each answer to check for triggers
     for (const [questionId, answer] of Object.entries(answers)) {
-      const question = questionnaire.questions.find(q => q.id === questionId);
-      
-      if (question && question.triggers) {
-        // Handle different answer types
-        let triggerKey: string | null = null;
-        
-        if (typeof answer === 'boolean') {
-          triggerKey = answer.toString();
-        } else if (typeof answer === 'string') {
-          triggerKey = answer;
-        } else if (Array.isArray(answer)) {
-          // For multi-select, check each selected option
-          for (const selectedOption of answer) {
-            if (question.triggers[selectedOption]) {
-              triggerKey = selectedOption;
-              break;
-            }
-          }
-        }
-        
-        if (triggerKey && question.triggers[triggerKey]) {
-          const triggeredQuestionIds = question.triggers[triggerKey];
-          appliedTriggers.push(`${questionId}:${triggerKey}`);
-          
-          // Add triggered questions
-          for (const triggeredId of triggeredQuestionIds) {
-            const triggeredQuestion = questionnaire.questions.find(q => q.id === triggeredId);
-            if (triggeredQuestion && !additionalQuestions.find(q => q.id === triggeredId)) {
-              additionalQuestions.push(triggeredQuestion);
-            }
-          }
+      const question = registry.get(questionId);
+      if (!question) {
+        continue;
+      }
+
+      for (const { key } of matchTriggers(question, answer, answers)) {
+        appliedTriggers.push(`${questionId}:${key}`);
+      }
+
+      // Add triggered questions, including cascades
+      for (const triggeredQuestion of expandTriggers(question, answer, registry, answers)) {
+        if (!additionalQuestions.find(q => q.id === triggeredQuestion.id)) {
+          additionalQuestions.push(triggeredQuestion);
         }
       }
     }
@@ -0,0 +1,70 @@
+import { analyzeAnswerQuality } from './answerQuality';
+import { Question } from './schemaLoader';
+
+const rules = (answers: Record<string, any>, questions?: Question[]) =>
+  analyzeAnswerQuality(answers, questions).map(issue => [issue.field, issue.rule]);
+
+describe('answerQuality', () => {
+  describe('analyzeAnswerQuality', () => {
+    it('should accept specific answers', () => {
+      expect(analyzeAnswerQuality({
+        'summary.problem': 'Support agents cannot see order history while on a call.',
+        'nfr.performance': 'p95 latency under 300 ms for order lookups',
+        'security.threat_model': 'STRIDE review of the public API and the agent console.'
+      })).toEqual([]);
+    });
+
+    it('should flag placeholder answers', () => {
+      expect(rules({
+        'security.threat_model': 'TBD',
+        'debt.known': 'n/a',
+        'appendices.glossary': 'Lorem ipsum dolor sit amet',
+        'risks.business': 'To be determined.'
+      })).toEqual([
+        ['security.threat_model', 'placeholder'],
+        ['debt.known', 'placeholder'],
+        ['appendices.glossary', 'placeholder'],
+        ['risks.business', 'placeholder']
+      ]);
+      expect(analyzeAnswerQuality({ 'security.threat_model': ' TBD ' })[0].message).toBe('"TBD" is a placeholder, not an answer');
+    });
+
+    it('should flag one-word narrative answers', () => {
+      expect(analyzeAnswerQuality({ 'summary.problem': 'Slowness', 'architecture.style': 'Microservices' })).toEqual([
+        { field: 'summary.problem', rule: 'too-short', severity: 'warning', message: 'Only 1 word(s); describe it in at least a sentence' }
+      ]);
+    });
+
+    it('should flag NFR answers without a number', () => {
+      expect(analyzeAnswerQuality({ 'nfr.performance': 'It should be fast', 'nfr.availability': '99.9% uptime' })).toEqual([
+        { field: 'nfr.performance', rule: 'missing-quantity', severity: 'warning', message: 'No measurable target; add a latency or throughput target (e.g. p95 < 200 ms)' }
+      ]);
+    });
+
+    it('should flag vague wording as info', () => {
+      expect(analyzeAnswerQuality({ 'security.controls': 'Robust, user friendly controls following best practices for the platform and its many integrations' })).toEqual([
+        { field: 'security.controls', rule: 'vague', severity: 'info', message: 'Vague wording ("best practices", "user-friendly", "robust"); say what it means concretely' }
+      ]);
+      expect(rules({ 'ops.logging': 'Various' })).toEqual([['ops.logging', 'vague']]);
+      expect(rules({ 'ops.logging': 'Structured JSON logs shipped to Loki, kept 30 days, with various dashboards' })).toEqual([]);
+    });
+
+    it('should flag answers copied into several fields', () => {
+      const copy = 'Quarterly releases with a two week hardening phase';
+      expect(analyzeAnswerQuality({ 'implementation.roadmap': copy, 'ops.deployment_strategy': `  ${copy.toUpperCase()} `, 'doc.version': '1.0', 'doc.type': '1.0' })).toEqual([
+        { field: 'ops.deployment_strategy', rule: 'duplicate', severity: 'warning', message: 'Same answer as implementation.roadmap' }
+      ]);
+    });
+
+    it('should only analyze free-text questions', () => {
+      const questions = [
+        { id: 'project.description', stage: 'core', type: 'textarea', question: 'Describe it', validation: {}, tags: [] },
+        { id: 'cloud.provider', stage: 'core', type: 'select', question: 'Provider?', validation: {}, tags: [] }
+      ] as Question[];
+
+      expect(rules({ 'project.description': 'An app', 'cloud.provider': 'other', 'cloud.regions': ['tbd'], 'privacy.pii': true }, questions))
+        .toEqual([['project.description', 'too-short']]);
+      expect(analyzeAnswerQuality({ 'cloud.provider': 'tbd' }, questions)).toEqual([]);
+    });
+  });
+});
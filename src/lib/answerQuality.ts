@@ -0,0 +1,140 @@
+import { AnswerMap } from './rulesEngine';
+import { Question } from './schemaLoader';
+
+/**
+ * Answer quality rules
+ * - placeholder: TBD, n/a, lorem ipsum and similar stand-ins for a real answer
+ * - too-short: narrative answers with fewer than MIN_NARRATIVE_WORDS words
+ * - vague: wording that says nothing concrete ("robust", "as needed", "etc.")
+ * - missing-quantity: NFR answers without a number ("fast" with no latency target)
+ * - duplicate: the same answer copied into several fields
+ */
+export type QualityRule = 'placeholder' | 'too-short' | 'vague' | 'missing-quantity' | 'duplicate';
+
+/**
+ * A free-text answer that passes validation but would weaken the TDD
+ */
+export interface QualityIssue {
+  field: string;
+  rule: QualityRule;
+  severity: 'warning' | 'info';
+  message: string;
+}
+
+export const MIN_NARRATIVE_WORDS = 4;
+
+// Answers shorter than this are not compared for duplicates ("Yes", "AWS")
+const MIN_DUPLICATE_LENGTH = 20;
+
+// Fields answered in prose outside the questionnaire (legacy project_data); textarea questions also count
+const NARRATIVE_FIELDS = [
+  'summary.problem',
+  'summary.solution',
+  'summary.key_decisions',
+  'summary.success_criteria',
+  'context.business_goals',
+  'context.scope_in',
+  'security.threat_model',
+  'risks.technical',
+  'risks.business',
+  'risks.mitigation',
+  'ops.disaster_recovery',
+  'implementation.roadmap',
+  'implementation.testing_strategy'
+];
+
+// NFR answers that need a number, with what the number should be
+export const QUANTIFIED_FIELDS: Record<string, string> = {
+  'nfr.performance': 'a latency or throughput target (e.g. p95 < 200 ms)',
+  'nfr.scalability': 'a user or request volume (e.g. 10,000 concurrent users)',
+  'nfr.availability': 'an uptime target (e.g. 99.9%)',
+  'nfr.cost': 'a budget (e.g. $2,000/month)'
+};
+
+// The whole answer is a stand-in
+const PLACEHOLDER_ANSWER = /^(tbd|tba|tbc|todo|n\/?a|unknown|placeholder|pending|to be (determined|decided|defined|confirmed)|coming soon|same as above|see above|xxx+|\?+|-+|\.+)$/;
+// A stand-in inside a longer answer
+const PLACEHOLDER_TEXT = /\b(tbd|todo|lorem ipsum|fixme)\b/;
+
+const VAGUE_TERMS = [
+  'as needed',
+  'as appropriate',
+  'best practices',
+  'industry standard',
+  'state of the art',
+  'user-friendly',
+  'seamless',
+  'robust',
+  'various',
+  'stuff',
+  'things',
+  'etc'
+];
+
+function normalize(text: string): string {
+  return text.trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+function wordCount(text: string): number {
+  return text.trim().split(/\s+/).filter(Boolean).length;
+}
+
+function vagueTerms(text: string): string[] {
+  return VAGUE_TERMS.filter(term => new RegExp(`\\b${term.replace(/-/g, '\\W?')}\\b`).test(text));
+}
+
+/**
+ * Analyzes free-text answers for quality problems validation does not catch
+ * Runs offline on the answers alone. Select, multi-select and boolean questions are skipped;
+ * answers for fields outside the questionnaire are treated as free text.
+ * @param answers - Answer map (project_data)
+ * @param questions - Questionnaire questions, for answer types (optional)
+ * @returns Issues in answer order, duplicates last
+ */
+export function analyzeAnswerQuality(answers: AnswerMap, questions: Question[] = []): QualityIssue[] {
+  const types = new Map(questions.map(question => [question.id, question.type]));
+  const issues: QualityIssue[] = [];
+  const seen = new Map<string, string>();
+  const duplicates: QualityIssue[] = [];
+
+  for (const [field, value] of Object.entries(answers || {})) {
+    const type = types.get(field);
+    if (typeof value !== 'string' || (type && type !== 'text' && type !== 'textarea')) {
+      continue;
+    }
+    const text = normalize(value);
+    if (text === '') {
+      continue;
+    }
+
+    if (PLACEHOLDER_ANSWER.test(text.replace(/[.!]+$/, '')) || PLACEHOLDER_TEXT.test(text)) {
+      issues.push({ field, rule: 'placeholder', severity: 'warning', message: `"${value.trim().replace(/\s+/g, ' ').slice(0, 40)}" is a placeholder, not an answer` });
+      continue;
+    }
+
+    const narrative = type === 'textarea' || NARRATIVE_FIELDS.includes(field);
+    if (narrative && wordCount(text) < MIN_NARRATIVE_WORDS) {
+      issues.push({ field, rule: 'too-short', severity: 'warning', message: `Only ${wordCount(text)} word(s); describe it in at least a sentence` });
+    }
+
+    if (QUANTIFIED_FIELDS[field] && !/\d/.test(text)) {
+      issues.push({ field, rule: 'missing-quantity', severity: 'warning', message: `No measurable target; add ${QUANTIFIED_FIELDS[field]}` });
+    }
+
+    const vague = vagueTerms(text);
+    if (vague.length >= 2 || (vague.length === 1 && wordCount(text) < 8)) {
+      issues.push({ field, rule: 'vague', severity: 'info', message: `Vague wording (${vague.map(term => `"${term}"`).join(', ')}); say what it means concretely` });
+    }
+
+    if (text.length >= MIN_DUPLICATE_LENGTH) {
+      const original = seen.get(text);
+      if (original) {
+        duplicates.push({ field, rule: 'duplicate', severity: 'warning', message: `Same answer as ${original}` });
+      } else {
+        seen.set(text, field);
+      }
+    }
+  }
+
+  return [...issues, ...duplicates];
+}
@@ -13,10 +13,11 @@ import {
   getMinFieldCountForLevel,
   meetsMinFieldCount,
   getSectionsForLevel,
-  getTagsForLevel
+  getTagsForLevel,
+  scoreBreakdown
 } from './complexity';
 import { AnswerMap } from './rulesEngine';
-import { TagSchema } from './schemaLoader';
+import { TagSchema, DEFAULT_SCORING_MODEL, mergeScoringModel } from './schemaLoader';
 
 describe('complexity', () => {
   describe('COMPLEXITY_THRESHOLDS', () => {
@@ -470,6 +471,66 @@ describe('complexity', () => {
       expect(analysis.riskFactors.requiresCompliance).toBe(true);
       expect(analysis.riskFactors.regulatedIndustry).toBe(true);
     });
+
+    it('should explain the recommended level with a breakdown', () => {
+      const analysis = analyzeComplexity({ 'privacy.pii': true, 'integrations.external_count': 2 });
+
+      expect(analysis.model).toBe(DEFAULT_SCORING_MODEL.version);
+      expect(analysis.score).toBe(14);
+      expect(analysis.levelScore).toBe(14);
+      expect(analysis.breakdown.map(contribution => contribution.factor)).toEqual(['base', 'handlesPII', 'externalIntegrations']);
+      expect(analysis.recommendedLevel).toBe('minimal');
+    });
+  });
+
+  describe('scoreBreakdown', () => {
+    it('should list the base score and each contributing factor', () => {
+      const riskFactors = detectRiskFactors({
+        'privacy.pii': true,
+        'integrations.external_count': 3
+      });
+
+      expect(scoreBreakdown(riskFactors)).toEqual([
+        { factor: 'base', label: 'Base score', points: 4 },
+        { factor: 'handlesPII', label: 'PII handling', points: 6 },
+        { factor: 'externalIntegrations', label: 'External integrations', points: 6, count: 3 }
+      ]);
+      expect(calculateComplexityScore(riskFactors)).toBe(16);
+    });
+  });
+
+  describe('scoring model', () => {
+    it('should count external integrations from numbers and numeric strings', () => {
+      expect(detectRiskFactors({ 'integrations.external_count': 4 }).externalIntegrations).toBe(4);
+      expect(detectRiskFactors({ 'integrations.external_count': '2' }).externalIntegrations).toBe(2);
+      expect(detectRiskFactors({ 'integrations.external_count': 'several' }).externalIntegrations).toBe(0);
+      expect(detectRiskFactors({}).externalIntegrations).toBe(0);
+    });
+
+    it('should match regulated industries case-insensitively', () => {
+      expect(detectRiskFactors({ 'project.industry': 'FinTech lending' }).regulatedIndustry).toBe(true);
+      expect(detectRiskFactors({ 'project.industry': 'Retail' }).regulatedIndustry).toBe(false);
+    });
+
+    it('should score with an organization model', () => {
+      const model = mergeScoringModel(DEFAULT_SCORING_MODEL, {
+        version: '1.0-acme',
+        thresholds: { minimal: 12 },
+        risk_factors: [
+          { id: 'handlesPII', points: 10 },
+          { id: 'onPremise', label: 'On-premise operations', when: { eq: ['deployment.model', 'on-premise'] }, points: 3 }
+        ]
+      });
+      const answers: AnswerMap = { 'privacy.pii': true, 'deployment.model': 'on-premise' };
+
+      const riskFactors = detectRiskFactors(answers, undefined, model);
+
+      expect(riskFactors.onPremise).toBe(true);
+      expect(calculateComplexityScore(riskFactors, model)).toBe(17);
+      expect(scoreToLevel(11, model)).toBe('base');
+      expect(scoreToLevel(11)).toBe('minimal');
+      expect(calculateComplexityScore(detectRiskFactors(answers))).toBe(10);
+    });
   });
 
   describe('getMinFieldCountForLevel', () => {
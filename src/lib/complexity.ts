@@ -1,17 +1,12 @@
-import { AnswerMap } from './rulesEngine';
-import { TagSchema } from './schemaLoader';
+import { AnswerMap, evaluateExpression, getFieldValue } from './rulesEngine';
+import { DEFAULT_SCORING_MODEL, ScoringModel, TagSchema } from './schemaLoader';
 import { calculateAnsweredWeight } from './tagRouter';
 
 /**
  * Complexity level thresholds (based on number of questions or weighted score)
+ * From the built-in scoring model (schemas/Complexity_Scoring_Model_v1.0.json)
  */
-export const COMPLEXITY_THRESHOLDS = {
-  base: 4,
-  minimal: 10,
-  standard: 20,
-  comprehensive: 35,
-  enterprise: 48
-};
+export const COMPLEXITY_THRESHOLDS = DEFAULT_SCORING_MODEL.thresholds;
 
 /**
  * Complexity level type
@@ -20,6 +15,7 @@ export type ComplexityLevel = 'base' | 'minimal' | 'standard' | 'comprehensive'
 
 /**
  * Risk factors that influence complexity
+ * The built-in model's factors; an organization model may add its own (by risk factor id).
  */
 export interface RiskFactors {
   handlesPII: boolean;
@@ -32,104 +28,100 @@ export interface RiskFactors {
   multiTenant: boolean;
   externalIntegrations: number;
   regulatedIndustry: boolean;
+  [factor: string]: boolean | number;
+}
+
+/**
+ * Points one part of the score contributed to the recommended level
+ */
+export interface ScoreContribution {
+  factor: string;
+  label: string;
+  points: number;
+  count?: number;
+}
+
+/**
+ * Counts a count factor's answer: list items, or the value of a numeric answer
+ */
+function countOf(value: any): number {
+  if (Array.isArray(value)) {
+    return value.length;
+  }
+  const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+  return typeof number === 'number' && Number.isFinite(number) && number > 0 ? number : 0;
 }
 
 /**
  * Detects risk factors from answers
+ * Each risk factor of the scoring model is a rules engine expression (`when`) or a counted
+ * answer (`count`); expressions that fail to evaluate count as not detected.
  * @param answers - Answer map
  * @param _tagSchema - Optional tag schema for industry tag detection (reserved for future use)
- * @returns RiskFactors object
+ * @param model - Scoring model (defaults to the built-in model)
+ * @returns RiskFactors object: true/false per `when` factor, the count per `count` factor
  */
-export function detectRiskFactors(answers: AnswerMap, _tagSchema?: any): RiskFactors {
-  // Detect regulated industries from tags or answers
-  const regulatedIndustries = ['healthcare', 'finance', 'fintech', 'banking', 'insurance', 'government'];
-  const regulatedIndustry = Boolean(
-    answers['project.industry'] && 
-    typeof answers['project.industry'] === 'string' &&
-    regulatedIndustries.some(industry => 
-      answers['project.industry'].toLowerCase().includes(industry)
-    )
-  );
-
-  // Detect PHI (Protected Health Information) - healthcare-specific
-  const handlesPHI = Boolean(
-    answers['privacy.regulations'] &&
-    Array.isArray(answers['privacy.regulations']) &&
-    (answers['privacy.regulations'].includes('hipaa') || 
-     answers['privacy.regulations'].includes('hitech'))
-  );
+export function detectRiskFactors(answers: AnswerMap, _tagSchema?: any, model: ScoringModel = DEFAULT_SCORING_MODEL): RiskFactors {
+  const riskFactors: Record<string, boolean | number> = {};
+  for (const factor of model.risk_factors) {
+    if (factor.count !== undefined) {
+      riskFactors[factor.id] = countOf(getFieldValue(factor.count, answers));
+      continue;
+    }
+    try {
+      riskFactors[factor.id] = evaluateExpression(factor.when!, answers);
+    } catch (error) {
+      console.error(`Error evaluating risk factor "${factor.id}":`, error);
+      riskFactors[factor.id] = false;
+    }
+  }
+  return riskFactors as RiskFactors;
+}
 
-  return {
-    handlesPII: answers['privacy.pii'] === true,
-    handlesPHI,
-    requiresCompliance: Boolean(
-      answers['privacy.regulations'] && 
-      Array.isArray(answers['privacy.regulations']) &&
-      answers['privacy.regulations'].length > 0 &&
-      !answers['privacy.regulations'].includes('none')
-    ),
-    multiRegion: Boolean(
-      answers['cloud.regions'] && 
-      Array.isArray(answers['cloud.regions']) && 
-      answers['cloud.regions'].length > 1
-    ),
-    handlesPayments: Boolean(
-      answers['privacy.regulations'] &&
-      Array.isArray(answers['privacy.regulations']) &&
-      answers['privacy.regulations'].includes('pci-dss')
-    ),
-    highAvailability: Boolean(
-      answers['operations.sla'] &&
-      (answers['operations.sla'] === '99.99' || answers['operations.sla'] === '99.999')
-    ),
-    largeScale: Boolean(
-      answers['architecture.scale'] &&
-      (answers['architecture.scale'] === 'large' || answers['architecture.scale'] === 'massive')
-    ),
-    multiTenant: Boolean(
-      answers['deployment.model'] === 'hybrid' ||
-      answers['architecture.multitenancy'] === true
-    ),
-    externalIntegrations: 0, // Would need additional questions to determine this
-    regulatedIndustry
-  };
+/**
+ * Lists the points each detected risk factor adds, after the model's base score
+ * @param riskFactors - Risk factors object
+ * @param model - Scoring model (defaults to the built-in model)
+ * @returns Contributions in model order; factors that add nothing are left out
+ */
+export function scoreBreakdown(riskFactors: RiskFactors, model: ScoringModel = DEFAULT_SCORING_MODEL): ScoreContribution[] {
+  const contributions: ScoreContribution[] = [{ factor: 'base', label: 'Base score', points: model.base_score }];
+  for (const factor of model.risk_factors) {
+    const value = riskFactors[factor.id];
+    if (factor.count !== undefined) {
+      const count = typeof value === 'number' ? value : 0;
+      if (count > 0 && factor.points !== 0) {
+        contributions.push({ factor: factor.id, label: factor.label, points: count * factor.points, count });
+      }
+    } else if (value && factor.points !== 0) {
+      contributions.push({ factor: factor.id, label: factor.label, points: factor.points });
+    }
+  }
+  return contributions;
 }
 
 /**
  * Calculates a complexity score based on risk factors
  * @param riskFactors - Risk factors object
- * @returns Numeric complexity score
+ * @param model - Scoring model (defaults to the built-in model)
+ * @returns Numeric complexity score: the base score plus each detected factor's points
  */
-export function calculateComplexityScore(riskFactors: RiskFactors): number {
-  let score = COMPLEXITY_THRESHOLDS.base;
-  
-  // Add points for each risk factor (weighted by impact)
-  if (riskFactors.handlesPII) score += 6;
-  if (riskFactors.handlesPHI) score += 8;  // PHI is higher risk than PII
-  if (riskFactors.requiresCompliance) score += 8;
-  if (riskFactors.multiRegion) score += 5;
-  if (riskFactors.handlesPayments) score += 7;  // Payments are high-risk
-  if (riskFactors.highAvailability) score += 5;
-  if (riskFactors.largeScale) score += 6;
-  if (riskFactors.multiTenant) score += 5;
-  if (riskFactors.regulatedIndustry) score += 7;  // Regulated industries add significant complexity
-  
-  // Add points for external integrations
-  score += riskFactors.externalIntegrations * 2;
-  
-  return score;
+export function calculateComplexityScore(riskFactors: RiskFactors, model: ScoringModel = DEFAULT_SCORING_MODEL): number {
+  return scoreBreakdown(riskFactors, model).reduce((score, contribution) => score + contribution.points, 0);
 }
 
 /**
  * Maps a complexity score to a complexity level
  * @param score - Numeric complexity score
+ * @param model - Scoring model whose thresholds apply (defaults to the built-in model)
  * @returns Complexity level name
  */
-export function scoreToLevel(score: number): ComplexityLevel {
-  if (score >= COMPLEXITY_THRESHOLDS.enterprise) return 'enterprise';
-  if (score >= COMPLEXITY_THRESHOLDS.comprehensive) return 'comprehensive';
-  if (score >= COMPLEXITY_THRESHOLDS.standard) return 'standard';
-  if (score >= COMPLEXITY_THRESHOLDS.minimal) return 'minimal';
+export function scoreToLevel(score: number, model: ScoringModel = DEFAULT_SCORING_MODEL): ComplexityLevel {
+  const thresholds = model.thresholds;
+  if (score >= thresholds.enterprise) return 'enterprise';
+  if (score >= thresholds.comprehensive) return 'comprehensive';
+  if (score >= thresholds.standard) return 'standard';
+  if (score >= thresholds.minimal) return 'minimal';
   return 'base';
 }
 
@@ -137,30 +129,15 @@ export function scoreToLevel(score: number): ComplexityLevel {
  * Recommends a complexity level based on answers
  * @param answers - Answer map
  * @param tagSchema - Optional tag schema for weighted calculation
+ * @param model - Scoring model (defaults to the built-in model)
  * @returns Recommended complexity level
  */
 export function recommendLevel(
   answers: AnswerMap,
-  tagSchema?: TagSchema
+  tagSchema?: TagSchema,
+  model: ScoringModel = DEFAULT_SCORING_MODEL
 ): ComplexityLevel {
-  // Detect risk factors
-  const riskFactors = detectRiskFactors(answers, tagSchema);
-  
-  // Calculate base score from risk factors
-  const riskScore = calculateComplexityScore(riskFactors);
-  
-  // If tag schema is provided, factor in answered question weights
-  if (tagSchema) {
-    const answeredFieldIds = Object.keys(answers);
-    const answeredWeight = calculateAnsweredWeight(tagSchema, answeredFieldIds);
-    
-    // Combine risk score and answered weight
-    const totalScore = riskScore + answeredWeight;
-    return scoreToLevel(totalScore);
-  }
-  
-  // Return level based on risk score alone
-  return scoreToLevel(riskScore);
+  return analyzeComplexity(answers, tagSchema, model).recommendedLevel;
 }
 
 /**
@@ -217,28 +194,45 @@ export interface ComplexityAnalysis {
   recommendedLevel: ComplexityLevel;
   riskFactors: RiskFactors;
   score: number;
+  levelScore: number;
+  breakdown: ScoreContribution[];
+  model: string;
   questionCount: number;
   description: string;
 }
 
 /**
  * Performs a full complexity analysis
+ * The level is picked from the risk score plus, with a tag schema, the weight of the answered
+ * questions; `breakdown` lists every contribution to that level score.
  * @param answers - Answer map
  * @param tagSchema - Optional tag schema
+ * @param model - Scoring model (defaults to the built-in model)
  * @returns ComplexityAnalysis object
  */
 export function analyzeComplexity(
   answers: AnswerMap,
-  tagSchema?: TagSchema
+  tagSchema?: TagSchema,
+  model: ScoringModel = DEFAULT_SCORING_MODEL
 ): ComplexityAnalysis {
-  const riskFactors = detectRiskFactors(answers, tagSchema);
-  const score = calculateComplexityScore(riskFactors);
-  const recommendedLevel = recommendLevel(answers, tagSchema);
-  
+  const riskFactors = detectRiskFactors(answers, tagSchema, model);
+  const breakdown = scoreBreakdown(riskFactors, model);
+  const score = breakdown.reduce((total, contribution) => total + contribution.points, 0);
+
+  // Factor in answered question weights when a tag schema is provided
+  if (tagSchema) {
+    breakdown.push({ factor: 'answeredWeight', label: 'Answered question weight', points: calculateAnsweredWeight(tagSchema, Object.keys(answers)) });
+  }
+  const levelScore = breakdown.reduce((total, contribution) => total + contribution.points, 0);
+  const recommendedLevel = scoreToLevel(levelScore, model);
+
   return {
     recommendedLevel,
     riskFactors,
     score,
+    levelScore,
+    breakdown,
+    model: model.version,
     questionCount: getQuestionCountForLevel(recommendedLevel),
     description: getComplexityLevelDescription(recommendedLevel)
   };
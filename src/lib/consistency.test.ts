@@ -0,0 +1,78 @@
+import * as fs from 'fs';
+import * as path from 'path';
+import { checkConsistency } from './consistency';
+import { ConsistencyRule, QuestionnaireSchema } from './schemaLoader';
+
+const questionnaire: QuestionnaireSchema = JSON.parse(
+  fs.readFileSync(path.join(__dirname, '..', '..', 'schemas', 'Pre-TDD_Client_Questionnaire_v2.0.json'), 'utf-8')
+);
+const rules = questionnaire.consistency_rules as ConsistencyRule[];
+const firedRules = (answers: Record<string, any>) => checkConsistency(rules, answers).map(issue => issue.rule);
+
+describe('consistency', () => {
+  describe('shipped questionnaire rules', () => {
+    it('should accept consistent answers', () => {
+      expect(firedRules({
+        'deployment.model': 'cloud',
+        'cloud.regions': ['us-east-1', 'eu-west-1'],
+        'project.start_date': '2025-01-15',
+        'project.end_date': '2025-06-30',
+        'privacy.pii': true,
+        'privacy.controls': ['data-masking'],
+        'operations.sla': '99.999'
+      })).toEqual([]);
+    });
+
+    it('should flag cloud regions for an on-premise deployment', () => {
+      expect(firedRules({ 'deployment.model': 'on-premise', 'cloud.regions': ['us-east-1'] })).toEqual(['cloud-regions-on-premise']);
+      expect(firedRules({ 'deployment.model': 'on-premise', 'cloud.regions': [] })).toEqual([]);
+    });
+
+    it('should flag an end date before the start date as an error', () => {
+      const issues = checkConsistency(rules, { 'project.start_date': '2025-03-01', 'project.end_date': '2025-02-28T12:00:00Z' });
+
+      expect(issues).toEqual([{
+        rule: 'end-date-before-start-date',
+        severity: 'error',
+        message: 'project.end_date is before project.start_date',
+        fields: ['project.end_date', 'project.start_date']
+      }]);
+      expect(firedRules({ 'project.end_date': '2025-02-28' })).toEqual([]);
+    });
+
+    it('should flag PII without privacy controls', () => {
+      expect(firedRules({ 'privacy.pii': true })).toEqual(['pii-without-privacy-controls']);
+      expect(firedRules({ 'privacy.pii': false })).toEqual([]);
+    });
+
+    it('should flag five nines with fewer than two regions', () => {
+      expect(firedRules({ 'deployment.model': 'cloud', 'operations.sla': '99.999', 'cloud.regions': ['us-east-1'] })).toEqual(['five-nines-single-region']);
+      expect(firedRules({ 'deployment.model': 'cloud', 'operations.sla': '99.99', 'cloud.regions': ['us-east-1'] })).toEqual([]);
+      expect(firedRules({ 'deployment.model': 'cloud', 'operations.sla': '99.999' })).toEqual([]);
+      expect(firedRules({ 'deployment.model': 'on-premise', 'operations.sla': '99.999' })).toEqual([]);
+    });
+  });
+
+  describe('checkConsistency', () => {
+    it('should default severity to warning and list each field once', () => {
+      const rule: ConsistencyRule = {
+        id: 'scale',
+        when: { and: [{ eq: ['architecture.scale', 'massive'] }, { neq: ['architecture.scale', 'small'] }] },
+        message: 'massive scale'
+      };
+
+      expect(checkConsistency([rule], { 'architecture.scale': 'massive' })).toEqual([
+        { rule: 'scale', severity: 'warning', message: 'massive scale', fields: ['architecture.scale'] }
+      ]);
+    });
+
+    it('should not report rules whose expression fails to evaluate', () => {
+      const spy = jest.spyOn(console, 'error').mockImplementation(() => undefined);
+      const rule: ConsistencyRule = { id: 'bad', when: { matches: ['project.name', '(('] }, message: 'bad' };
+
+      expect(checkConsistency([rule], { 'project.name': 'x' })).toEqual([]);
+      expect(checkConsistency(undefined, {})).toEqual([]);
+      spy.mockRestore();
+    });
+  });
+});
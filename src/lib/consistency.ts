@@ -0,0 +1,42 @@
+import { AnswerMap, evaluateExpression } from './rulesEngine';
+import { ConsistencyRule } from './schemaLoader';
+import { expressionFields } from './schemaValidator';
+
+/**
+ * A consistency rule that holds for a set of answers
+ */
+export interface ConsistencyIssue {
+  rule: string;
+  severity: 'error' | 'warning';
+  message: string;
+  fields: string[];
+}
+
+/**
+ * Checks answers against cross-field consistency rules
+ * A rule is reported when its `when` expression holds; rules whose expression fails to
+ * evaluate are not reported.
+ * @param rules - Consistency rules (questionnaire `consistency_rules`)
+ * @param answers - Answer map (project_data)
+ * @returns Issues in rule order; severity defaults to 'warning'
+ */
+export function checkConsistency(rules: ConsistencyRule[] | undefined, answers: AnswerMap): ConsistencyIssue[] {
+  const issues: ConsistencyIssue[] = [];
+  for (const rule of rules || []) {
+    let holds = false;
+    try {
+      holds = evaluateExpression(rule.when, answers);
+    } catch (error) {
+      console.error(`Error evaluating consistency rule "${rule.id}":`, error);
+    }
+    if (holds) {
+      issues.push({
+        rule: rule.id,
+        severity: rule.severity || 'warning',
+        message: rule.message,
+        fields: [...new Set(expressionFields(rule.when, '').map(reference => reference.field))]
+      });
+    }
+  }
+  return issues;
+}
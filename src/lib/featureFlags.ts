@@ -54,12 +54,13 @@ export function getCurrentModeDescription(): string {
 export function canUseSchemaMode(): boolean {
   try {
     // Check if compiled TypeScript modules are available
-    require('../../dist/src/lib/schemaLoader');
-    require('../../dist/src/lib/rulesEngine');
-    require('../../dist/src/lib/complexity');
-    require('../../dist/src/lib/tagRouter');
-    require('../../dist/src/lib/validateAnswer');
-    require('../../dist/src/handlers/generateTdd');
+    // (paths are relative to this module, which itself runs from dist/src/lib)
+    require('./schemaLoader');
+    require('./rulesEngine');
+    require('./complexity');
+    require('./tagRouter');
+    require('./validateAnswer');
+    require('../handlers/generateTdd');
     return true;
   } catch (error) {
     return false;
@@ -0,0 +1,79 @@
+import { evaluatePolicies, blockingViolations, PolicyResult } from './policies';
+import { Policy } from './schemaLoader';
+
+describe('policies', () => {
+  const policies: Policy[] = [
+    {
+      id: 'pii-encryption',
+      when: { eq: ['privacy.pii', true] },
+      require: { has: ['security.controls', 'encryption-at-rest'] },
+      message: 'PII must be encrypted at rest',
+      remediation: 'Add encryption-at-rest to security.controls.'
+    },
+    {
+      id: 'enterprise-dr',
+      when: { eq: ['complexity', 'enterprise'] },
+      require: { exists: 'ops.disaster_recovery' },
+      message: 'Enterprise TDDs need disaster recovery',
+      severity: 'warning'
+    },
+    {
+      id: 'named-project',
+      require: { exists: 'project.name' },
+      message: 'Every TDD names its project',
+      severity: 'info'
+    }
+  ];
+
+  describe('evaluatePolicies', () => {
+    it('should report each policy as passed, violated or not applicable', () => {
+      const results = evaluatePolicies(policies, { 'privacy.pii': true, 'security.controls': ['audit-logging'] }, 'standard');
+
+      expect(results.map(result => [result.policy, result.status])).toEqual([
+        ['pii-encryption', 'violated'],
+        ['enterprise-dr', 'not-applicable'],
+        ['named-project', 'violated']
+      ]);
+      expect(results[0]).toEqual({
+        policy: 'pii-encryption',
+        status: 'violated',
+        severity: 'error',
+        message: 'PII must be encrypted at rest',
+        requirement: 'security.controls has "encryption-at-rest"',
+        remediation: 'Add encryption-at-rest to security.controls.',
+        fields: ['privacy.pii', 'security.controls']
+      });
+    });
+
+    it('should expose the complexity level to policy expressions', () => {
+      const [, disasterRecovery] = evaluatePolicies(policies, { 'project.name': 'Dashboard' }, 'enterprise');
+
+      expect(disasterRecovery).toMatchObject({ status: 'violated', severity: 'warning', fields: ['ops.disaster_recovery'] });
+      expect(evaluatePolicies(policies, { 'ops.disaster_recovery': 'RTO 1h' }, 'enterprise')[1].status).toBe('passed');
+    });
+
+    it('should use the complexity level over an answer named complexity', () => {
+      const [, disasterRecovery] = evaluatePolicies(policies, { complexity: 'base' }, 'enterprise');
+
+      expect(disasterRecovery.status).toBe('violated');
+    });
+
+    it('should return no results without policies', () => {
+      expect(evaluatePolicies(undefined, {})).toEqual([]);
+    });
+  });
+
+  describe('blockingViolations', () => {
+    const results: PolicyResult[] = evaluatePolicies(policies, { 'privacy.pii': true }, 'enterprise');
+
+    it('should block on violations at or above the block level', () => {
+      expect(blockingViolations(results, 'error').map(result => result.policy)).toEqual(['pii-encryption']);
+      expect(blockingViolations(results, 'warning').map(result => result.policy)).toEqual(['pii-encryption', 'enterprise-dr']);
+      expect(blockingViolations(results, 'info')).toHaveLength(3);
+    });
+
+    it('should never block at the never level', () => {
+      expect(blockingViolations(results, 'never')).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,81 @@
+import { AnswerMap, evaluateExpression, formatExpression } from './rulesEngine';
+import { Policy } from './schemaLoader';
+import { expressionFields } from './schemaValidator';
+
+export type PolicySeverity = 'error' | 'warning' | 'info';
+
+/**
+ * Lowest violation severity that blocks TDD generation; 'never' only reports
+ */
+export type PolicyBlockLevel = 'never' | 'error' | 'warning' | 'info';
+
+export const POLICY_BLOCK_LEVELS: PolicyBlockLevel[] = ['never', 'error', 'warning', 'info'];
+
+/**
+ * Outcome of one policy for a set of answers
+ * - passed: the policy applies and its requirement holds
+ * - violated: the policy applies and its requirement does not hold
+ * - not-applicable: the `when` condition does not hold
+ */
+export interface PolicyResult {
+  policy: string;
+  status: 'passed' | 'violated' | 'not-applicable';
+  severity: PolicySeverity;
+  message: string;
+  requirement: string;
+  remediation?: string;
+  fields: string[];
+}
+
+const SEVERITY_RANK: Record<PolicySeverity, number> = { error: 3, warning: 2, info: 1 };
+
+/**
+ * Evaluates organizational policies against the answers
+ * Expressions see the answers plus `complexity`, so a policy can apply to a complexity level
+ * (`{ "eq": ["complexity", "enterprise"] }`). A policy whose expressions fail to evaluate
+ * counts as violated.
+ * @param policies - Policies (policy file `policies`)
+ * @param answers - Answer map (project_data)
+ * @param complexity - Complexity level of the TDD
+ * @returns Results in policy order; severity defaults to 'error'
+ */
+export function evaluatePolicies(policies: Policy[] | undefined, answers: AnswerMap, complexity?: string): PolicyResult[] {
+  const context: AnswerMap = { ...answers, ...(complexity && { complexity }) };
+  return (policies || []).map(policy => {
+    let status: PolicyResult['status'];
+    try {
+      if (policy.when !== undefined && !evaluateExpression(policy.when, context)) {
+        status = 'not-applicable';
+      } else {
+        status = evaluateExpression(policy.require, context) ? 'passed' : 'violated';
+      }
+    } catch (error) {
+      console.error(`Error evaluating policy "${policy.id}":`, error);
+      status = 'violated';
+    }
+    return {
+      policy: policy.id,
+      status,
+      severity: policy.severity || 'error',
+      message: policy.message,
+      requirement: formatExpression(policy.require),
+      ...(policy.remediation && { remediation: policy.remediation }),
+      fields: [...new Set([...expressionFields(policy.when, ''), ...expressionFields(policy.require, '')]
+        .map(reference => reference.field)
+        .filter(field => field !== 'complexity'))]
+    };
+  });
+}
+
+/**
+ * Lists the violations that block generation at a block level
+ * @param results - Policy results (evaluatePolicies)
+ * @param blockOn - Lowest blocking severity ('never' blocks nothing)
+ * @returns Violated policies at or above the block level
+ */
+export function blockingViolations(results: PolicyResult[], blockOn: PolicyBlockLevel): PolicyResult[] {
+  if (blockOn === 'never') {
+    return [];
+  }
+  return results.filter(result => result.status === 'violated' && SEVERITY_RANK[result.severity] >= SEVERITY_RANK[blockOn]);
+}
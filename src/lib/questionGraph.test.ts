@@ -0,0 +1,120 @@
+import { buildQuestionGraph, toMermaid, toDot, renderQuestionGraph } from './questionGraph';
+import { QuestionnaireSchema, TagSchema } from './schemaLoader';
+
+function questionnaire(): QuestionnaireSchema {
+  return {
+    version: '3.0',
+    stages: ['core', 'review'],
+    complexity_levels: ['base'],
+    questions: [
+      {
+        id: 'deployment.model',
+        stage: 'core',
+        type: 'select',
+        question: 'How will it be deployed?',
+        options: ['cloud', 'on-premise'],
+        validation: { enum: ['cloud', 'on-premise'] },
+        tags: ['architecture'],
+        triggers: { cloud: ['cloud.regions', 'cloud.zone'] }
+      },
+      {
+        id: 'cloud.regions',
+        stage: 'core',
+        type: 'multi-select',
+        question: 'Which "regions"?',
+        options: ['us', 'eu'],
+        validation: { type: 'array' },
+        tags: ['architecture', 'operations'],
+        triggers: [{ when: { count: ['$', 'gt', 1] }, ask: ['operations.sla'] }],
+        skip_if: { neq: ['deployment.model', 'cloud'] }
+      },
+      {
+        id: 'operations.sla',
+        stage: 'review',
+        type: 'number',
+        question: 'Target SLA?',
+        validation: { type: 'number' },
+        tags: ['operations'],
+        skip_if: { and: [{ lt: ['cloud.regions[0].size', 2] }, "deployment.model == 'on-premise'", { exists: 'cloud.regions' }] }
+      }
+    ]
+  };
+}
+
+const tagSchema: TagSchema = {
+  version: '1.1',
+  tags: { operations: { label: 'Operations' }, security: { label: 'Security' }, architecture: { label: 'Architecture' } },
+  field_metadata: {}
+};
+
+describe('questionGraph', () => {
+  describe('buildQuestionGraph', () => {
+    it('should add trigger and skip_if edges between known questions', () => {
+      const graph = buildQuestionGraph(questionnaire(), tagSchema);
+
+      expect(graph.edges).toEqual([
+        { from: 'deployment.model', to: 'cloud.regions', kind: 'trigger', label: 'cloud' },
+        { from: 'cloud.regions', to: 'operations.sla', kind: 'trigger', label: 'count($) > 1' },
+        { from: 'deployment.model', to: 'cloud.regions', kind: 'skip_if', label: 'deployment.model != "cloud"' },
+        {
+          from: 'cloud.regions',
+          to: 'operations.sla',
+          kind: 'skip_if',
+          label: 'cloud.regions[0].size < 2 and deployment.model == \'on-premise\' and exists(cloud.regions)'
+        },
+        {
+          from: 'deployment.model',
+          to: 'operations.sla',
+          kind: 'skip_if',
+          label: 'cloud.regions[0].size < 2 and deployment.model == \'on-premise\' and exists(cloud.regions)'
+        }
+      ]);
+    });
+
+    it('should order tags by the tag schema and keep only tags in use', () => {
+      expect(buildQuestionGraph(questionnaire(), tagSchema).tags).toEqual(['operations', 'architecture']);
+      expect(buildQuestionGraph(questionnaire()).tags).toEqual(['architecture', 'operations']);
+    });
+  });
+
+  describe('toMermaid', () => {
+    it('should group stages into subgraphs and colour nodes by stage and tag', () => {
+      const mermaid = toMermaid(buildQuestionGraph(questionnaire(), tagSchema));
+
+      expect(mermaid.startsWith('flowchart TD\n')).toBe(true);
+      expect(mermaid).toContain('  subgraph stage_core["core"]\n    deployment_model["deployment.model<br/>[architecture]"]');
+      expect(mermaid).toContain('  deployment_model -->|"cloud"| cloud_regions');
+      expect(mermaid).toContain('  cloud_regions -->|"count($) #gt; 1"| operations_sla');
+      expect(mermaid).toContain('  deployment_model -.->|"skip if deployment.model != #quot;cloud#quot;"| cloud_regions');
+      expect(mermaid).toContain('  classDef stage_review fill:#fef3c7');
+      expect(mermaid).toContain('  class deployment_model,cloud_regions stage_core');
+      expect(mermaid).toContain('  class deployment_model,cloud_regions tag_architecture');
+      expect(mermaid).toContain('  class operations_sla tag_operations');
+    });
+
+    it('should keep node IDs unique after sanitising', () => {
+      const schema = questionnaire();
+      schema.questions.push({ ...schema.questions[2], id: 'operations_sla', skip_if: null });
+
+      expect(toMermaid(buildQuestionGraph(schema))).toContain('operations_sla_2["operations_sla<br/>[operations]"]');
+    });
+  });
+
+  describe('toDot', () => {
+    it('should render clusters, coloured nodes and dashed skip_if edges', () => {
+      const dot = toDot(buildQuestionGraph(questionnaire(), tagSchema));
+
+      expect(dot).toContain('  subgraph "cluster_review" {\n    label="review";');
+      expect(dot).toContain('"cloud.regions" [label="cloud.regions\\n[architecture, operations]", tooltip="Which \\"regions\\"?", fillcolor="#dbeafe", color="#b45309"];');
+      expect(dot).toContain('  "deployment.model" -> "cloud.regions" [label="cloud"];');
+      expect(dot).toContain('  "deployment.model" -> "cloud.regions" [label="skip if deployment.model != \\"cloud\\"", style=dashed];');
+      expect(dot.trim().endsWith('}')).toBe(true);
+    });
+  });
+
+  describe('renderQuestionGraph', () => {
+    it('should reject unknown formats', () => {
+      expect(() => renderQuestionGraph(buildQuestionGraph(questionnaire()), 'svg')).toThrow('Unsupported graph format: svg. Use one of: mermaid, dot');
+    });
+  });
+});
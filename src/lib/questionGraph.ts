@@ -0,0 +1,221 @@
+import { Question, QuestionnaireSchema, TagSchema } from './schemaLoader';
+import { formatExpression } from './rulesEngine';
+import { expressionFields } from './schemaValidator';
+
+export const GRAPH_FORMATS = ['mermaid', 'dot'] as const;
+export type GraphFormat = typeof GRAPH_FORMATS[number];
+
+export interface GraphNode {
+  id: string;
+  question: string;
+  stage: string;
+  tags: string[];
+}
+
+/**
+ * A dependency between two questions
+ * trigger: answering `from` asks `to` (label: the trigger value or `when` condition);
+ * skip_if: `to`'s skip_if reads `from` (label: the skip_if condition)
+ */
+export interface GraphEdge {
+  from: string;
+  to: string;
+  kind: 'trigger' | 'skip_if';
+  label: string;
+}
+
+export interface QuestionGraph {
+  title: string;
+  stages: string[];
+  tags: string[];
+  nodes: GraphNode[];
+  edges: GraphEdge[];
+}
+
+// Fill colour per stage, border colour per (primary) tag; both cycle when exhausted
+const STAGE_COLORS = ['#dbeafe', '#fef3c7', '#dcfce7', '#fce7f3', '#ede9fe', '#e5e7eb'];
+const TAG_COLORS = ['#1d4ed8', '#b45309', '#15803d', '#be185d', '#6d28d9', '#0f766e', '#b91c1c', '#4b5563'];
+
+/**
+ * Finds the question a field path refers to (the longest question ID prefix)
+ */
+function questionForField(field: string, ids: string[]): string | undefined {
+  return ids
+    .filter(id => field === id || field.startsWith(`${id}.`) || field.startsWith(`${id}[`))
+    .sort((a, b) => b.length - a.length)[0];
+}
+
+/**
+ * Lists a question's trigger edges: one per target of each value key or expression trigger
+ */
+function triggerEdges(question: Question): GraphEdge[] {
+  if (!question.triggers) {
+    return [];
+  }
+  const rules = Array.isArray(question.triggers)
+    ? question.triggers.map(rule => ({ label: formatExpression(rule.when), targets: rule.ask }))
+    : Object.entries(question.triggers).map(([value, targets]) => ({ label: value, targets }));
+  return rules.flatMap(rule => rule.targets.map(to => ({ from: question.id, to, kind: 'trigger' as const, label: rule.label })));
+}
+
+/**
+ * Builds the question dependency graph implied by triggers and skip_if references
+ * Fields are resolved to the question they belong to ("modules[0].owner" → modules);
+ * references to unknown questions are left out (the schema validator reports them).
+ * @param schema - Questionnaire schema
+ * @param tagSchema - Tag schema, used for the tag order (optional)
+ * @returns Nodes in schema order, trigger edges, then skip_if edges
+ */
+export function buildQuestionGraph(schema: QuestionnaireSchema, tagSchema?: TagSchema): QuestionGraph {
+  const ids = schema.questions.map(question => question.id);
+  const usedTags = schema.questions.flatMap(question => question.tags);
+  const tags = [...new Set([...(tagSchema ? Object.keys(tagSchema.tags) : []), ...usedTags])]
+    .filter(tag => usedTags.includes(tag));
+
+  const edges: GraphEdge[] = schema.questions
+    .flatMap(triggerEdges)
+    .filter(edge => ids.includes(edge.to));
+
+  for (const question of schema.questions) {
+    if (!question.skip_if) {
+      continue;
+    }
+    const label = formatExpression(question.skip_if);
+    const sources = expressionFields(question.skip_if, '')
+      .map(reference => questionForField(reference.field, ids))
+      .filter((id): id is string => id !== undefined);
+    for (const from of new Set(sources)) {
+      edges.push({ from, to: question.id, kind: 'skip_if', label });
+    }
+  }
+
+  return {
+    title: `Questionnaire v${schema.version}`,
+    stages: schema.stages,
+    tags,
+    nodes: schema.questions.map(question => ({ id: question.id, question: question.question, stage: question.stage, tags: question.tags })),
+    edges
+  };
+}
+
+const stageColor = (graph: QuestionGraph, stage: string) => STAGE_COLORS[Math.max(graph.stages.indexOf(stage), 0) % STAGE_COLORS.length];
+const tagColor = (graph: QuestionGraph, tag: string | undefined) => (tag ? TAG_COLORS[graph.tags.indexOf(tag) % TAG_COLORS.length] : '#4b5563');
+
+/**
+ * Renders the graph as a Mermaid flowchart
+ * Stages are subgraphs; nodes get a stage class (fill) and a tag class for their first tag (border).
+ * Trigger edges are solid, skip_if edges dotted.
+ */
+export function toMermaid(graph: QuestionGraph): string {
+  const nodeIds = mermaidIds(graph.nodes.map(node => node.id));
+  const escape = (value: string) => value.replace(/"/g, '#quot;').replace(/</g, '#lt;').replace(/>/g, '#gt;');
+  const text = (value: string) => `"${escape(value)}"`;
+  const nodeLabel = (node: GraphNode) => `"${escape(node.id)}<br/>${escape(`[${node.tags.join(', ')}]`)}"`;
+  const lines = ['flowchart TD', `  %% ${graph.title}: triggers (solid) and skip_if references (dotted)`];
+
+  for (const stage of graph.stages) {
+    const nodes = graph.nodes.filter(node => node.stage === stage);
+    if (nodes.length === 0) {
+      continue;
+    }
+    lines.push(`  subgraph stage_${mermaidId(stage)}[${text(stage)}]`);
+    nodes.forEach(node => lines.push(`    ${nodeIds.get(node.id)}[${nodeLabel(node)}]`));
+    lines.push('  end');
+  }
+  graph.nodes
+    .filter(node => !graph.stages.includes(node.stage))
+    .forEach(node => lines.push(`  ${nodeIds.get(node.id)}[${nodeLabel(node)}]`));
+
+  graph.edges.forEach(edge => {
+    const arrow = edge.kind === 'trigger' ? '-->' : '-.->';
+    const label = edge.kind === 'trigger' ? edge.label : `skip if ${edge.label}`;
+    lines.push(`  ${nodeIds.get(edge.from)} ${arrow}|${text(label)}| ${nodeIds.get(edge.to)}`);
+  });
+
+  graph.stages.forEach(stage => lines.push(`  classDef stage_${mermaidId(stage)} fill:${stageColor(graph, stage)}`));
+  graph.tags.forEach(tag => lines.push(`  classDef tag_${mermaidId(tag)} stroke:${tagColor(graph, tag)},stroke-width:2px`));
+  const assignClasses = (prefix: string, nameOf: (node: GraphNode) => string | undefined) => {
+    const groups = new Map<string, string[]>();
+    graph.nodes.forEach(node => {
+      const name = nameOf(node);
+      if (name !== undefined) {
+        groups.set(name, [...(groups.get(name) || []), nodeIds.get(node.id) as string]);
+      }
+    });
+    groups.forEach((members, name) => lines.push(`  class ${members.join(',')} ${prefix}_${mermaidId(name)}`));
+  };
+  assignClasses('stage', node => node.stage);
+  assignClasses('tag', node => node.tags[0]);
+
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Renders the graph as Graphviz DOT
+ * Stages are clusters; fill colour follows the stage and border colour the first tag.
+ * Trigger edges are solid, skip_if edges dashed.
+ */
+export function toDot(graph: QuestionGraph): string {
+  const quote = (value: string) => `"${value.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`;
+  const nodeLine = (node: GraphNode, indent: string) => `${indent}${quote(node.id)} [label=${quote(`${node.id}\n[${node.tags.join(', ')}]`)}, tooltip=${quote(node.question)}, fillcolor=${quote(stageColor(graph, node.stage))}, color=${quote(tagColor(graph, node.tags[0]))}];`;
+  const lines = [
+    `digraph questionnaire {`,
+    `  label=${quote(graph.title)};`,
+    '  rankdir=TB;',
+    '  node [shape=box, style="rounded,filled", penwidth=2, fontname="Helvetica"];',
+    '  edge [fontname="Helvetica", fontsize=10];'
+  ];
+
+  for (const stage of graph.stages) {
+    const nodes = graph.nodes.filter(node => node.stage === stage);
+    if (nodes.length === 0) {
+      continue;
+    }
+    lines.push(`  subgraph ${quote(`cluster_${stage}`)} {`, `    label=${quote(stage)};`);
+    nodes.forEach(node => lines.push(nodeLine(node, '    ')));
+    lines.push('  }');
+  }
+  graph.nodes.filter(node => !graph.stages.includes(node.stage)).forEach(node => lines.push(nodeLine(node, '  ')));
+
+  graph.edges.forEach(edge => {
+    const attributes = edge.kind === 'trigger'
+      ? `label=${quote(edge.label)}`
+      : `label=${quote(`skip if ${edge.label}`)}, style=dashed`;
+    lines.push(`  ${quote(edge.from)} -> ${quote(edge.to)} [${attributes}];`);
+  });
+
+  lines.push('}');
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Renders the graph in the given format
+ * @throws Error for formats other than mermaid and dot
+ */
+export function renderQuestionGraph(graph: QuestionGraph, format: string = 'mermaid'): string {
+  if (format === 'mermaid') return toMermaid(graph);
+  if (format === 'dot') return toDot(graph);
+  throw new Error(`Unsupported graph format: ${format}. Use one of: ${GRAPH_FORMATS.join(', ')}`);
+}
+
+function mermaidId(value: string): string {
+  return value.replace(/[^A-Za-z0-9_]/g, '_');
+}
+
+/**
+ * Maps question IDs to Mermaid-safe node IDs ("deployment.model" → deployment_model),
+ * suffixing collisions with a counter
+ */
+function mermaidIds(ids: string[]): Map<string, string> {
+  const result = new Map<string, string>();
+  const used = new Set<string>();
+  for (const id of ids) {
+    let candidate = mermaidId(id);
+    for (let n = 2; used.has(candidate); n++) {
+      candidate = `${mermaidId(id)}_${n}`;
+    }
+    used.add(candidate);
+    result.set(id, candidate);
+  }
+  return result;
+}
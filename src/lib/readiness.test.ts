@@ -0,0 +1,86 @@
+import { scoreReadiness, gapSeverity, fieldRiskFactors } from './readiness';
+import { detectRiskFactors } from './complexity';
+import { TagSchema } from './schemaLoader';
+
+describe('readiness', () => {
+  const tagSchema: TagSchema = {
+    version: '1.1',
+    tags: {},
+    field_metadata: {
+      'privacy.controls': { tags: ['privacy'], related_fields: [], complexity_levels: ['standard'], weight: 2 },
+      'constraints.compliance': { tags: ['compliance'], related_fields: [], complexity_levels: ['standard'], weight: 3 },
+      'risks.technical': { tags: ['risks'], related_fields: [], complexity_levels: ['standard'], weight: 2 }
+    }
+  };
+
+  describe('scoreReadiness', () => {
+    it('should weight fields by their tag schema weight', () => {
+      const result = scoreReadiness(
+        ['project.name', 'summary.problem', 'constraints.compliance', 'risks.technical'],
+        { 'project.name': 'Dashboard', 'summary.problem': 'No visibility', 'risks.technical': 'Vendor lock-in' },
+        tagSchema
+      );
+
+      expect(result.score).toBe(57);
+      expect(result).toMatchObject({ answeredWeight: 4, totalWeight: 7, riskFactors: [] });
+      expect(result.gaps).toEqual([
+        { field: 'constraints.compliance', weight: 3, impact: 3, severity: 'high', riskFactors: [] }
+      ]);
+    });
+
+    it('should score each TDD stage in stage order', () => {
+      const result = scoreReadiness(
+        ['risks.technical', 'summary.problem', 'project.name', 'constraints.compliance'],
+        { 'summary.problem': 'No visibility', 'project.name': 'Dashboard' },
+        tagSchema
+      );
+
+      expect(result.sections).toEqual([
+        { title: 'General', score: 100, answeredWeight: 1, totalWeight: 1, missing: [] },
+        { title: 'Stage 1: Project Foundation', score: 100, answeredWeight: 1, totalWeight: 1, missing: [] },
+        { title: 'Stage 2: Requirements & Context Analysis', score: 0, answeredWeight: 0, totalWeight: 3, missing: ['constraints.compliance'] },
+        { title: 'Stage 8: Risk Management & Technical Debt', score: 0, answeredWeight: 0, totalWeight: 2, missing: ['risks.technical'] }
+      ]);
+    });
+
+    it('should raise the impact of fields touched by risk factors and rank gaps by impact', () => {
+      const result = scoreReadiness(
+        ['doc.version', 'risks.technical', 'privacy.controls', 'constraints.compliance'],
+        { 'privacy.pii': true, 'privacy.regulations': ['gdpr'] },
+        tagSchema
+      );
+
+      expect(result.riskFactors).toEqual(['handlesPII', 'requiresCompliance']);
+      expect(result.gaps.map(gap => [gap.field, gap.impact, gap.severity])).toEqual([
+        ['privacy.controls', 4, 'critical'],
+        ['constraints.compliance', 4, 'critical'],
+        ['risks.technical', 2, 'medium'],
+        ['doc.version', 1, 'low']
+      ]);
+      expect(result.gaps[0].riskFactors).toEqual(['handlesPII', 'requiresCompliance']);
+      expect(result.score).toBe(0);
+    });
+
+    it('should count duplicate fields once and score no required fields as ready', () => {
+      expect(scoreReadiness(['project.name', 'project.name'], {}, tagSchema).totalWeight).toBe(1);
+      expect(scoreReadiness([], {}, tagSchema).score).toBe(100);
+      expect(scoreReadiness(['context.personas'], { 'context.personas': [] }, tagSchema).gaps).toHaveLength(1);
+    });
+  });
+
+  describe('gapSeverity', () => {
+    it('should map impact to severity', () => {
+      expect([1, 2, 3, 4, 6].map(gapSeverity)).toEqual(['low', 'medium', 'high', 'critical', 'critical']);
+    });
+  });
+
+  describe('fieldRiskFactors', () => {
+    it('should match field prefixes and exact fields', () => {
+      const riskFactors = detectRiskFactors({ 'operations.sla': '99.99', 'architecture.scale': 'large' });
+
+      expect(fieldRiskFactors('ops.disaster_recovery', riskFactors)).toEqual(['highAvailability']);
+      expect(fieldRiskFactors('architecture.style', riskFactors)).toEqual(['largeScale']);
+      expect(fieldRiskFactors('ops.logging', riskFactors)).toEqual([]);
+    });
+  });
+});
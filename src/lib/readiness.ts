@@ -0,0 +1,167 @@
+import { AnswerMap } from './rulesEngine';
+import { DEFAULT_SCORING_MODEL, ScoringModel, TagSchema } from './schemaLoader';
+import { getFieldWeight } from './tagRouter';
+import { RiskFactors, detectRiskFactors } from './complexity';
+import { TDD_STAGES } from './tddSections';
+
+/**
+ * Severity of a missing field, from its impact (weight plus matching risk factors)
+ */
+export type GapSeverity = 'critical' | 'high' | 'medium' | 'low';
+
+/**
+ * A required field that has no answer
+ */
+export interface FieldGap {
+  field: string;
+  weight: number;
+  impact: number;
+  severity: GapSeverity;
+  riskFactors: string[];
+}
+
+/**
+ * Weighted completeness of one TDD stage
+ */
+export interface SectionScore {
+  title: string;
+  score: number;
+  answeredWeight: number;
+  totalWeight: number;
+  missing: string[];
+}
+
+/**
+ * Weighted completeness of the required fields
+ */
+export interface ReadinessScore {
+  score: number;
+  answeredWeight: number;
+  totalWeight: number;
+  riskFactors: string[];
+  sections: SectionScore[];
+  gaps: FieldGap[];
+}
+
+// The built-in model's true/false risk factors; factors an organization model adds do not raise field impacts
+type RiskFlag = 'handlesPII' | 'handlesPHI' | 'requiresCompliance' | 'multiRegion' | 'handlesPayments' |
+  'highAvailability' | 'largeScale' | 'multiTenant' | 'regulatedIndustry';
+
+/**
+ * Fields (or field prefixes ending in '.') that matter more when a risk factor is present
+ */
+export const RISK_FACTOR_FIELDS: Record<RiskFlag, string[]> = {
+  handlesPII: ['privacy.', 'security.data_classification'],
+  handlesPHI: ['privacy.', 'security.', 'constraints.compliance'],
+  requiresCompliance: ['constraints.compliance', 'privacy.', 'security.controls'],
+  multiRegion: ['privacy.residency', 'nfr.availability', 'ops.disaster_recovery'],
+  handlesPayments: ['security.', 'constraints.compliance'],
+  highAvailability: ['nfr.availability', 'ops.monitoring', 'ops.disaster_recovery'],
+  largeScale: ['nfr.performance', 'nfr.scalability', 'architecture.'],
+  multiTenant: ['security.auth', 'security.controls', 'architecture.data_model'],
+  regulatedIndustry: ['constraints.compliance', 'security.', 'privacy.', 'risks.']
+};
+
+// Section for required fields that no TDD stage renders (e.g. project.name, the title)
+const GENERAL_SECTION = 'General';
+
+function isAnswered(value: any): boolean {
+  return value !== undefined && value !== null && value !== '' &&
+    !(Array.isArray(value) && value.length === 0);
+}
+
+function percent(part: number, total: number): number {
+  return total === 0 ? 100 : Math.round((part / total) * 100);
+}
+
+function matchesField(pattern: string, field: string): boolean {
+  return pattern.endsWith('.') ? field.startsWith(pattern) : field === pattern;
+}
+
+/**
+ * Maps an impact to a severity
+ * @param impact - Field weight plus the number of risk factors touching the field
+ * @returns 'critical' (4+), 'high' (3), 'medium' (2) or 'low'
+ */
+export function gapSeverity(impact: number): GapSeverity {
+  if (impact >= 4) return 'critical';
+  if (impact >= 3) return 'high';
+  if (impact >= 2) return 'medium';
+  return 'low';
+}
+
+/**
+ * Lists the detected risk factors that raise a field's impact
+ * @param field - Field ID
+ * @param riskFactors - Detected risk factors (detectRiskFactors)
+ * @returns Risk factor names
+ */
+export function fieldRiskFactors(field: string, riskFactors: RiskFactors): string[] {
+  return (Object.keys(RISK_FACTOR_FIELDS) as RiskFlag[])
+    .filter(flag => riskFactors[flag] && RISK_FACTOR_FIELDS[flag].some(pattern => matchesField(pattern, field)));
+}
+
+/**
+ * Scores how ready the answers are for TDD generation
+ * Each required field counts its tag schema weight (getFieldWeight) plus one per detected
+ * risk factor that touches it. Sections are the TDD stages rendering the fields.
+ * @param requiredFields - Required field IDs (complexity level and document template)
+ * @param answers - Answer map (project_data)
+ * @param tagSchema - Tag schema with field weights
+ * @param model - Complexity scoring model that detects the risk factors (defaults to the built-in model)
+ * @returns Overall and per-stage percentages, and the missing fields by impact (highest first)
+ */
+export function scoreReadiness(
+  requiredFields: string[],
+  answers: AnswerMap,
+  tagSchema: TagSchema,
+  model: ScoringModel = DEFAULT_SCORING_MODEL
+): ReadinessScore {
+  const riskFactors = detectRiskFactors(answers, tagSchema, model);
+  const sectionOf = (field: string): string => {
+    const stage = TDD_STAGES.find(candidate =>
+      [...(candidate.fields || []), ...candidate.sections.flatMap(section => section.fields)].includes(field)
+    );
+    return stage ? stage.title : GENERAL_SECTION;
+  };
+
+  const sections = new Map<string, SectionScore>();
+  const gaps: FieldGap[] = [];
+  let answeredWeight = 0;
+  let totalWeight = 0;
+
+  for (const field of new Set(requiredFields)) {
+    const weight = getFieldWeight(tagSchema, field);
+    const factors = fieldRiskFactors(field, riskFactors);
+    const impact = weight + factors.length;
+    const title = sectionOf(field);
+    const section = sections.get(title) || { title, score: 0, answeredWeight: 0, totalWeight: 0, missing: [] };
+
+    section.totalWeight += impact;
+    totalWeight += impact;
+    if (isAnswered(answers[field])) {
+      section.answeredWeight += impact;
+      answeredWeight += impact;
+    } else {
+      section.missing.push(field);
+      gaps.push({ field, weight, impact, severity: gapSeverity(impact), riskFactors: factors });
+    }
+    sections.set(title, section);
+  }
+
+  // Stage order, with fields outside the stages first
+  const order = [GENERAL_SECTION, ...TDD_STAGES.map(stage => stage.title)];
+  const sectionScores = [...sections.values()]
+    .map(section => ({ ...section, score: percent(section.answeredWeight, section.totalWeight) }))
+    .sort((a, b) => order.indexOf(a.title) - order.indexOf(b.title));
+
+  return {
+    score: percent(answeredWeight, totalWeight),
+    answeredWeight,
+    totalWeight,
+    riskFactors: (Object.keys(RISK_FACTOR_FIELDS) as RiskFlag[]).filter(flag => riskFactors[flag]),
+    sections: sectionScores,
+    // Stable sort keeps the requirement order among equal impacts
+    gaps: gaps.sort((a, b) => b.impact - a.impact)
+  };
+}
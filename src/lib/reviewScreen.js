@@ -5,6 +5,7 @@
  */
 
 const readline = require('readline');
+const { getSectionPlan } = require('./tddSections');
 
 /**
  * Map question field IDs to TDD sections
@@ -36,6 +37,16 @@ const SECTION_MAPPING = {
     title: 'Stage 3: Architecture Design',
     subsection: '3.1-3.4 Architecture Details'
   },
+  'integrations': {
+    stage: 3,
+    title: 'Stage 3: Architecture Design',
+    subsection: 'External Integrations'
+  },
+  'api': {
+    stage: 3,
+    title: 'Stage 3: Architecture Design',
+    subsection: '3.5 API Contract'
+  },
   'nfr': {
     stage: 4,
     title: 'Stage 4: Non-Functional Requirements',
@@ -159,32 +170,7 @@ function generateTddPreview(answers, complexity) {
   ];
   
   // Determine which stages will be included based on complexity
-  let includedStages = [];
-  switch(complexity) {
-    case 'base':
-    case 'simple':
-      includedStages = [1, 2];
-      break;
-    case 'minimal':
-      includedStages = [1, 2, 3];
-      break;
-    case 'standard':
-      includedStages = [1, 2, 3, 4, 5];
-      break;
-    case 'startup':
-      includedStages = [1, 2, 3, 4, 5, 6, 7, 8];
-      break;
-    case 'comprehensive':
-      includedStages = [1, 2, 3, 4, 5, 6, 7];
-      break;
-    case 'enterprise':
-    case 'mcp-specific':
-    case 'mcp':
-      includedStages = [1, 2, 3, 4, 5, 6, 7, 8, 9];
-      break;
-    default:
-      includedStages = [1, 2, 3, 4, 5];
-  }
+  const includedStages = getSectionPlan(complexity).stages;
   
   // Calculate completeness for each stage
   const preview = allStages
@@ -211,6 +197,24 @@ function generateTddPreview(answers, complexity) {
   return preview;
 }
 
+/**
+ * List the questions that were not asked, with the reason from the question-flow explainer
+ * @param {object} schema - The questionnaire schema
+ * @param {function} explain - questionId => explanation (explainQuestion in rulesEngine)
+ * @returns {Array<object>} - [{ fieldId, question, status, reason }] for skipped and filtered questions
+ */
+function getNotAskedQuestions(schema, explain) {
+  return ((schema && schema.questions) || [])
+    .map(question => ({ question, explanation: explain(question.id) }))
+    .filter(({ explanation }) => explanation.status === 'skipped' || explanation.status === 'filtered')
+    .map(({ question, explanation }) => ({
+      fieldId: question.id,
+      question: question.question,
+      status: explanation.status,
+      reason: explanation.summary
+    }));
+}
+
 /**
  * Display the review screen with grouped answers and TDD preview
  * @param {object} answers - The collected answers
@@ -218,8 +222,11 @@ function generateTddPreview(answers, complexity) {
  * @param {object} tagSchema - The tag schema
  * @param {string} complexity - The complexity level
  * @param {object} colors - CLI color codes
+ * @param {object} options - { explain: questionId => explanation } to list questions not asked and why;
+ *   { consistency: issues } to list contradictions between answers (checkConsistency in consistency.ts);
+ *   { quality: issues } to list weak free-text answers (analyzeAnswerQuality in answerQuality.ts)
  */
-function displayReviewScreen(answers, schema, tagSchema, complexity, colors) {
+function displayReviewScreen(answers, schema, tagSchema, complexity, colors, options = {}) {
   console.log('\n');
   console.log(`${colors.cyan}${colors.bold}${'='.repeat(70)}${colors.reset}`);
   console.log(`${colors.cyan}${colors.bold}  REVIEW YOUR ANSWERS${colors.reset}`);
@@ -247,6 +254,44 @@ function displayReviewScreen(answers, schema, tagSchema, complexity, colors) {
     console.log('\n');
   });
   
+  // Display contradictions between answers (cross-field consistency rules)
+  const consistency = options.consistency || [];
+  if (consistency.length > 0) {
+    console.log(`${colors.magenta}${colors.bold}Consistency${colors.reset}`);
+    console.log(`${colors.dim}${'─'.repeat(70)}${colors.reset}`);
+    consistency.forEach(issue => {
+      const mark = issue.severity === 'error' ? `${colors.red}✗${colors.reset}` : `${colors.yellow}⚠${colors.reset}`;
+      console.log(`\n  ${mark} ${colors.bold}${issue.message}${colors.reset}`);
+      console.log(`       ${colors.dim}${issue.fields.join(', ')} (${issue.rule})${colors.reset}`);
+    });
+    console.log('\n');
+  }
+
+  // Display weak free-text answers (placeholders, vague wording, NFRs without numbers, duplicates)
+  const quality = options.quality || [];
+  if (quality.length > 0) {
+    console.log(`${colors.magenta}${colors.bold}Answer Quality${colors.reset}`);
+    console.log(`${colors.dim}${'─'.repeat(70)}${colors.reset}`);
+    quality.forEach(issue => {
+      const mark = issue.severity === 'warning' ? `${colors.yellow}⚠${colors.reset}` : `${colors.cyan}ℹ${colors.reset}`;
+      console.log(`\n  ${mark} ${colors.bold}${issue.field}${colors.reset}: ${issue.message}`);
+      console.log(`       ${colors.dim}(${issue.rule})${colors.reset}`);
+    });
+    console.log('\n');
+  }
+
+  // Display questions that were not asked, and why
+  const notAsked = options.explain ? getNotAskedQuestions(schema, options.explain) : [];
+  if (notAsked.length > 0) {
+    console.log(`${colors.magenta}${colors.bold}Not Asked${colors.reset}`);
+    console.log(`${colors.dim}${'─'.repeat(70)}${colors.reset}`);
+    notAsked.forEach(item => {
+      console.log(`\n  ${colors.yellow}⊘${colors.reset} ${colors.bold}${item.question}${colors.reset} ${colors.dim}(${item.fieldId})${colors.reset}`);
+      console.log(`       ${colors.dim}${item.reason}${colors.reset}`);
+    });
+    console.log(`\n${colors.dim}  Full trace: node cli.js explain <question-id> --answers FILE${colors.reset}\n\n`);
+  }
+  
   // Display TDD preview
   console.log(`${colors.yellow}${colors.bold}${'='.repeat(70)}${colors.reset}`);
   console.log(`${colors.yellow}${colors.bold}  TDD PREVIEW - Sections to be Generated (Complexity: ${complexity})${colors.reset}`);
@@ -403,6 +448,7 @@ module.exports = {
   confirmGeneration,
   handleAnswerEditing,
   getSectionInfo,
+  getNotAskedQuestions,
   getColors
 };
 
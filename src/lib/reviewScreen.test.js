@@ -101,7 +101,7 @@ describe('Review Screen Component', () => {
     it('should generate preview for standard complexity', () => {
       const preview = reviewScreen.generateTddPreview(mockAnswers, 'standard');
       
-      expect(preview.length).toBe(5); // standard includes stages 1-5
+      expect(preview.length).toBe(7); // standard includes stages 1-7 (its required fields reach stage 7)
     });
 
     it('should generate preview for enterprise complexity', () => {
@@ -135,6 +135,22 @@ describe('Review Screen Component', () => {
     });
   });
 
+  describe('getNotAskedQuestions', () => {
+    it('should list skipped and filtered questions with the explainer summary', () => {
+      const explanations = {
+        'project.name': { status: 'answered', summary: 'Answered' },
+        'doc.version': { status: 'skipped', summary: 'Skipped: skip_if `exists(project.name)` is true' },
+        'summary.problem': { status: 'filtered', summary: "Removed by complexity filter ('base')" }
+      };
+      const explain = id => explanations[id] || { status: 'pending', summary: 'Asked in the core stage' };
+
+      expect(reviewScreen.getNotAskedQuestions(mockSchema, explain)).toEqual([
+        { fieldId: 'doc.version', question: 'What is the TDD version?', status: 'skipped', reason: 'Skipped: skip_if `exists(project.name)` is true' },
+        { fieldId: 'summary.problem', question: 'What is the core problem?', status: 'filtered', reason: "Removed by complexity filter ('base')" }
+      ]);
+    });
+  });
+
   describe('getColors', () => {
     it('should return color object with ANSI codes', () => {
       const colors = reviewScreen.getColors();
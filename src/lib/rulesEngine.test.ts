@@ -5,6 +5,11 @@ import {
   getNextQuestions,
   shouldSkipQuestion,
   getTriggeredQuestions,
+  getFieldValue,
+  matchTriggers,
+  formatExpression,
+  traceExpression,
+  explainQuestion,
   QuestionRegistry,
   AnswerMap,
   Expression
@@ -178,6 +183,98 @@ describe('rulesEngine', () => {
         });
       });
 
+      describe('comparison operators', () => {
+        const skipIf = (skip_if: Expression): Question => ({
+          id: 'test.q',
+          stage: 'core',
+          type: 'text',
+          question: 'Test?',
+          validation: {},
+          tags: ['foundation'],
+          skip_if
+        });
+
+        it('should compare numbers and numeric strings', () => {
+          expect(evaluateSkip(skipIf({ gte: ['operations.sla', 99.9] }), { 'operations.sla': '99.95' })).toBe(true);
+          expect(evaluateSkip(skipIf({ gte: ['operations.sla', 99.9] }), { 'operations.sla': '99' })).toBe(false);
+          expect(evaluateSkip(skipIf({ gt: ['team.size', 5] }), { 'team.size': 6 })).toBe(true);
+          expect(evaluateSkip(skipIf({ lt: ['team.size', 5] }), { 'team.size': 5 })).toBe(false);
+          expect(evaluateSkip(skipIf({ lte: ['team.size', 5] }), { 'team.size': 5 })).toBe(true);
+        });
+
+        it('should be false for missing or non-numeric answers', () => {
+          expect(evaluateSkip(skipIf({ lt: ['team.size', 5] }), {})).toBe(false);
+          expect(evaluateSkip(skipIf({ lt: ['team.size', 5] }), { 'team.size': 'small' })).toBe(false);
+          expect(evaluateSkip(skipIf({ lt: ['team.size', 5] }), { 'team.size': '' })).toBe(false);
+        });
+
+        it('should check membership with in', () => {
+          const question = skipIf({ in: ['deployment.model', ['on-premise', 'hybrid']] });
+
+          expect(evaluateSkip(question, { 'deployment.model': 'hybrid' })).toBe(true);
+          expect(evaluateSkip(question, { 'deployment.model': 'cloud' })).toBe(false);
+          expect(evaluateSkip(skipIf({ in: ['privacy.regulations', ['gdpr', 'hipaa']] }), { 'privacy.regulations': ['sox', 'hipaa'] })).toBe(true);
+        });
+
+        it('should check exists and empty', () => {
+          expect(evaluateSkip(skipIf({ exists: 'project.name' }), { 'project.name': 'Atlas' })).toBe(true);
+          expect(evaluateSkip(skipIf({ exists: 'project.name' }), { 'project.name': '  ' })).toBe(false);
+          expect(evaluateSkip(skipIf({ exists: 'privacy.pii' }), { 'privacy.pii': false })).toBe(true);
+          expect(evaluateSkip(skipIf({ empty: 'cloud.regions' }), { 'cloud.regions': [] })).toBe(true);
+          expect(evaluateSkip(skipIf({ empty: 'cloud.regions' }), {})).toBe(true);
+        });
+
+        it('should test regular expressions with matches', () => {
+          const question = skipIf({ matches: ['project.name', '^internal-'] });
+
+          expect(evaluateSkip(question, { 'project.name': 'internal-tools' })).toBe(true);
+          expect(evaluateSkip(question, { 'project.name': 'Atlas' })).toBe(false);
+          expect(evaluateSkip(question, { 'project.name': ['internal-tools'] })).toBe(false);
+        });
+
+        it('should apply matches flags', () => {
+          const question = skipIf({ matches: ['project.industry', '^health', 'i'] });
+
+          expect(evaluateSkip(question, { 'project.industry': 'Healthcare' })).toBe(true);
+          expect(evaluateSkip(skipIf({ matches: ['project.industry', '^health'] }), { 'project.industry': 'Healthcare' })).toBe(false);
+        });
+
+        it('should compare array sizes with count', () => {
+          const question = skipIf({ count: ['cloud.regions', 'gt', 1] });
+
+          expect(evaluateSkip(question, { 'cloud.regions': ['us-east-1', 'eu-west-1'] })).toBe(true);
+          expect(evaluateSkip(question, { 'cloud.regions': ['us-east-1'] })).toBe(false);
+          expect(evaluateSkip(skipIf({ count: ['cloud.regions', 'eq', 0] }), {})).toBe(true);
+        });
+
+        it('should evaluate any and all over array items', () => {
+          const answers = { modules: [{ name: 'api', owner: 'alice' }, { name: 'web', owner: '' }] };
+
+          expect(evaluateSkip(skipIf({ any: ['modules', { empty: '$.owner' }] }), answers)).toBe(true);
+          expect(evaluateSkip(skipIf({ all: ['modules', { exists: '$.owner' }] }), answers)).toBe(false);
+          expect(evaluateSkip(skipIf({ all: ['cloud.regions', { matches: ['$', '^us-'] }] }), { 'cloud.regions': ['us-east-1', 'us-west-2'] })).toBe(true);
+          expect(evaluateSkip(skipIf({ any: ['modules', { exists: '$.owner' }] }), {})).toBe(false);
+        });
+
+        it('should compare against other answers with { field } and compare ISO dates', () => {
+          const question = skipIf({ lt: ['project.end_date', { field: 'project.start_date' }] });
+
+          expect(evaluateSkip(question, { 'project.start_date': '2025-03-01', 'project.end_date': '2025-02-01' })).toBe(true);
+          expect(evaluateSkip(question, { 'project.start_date': '2025-03-01', 'project.end_date': '2025-03-01T09:00:00Z' })).toBe(false);
+          expect(evaluateSkip(question, { 'project.end_date': '2025-02-01' })).toBe(false);
+          expect(evaluateSkip(skipIf({ eq: ['owner.primary', { field: 'owner.backup' }] }), { 'owner.primary': 'ana', 'owner.backup': 'ana' })).toBe(true);
+        });
+
+        it('should express "skip unless more than one region and SLA >= 99.9"', () => {
+          const question = skipIf({
+            not: { and: [{ count: ['cloud.regions', 'gt', 1] }, { gte: ['operations.sla', 99.9] }] }
+          });
+
+          expect(evaluateSkip(question, { 'cloud.regions': ['us-east-1', 'eu-west-1'], 'operations.sla': '99.99' })).toBe(false);
+          expect(evaluateSkip(question, { 'cloud.regions': ['us-east-1'], 'operations.sla': '99.99' })).toBe(true);
+        });
+      });
+
       describe('complex expressions', () => {
         it('should handle nested logical operators', () => {
           const question: Question = {
@@ -349,6 +446,34 @@ describe('rulesEngine', () => {
     });
   });
 
+  describe('getFieldValue', () => {
+    const answers: AnswerMap = {
+      'deployment.model': 'cloud',
+      modules: [{ name: 'api', owner: 'alice', deps: ['db'] }],
+      'api.endpoints': [{ method: 'GET', path: '/tasks' }],
+      deployment: { regions: ['us-east-1'] }
+    };
+
+    it('should look up flat answer IDs first', () => {
+      expect(getFieldValue('deployment.model', answers)).toBe('cloud');
+    });
+
+    it('should resolve nested paths into structured answers', () => {
+      expect(getFieldValue('modules[0].owner', answers)).toBe('alice');
+      expect(getFieldValue('modules[0].deps[0]', answers)).toBe('db');
+      expect(getFieldValue('api.endpoints[0].method', answers)).toBe('GET');
+      expect(getFieldValue('deployment.regions[0]', answers)).toBe('us-east-1');
+    });
+
+    it('should return undefined for missing segments', () => {
+      expect(getFieldValue('modules[1].owner', answers)).toBeUndefined();
+      expect(getFieldValue('modules.owner', answers)).toBeUndefined();
+      expect(getFieldValue('modules[0].owner.name', answers)).toBeUndefined();
+      expect(getFieldValue('modules[0].toString', answers)).toBeUndefined();
+      expect(getFieldValue('constructor', answers)).toBeUndefined();
+    });
+  });
+
   describe('expandTriggers', () => {
     const registry: QuestionRegistry = new Map();
 
@@ -461,6 +586,175 @@ describe('rulesEngine', () => {
 
       expect(triggered).toHaveLength(2);
     });
+
+    it('should fire every selected option of a multi-select answer', () => {
+      const triggered = expandTriggers(triggerQuestion, ['mobile', 'web'], registry);
+
+      expect(triggered.map(q => q.id)).toEqual(['q2', 'q3', 'q4']);
+    });
+
+    it('should cascade through answered triggered questions', () => {
+      registry.set('q2', { ...triggeredQ2, triggers: { yes: ['q4'] } });
+
+      expect(expandTriggers(triggerQuestion, 'web', registry).map(q => q.id)).toEqual(['q2', 'q3']);
+      expect(expandTriggers(triggerQuestion, 'web', registry, { q2: 'yes' }).map(q => q.id)).toEqual(['q2', 'q3', 'q4']);
+    });
+
+    it('should stop at trigger cycles', () => {
+      registry.set('q2', { ...triggeredQ2, triggers: { yes: ['q1', 'q3'] } });
+
+      const triggered = expandTriggers(triggerQuestion, 'web', registry, { q1: 'web', q2: 'yes' });
+
+      expect(triggered.map(q => q.id)).toEqual(['q2', 'q3']);
+    });
+
+    it('should expand expression triggers', () => {
+      const regulations: Question = {
+        id: 'privacy.regulations',
+        stage: 'review',
+        type: 'multi-select',
+        question: 'Regulations?',
+        options: ['gdpr', 'hipaa', 'sox'],
+        validation: {},
+        tags: ['compliance'],
+        triggers: [
+          { when: { in: ['$', ['gdpr', 'hipaa']] }, ask: ['q2'] },
+          { when: { and: [{ has: ['$', 'sox'] }, { eq: ['deployment.model', 'cloud'] }] }, ask: ['q3'] }
+        ]
+      };
+
+      expect(expandTriggers(regulations, ['hipaa'], registry).map(q => q.id)).toEqual(['q2']);
+      expect(expandTriggers(regulations, ['sox'], registry, { 'deployment.model': 'cloud' }).map(q => q.id)).toEqual(['q3']);
+      expect(expandTriggers(regulations, ['sox'], registry, { 'deployment.model': 'hybrid' })).toEqual([]);
+    });
+  });
+
+  describe('matchTriggers', () => {
+    it('should report which value keys or expression triggers fired', () => {
+      const question: Question = {
+        id: 'q1',
+        stage: 'core',
+        type: 'multi-select',
+        question: 'Q1',
+        validation: {},
+        tags: ['foundation'],
+        triggers: { a: ['q2'], b: ['q3'], c: ['q4'] }
+      };
+
+      expect(matchTriggers(question, ['c', 'a'])).toEqual([{ key: 'a', ids: ['q2'] }, { key: 'c', ids: ['q4'] }]);
+      expect(matchTriggers({ ...question, triggers: [{ when: { count: ['$', 'gt', 1] }, ask: ['q5'] }] }, ['a', 'b']))
+        .toEqual([{ key: 'when[0]', ids: ['q5'] }]);
+      expect(matchTriggers(question, null)).toEqual([]);
+    });
+  });
+
+  describe('explain mode', () => {
+    const questions: Question[] = [
+      {
+        id: 'deployment.model',
+        stage: 'core',
+        type: 'select',
+        question: 'Deployment?',
+        options: ['cloud', 'on-premise'],
+        validation: {},
+        tags: ['architecture'],
+        triggers: { cloud: ['cloud.provider'] }
+      },
+      {
+        id: 'cloud.regions',
+        stage: 'core',
+        type: 'multi-select',
+        question: 'Regions?',
+        options: ['us-east-1', 'eu-west-1'],
+        validation: {},
+        tags: ['architecture'],
+        triggers: [{ when: { count: ['$', 'gt', 1] }, ask: ['operations.failover'] }]
+      },
+      {
+        id: 'cloud.provider',
+        stage: 'core',
+        type: 'text',
+        question: 'Provider?',
+        validation: {},
+        tags: ['architecture'],
+        skip_if: { neq: ['deployment.model', 'cloud'] }
+      },
+      {
+        id: 'operations.failover',
+        stage: 'deep_dive',
+        type: 'text',
+        question: 'Failover?',
+        validation: {},
+        tags: ['operations'],
+        skip_if: { not: { and: [{ count: ['cloud.regions', 'gt', 1] }, { gte: ['operations.sla', 99.9] }] } }
+      }
+    ];
+
+    it('should format expressions as text', () => {
+      expect(formatExpression({ not: { and: [{ count: ['cloud.regions', 'gt', 1] }, { gte: ['operations.sla', 99.9] }] } }))
+        .toBe('not (count(cloud.regions) > 1 and operations.sla >= 99.9)');
+      expect(formatExpression({ any: ['modules', { empty: '$.owner' }] })).toBe('any(modules, empty($.owner))');
+      expect(formatExpression("deployment.model != 'cloud'")).toBe("deployment.model != 'cloud'");
+      expect(formatExpression({ lt: ['project.end_date', { field: 'project.start_date' }] })).toBe('project.end_date < project.start_date');
+      expect(formatExpression({ matches: ['project.industry', 'health', 'i'] })).toBe('project.industry matches /health/i');
+    });
+
+    it('should trace every sub-expression with the values it read', () => {
+      const trace = traceExpression(
+        { or: [{ eq: ['deployment.model', 'cloud'] }, { in: ['operations.sla', ['99.99']] }] },
+        { 'deployment.model': 'cloud', 'operations.sla': '99.9' }
+      );
+
+      expect(trace).toEqual({
+        expression: 'deployment.model == "cloud" or operations.sla in ["99.99"]',
+        result: true,
+        children: [
+          { expression: 'deployment.model == "cloud"', result: true, values: { 'deployment.model': 'cloud' } },
+          { expression: 'operations.sla in ["99.99"]', result: false, values: { 'operations.sla': '99.9' } }
+        ]
+      });
+    });
+
+    it('should trace legacy conditions and any/all items', () => {
+      const legacy = traceExpression("deployment.model != 'cloud' && deployment.model != 'hybrid'", { 'deployment.model': 'cloud' });
+      expect(legacy.children!.map(child => child.result)).toEqual([false, true]);
+
+      const items = traceExpression({ any: ['modules', { empty: '$.owner' }] }, { modules: [{ owner: 'a' }, { owner: '' }] });
+      expect(items.result).toBe(true);
+      expect(items.children!.map(child => `${child.expression}=${child.result}`))
+        .toEqual(['modules[0]: empty($.owner)=false', 'modules[1]: empty($.owner)=true']);
+    });
+
+    it('should explain skipped questions and the triggers that did not fire', () => {
+      const explanation = explainQuestion('cloud.provider', { questions, answers: { 'deployment.model': 'on-premise' } });
+
+      expect(explanation.status).toBe('skipped');
+      expect(explanation.summary).toBe('Skipped: skip_if `deployment.model != "cloud"` is true');
+      expect(explanation.triggers).toEqual([{ question_id: 'deployment.model', key: 'cloud', answer: 'on-premise', fired: false }]);
+      expect(explanation.reasons).toContain('Not triggered by deployment.model == "cloud" (answer: "on-premise")');
+    });
+
+    it('should explain expression triggers and deep-dive filters', () => {
+      const answers = { 'cloud.regions': ['us-east-1', 'eu-west-1'], 'operations.sla': '99.99' };
+      const tagSchema = { version: '1.1', tags: {}, field_metadata: {} };
+      const explanation = explainQuestion('operations.failover', { questions, answers, tagSchema, complexity: 'standard', tags: ['operations'] });
+
+      expect(explanation.skip_if!.skipped).toBe(false);
+      expect(explanation.triggers[0]).toMatchObject({ question_id: 'cloud.regions', key: 'when[0]', fired: true });
+      expect(explanation.triggers[0].trace!.expression).toBe('count($) > 1');
+      expect(explanation.filters).toEqual([
+        { filter: 'tag', passed: true, reason: 'tag filter (operations): question tags operations match' },
+        { filter: 'complexity', passed: false, reason: "complexity filter ('standard'): no field_metadata, so only asked at 'base'" }
+      ]);
+      expect(explanation.status).toBe('filtered');
+    });
+
+    it('should report answered, pending and unknown questions', () => {
+      expect(explainQuestion('deployment.model', { questions, answers: { 'deployment.model': 'cloud' } }).status).toBe('answered');
+      expect(explainQuestion('cloud.provider', { questions, answers: { 'deployment.model': 'cloud' } }).summary)
+        .toBe('Asked: triggered by deployment.model');
+      expect(explainQuestion('cloud.zone', { questions, answers: {} }).status).toBe('unknown');
+    });
   });
 
   describe('filterQuestions', () => {
@@ -1,7 +1,14 @@
-import { Question, Expression } from './schemaLoader';
+import { Question, Expression, ComparisonOperator, FieldRef, TagSchema } from './schemaLoader';
 
 export type AnswerMap = Record<string, any>;
-export type { Expression } from './schemaLoader';
+export type { Expression, ComparisonOperator, FieldRef } from './schemaLoader';
+
+/**
+ * The array item an any/all expression is evaluating ("$" in field paths)
+ */
+interface ItemScope {
+  item: any;
+}
 
 /**
  * Registry of questions for trigger expansion
@@ -34,48 +41,103 @@ export function evaluateSkip(
  * Evaluates a conditional expression (JSON or string format)
  * @param expression - Expression to evaluate
  * @param answers - Current answer map
+ * @param scope - Current item inside any/all
  * @returns Boolean result of the expression
  */
-function evaluateExpression(expression: Expression, answers: AnswerMap): boolean {
+export function evaluateExpression(expression: Expression, answers: AnswerMap, scope?: ItemScope): boolean {
   // Handle JSON object expressions
   if (typeof expression === 'object' && expression !== null) {
     // eq: equality check
     if ('eq' in expression) {
       const [fieldPath, value] = expression.eq;
-      const fieldValue = getFieldValue(fieldPath, answers);
-      return fieldValue === value;
+      const fieldValue = getFieldValue(fieldPath, answers, scope);
+      return fieldValue === resolveValue(value, answers, scope);
     }
     
     // neq: not equal check
     if ('neq' in expression) {
       const [fieldPath, value] = expression.neq;
-      const fieldValue = getFieldValue(fieldPath, answers);
-      return fieldValue !== value;
+      const fieldValue = getFieldValue(fieldPath, answers, scope);
+      return fieldValue !== resolveValue(value, answers, scope);
     }
     
     // has: array/collection contains check
     if ('has' in expression) {
       const [fieldPath, value] = expression.has;
-      const fieldValue = getFieldValue(fieldPath, answers);
+      const fieldValue = getFieldValue(fieldPath, answers, scope);
       if (Array.isArray(fieldValue)) {
         return fieldValue.includes(value);
       }
       return false;
     }
+
+    // gt/gte/lt/lte: numeric comparison (numeric strings such as "99.9" count as numbers,
+    // ISO-8601 dates as timestamps)
+    for (const operator of ['gt', 'gte', 'lt', 'lte'] as const) {
+      if (operator in expression) {
+        const [fieldPath, value] = (expression as Record<typeof operator, [string, number | FieldRef]>)[operator];
+        return compareNumbers(toNumber(getFieldValue(fieldPath, answers, scope)), operator, toNumber(resolveValue(value, answers, scope)));
+      }
+    }
+
+    // in: value is one of a list (for arrays, any element is)
+    if ('in' in expression) {
+      const [fieldPath, values] = expression.in;
+      const fieldValue = getFieldValue(fieldPath, answers, scope);
+      if (Array.isArray(fieldValue)) {
+        return fieldValue.some(item => values.includes(item));
+      }
+      return values.includes(fieldValue);
+    }
+
+    // exists / empty: answered or not (empty strings, arrays and objects count as unanswered)
+    if ('exists' in expression) {
+      return !isEmpty(getFieldValue(expression.exists, answers, scope));
+    }
+    if ('empty' in expression) {
+      return isEmpty(getFieldValue(expression.empty, answers, scope));
+    }
+
+    // matches: regular expression test against a string or number answer (optional flags, e.g. "i")
+    if ('matches' in expression) {
+      const [fieldPath, pattern, flags] = expression.matches;
+      const fieldValue = getFieldValue(fieldPath, answers, scope);
+      if (typeof fieldValue !== 'string' && typeof fieldValue !== 'number') {
+        return false;
+      }
+      return new RegExp(pattern, flags).test(String(fieldValue));
+    }
+
+    // count: compare the number of items (0 when unanswered, 1 for a single value)
+    if ('count' in expression) {
+      const [fieldPath, operator, value] = expression.count;
+      return compareNumbers(countOf(getFieldValue(fieldPath, answers, scope)), operator, value);
+    }
+
+    // any / all: evaluate an expression for each array item ("$" is the item)
+    if ('any' in expression || 'all' in expression) {
+      const [fieldPath, itemExpression] = 'any' in expression ? expression.any : expression.all;
+      const fieldValue = getFieldValue(fieldPath, answers, scope);
+      if (!Array.isArray(fieldValue)) {
+        return false;
+      }
+      const test = (item: any) => evaluateExpression(itemExpression, answers, { item });
+      return 'any' in expression ? fieldValue.some(test) : fieldValue.every(test);
+    }
     
     // not: logical negation
     if ('not' in expression) {
-      return !evaluateExpression(expression.not, answers);
+      return !evaluateExpression(expression.not, answers, scope);
     }
     
     // and: logical AND
     if ('and' in expression) {
-      return expression.and.every(expr => evaluateExpression(expr, answers));
+      return expression.and.every(expr => evaluateExpression(expr, answers, scope));
     }
     
     // or: logical OR
     if ('or' in expression) {
-      return expression.or.some(expr => evaluateExpression(expr, answers));
+      return expression.or.some(expr => evaluateExpression(expr, answers, scope));
     }
   }
   
@@ -87,6 +149,76 @@ function evaluateExpression(expression: Expression, answers: AnswerMap): boolean
   return false;
 }
 
+/**
+ * Checks whether a comparison value is a reference to another answer ({ field: path })
+ */
+function isFieldRef(value: any): value is FieldRef {
+  return typeof value === 'object' && value !== null && !Array.isArray(value)
+    && Object.keys(value).length === 1 && typeof value.field === 'string';
+}
+
+/**
+ * Resolves a comparison value: field references read the referenced answer
+ */
+function resolveValue(value: any, answers: AnswerMap, scope?: ItemScope): any {
+  return isFieldRef(value) ? getFieldValue(value.field, answers, scope) : value;
+}
+
+/**
+ * Converts a number, numeric string or ISO-8601 date (as a timestamp) to a number
+ * @returns The number, or NaN for anything else
+ */
+function toNumber(value: any): number {
+  if (typeof value === 'number') {
+    return value;
+  }
+  if (typeof value === 'string' && value.trim() !== '') {
+    const number = Number(value);
+    if (isNaN(number) && /^\d{4}-\d{2}-\d{2}/.test(value)) {
+      return Date.parse(value);
+    }
+    return number;
+  }
+  return NaN;
+}
+
+/**
+ * Compares two numbers; comparisons with NaN (non-numeric answers) are false
+ */
+function compareNumbers(actual: number, operator: ComparisonOperator, expected: number): boolean {
+  if (isNaN(actual) || isNaN(expected)) {
+    return false;
+  }
+  switch (operator) {
+    case 'eq': return actual === expected;
+    case 'neq': return actual !== expected;
+    case 'gt': return actual > expected;
+    case 'gte': return actual >= expected;
+    case 'lt': return actual < expected;
+    case 'lte': return actual <= expected;
+    default: throw new Error(`Unknown comparison operator "${operator}"`);
+  }
+}
+
+/**
+ * Checks whether an answer is missing or blank
+ */
+function isEmpty(value: any): boolean {
+  if (value === undefined || value === null) return true;
+  if (typeof value === 'string') return value.trim() === '';
+  if (Array.isArray(value)) return value.length === 0;
+  if (typeof value === 'object') return Object.keys(value).length === 0;
+  return false;
+}
+
+/**
+ * Number of items in an answer for count expressions
+ */
+function countOf(value: any): number {
+  if (Array.isArray(value)) return value.length;
+  return isEmpty(value) ? 0 : 1;
+}
+
 /**
  * Evaluates legacy string-based conditions (for backwards compatibility)
  * @param condition - Condition string
@@ -128,13 +260,55 @@ function evaluateLegacyCondition(condition: string, answers: AnswerMap): boolean
 }
 
 /**
- * Gets a field value from the answers map using dot notation
- * @param fieldPath - Dot-notated field path (e.g., "deployment.model")
+ * Gets a field value from the answers map
+ * Flat answer IDs ("deployment.model") are looked up first; otherwise the longest answer ID
+ * that prefixes the path is resolved and the rest of the path is walked into the structured
+ * answer ("modules[0].owner", "api.endpoints[1].method"). Inside any/all, "$" is the current item.
+ * @param fieldPath - Field path
  * @param answers - Answer map
+ * @param scope - Current item inside any/all
  * @returns Field value or undefined
  */
-function getFieldValue(fieldPath: string, answers: AnswerMap): any {
-  return answers[fieldPath];
+export function getFieldValue(fieldPath: string, answers: AnswerMap, scope?: ItemScope): any {
+  if (scope && /^\$($|[.[])/.test(fieldPath)) {
+    return walkPath(scope.item, fieldPath.slice(1));
+  }
+  if (Object.prototype.hasOwnProperty.call(answers, fieldPath)) {
+    return answers[fieldPath];
+  }
+  for (let end = fieldPath.length - 1; end > 0; end--) {
+    if (fieldPath[end] !== '.' && fieldPath[end] !== '[') {
+      continue;
+    }
+    const answerId = fieldPath.slice(0, end);
+    if (Object.prototype.hasOwnProperty.call(answers, answerId)) {
+      return walkPath(answers[answerId], fieldPath.slice(end));
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Walks ".key" and "[index]" segments into a structured value
+ * @param value - Starting value
+ * @param path - Remaining path (e.g. "[0].owner"); empty returns the value itself
+ * @returns Value at the path, or undefined when any segment is missing
+ */
+function walkPath(value: any, path: string): any {
+  const segment = /\.([^.[\]]+)|\[(\d+)\]/y;
+  let current = value;
+  while (segment.lastIndex < path.length) {
+    const match = segment.exec(path);
+    if (!match || current === null || typeof current !== 'object') {
+      return undefined;
+    }
+    if (match[2] !== undefined) {
+      current = Array.isArray(current) ? current[Number(match[2])] : undefined;
+    } else {
+      current = Array.isArray(current) || !Object.prototype.hasOwnProperty.call(current, match[1]) ? undefined : current[match[1]];
+    }
+  }
+  return current;
 }
 
 /**
@@ -161,39 +335,94 @@ function parseValue(value: string): any {
   return trimmed;
 }
 
+/**
+ * A trigger that fired: the answer value (value-keyed triggers) or "when[i]" (expression triggers)
+ */
+export interface TriggerMatch {
+  key: string;
+  ids: string[];
+}
+
+/**
+ * Finds the triggers an answer fires
+ * Value-keyed triggers fire for every selected option of an array answer; expression
+ * triggers are evaluated against the answers with "$" bound to the answer.
+ * @param question - Question that was answered
+ * @param answer - Answer value
+ * @param answers - Current answer map (for expression triggers)
+ * @returns Fired triggers, in schema order
+ */
+export function matchTriggers(
+  question: Question,
+  answer: any,
+  answers: AnswerMap = {}
+): TriggerMatch[] {
+  if (!question.triggers || answer === undefined || answer === null) {
+    return [];
+  }
+
+  if (Array.isArray(question.triggers)) {
+    const context = { ...answers, [question.id]: answer };
+    return question.triggers
+      .map((rule, index) => ({ rule, key: `when[${index}]` }))
+      .filter(({ rule, key }) => {
+        try {
+          return evaluateExpression(rule.when, context, { item: answer });
+        } catch (error) {
+          console.error(`Error evaluating trigger ${key} for question "${question.id}":`, error);
+          return false;
+        }
+      })
+      .map(({ rule, key }) => ({ key, ids: rule.ask }));
+  }
+
+  const triggers = question.triggers;
+  const selected = (Array.isArray(answer) ? answer : [answer]).map(String);
+  return Object.keys(triggers)
+    .filter(key => selected.includes(key))
+    .map(key => ({ key, ids: triggers[key] }));
+}
+
 /**
  * Expands triggers by looking up the triggered question IDs and returning the Question objects
+ * Triggered questions that already have an answer in `answers` cascade: their own triggers
+ * are expanded too. Each question is returned once and the answered question never is, so
+ * trigger cycles terminate.
  * @param question - Question that was answered
  * @param answer - Answer value
  * @param registry - Registry/map of all questions by ID
+ * @param answers - Current answer map (for cascading and expression triggers)
  * @returns Array of Question objects that should be triggered
  */
 export function expandTriggers(
   question: Question,
   answer: any,
-  registry: QuestionRegistry
+  registry: QuestionRegistry,
+  answers: AnswerMap = {}
 ): Question[] {
-  if (!question.triggers) {
-    return [];
-  }
-  
-  const triggerKey = String(answer);
-  
-  if (triggerKey in question.triggers) {
-    const questionIds = question.triggers[triggerKey];
-    const triggeredQuestions: Question[] = [];
-    
-    for (const id of questionIds) {
-      const q = registry.get(id);
-      if (q) {
+  const context = { ...answers, [question.id]: answer };
+  const seen = new Set<string>([question.id]);
+  const triggeredQuestions: Question[] = [];
+  const queue: Array<{ question: Question; answer: any }> = [{ question, answer }];
+
+  while (queue.length > 0) {
+    const current = queue.shift() as { question: Question; answer: any };
+    for (const { ids } of matchTriggers(current.question, current.answer, context)) {
+      for (const id of ids) {
+        const q = registry.get(id);
+        if (!q || seen.has(id)) {
+          continue;
+        }
+        seen.add(id);
         triggeredQuestions.push(q);
+        if (context[id] !== undefined) {
+          queue.push({ question: q, answer: context[id] });
+        }
       }
     }
-    
-    return triggeredQuestions;
   }
-  
-  return [];
+
+  return triggeredQuestions;
 }
 
 /**
@@ -234,6 +463,278 @@ export function getNextQuestions(
   return availableQuestions.filter(q => !(q.id in answers));
 }
 
+/**
+ * Evaluation trace of an expression: one node per sub-expression
+ */
+export interface ExpressionTrace {
+  expression: string;
+  result: boolean;
+  values?: Record<string, any>;
+  children?: ExpressionTrace[];
+  error?: string;
+}
+
+/**
+ * A trigger that can ask the explained question, and whether it fired
+ */
+export interface TriggerTrace {
+  question_id: string;
+  key: string;
+  answer: any;
+  fired: boolean;
+  trace?: ExpressionTrace;
+}
+
+/**
+ * A tag or complexity filter applied to the explained question
+ */
+export interface FilterTrace {
+  filter: 'tag' | 'complexity';
+  passed: boolean;
+  reason: string;
+}
+
+/**
+ * Why a question is or is not asked
+ * status: answered, skipped (skip_if holds), filtered (a tag or complexity filter removes it),
+ * pending (would be asked) or unknown (no such question)
+ */
+export interface QuestionExplanation {
+  question_id: string;
+  status: 'unknown' | 'answered' | 'skipped' | 'filtered' | 'pending';
+  stage?: string;
+  question?: string;
+  answer?: any;
+  skip_if: { expression: string; skipped: boolean; trace: ExpressionTrace } | null;
+  triggers: TriggerTrace[];
+  filters: FilterTrace[];
+  summary: string;
+  reasons: string[];
+}
+
+export interface ExplainContext {
+  questions: Question[];
+  answers: AnswerMap;
+  tagSchema?: TagSchema;
+  complexity?: string;
+  tags?: string[];
+}
+
+const OPERATOR_SYMBOLS: Record<ComparisonOperator, string> = { eq: '==', neq: '!=', gt: '>', gte: '>=', lt: '<', lte: '<=' };
+
+/**
+ * Formats an expression as readable text (e.g. `count(cloud.regions) > 1`)
+ * @param expression - Expression to format
+ * @returns Expression text; legacy strings are returned as written
+ */
+export function formatExpression(expression: Expression): string {
+  if (typeof expression === 'string') {
+    return expression;
+  }
+  const [operator, operand] = Object.entries(expression)[0] || ['', undefined];
+  const value = (v: any) => (isFieldRef(v) ? v.field : JSON.stringify(v));
+  const group = (child: Expression) => (typeof child === 'object' && ('and' in child || 'or' in child) ? `(${formatExpression(child)})` : formatExpression(child));
+
+  switch (operator) {
+    case 'eq': case 'neq': case 'gt': case 'gte': case 'lt': case 'lte':
+      return `${operand[0]} ${OPERATOR_SYMBOLS[operator as ComparisonOperator]} ${value(operand[1])}`;
+    case 'has': return `${operand[0]} has ${value(operand[1])}`;
+    case 'in': return `${operand[0]} in ${value(operand[1])}`;
+    case 'exists': case 'empty': return `${operator}(${operand})`;
+    case 'matches': return `${operand[0]} matches /${operand[1]}/${operand[2] || ''}`;
+    case 'count': return `count(${operand[0]}) ${OPERATOR_SYMBOLS[operand[1] as ComparisonOperator] || operand[1]} ${operand[2]}`;
+    case 'any': case 'all': return `${operator}(${operand[0]}, ${formatExpression(operand[1])})`;
+    case 'not': return `not ${group(operand)}`;
+    case 'and': case 'or': return (operand as Expression[]).map(group).join(` ${operator} `);
+    default: return JSON.stringify(expression);
+  }
+}
+
+/**
+ * Evaluates an expression and records the result of every sub-expression
+ * @param expression - Expression to trace
+ * @param answers - Current answer map
+ * @param scope - Current item inside any/all
+ * @returns Trace whose result matches evaluateExpression; and/or evaluate every child
+ */
+export function traceExpression(expression: Expression, answers: AnswerMap, scope?: ItemScope): ExpressionTrace {
+  const text = formatExpression(expression);
+
+  if (typeof expression === 'string') {
+    const separator = expression.includes('&&') ? '&&' : expression.includes('||') ? '||' : null;
+    if (separator) {
+      const children = expression.split(separator).map(part => traceExpression(part.trim(), answers));
+      const result = separator === '&&' ? children.every(child => child.result) : children.some(child => child.result);
+      return { expression: text, result, children };
+    }
+    const field = expression.split(/!=|==/)[0].trim();
+    return leafTrace(text, () => evaluateLegacyCondition(expression, answers), { [field]: getFieldValue(field, answers) });
+  }
+
+  if ('not' in expression) {
+    const child = traceExpression(expression.not, answers, scope);
+    return { expression: text, result: !child.result, children: [child] };
+  }
+  if ('and' in expression || 'or' in expression) {
+    const children = ('and' in expression ? expression.and : expression.or).map(child => traceExpression(child, answers, scope));
+    const result = 'and' in expression ? children.every(child => child.result) : children.some(child => child.result);
+    return { expression: text, result, children };
+  }
+  if ('any' in expression || 'all' in expression) {
+    const [fieldPath, itemExpression] = 'any' in expression ? expression.any : expression.all;
+    const items = getFieldValue(fieldPath, answers, scope);
+    const children = Array.isArray(items)
+      ? items.map((item, index) => ({ ...traceExpression(itemExpression, answers, { item }), expression: `${fieldPath}[${index}]: ${formatExpression(itemExpression)}` }))
+      : [];
+    const result = evaluateExpression(expression, answers, scope);
+    return { expression: text, result, values: { [fieldPath]: items }, children };
+  }
+
+  const operand = Object.values(expression)[0];
+  const field = Array.isArray(operand) ? operand[0] : operand;
+  const values: Record<string, any> = { [field]: getFieldValue(field, answers, scope) };
+  if (Array.isArray(operand) && isFieldRef(operand[1])) {
+    values[operand[1].field] = getFieldValue(operand[1].field, answers, scope);
+  }
+  return leafTrace(text, () => evaluateExpression(expression, answers, scope), values);
+}
+
+function leafTrace(expression: string, evaluate: () => boolean, values: Record<string, any>): ExpressionTrace {
+  try {
+    return { expression, result: evaluate(), values };
+  } catch (error) {
+    return { expression, result: false, values, error: error instanceof Error ? error.message : String(error) };
+  }
+}
+
+/**
+ * Explains why a question is or is not asked: its skip_if trace, the triggers that can
+ * ask it and whether they fired, and the tag/complexity filters the CLI deep-dive stage
+ * applies (deep_dive questions only; without field_metadata a question is only asked at 'base')
+ * @param questionId - Question ID to explain
+ * @param context - Questions, answers and the optional tag schema, complexity and tag filter
+ * @returns Explanation with one human-readable line per finding in `reasons`
+ */
+export function explainQuestion(questionId: string, context: ExplainContext): QuestionExplanation {
+  const { questions, answers, tagSchema, complexity, tags = [] } = context;
+  const question = questions.find(q => q.id === questionId);
+  if (!question) {
+    return {
+      question_id: questionId,
+      status: 'unknown',
+      skip_if: null,
+      triggers: [],
+      filters: [],
+      summary: `"${questionId}" is not a question in the questionnaire`,
+      reasons: [`"${questionId}" is not a question in the questionnaire`]
+    };
+  }
+
+  const reasons: string[] = [];
+  const answered = answers[questionId] !== undefined;
+  if (answered) {
+    reasons.push(`Answered: ${JSON.stringify(answers[questionId])}`);
+  }
+
+  // skip_if
+  let skipIf: QuestionExplanation['skip_if'] = null;
+  if (question.skip_if) {
+    const trace = traceExpression(question.skip_if, answers);
+    skipIf = { expression: trace.expression, skipped: trace.result, trace };
+    reasons.push(trace.result
+      ? `Skipped: skip_if \`${trace.expression}\` is true`
+      : `Shown: skip_if \`${trace.expression}\` is false`);
+  }
+
+  // Triggers that can ask this question
+  const triggers: TriggerTrace[] = [];
+  for (const source of questions) {
+    if (!source.triggers) {
+      continue;
+    }
+    const answer = answers[source.id];
+    const fired = new Set(matchTriggers(source, answer, answers).map(match => match.key));
+    if (Array.isArray(source.triggers)) {
+      source.triggers.forEach((rule, index) => {
+        if (rule.ask.includes(questionId)) {
+          const key = `when[${index}]`;
+          const trace = answer === undefined || answer === null
+            ? undefined
+            : traceExpression(rule.when, { ...answers, [source.id]: answer }, { item: answer });
+          triggers.push({ question_id: source.id, key, answer, fired: fired.has(key), trace });
+        }
+      });
+    } else {
+      for (const [key, ids] of Object.entries(source.triggers)) {
+        if (ids.includes(questionId)) {
+          triggers.push({ question_id: source.id, key, answer, fired: fired.has(key) });
+        }
+      }
+    }
+  }
+  for (const trigger of triggers) {
+    const condition = trigger.trace ? `${trigger.question_id} when \`${trigger.trace.expression}\`` : `${trigger.question_id} == ${JSON.stringify(trigger.key)}`;
+    const answer = trigger.answer === undefined ? 'not answered' : `answer: ${JSON.stringify(trigger.answer)}`;
+    reasons.push(`${trigger.fired ? 'Triggered' : 'Not triggered'} by ${condition} (${answer})`);
+  }
+
+  // Deep-dive filters
+  const filters: FilterTrace[] = [];
+  if (question.stage === 'deep_dive') {
+    if (tags.length > 0) {
+      const passed = question.tags.some(tag => tags.includes(tag));
+      filters.push({
+        filter: 'tag',
+        passed,
+        reason: `tag filter (${tags.join(', ')}): question tags ${question.tags.join(', ') || 'none'} ${passed ? 'match' : 'do not match'}`
+      });
+    }
+    if (complexity) {
+      const metadata = tagSchema && tagSchema.field_metadata[questionId];
+      const passed = metadata ? metadata.complexity_levels.includes(complexity) : complexity === 'base';
+      filters.push({
+        filter: 'complexity',
+        passed,
+        reason: metadata
+          ? `complexity filter ('${complexity}'): field_metadata lists ${metadata.complexity_levels.join(', ')}`
+          : `complexity filter ('${complexity}'): no field_metadata, so only asked at 'base'`
+      });
+    }
+  } else if (tags.length > 0 || complexity) {
+    reasons.push(`Tag and complexity filters apply to deep_dive questions only (stage: ${question.stage})`);
+  }
+  reasons.push(...filters.map(filter => `${filter.passed ? 'Kept' : 'Removed'} by ${filter.reason}`));
+
+  let status: QuestionExplanation['status'] = 'pending';
+  let summary = triggers.some(trigger => trigger.fired)
+    ? `Asked: triggered by ${triggers.filter(trigger => trigger.fired).map(trigger => trigger.question_id).join(', ')}`
+    : `Asked in the ${question.stage} stage`;
+  const removedBy = filters.find(filter => !filter.passed);
+  if (answered) {
+    status = 'answered';
+    summary = 'Answered';
+  } else if (skipIf && skipIf.skipped) {
+    status = 'skipped';
+    summary = `Skipped: skip_if \`${skipIf.expression}\` is true`;
+  } else if (removedBy) {
+    status = 'filtered';
+    summary = `Removed by ${removedBy.reason}`;
+  }
+
+  return {
+    question_id: questionId,
+    status,
+    stage: question.stage,
+    question: question.question,
+    ...(answered ? { answer: answers[questionId] } : {}),
+    skip_if: skipIf,
+    triggers,
+    filters,
+    summary,
+    reasons
+  };
+}
+
 // Backwards compatibility exports
 export const shouldSkipQuestion = (
   condition: string | null | undefined,
@@ -252,8 +753,7 @@ export const getTriggeredQuestions = (
   question: Question,
   answer: any
 ): string[] => {
-  if (!question.triggers) return [];
-  const triggerKey = String(answer);
-  return triggerKey in question.triggers ? question.triggers[triggerKey] : [];
+  const ids = matchTriggers(question, answer).flatMap(match => match.ids);
+  return ids.filter((id, index) => ids.indexOf(id) === index);
 };
 
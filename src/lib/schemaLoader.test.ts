@@ -7,6 +7,9 @@ import {
   getQuestionById,
   getQuestionsByStage,
   getQuestionsByTag,
+  loadScoringModel,
+  mergeScoringModel,
+  DEFAULT_SCORING_MODEL,
   QuestionnaireSchema,
   TagSchema
 } from './schemaLoader';
@@ -142,6 +145,45 @@ describe('schemaLoader', () => {
     });
   });
 
+  describe('mergeScoringModel', () => {
+    it('should merge factors by id and append new ones', () => {
+      const model = mergeScoringModel(DEFAULT_SCORING_MODEL, {
+        version: '1.0-acme',
+        thresholds: { comprehensive: 30 },
+        risk_factors: [
+          { id: 'handlesPayments', points: 10 },
+          { id: 'externalIntegrations', when: { gt: ['integrations.external_count', 5] } },
+          { id: 'onPremise', label: 'On-premise operations', when: { eq: ['deployment.model', 'on-premise'] }, points: 4 }
+        ]
+      });
+
+      const factor = (id: string) => model.risk_factors.find(riskFactor => riskFactor.id === id);
+      expect(model.version).toBe('1.0-acme');
+      expect(model.base_score).toBe(DEFAULT_SCORING_MODEL.base_score);
+      expect(model.thresholds).toEqual({ ...DEFAULT_SCORING_MODEL.thresholds, comprehensive: 30 });
+      expect(factor('handlesPayments')).toMatchObject({ label: 'Payment processing (PCI-DSS)', points: 10 });
+      expect(factor('externalIntegrations')).toEqual({ id: 'externalIntegrations', label: 'External integrations', when: { gt: ['integrations.external_count', 5] }, points: 2 });
+      expect(model.risk_factors).toHaveLength(DEFAULT_SCORING_MODEL.risk_factors.length + 1);
+      expect(DEFAULT_SCORING_MODEL.risk_factors.find(riskFactor => riskFactor.id === 'handlesPayments')!.points).toBe(7);
+    });
+  });
+
+  describe('loadScoringModel', () => {
+    it('should return the built-in model without an override', () => {
+      expect(loadScoringModel()).toBe(DEFAULT_SCORING_MODEL);
+      expect(mockedFs.readFileSync).not.toHaveBeenCalled();
+    });
+
+    it('should apply and validate an override file', () => {
+      mockedFs.readFileSync.mockReturnValue(JSON.stringify({ version: '1.0-acme', base_score: 2 }));
+
+      expect(loadScoringModel('config/scoring.json')).toMatchObject({ version: '1.0-acme', base_score: 2 });
+
+      mockedFs.readFileSync.mockReturnValue(JSON.stringify({ version: '1.0-acme', thresholds: { minimal: 60 } }));
+      expect(() => loadScoringModel('config/scoring.json')).toThrow('must be greater than the minimal threshold (60)');
+    });
+  });
+
   describe('validateSchemaStructure', () => {
     it('should return true for valid schema with all required properties', () => {
       const schema = {
@@ -1,18 +1,66 @@
 import * as fs from 'fs';
 import * as path from 'path';
+import {
+  validatePolicySet,
+  validateQuestionnaireSchema,
+  validateScoringModel,
+  validateScoringModelOverride,
+  validateTagSchema
+} from './schemaValidator';
+import scoringModel from '../../schemas/Complexity_Scoring_Model_v1.0.json';
+
+/**
+ * Comparison operators for numeric and count expressions
+ */
+export type ComparisonOperator = 'eq' | 'neq' | 'gt' | 'gte' | 'lt' | 'lte';
+
+/**
+ * Reference to another answer in the value position of a comparison
+ * (e.g. `{ lt: ['project.end_date', { field: 'project.start_date' }] }`)
+ */
+export interface FieldRef {
+  field: string;
+}
 
 /**
  * Expression types for skip_if conditions
+ * Field paths may be nested (e.g. "modules[0].owner"); inside any/all, "$" is the current item.
  */
 export type Expression =
   | { eq: [string, any] }
   | { neq: [string, any] }
   | { has: [string, any] }
+  | { gt: [string, number | FieldRef] }
+  | { gte: [string, number | FieldRef] }
+  | { lt: [string, number | FieldRef] }
+  | { lte: [string, number | FieldRef] }
+  | { in: [string, any[]] }
+  | { exists: string }
+  | { empty: string }
+  | { matches: [string, string] | [string, string, string] }
+  | { count: [string, ComparisonOperator, number] }
+  | { any: [string, Expression] }
+  | { all: [string, Expression] }
   | { not: Expression }
   | { and: Expression[] }
   | { or: Expression[] }
   | string; // Legacy string format support
 
+/**
+ * Expression trigger: asks the listed questions when `when` holds
+ * `when` is evaluated against the answers, with "$" bound to the triggering answer.
+ */
+export interface TriggerRule {
+  when: Expression;
+  ask: string[];
+}
+
+/**
+ * Triggers keyed by answer value (every selected option of a multi-select fires),
+ * or a list of expression triggers
+ */
+export type Triggers = Record<string, string[]> | TriggerRule[];
+
 export interface Question {
   id: string;
   stage: string;
@@ -23,7 +71,7 @@ export interface Question {
   validation: any;
   tags: string[];
   skip_if?: Expression | null;
-  triggers?: Record<string, string[]>;
+  triggers?: Triggers | null;
   examples?: string[];
   help?: {
     why?: string;
@@ -32,11 +80,78 @@ export interface Question {
   };
 }
 
+/**
+ * Cross-field consistency rule: `when` describes the contradiction, so a rule whose
+ * `when` holds for the answers is reported with its message
+ */
+export interface ConsistencyRule {
+  id: string;
+  when: Expression;
+  message: string;
+  severity?: 'error' | 'warning';
+}
+
+/**
+ * Organizational policy: when `when` holds (or always, without `when`), the answers must
+ * satisfy `require`. Expressions see the answers plus `complexity`.
+ */
+export interface Policy {
+  id: string;
+  description?: string;
+  when?: Expression;
+  require: Expression;
+  message: string;
+  severity?: 'error' | 'warning' | 'info';
+  remediation?: string;
+}
+
+/**
+ * A policy file (see examples/policies.json)
+ */
+export interface PolicySet {
+  version: string;
+  policies: Policy[];
+}
+
+/**
+ * Complexity risk factor: a `when` factor adds its points when the expression holds; a `count`
+ * factor adds its points per item of a list answer (or per unit of a numeric answer)
+ */
+export interface RiskFactorRule {
+  id: string;
+  label: string;
+  when?: Expression;
+  count?: string;
+  points: number;
+}
+
+/**
+ * Complexity scoring model: base score, level thresholds and risk factors
+ */
+export interface ScoringModel {
+  version: string;
+  base_score: number;
+  thresholds: Record<'base' | 'minimal' | 'standard' | 'comprehensive' | 'enterprise', number>;
+  risk_factors: RiskFactorRule[];
+}
+
+/**
+ * Organization changes to a scoring model: thresholds and base score replace the model's,
+ * risk factors replace the fields of the factor with the same id or are added
+ */
+export interface ScoringModelOverride {
+  version: string;
+  base_score?: number;
+  thresholds?: Partial<ScoringModel['thresholds']>;
+  risk_factors?: Array<Partial<RiskFactorRule> & { id: string }>;
+}
+
 export interface QuestionnaireSchema {
   version: string;
   stages: string[];
   complexity_levels: string[];
   questions: Question[];
+  consistency_rules?: ConsistencyRule[];
 }
 
 export interface Tag {
@@ -78,24 +193,95 @@ export function loadSchema<T = any>(schemaPath: string): T {
   }
 }
 
+const QUESTIONNAIRE_FILE = 'Pre-TDD_Client_Questionnaire_v2.0.json';
+const TAG_SCHEMA_FILE = 'Universal_Tag_Schema_v1.1.json';
+
 /**
  * Loads the questionnaire schema
+ * The schema is checked against its meta-schema and for integrity (trigger targets,
+ * skip_if fields, options vs. validation.enum, trigger cycles). Tags are checked against
+ * the tag schema passed in, or the one next to the questionnaire when it exists.
  * @param basePath - Base path to schemas directory (defaults to schemas/)
+ * @param tagSchema - Tag schema to check question tags against (optional)
  * @returns Questionnaire schema object
+ * @throws SchemaValidationError with a JSON pointer per problem
  */
-export function loadQuestionnaireSchema(basePath: string = 'schemas'): QuestionnaireSchema {
-  const schemaPath = path.join(basePath, 'Pre-TDD_Client_Questionnaire_v2.0.json');
-  return loadSchema<QuestionnaireSchema>(schemaPath);
+export function loadQuestionnaireSchema(basePath: string = 'schemas', tagSchema?: TagSchema): QuestionnaireSchema {
+  const schemaPath = path.join(basePath, QUESTIONNAIRE_FILE);
+  const schema = loadSchema<QuestionnaireSchema>(schemaPath);
+  const tagSchemaPath = path.join(basePath, TAG_SCHEMA_FILE);
+  const tags = tagSchema || (fs.existsSync(path.resolve(process.cwd(), tagSchemaPath)) ? loadTagSchema(basePath) : undefined);
+  return validateQuestionnaireSchema(schema, schemaPath, tags);
 }
 
 /**
  * Loads the tag schema
  * @param basePath - Base path to schemas directory (defaults to schemas/)
  * @returns Tag schema object
+ * @throws SchemaValidationError with a JSON pointer per problem
  */
 export function loadTagSchema(basePath: string = 'schemas'): TagSchema {
-  const schemaPath = path.join(basePath, 'Universal_Tag_Schema_v1.1.json');
-  return loadSchema<TagSchema>(schemaPath);
+  const schemaPath = path.join(basePath, TAG_SCHEMA_FILE);
+  return validateTagSchema(loadSchema<TagSchema>(schemaPath), schemaPath);
+}
+
+/**
+ * The built-in complexity scoring model (schemas/Complexity_Scoring_Model_v1.0.json)
+ */
+export const DEFAULT_SCORING_MODEL: ScoringModel = validateScoringModel(scoringModel, 'schemas/Complexity_Scoring_Model_v1.0.json');
+
+/**
+ * Applies an organization override to a scoring model
+ * An override factor with `when` or `count` replaces the factor's condition of either kind.
+ * @param model - Scoring model to start from
+ * @param override - Organization override
+ * @returns Merged model (not validated)
+ */
+export function mergeScoringModel(model: ScoringModel, override: ScoringModelOverride): ScoringModel {
+  const factors = model.risk_factors.map(factor => ({ ...factor }));
+  for (const change of override.risk_factors || []) {
+    const index = factors.findIndex(factor => factor.id === change.id);
+    if (index === -1) {
+      factors.push(change as RiskFactorRule);
+      continue;
+    }
+    const factor: Partial<RiskFactorRule> = { ...factors[index] };
+    if (change.when !== undefined || change.count !== undefined) {
+      delete factor.when;
+      delete factor.count;
+    }
+    factors[index] = { ...factor, ...change } as RiskFactorRule;
+  }
+  return {
+    version: override.version,
+    base_score: override.base_score !== undefined ? override.base_score : model.base_score,
+    thresholds: { ...model.thresholds, ...override.thresholds },
+    risk_factors: factors
+  };
+}
+
+/**
+ * Loads the complexity scoring model, with an organization override applied
+ * @param overridePath - Path to the organization override (optional; relative paths resolve from the working directory)
+ * @returns Scoring model; the built-in one without an override
+ * @throws SchemaValidationError with a JSON pointer per problem
+ */
+export function loadScoringModel(overridePath?: string | null): ScoringModel {
+  if (!overridePath) {
+    return DEFAULT_SCORING_MODEL;
+  }
+  const override = validateScoringModelOverride(loadSchema<ScoringModelOverride>(overridePath), overridePath);
+  return validateScoringModel(mergeScoringModel(DEFAULT_SCORING_MODEL, override), overridePath);
+}
+
+/**
+ * Loads a policy file
+ * @param policyPath - Path to the policy file (relative paths resolve from the working directory)
+ * @returns Policy set
+ * @throws SchemaValidationError with a JSON pointer per problem
+ */
+export function loadPolicySet(policyPath: string): PolicySet {
+  return validatePolicySet(loadSchema<PolicySet>(policyPath), policyPath);
 }
 
 /**
@@ -0,0 +1,313 @@
+import * as fs from 'fs';
+import * as path from 'path';
+import {
+  validateQuestionnaireSchema,
+  validateTagSchema,
+  validatePolicySet,
+  validateScoringModel,
+  validateScoringModelOverride,
+  checkQuestionnaireIntegrity,
+  toPointer,
+  SchemaValidationError,
+  SchemaIssue
+} from './schemaValidator';
+import { QuestionnaireSchema, TagSchema } from './schemaLoader';
+
+const schemasDir = path.join(__dirname, '..', '..', 'schemas');
+const readSchema = (file: string) => JSON.parse(fs.readFileSync(path.join(schemasDir, file), 'utf-8'));
+
+function questionnaire(): QuestionnaireSchema {
+  return {
+    version: '2.0',
+    stages: ['core', 'review'],
+    complexity_levels: ['base'],
+    questions: [
+      {
+        id: 'deployment.model',
+        stage: 'core',
+        type: 'select',
+        question: 'How will it be deployed?',
+        options: ['cloud', 'on-premise'],
+        validation: { enum: ['cloud', 'on-premise'] },
+        tags: ['architecture'],
+        triggers: { cloud: ['cloud.provider'] }
+      },
+      {
+        id: 'cloud.provider',
+        stage: 'review',
+        type: 'text',
+        question: 'Which provider?',
+        validation: { type: 'string' },
+        tags: ['architecture'],
+        skip_if: { neq: ['deployment.model', 'cloud'] }
+      }
+    ]
+  };
+}
+
+const tagSchema: TagSchema = {
+  version: '1.1',
+  tags: { architecture: { label: 'Architecture' } },
+  field_metadata: {}
+};
+
+function issuesOf(fn: () => unknown): SchemaIssue[] {
+  try {
+    fn();
+  } catch (error) {
+    if (error instanceof SchemaValidationError) {
+      return error.issues;
+    }
+    throw error;
+  }
+  return [];
+}
+
+describe('schemaValidator', () => {
+  describe('repository schemas', () => {
+    it('should accept the shipped questionnaire and tag schema', () => {
+      const tags = validateTagSchema(readSchema('Universal_Tag_Schema_v1.1.json'), 'tags.json');
+      expect(() => validateQuestionnaireSchema(readSchema('Pre-TDD_Client_Questionnaire_v2.0.json'), 'q.json', tags)).not.toThrow();
+    });
+  });
+
+  describe('meta-schema', () => {
+    it('should report structural errors with JSON pointers', () => {
+      const schema: any = questionnaire();
+      schema.questions[0].type = 'radio';
+      schema.questions[1].skipIf = 'typo';
+      delete schema.questions[1].tags;
+
+      expect(issuesOf(() => validateQuestionnaireSchema(schema, 'q.json'))).toEqual([
+        { pointer: '/questions/0/type', message: 'must be equal to one of the allowed values: text, textarea, select, multi-select, boolean, number, date' },
+        { pointer: '/questions/1', message: "must have required property 'tags'" },
+        { pointer: '/questions/1', message: 'must NOT have additional properties ("skipIf")' }
+      ]);
+    });
+
+    it('should fold malformed skip_if expressions into one error', () => {
+      const schema: any = questionnaire();
+      schema.questions[1].skip_if = { gt: ['deployment.model', 'one'] };
+
+      expect(issuesOf(() => validateQuestionnaireSchema(schema, 'q.json'))).toEqual([
+        { pointer: '/questions/1/skip_if', message: 'must be null, a condition string or an expression (see src/lib/RULES_ENGINE_README.md)' }
+      ]);
+    });
+
+    it('should require options on select questions', () => {
+      const schema: any = questionnaire();
+      delete schema.questions[0].options;
+
+      expect(issuesOf(() => validateQuestionnaireSchema(schema, 'q.json'))).toContainEqual(
+        { pointer: '/questions/0', message: "must have required property 'options'" }
+      );
+    });
+
+    it('should list every issue in the error message', () => {
+      const schema: any = questionnaire();
+      schema.version = 2;
+
+      expect(() => validateQuestionnaireSchema(schema, 'q.json')).toThrow('Invalid schema q.json:\n  /version: must be string');
+    });
+  });
+
+  describe('integrity checks', () => {
+    it('should pass a consistent questionnaire', () => {
+      expect(checkQuestionnaireIntegrity(questionnaire(), tagSchema)).toEqual([]);
+    });
+
+    it('should report unknown trigger targets, skip_if fields and stages', () => {
+      const schema = questionnaire();
+      schema.questions[0].triggers = { cloud: ['cloud.provider', 'cloud.regions'] };
+      schema.questions[1].skip_if = { and: [{ eq: ['deployment.mode', 'x'] }, "deployment.model != 'cloud' && hosting.type == 'vm'"] };
+      schema.questions[1].stage = 'deep_dive';
+
+      expect(checkQuestionnaireIntegrity(schema)).toEqual([
+        { pointer: '/questions/0/triggers/cloud/1', message: 'Trigger target "cloud.regions" is not a question' },
+        { pointer: '/questions/1/stage', message: 'Unknown stage "deep_dive" (stages: core, review)' },
+        { pointer: '/questions/1/skip_if/and/0/eq/0', message: 'skip_if references unknown field "deployment.mode"' },
+        { pointer: '/questions/1/skip_if/and/1', message: 'skip_if references unknown field "hosting.type"' }
+      ]);
+    });
+
+    it('should resolve nested paths and item paths, and check matches patterns', () => {
+      const schema = questionnaire();
+      schema.questions[1].skip_if = {
+        and: [
+          { any: ['deployment.model[0]', { matches: ['$.name', '^(a'] }] },
+          { count: ['deployment.regions', 'gt', 1] }
+        ]
+      };
+
+      expect(checkQuestionnaireIntegrity(schema)).toEqual([
+        { pointer: '/questions/1/skip_if/and/1/count/0', message: 'skip_if references unknown field "deployment.regions"' },
+        { pointer: '/questions/1/skip_if/and/0/any/1/matches/1', message: expect.stringContaining('Invalid regular expression') }
+      ]);
+    });
+
+    it('should check expression triggers', () => {
+      const schema = questionnaire();
+      schema.questions[0].triggers = [{ when: { eq: ['deployment.modle', 'cloud'] }, ask: ['cloud.provider', 'cloud.zone'] }];
+
+      expect(checkQuestionnaireIntegrity(schema)).toEqual([
+        { pointer: '/questions/0/triggers/0/ask/1', message: 'Trigger target "cloud.zone" is not a question' },
+        { pointer: '/questions/0/triggers/0/when/eq/0', message: 'Trigger condition references unknown field "deployment.modle"' }
+      ]);
+    });
+
+    it('should report duplicate ids and options that differ from validation.enum', () => {
+      const schema = questionnaire();
+      schema.questions[0].options = ['cloud', 'hybrid'];
+      schema.questions.push({ ...schema.questions[1] });
+
+      expect(checkQuestionnaireIntegrity(schema).map(issue => issue.pointer)).toEqual(['/questions/2/id', '/questions/0/options']);
+      expect(checkQuestionnaireIntegrity(schema)[1].message).toBe('options (cloud, hybrid) do not match validation enum (cloud, on-premise)');
+    });
+
+    it('should check tags only when a tag schema is given', () => {
+      const schema = questionnaire();
+      schema.questions[1].tags = ['architecture', 'cloud'];
+
+      expect(checkQuestionnaireIntegrity(schema)).toEqual([]);
+      expect(checkQuestionnaireIntegrity(schema, tagSchema)).toEqual([
+        { pointer: '/questions/1/tags/1', message: 'Tag "cloud" is not defined in the tag schema' }
+      ]);
+    });
+
+    it('should report each trigger cycle once', () => {
+      const schema = questionnaire();
+      schema.questions[1].triggers = { 'on/prem': ['deployment.model'] };
+
+      expect(checkQuestionnaireIntegrity(schema)).toEqual([
+        { pointer: '/questions/1/triggers/on~1prem/0', message: 'Trigger cycle: deployment.model → cloud.provider → deployment.model' }
+      ]);
+    });
+  });
+
+  describe('consistency rules', () => {
+    it('should accept { field } comparison values and reject unknown rule keys', () => {
+      const schema: any = questionnaire();
+      schema.consistency_rules = [
+        { id: 'dates', when: { lt: ['project.end_date', { field: 'project.start_date' }] }, message: 'End before start', severity: 'error' },
+        { id: 'regions', when: { exists: 'cloud.provider' }, message: 'x', level: 'warning' }
+      ];
+
+      expect(issuesOf(() => validateQuestionnaireSchema(schema, 'q.json'))).toEqual([
+        { pointer: '/consistency_rules/1', message: 'must NOT have additional properties ("level")' }
+      ]);
+    });
+
+    it('should report duplicate rule ids and invalid patterns', () => {
+      const schema = questionnaire();
+      schema.consistency_rules = [
+        { id: 'name', when: { matches: ['project.name', '(('] }, message: 'x' },
+        { id: 'name', when: { exists: 'project.start_date' }, message: 'y' }
+      ];
+
+      expect(checkQuestionnaireIntegrity(schema)).toEqual([
+        { pointer: '/consistency_rules/0/when/matches/1', message: expect.stringContaining('Invalid regular expression') },
+        { pointer: '/consistency_rules/1/id', message: 'Duplicate consistency rule id "name"' }
+      ]);
+    });
+
+    it('should check { field } references in skip_if', () => {
+      const schema = questionnaire();
+      schema.questions[1].skip_if = { eq: ['deployment.model', { field: 'deployment.region' }] };
+
+      expect(checkQuestionnaireIntegrity(schema)).toEqual([
+        { pointer: '/questions/1/skip_if/eq/1/field', message: 'skip_if references unknown field "deployment.region"' }
+      ]);
+    });
+  });
+
+  describe('validateTagSchema', () => {
+    it('should report field_metadata tags that are not defined', () => {
+      const schema = { ...tagSchema, field_metadata: { 'project.name': { tags: ['foundation'], weight: 1 } } };
+
+      expect(issuesOf(() => validateTagSchema(schema, 'tags.json'))).toEqual([
+        { pointer: '/field_metadata/project.name/tags/0', message: 'Tag "foundation" is not defined in tags' }
+      ]);
+    });
+
+    it('should reject tags without a label', () => {
+      const schema = { ...tagSchema, tags: { architecture: { description: 'x' } } };
+
+      expect(issuesOf(() => validateTagSchema(schema, 'tags.json'))).toEqual([
+        { pointer: '/tags/architecture', message: "must have required property 'label'" }
+      ]);
+    });
+  });
+
+  describe('validatePolicySet', () => {
+    const policy = { id: 'pii-encryption', when: { eq: ['privacy.pii', true] }, require: { has: ['security.controls', 'encryption-at-rest'] }, message: 'Encrypt PII' };
+
+    it('should accept the example policy file', () => {
+      const file = path.join(__dirname, '..', '..', 'examples', 'policies.json');
+
+      expect(() => validatePolicySet(JSON.parse(fs.readFileSync(file, 'utf-8')), file)).not.toThrow();
+    });
+
+    it('should report duplicate ids and invalid patterns', () => {
+      const policies = [policy, { ...policy, require: { matches: ['security.controls', '(encryption'] } }];
+
+      expect(issuesOf(() => validatePolicySet({ version: '1.0', policies }, 'policies.json'))).toEqual([
+        { pointer: '/policies/1/id', message: 'Duplicate policy id "pii-encryption"' },
+        { pointer: '/policies/1/require/matches/1', message: expect.stringContaining('Invalid regular expression') }
+      ]);
+    });
+
+    it('should require a requirement and reject unknown severities', () => {
+      const { require: _require, ...withoutRequire } = policy;
+
+      expect(issuesOf(() => validatePolicySet({ version: '1.0', policies: [withoutRequire, { ...policy, id: 'b', severity: 'fatal' }] }, 'policies.json'))).toEqual([
+        { pointer: '/policies/0', message: "must have required property 'require'" },
+        { pointer: '/policies/1/severity', message: 'must be equal to one of the allowed values: error, warning, info' }
+      ]);
+    });
+  });
+
+  describe('validateScoringModel', () => {
+    const model = readSchema('Complexity_Scoring_Model_v1.0.json');
+
+    it('should accept the shipped scoring model and the example override', () => {
+      const file = path.join(__dirname, '..', '..', 'examples', 'scoring_model.json');
+
+      expect(() => validateScoringModel(model, 'model.json')).not.toThrow();
+      expect(() => validateScoringModelOverride(JSON.parse(fs.readFileSync(file, 'utf-8')), file)).not.toThrow();
+    });
+
+    it('should require ascending thresholds and unique factor ids', () => {
+      const factors = [model.risk_factors[0], { ...model.risk_factors[1], id: model.risk_factors[0].id }];
+
+      expect(issuesOf(() => validateScoringModel({ ...model, thresholds: { ...model.thresholds, standard: 10 }, risk_factors: factors }, 'model.json'))).toEqual([
+        { pointer: '/thresholds/standard', message: 'must be greater than the minimal threshold (10)' },
+        { pointer: '/risk_factors/1/id', message: 'Duplicate risk factor id "handlesPII"' }
+      ]);
+    });
+
+    it('should require exactly one of when and count', () => {
+      const { when, ...withoutWhen } = model.risk_factors[0];
+
+      expect(issuesOf(() => validateScoringModel({ ...model, risk_factors: [withoutWhen, { ...withoutWhen, id: 'both', when, count: 'integrations.external_count' }] }, 'model.json'))).toEqual([
+        { pointer: '/risk_factors/0', message: 'must have a when or count condition' },
+        { pointer: '/risk_factors/1', message: 'must have either when or count, not both' }
+      ]);
+      expect(issuesOf(() => validateScoringModelOverride({ version: '1.0-acme', risk_factors: [{ id: 'handlesPII', points: 9 }] }, 'override.json'))).toEqual([]);
+    });
+
+    it('should check matches patterns and flags', () => {
+      const factor = { id: 'industry', label: 'Industry', points: 1 };
+
+      expect(issuesOf(() => validateScoringModelOverride({ version: '1.0-acme', risk_factors: [{ ...factor, when: { matches: ['project.industry', '(bank'] } }] }, 'override.json'))).toEqual([
+        { pointer: '/risk_factors/0/when/matches/1', message: expect.stringContaining('Invalid regular expression') }
+      ]);
+      expect(issuesOf(() => validateScoringModelOverride({ version: '1.0-acme', risk_factors: [{ ...factor, when: { matches: ['project.industry', 'bank', 'x'] } }] }, 'override.json'))).not.toEqual([]);
+    });
+  });
+
+  describe('toPointer', () => {
+    it('should escape ~ and /', () => {
+      expect(toPointer('a~b', 'c/d', 0)).toBe('/a~0b/c~1d/0');
+    });
+  });
+});
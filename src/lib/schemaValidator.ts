@@ -0,0 +1,717 @@
+import Ajv, { ErrorObject } from 'ajv';
+import type { Expression, PolicySet, Question, QuestionnaireSchema, ScoringModel, ScoringModelOverride, TagSchema } from './schemaLoader';
+
+/**
+ * A schema problem at a JSON pointer into the schema file (e.g. "/questions/3/triggers/cloud/0")
+ */
+export interface SchemaIssue {
+  pointer: string;
+  message: string;
+}
+
+/**
+ * Thrown when a questionnaire or tag schema fails meta-validation or its integrity checks
+ */
+export class SchemaValidationError extends Error {
+  readonly issues: SchemaIssue[];
+
+  constructor(source: string, issues: SchemaIssue[]) {
+    super(`Invalid schema ${source}:\n${issues.map(issue => `  ${issue.pointer || '/'}: ${issue.message}`).join('\n')}`);
+    this.name = 'SchemaValidationError';
+    this.issues = issues;
+  }
+}
+
+export const QUESTION_TYPES = ['text', 'textarea', 'select', 'multi-select', 'boolean', 'number', 'date'];
+
+const stringList = { type: 'array', items: { type: 'string', minLength: 1 } };
+
+/**
+ * Meta-schema for Pre-TDD_Client_Questionnaire_v2.0.json
+ */
+export const QUESTIONNAIRE_META_SCHEMA = {
+  $id: 'questionnaire-meta',
+  type: 'object',
+  required: ['version', 'stages', 'complexity_levels', 'questions'],
+  properties: {
+    version: { type: 'string', minLength: 1 },
+    stages: { ...stringList, minItems: 1, uniqueItems: true },
+    complexity_levels: { ...stringList, minItems: 1, uniqueItems: true },
+    questions: { type: 'array', items: { $ref: '#/definitions/question' } },
+    consistency_rules: { type: 'array', items: { $ref: '#/definitions/consistencyRule' } }
+  },
+  additionalProperties: false,
+  definitions: {
+    question: {
+      type: 'object',
+      required: ['id', 'stage', 'type', 'question', 'validation', 'tags'],
+      properties: {
+        id: { type: 'string', pattern: '^[a-z][a-z0-9_]*(\\.[a-z0-9_]+)+$' },
+        stage: { type: 'string' },
+        type: { enum: QUESTION_TYPES },
+        question: { type: 'string', minLength: 1 },
+        hint: { type: 'string' },
+        options: { type: 'array', minItems: 1, items: { type: ['string', 'number', 'boolean'] } },
+        validation: { type: 'object' },
+        tags: { ...stringList, uniqueItems: true },
+        skip_if: {
+          description: 'null, a condition string or an expression (see src/lib/RULES_ENGINE_README.md)',
+          anyOf: [{ type: 'null' }, { type: 'string', minLength: 1 }, { $ref: '#/definitions/expression' }]
+        },
+        triggers: {
+          description: 'null, an object of answer value → question IDs, or a list of { when, ask } expression triggers',
+          anyOf: [
+            { type: 'null' },
+            { type: 'object', additionalProperties: stringList },
+            {
+              type: 'array',
+              items: {
+                type: 'object',
+                required: ['when', 'ask'],
+                properties: { when: { $ref: '#/definitions/expression' }, ask: { ...stringList, minItems: 1 } },
+                additionalProperties: false
+              }
+            }
+          ]
+        },
+        examples: { type: 'array' },
+        help: {
+          type: 'object',
+          properties: {
+            why: { type: 'string' },
+            examples: { type: ['array', 'object'] },
+            learnMore: { type: 'string' }
+          }
+        }
+      },
+      additionalProperties: false,
+      if: { properties: { type: { enum: ['select', 'multi-select'] } } },
+      then: { required: ['options'] }
+    },
+    consistencyRule: {
+      type: 'object',
+      required: ['id', 'when', 'message'],
+      properties: {
+        id: { type: 'string', minLength: 1 },
+        when: { $ref: '#/definitions/expression' },
+        message: { type: 'string', minLength: 1 },
+        severity: { enum: ['error', 'warning'] }
+      },
+      additionalProperties: false
+    },
+    fieldPath: { type: 'string', minLength: 1 },
+    fieldRef: {
+      type: 'object',
+      required: ['field'],
+      properties: { field: { $ref: '#/definitions/fieldPath' } },
+      additionalProperties: false
+    },
+    comparison: {
+      type: 'array',
+      items: [{ $ref: '#/definitions/fieldPath' }, {}],
+      minItems: 2,
+      maxItems: 2
+    },
+    numericComparison: {
+      type: 'array',
+      items: [{ $ref: '#/definitions/fieldPath' }, { anyOf: [{ type: 'number' }, { $ref: '#/definitions/fieldRef' }] }],
+      minItems: 2,
+      maxItems: 2
+    },
+    expression: {
+      description: 'an expression (see src/lib/RULES_ENGINE_README.md) or a condition string',
+      anyOf: [
+        { type: 'string', minLength: 1 },
+        ...Object.entries({
+          eq: { $ref: '#/definitions/comparison' },
+          neq: { $ref: '#/definitions/comparison' },
+          has: { $ref: '#/definitions/comparison' },
+          gt: { $ref: '#/definitions/numericComparison' },
+          gte: { $ref: '#/definitions/numericComparison' },
+          lt: { $ref: '#/definitions/numericComparison' },
+          lte: { $ref: '#/definitions/numericComparison' },
+          in: { type: 'array', items: [{ $ref: '#/definitions/fieldPath' }, { type: 'array' }], minItems: 2, maxItems: 2 },
+          exists: { $ref: '#/definitions/fieldPath' },
+          empty: { $ref: '#/definitions/fieldPath' },
+          matches: {
+            description: 'a [field, pattern] or [field, pattern, flags] list',
+            anyOf: [
+              { type: 'array', items: [{ $ref: '#/definitions/fieldPath' }, { type: 'string' }], minItems: 2, maxItems: 2 },
+              { type: 'array', items: [{ $ref: '#/definitions/fieldPath' }, { type: 'string' }, { type: 'string', pattern: '^[imsu]*$' }], minItems: 3, maxItems: 3 }
+            ]
+          },
+          count: {
+            type: 'array',
+            items: [{ $ref: '#/definitions/fieldPath' }, { enum: ['eq', 'neq', 'gt', 'gte', 'lt', 'lte'] }, { type: 'number' }],
+            minItems: 3,
+            maxItems: 3
+          },
+          any: { type: 'array', items: [{ $ref: '#/definitions/fieldPath' }, { $ref: '#/definitions/expression' }], minItems: 2, maxItems: 2 },
+          all: { type: 'array', items: [{ $ref: '#/definitions/fieldPath' }, { $ref: '#/definitions/expression' }], minItems: 2, maxItems: 2 },
+          not: { $ref: '#/definitions/expression' },
+          and: { type: 'array', minItems: 1, items: { $ref: '#/definitions/expression' } },
+          or: { type: 'array', minItems: 1, items: { $ref: '#/definitions/expression' } }
+        }).map(([operator, operand]) => ({
+          type: 'object',
+          required: [operator],
+          properties: { [operator]: operand },
+          additionalProperties: false
+        }))
+      ]
+    }
+  }
+};
+
+/**
+ * Meta-schema for Universal_Tag_Schema_v1.1.json
+ */
+export const TAG_SCHEMA_META_SCHEMA = {
+  $id: 'tag-schema-meta',
+  type: 'object',
+  required: ['version', 'tags', 'field_metadata'],
+  properties: {
+    version: { type: 'string', minLength: 1 },
+    tags: {
+      type: 'object',
+      propertyNames: { pattern: '^[a-z][a-z0-9_-]*$' },
+      additionalProperties: {
+        type: 'object',
+        required: ['label'],
+        properties: {
+          label: { type: 'string', minLength: 1 },
+          description: { type: 'string' }
+        },
+        additionalProperties: false
+      }
+    },
+    field_metadata: {
+      type: 'object',
+      additionalProperties: {
+        type: 'object',
+        required: ['tags'],
+        properties: {
+          tags: stringList,
+          related_fields: stringList,
+          complexity_levels: stringList,
+          weight: { type: 'number', minimum: 0 }
+        },
+        additionalProperties: false
+      }
+    }
+  },
+  additionalProperties: false
+};
+
+const { fieldPath, fieldRef, comparison, numericComparison, expression } = QUESTIONNAIRE_META_SCHEMA.definitions;
+
+/**
+ * Meta-schema for policy files; expressions are the questionnaire's
+ */
+export const POLICY_META_SCHEMA = {
+  $id: 'policy-meta',
+  type: 'object',
+  required: ['version', 'policies'],
+  properties: {
+    version: { type: 'string', minLength: 1 },
+    policies: { type: 'array', items: { $ref: '#/definitions/policy' } }
+  },
+  additionalProperties: false,
+  definitions: {
+    policy: {
+      type: 'object',
+      required: ['id', 'require', 'message'],
+      properties: {
+        id: { type: 'string', minLength: 1 },
+        description: { type: 'string' },
+        when: { $ref: '#/definitions/expression' },
+        require: { $ref: '#/definitions/expression' },
+        message: { type: 'string', minLength: 1 },
+        severity: { enum: ['error', 'warning', 'info'] },
+        remediation: { type: 'string' }
+      },
+      additionalProperties: false
+    },
+    fieldPath,
+    fieldRef,
+    comparison,
+    numericComparison,
+    expression
+  }
+};
+
+const COMPLEXITY_LEVELS = ['base', 'minimal', 'standard', 'comprehensive', 'enterprise'] as const;
+
+const riskFactorProperties = {
+  id: { type: 'string', pattern: '^[A-Za-z][A-Za-z0-9_]*$' },
+  label: { type: 'string', minLength: 1 },
+  when: { $ref: '#/definitions/expression' },
+  count: { $ref: '#/definitions/fieldPath' },
+  points: { type: 'number' }
+};
+
+/**
+ * Meta-schema for Complexity_Scoring_Model_v1.0.json; each risk factor needs a `when` or a `count` (checkScoringModel)
+ */
+export const SCORING_MODEL_META_SCHEMA = {
+  $id: 'scoring-model-meta',
+  type: 'object',
+  required: ['version', 'base_score', 'thresholds', 'risk_factors'],
+  properties: {
+    version: { type: 'string', minLength: 1 },
+    base_score: { type: 'number' },
+    thresholds: {
+      type: 'object',
+      required: [...COMPLEXITY_LEVELS],
+      properties: Object.fromEntries(COMPLEXITY_LEVELS.map(level => [level, { type: 'number' }])),
+      additionalProperties: false
+    },
+    risk_factors: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['id', 'label', 'points'],
+        properties: riskFactorProperties,
+        additionalProperties: false
+      }
+    }
+  },
+  additionalProperties: false,
+  definitions: { fieldPath, fieldRef, comparison, numericComparison, expression }
+};
+
+/**
+ * Meta-schema for organization scoring model overrides: every part is optional
+ */
+export const SCORING_MODEL_OVERRIDE_META_SCHEMA = {
+  ...SCORING_MODEL_META_SCHEMA,
+  $id: 'scoring-model-override-meta',
+  required: ['version'],
+  properties: {
+    ...SCORING_MODEL_META_SCHEMA.properties,
+    thresholds: { ...SCORING_MODEL_META_SCHEMA.properties.thresholds, required: [] },
+    risk_factors: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['id'],
+        properties: riskFactorProperties,
+        additionalProperties: false
+      }
+    }
+  }
+};
+
+const ajv = new Ajv({ allErrors: true, verbose: true, allowUnionTypes: true });
+const validateQuestionnaireMeta = ajv.compile(QUESTIONNAIRE_META_SCHEMA);
+const validateTagSchemaMeta = ajv.compile(TAG_SCHEMA_META_SCHEMA);
+const validatePolicyMeta = ajv.compile(POLICY_META_SCHEMA);
+const validateScoringModelMeta = ajv.compile(SCORING_MODEL_META_SCHEMA);
+const validateScoringModelOverrideMeta = ajv.compile(SCORING_MODEL_OVERRIDE_META_SCHEMA);
+
+/**
+ * Builds a JSON pointer from path segments (RFC 6901 escaping)
+ * @param segments - Object keys and array indexes
+ * @returns JSON pointer, e.g. "/questions/0/triggers/on-premise"
+ */
+export function toPointer(...segments: Array<string | number>): string {
+  return segments.map(segment => `/${String(segment).replace(/~/g, '~0').replace(/\//g, '~1')}`).join('');
+}
+
+/**
+ * Converts Ajv errors to schema issues
+ * Errors inside a failed anyOf (including nested anyOfs) are folded into one issue using
+ * the schema's description.
+ */
+function toIssues(errors: ErrorObject[] | null | undefined): SchemaIssue[] {
+  const list = errors || [];
+  const anyOfPaths = list.filter(error => error.keyword === 'anyOf').map(error => error.instancePath);
+  const folded = (error: ErrorObject) => anyOfPaths.some(path => error.instancePath.startsWith(`${path}/`) ||
+    (error.keyword !== 'anyOf' && error.instancePath === path));
+  const issues: SchemaIssue[] = [];
+
+  for (const error of list.filter(candidate => !folded(candidate))) {
+    let message = error.message || 'is invalid';
+    if (error.keyword === 'anyOf' && error.parentSchema && error.parentSchema.description) {
+      message = `must be ${error.parentSchema.description}`;
+    } else if (error.keyword === 'enum') {
+      message = `${message}: ${(error.params as { allowedValues: unknown[] }).allowedValues.join(', ')}`;
+    } else if (error.keyword === 'additionalProperties') {
+      message = `${message} ("${(error.params as { additionalProperty: string }).additionalProperty}")`;
+    } else if (error.keyword === 'if') {
+      continue;
+    }
+    // Nested anyOfs fail at the same pointer; the outermost (reported last) wins
+    const existing = issues.find(issue => issue.pointer === error.instancePath &&
+      (issue.message === message || error.keyword === 'anyOf'));
+    if (existing) {
+      existing.message = message;
+    } else {
+      issues.push({ pointer: error.instancePath, message });
+    }
+  }
+  return issues;
+}
+
+/**
+ * Lists the fields an expression refers to, with the pointer to each reference
+ * Condition strings are split on && and || like the rules engine; the left side of
+ * == / != (or the whole term) is the field, as is a { field } comparison value.
+ * Item paths ("$...") inside any/all are skipped.
+ */
+export function expressionFields(expression: Expression | null | undefined, pointer: string): Array<{ field: string; pointer: string }> {
+  if (expression === null || expression === undefined) {
+    return [];
+  }
+  if (typeof expression === 'string') {
+    return expression
+      .split(/&&|\|\|/)
+      .map(term => term.split(/!=|==/)[0].trim())
+      .filter(field => field !== '')
+      .map(field => ({ field, pointer }));
+  }
+  const [operator, operand] = Object.entries(expression)[0] as [string, any];
+  if (operator === 'not') return expressionFields(operand, `${pointer}/not`);
+  if (operator === 'and' || operator === 'or') {
+    return (operand as Expression[]).flatMap((child, index) => expressionFields(child, `${pointer}/${operator}/${index}`));
+  }
+  const field = Array.isArray(operand) ? operand[0] : operand;
+  const references = field.startsWith('$') ? [] : [{ field, pointer: Array.isArray(operand) ? `${pointer}/${operator}/0` : `${pointer}/${operator}` }];
+  if (operator === 'any' || operator === 'all') {
+    references.push(...expressionFields(operand[1], `${pointer}/${operator}/1`));
+  }
+  const value = Array.isArray(operand) ? operand[1] : undefined;
+  if (value && typeof value === 'object' && typeof value.field === 'string' && !value.field.startsWith('$')) {
+    references.push({ field: value.field, pointer: `${pointer}/${operator}/1/field` });
+  }
+  return references;
+}
+
+/**
+ * Lists the regular expressions (matches operands) in an expression, with their pointers
+ */
+function expressionPatterns(expression: Expression | null | undefined, pointer: string): Array<{ pattern: string; pointer: string }> {
+  if (expression === null || expression === undefined || typeof expression === 'string') {
+    return [];
+  }
+  const [operator, operand] = Object.entries(expression)[0] as [string, any];
+  if (operator === 'matches') return [{ pattern: operand[1], pointer: `${pointer}/matches/1` }];
+  if (operator === 'not') return expressionPatterns(operand, `${pointer}/not`);
+  if (operator === 'and' || operator === 'or') {
+    return (operand as Expression[]).flatMap((child, index) => expressionPatterns(child, `${pointer}/${operator}/${index}`));
+  }
+  if (operator === 'any' || operator === 'all') return expressionPatterns(operand[1], `${pointer}/${operator}/1`);
+  return [];
+}
+
+/**
+ * Checks that a matches operand compiles as a regular expression
+ */
+function checkPattern(pattern: string, pointer: string): SchemaIssue[] {
+  try {
+    new RegExp(pattern);
+    return [];
+  } catch (error) {
+    return [{ pointer, message: `Invalid regular expression: ${(error as Error).message}` }];
+  }
+}
+
+/**
+ * Checks whether a field path refers to a question, directly or nested ("modules[0].owner")
+ */
+function isKnownField(field: string, ids: Set<string>): boolean {
+  return ids.has(field) || [...ids].some(id => field.startsWith(`${id}.`) || field.startsWith(`${id}[`));
+}
+
+/**
+ * Lists a question's trigger target lists with their JSON pointer path
+ * Value-keyed triggers: /triggers/<answer>; expression triggers: /triggers/<i>/ask
+ */
+function triggerTargets(question: Question): Array<{ path: Array<string | number>; targets: string[] }> {
+  if (!question.triggers) {
+    return [];
+  }
+  if (Array.isArray(question.triggers)) {
+    return question.triggers.map((rule, index) => ({ path: ['triggers', index, 'ask'], targets: rule.ask }));
+  }
+  return Object.entries(question.triggers).map(([answer, targets]) => ({ path: ['triggers', answer], targets }));
+}
+
+/**
+ * Finds trigger cycles (a question that, directly or transitively, triggers itself)
+ * @returns One issue per distinct cycle, at the trigger that closes it
+ */
+function findTriggerCycles(schema: QuestionnaireSchema): SchemaIssue[] {
+  const indexById = new Map(schema.questions.map((question, index) => [question.id, index] as [string, number]));
+  const issues: SchemaIssue[] = [];
+  const reported = new Set<string>();
+  const state = new Map<string, 'visiting' | 'done'>();
+  const stack: string[] = [];
+
+  const visit = (id: string) => {
+    state.set(id, 'visiting');
+    stack.push(id);
+    const question = schema.questions[indexById.get(id) as number];
+
+    for (const { path, targets } of triggerTargets(question)) {
+      targets.forEach((target, position) => {
+        if (!indexById.has(target)) {
+          return;
+        }
+        if (state.get(target) === 'visiting') {
+          const cycle = [...stack.slice(stack.indexOf(target)), target];
+          const key = [...cycle.slice(0, -1)].sort().join('|');
+          if (!reported.has(key)) {
+            reported.add(key);
+            issues.push({
+              pointer: toPointer('questions', indexById.get(id) as number, ...path, position),
+              message: `Trigger cycle: ${cycle.join(' → ')}`
+            });
+          }
+        } else if (!state.has(target)) {
+          visit(target);
+        }
+      });
+    }
+
+    stack.pop();
+    state.set(id, 'done');
+  };
+
+  for (const question of schema.questions) {
+    if (!state.has(question.id)) {
+      visit(question.id);
+    }
+  }
+  return issues;
+}
+
+function sameValues(a: unknown[], b: unknown[]): boolean {
+  return a.length === b.length && a.every(value => b.includes(value)) && b.every(value => a.includes(value));
+}
+
+/**
+ * Integrity checks meta-validation cannot express
+ * @param schema - A questionnaire that passed meta-validation
+ * @param tagSchema - Tag schema for the tag checks (skipped when omitted)
+ * @returns Issues with JSON pointers
+ */
+export function checkQuestionnaireIntegrity(schema: QuestionnaireSchema, tagSchema?: TagSchema): SchemaIssue[] {
+  const issues: SchemaIssue[] = [];
+  const ids = new Set<string>();
+
+  schema.questions.forEach((question, index) => {
+    if (ids.has(question.id)) {
+      issues.push({ pointer: toPointer('questions', index, 'id'), message: `Duplicate question id "${question.id}"` });
+    }
+    ids.add(question.id);
+  });
+
+  schema.questions.forEach((question, index) => {
+    if (!schema.stages.includes(question.stage)) {
+      issues.push({ pointer: toPointer('questions', index, 'stage'), message: `Unknown stage "${question.stage}" (stages: ${schema.stages.join(', ')})` });
+    }
+
+    for (const { path, targets } of triggerTargets(question)) {
+      targets.forEach((target, position) => {
+        if (!ids.has(target)) {
+          issues.push({ pointer: toPointer('questions', index, ...path, position), message: `Trigger target "${target}" is not a question` });
+        }
+      });
+    }
+
+    if (Array.isArray(question.triggers)) {
+      question.triggers.forEach((rule, position) => {
+        for (const reference of expressionFields(rule.when, toPointer('questions', index, 'triggers', position, 'when'))) {
+          if (!isKnownField(reference.field, ids)) {
+            issues.push({ pointer: reference.pointer, message: `Trigger condition references unknown field "${reference.field}"` });
+          }
+        }
+        for (const { pattern, pointer } of expressionPatterns(rule.when, toPointer('questions', index, 'triggers', position, 'when'))) {
+          issues.push(...checkPattern(pattern, pointer));
+        }
+      });
+    }
+
+    for (const reference of expressionFields(question.skip_if, toPointer('questions', index, 'skip_if'))) {
+      if (!isKnownField(reference.field, ids)) {
+        issues.push({ pointer: reference.pointer, message: `skip_if references unknown field "${reference.field}"` });
+      }
+    }
+    for (const { pattern, pointer } of expressionPatterns(question.skip_if, toPointer('questions', index, 'skip_if'))) {
+      issues.push(...checkPattern(pattern, pointer));
+    }
+
+    const allowed = question.validation.enum || (question.validation.items && question.validation.items.enum);
+    if (question.options && Array.isArray(allowed) && !sameValues(question.options, allowed)) {
+      issues.push({
+        pointer: toPointer('questions', index, 'options'),
+        message: `options (${question.options.join(', ')}) do not match validation enum (${allowed.join(', ')})`
+      });
+    }
+
+    if (tagSchema) {
+      question.tags.forEach((tag, position) => {
+        if (!Object.prototype.hasOwnProperty.call(tagSchema.tags, tag)) {
+          issues.push({ pointer: toPointer('questions', index, 'tags', position), message: `Tag "${tag}" is not defined in the tag schema` });
+        }
+      });
+    }
+  });
+
+  // Consistency rules may read any project_data field (e.g. project.start_date), so only
+  // their ids and patterns are checked
+  const ruleIds = new Set<string>();
+  (schema.consistency_rules || []).forEach((rule, index) => {
+    if (ruleIds.has(rule.id)) {
+      issues.push({ pointer: toPointer('consistency_rules', index, 'id'), message: `Duplicate consistency rule id "${rule.id}"` });
+    }
+    ruleIds.add(rule.id);
+    for (const { pattern, pointer } of expressionPatterns(rule.when, toPointer('consistency_rules', index, 'when'))) {
+      issues.push(...checkPattern(pattern, pointer));
+    }
+  });
+
+  return [...issues, ...findTriggerCycles(schema)];
+}
+
+/**
+ * Validates a questionnaire against its meta-schema and integrity checks
+ * @param schema - Parsed questionnaire
+ * @param source - File name for error messages
+ * @param tagSchema - Tag schema for the tag checks (optional)
+ * @throws SchemaValidationError listing every issue
+ */
+export function validateQuestionnaireSchema(schema: unknown, source: string, tagSchema?: TagSchema): QuestionnaireSchema {
+  if (!validateQuestionnaireMeta(schema)) {
+    throw new SchemaValidationError(source, toIssues(validateQuestionnaireMeta.errors));
+  }
+  const questionnaire = schema as unknown as QuestionnaireSchema;
+  const issues = checkQuestionnaireIntegrity(questionnaire, tagSchema);
+  if (issues.length > 0) {
+    throw new SchemaValidationError(source, issues);
+  }
+  return questionnaire;
+}
+
+/**
+ * Validates a tag schema against its meta-schema; field_metadata tags must be defined tags
+ * @param schema - Parsed tag schema
+ * @param source - File name for error messages
+ * @throws SchemaValidationError listing every issue
+ */
+export function validateTagSchema(schema: unknown, source: string): TagSchema {
+  if (!validateTagSchemaMeta(schema)) {
+    throw new SchemaValidationError(source, toIssues(validateTagSchemaMeta.errors));
+  }
+  const tagSchema = schema as unknown as TagSchema;
+  const issues: SchemaIssue[] = [];
+  for (const [field, metadata] of Object.entries(tagSchema.field_metadata)) {
+    metadata.tags.forEach((tag, position) => {
+      if (!Object.prototype.hasOwnProperty.call(tagSchema.tags, tag)) {
+        issues.push({ pointer: toPointer('field_metadata', field, 'tags', position), message: `Tag "${tag}" is not defined in tags` });
+      }
+    });
+  }
+  if (issues.length > 0) {
+    throw new SchemaValidationError(source, issues);
+  }
+  return tagSchema;
+}
+
+/**
+ * Validates a policy file against its meta-schema; policy ids must be unique and
+ * matches patterns must compile
+ * @param policySet - Parsed policy file
+ * @param source - File name for error messages
+ * @throws SchemaValidationError listing every issue
+ */
+export function validatePolicySet(policySet: unknown, source: string): PolicySet {
+  if (!validatePolicyMeta(policySet)) {
+    throw new SchemaValidationError(source, toIssues(validatePolicyMeta.errors));
+  }
+  const policies = (policySet as unknown as PolicySet).policies;
+  const issues: SchemaIssue[] = [];
+  const ids = new Set<string>();
+  policies.forEach((policy, index) => {
+    if (ids.has(policy.id)) {
+      issues.push({ pointer: toPointer('policies', index, 'id'), message: `Duplicate policy id "${policy.id}"` });
+    }
+    ids.add(policy.id);
+    for (const key of ['when', 'require'] as const) {
+      for (const { pattern, pointer } of expressionPatterns(policy[key], toPointer('policies', index, key))) {
+        issues.push(...checkPattern(pattern, pointer));
+      }
+    }
+  });
+  if (issues.length > 0) {
+    throw new SchemaValidationError(source, issues);
+  }
+  return policySet as unknown as PolicySet;
+}
+
+/**
+ * Checks the parts of a scoring model or override that the meta-schema cannot:
+ * ascending thresholds, one condition per risk factor, unique risk factor ids and
+ * compiling matches patterns. Override factors may leave the condition out.
+ */
+function checkScoringModel(model: ScoringModelOverride, partial: boolean): SchemaIssue[] {
+  const issues: SchemaIssue[] = [];
+  const thresholds = COMPLEXITY_LEVELS.filter(level => model.thresholds && model.thresholds[level] !== undefined);
+  thresholds.slice(1).forEach((level, index) => {
+    const previous = thresholds[index];
+    if (model.thresholds![level]! <= model.thresholds![previous]!) {
+      issues.push({ pointer: toPointer('thresholds', level), message: `must be greater than the ${previous} threshold (${model.thresholds![previous]})` });
+    }
+  });
+
+  const ids = new Set<string>();
+  (model.risk_factors || []).forEach((factor, index) => {
+    if (factor.when !== undefined && factor.count !== undefined) {
+      issues.push({ pointer: toPointer('risk_factors', index), message: 'must have either when or count, not both' });
+    } else if (!partial && factor.when === undefined && factor.count === undefined) {
+      issues.push({ pointer: toPointer('risk_factors', index), message: 'must have a when or count condition' });
+    }
+    if (ids.has(factor.id)) {
+      issues.push({ pointer: toPointer('risk_factors', index, 'id'), message: `Duplicate risk factor id "${factor.id}"` });
+    }
+    ids.add(factor.id);
+    for (const { pattern, pointer } of expressionPatterns(factor.when, toPointer('risk_factors', index, 'when'))) {
+      issues.push(...checkPattern(pattern, pointer));
+    }
+  });
+  return issues;
+}
+
+/**
+ * Validates a complexity scoring model against its meta-schema and integrity checks
+ * @param model - Parsed scoring model
+ * @param source - File name for error messages
+ * @throws SchemaValidationError listing every issue
+ */
+export function validateScoringModel(model: unknown, source: string): ScoringModel {
+  if (!validateScoringModelMeta(model)) {
+    throw new SchemaValidationError(source, toIssues(validateScoringModelMeta.errors));
+  }
+  const issues = checkScoringModel(model as unknown as ScoringModel, false);
+  if (issues.length > 0) {
+    throw new SchemaValidationError(source, issues);
+  }
+  return model as unknown as ScoringModel;
+}
+
+/**
+ * Validates an organization scoring model override
+ * @param override - Parsed override
+ * @param source - File name for error messages
+ * @throws SchemaValidationError listing every issue
+ */
+export function validateScoringModelOverride(override: unknown, source: string): ScoringModelOverride {
+  if (!validateScoringModelOverrideMeta(override)) {
+    throw new SchemaValidationError(source, toIssues(validateScoringModelOverrideMeta.errors));
+  }
+  const issues = checkScoringModel(override as unknown as ScoringModelOverride, true);
+  if (issues.length > 0) {
+    throw new SchemaValidationError(source, issues);
+  }
+  return override as unknown as ScoringModelOverride;
+}
@@ -0,0 +1,237 @@
+/**
+ * Resumable interview sessions for TDD Builder
+ *
+ * Persists the state of an interactive interview to disk after every answer,
+ * so an interview interrupted by Ctrl-C, a crash, or a cancelled confirmation
+ * can be finished later with `--resume <session>`:
+ * - Answers collected so far
+ * - Current stage (core → review → deep_dive → confirm)
+ * - Deep dive sections the user chose to skip
+ * - Complexity level, tag focus and industry template
+ *
+ * Sessions are stored as JSON files in .tdd-sessions/ (override with TDD_SESSIONS_DIR).
+ * Writes are synchronous so the state on disk is current even if the process dies.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const SESSION_VERSION = '1.0';
+const STAGES = ['core', 'review', 'deep_dive', 'confirm'];
+
+/**
+ * Get the directory sessions are stored in
+ */
+function getSessionsDir() {
+  return process.env.TDD_SESSIONS_DIR || path.join(process.cwd(), '.tdd-sessions');
+}
+
+/**
+ * Generate a short session ID that is easy to type
+ */
+function generateSessionId() {
+  return crypto.randomBytes(6).toString('hex');
+}
+
+/**
+ * Interview session persisted to disk
+ */
+class InterviewSession {
+  constructor(data = {}) {
+    const now = new Date().toISOString();
+
+    this.id = data.id || generateSessionId();
+    this.version = data.version || SESSION_VERSION;
+    this.status = data.status || 'in_progress';
+    this.stage = data.stage || STAGES[0];
+    this.answers = data.answers || {};
+    this.skippedSections = data.skippedSections || [];
+    this.complexity = data.complexity || null;
+    this.tags = data.tags || [];
+    this.template = data.template || null;
+    this.outputPath = data.outputPath || null;
+    this.createdAt = data.createdAt || now;
+    this.updatedAt = data.updatedAt || now;
+  }
+
+  /**
+   * Path of this session's file
+   */
+  get filePath() {
+    return path.join(getSessionsDir(), `${this.id}.json`);
+  }
+
+  /**
+   * Record (or clear, when null) an answer and save
+   */
+  recordAnswer(questionId, answer) {
+    if (answer === null || answer === undefined) {
+      delete this.answers[questionId];
+    } else {
+      this.answers[questionId] = answer;
+    }
+    this.save();
+  }
+
+  /**
+   * Replace all answers (e.g. after review edits) and save
+   */
+  setAnswers(answers) {
+    this.answers = { ...answers };
+    this.save();
+  }
+
+  /**
+   * Move to a stage and save
+   */
+  setStage(stage) {
+    if (!STAGES.includes(stage)) {
+      throw new Error(`Unknown interview stage: ${stage}. Valid stages: ${STAGES.join(', ')}`);
+    }
+    this.stage = stage;
+    this.save();
+  }
+
+  /**
+   * Check whether the session has already reached (or passed) a stage
+   */
+  hasReachedStage(stage) {
+    return STAGES.indexOf(this.stage) >= STAGES.indexOf(stage);
+  }
+
+  /**
+   * Record a skipped deep dive section and save
+   */
+  skipSection(tag) {
+    if (!this.skippedSections.includes(tag)) {
+      this.skippedSections.push(tag);
+    }
+    this.save();
+  }
+
+  /**
+   * Check whether a deep dive section was skipped
+   */
+  isSectionSkipped(tag) {
+    return this.skippedSections.includes(tag);
+  }
+
+  /**
+   * Mark the session complete once the TDD has been generated
+   */
+  complete(outputPath = null) {
+    this.status = 'complete';
+    this.outputPath = outputPath;
+    this.save();
+  }
+
+  /**
+   * Serialize the session
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      version: this.version,
+      status: this.status,
+      stage: this.stage,
+      answers: this.answers,
+      skippedSections: this.skippedSections,
+      complexity: this.complexity,
+      tags: this.tags,
+      template: this.template,
+      outputPath: this.outputPath,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+
+  /**
+   * Save the session to disk
+   * Writes to a temporary file and renames it so an interrupted write never
+   * leaves a truncated session behind.
+   */
+  save() {
+    this.updatedAt = new Date().toISOString();
+
+    const sessionsDir = getSessionsDir();
+    fs.mkdirSync(sessionsDir, { recursive: true });
+
+    const tempPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(this.toJSON(), null, 2), 'utf8');
+    fs.renameSync(tempPath, this.filePath);
+
+    return this.filePath;
+  }
+}
+
+/**
+ * Read a session file, returning null if it is missing or unreadable
+ */
+function readSessionFile(filePath) {
+  try {
+    return new InterviewSession(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * List saved sessions, most recently updated first
+ */
+function listSessions() {
+  const sessionsDir = getSessionsDir();
+  if (!fs.existsSync(sessionsDir)) {
+    return [];
+  }
+
+  return fs.readdirSync(sessionsDir)
+    .filter(file => file.endsWith('.json'))
+    .map(file => readSessionFile(path.join(sessionsDir, file)))
+    .filter(Boolean)
+    .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+}
+
+/**
+ * Load a session by ID or unique ID prefix
+ */
+function loadSession(idOrPrefix) {
+  if (!idOrPrefix) {
+    throw new Error('A session ID is required');
+  }
+
+  const matches = listSessions().filter(session => session.id.startsWith(idOrPrefix));
+
+  if (matches.length === 0) {
+    throw new Error(`Session '${idOrPrefix}' not found. Use "sessions" to list saved sessions`);
+  }
+
+  const exact = matches.find(session => session.id === idOrPrefix);
+  if (exact) {
+    return exact;
+  }
+
+  if (matches.length > 1) {
+    throw new Error(`Session ID '${idOrPrefix}' is ambiguous: ${matches.map(s => s.id).join(', ')}`);
+  }
+
+  return matches[0];
+}
+
+/**
+ * Delete a saved session
+ */
+function deleteSession(id) {
+  const session = loadSession(id);
+  fs.unlinkSync(session.filePath);
+  return session.id;
+}
+
+module.exports = {
+  STAGES,
+  InterviewSession,
+  getSessionsDir,
+  listSessions,
+  loadSession,
+  deleteSession
+};
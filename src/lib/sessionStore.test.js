@@ -0,0 +1,166 @@
+/**
+ * @fileoverview Unit tests for resumable interview sessions
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sessionStore = require('./sessionStore');
+
+describe('Session Store', () => {
+  const originalDir = process.env.TDD_SESSIONS_DIR;
+  let sessionsDir;
+
+  beforeEach(() => {
+    sessionsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tdd-sessions-'));
+    process.env.TDD_SESSIONS_DIR = sessionsDir;
+  });
+
+  afterEach(() => {
+    fs.rmSync(sessionsDir, { recursive: true, force: true });
+    if (originalDir === undefined) {
+      delete process.env.TDD_SESSIONS_DIR;
+    } else {
+      process.env.TDD_SESSIONS_DIR = originalDir;
+    }
+  });
+
+  describe('InterviewSession', () => {
+    it('should start in the core stage with no answers', () => {
+      const session = new sessionStore.InterviewSession();
+
+      expect(session.id).toMatch(/^[0-9a-f]{12}$/);
+      expect(session.stage).toBe('core');
+      expect(session.status).toBe('in_progress');
+      expect(session.answers).toEqual({});
+    });
+
+    it('should save to disk after every answer', () => {
+      const session = new sessionStore.InterviewSession();
+      session.recordAnswer('project.name', 'Resumable');
+
+      const saved = JSON.parse(fs.readFileSync(session.filePath, 'utf8'));
+      expect(saved.answers['project.name']).toBe('Resumable');
+    });
+
+    it('should clear an answer recorded as null', () => {
+      const session = new sessionStore.InterviewSession({ answers: { 'project.name': 'Resumable' } });
+      session.recordAnswer('project.name', null);
+
+      expect(session.answers['project.name']).toBeUndefined();
+    });
+
+    it('should track stage progression', () => {
+      const session = new sessionStore.InterviewSession();
+      session.setStage('deep_dive');
+
+      expect(session.hasReachedStage('review')).toBe(true);
+      expect(session.hasReachedStage('confirm')).toBe(false);
+    });
+
+    it('should reject unknown stages', () => {
+      const session = new sessionStore.InterviewSession();
+      expect(() => session.setStage('done')).toThrow('Unknown interview stage');
+    });
+
+    it('should record skipped sections once', () => {
+      const session = new sessionStore.InterviewSession();
+      session.skipSection('security');
+      session.skipSection('security');
+
+      expect(session.skippedSections).toEqual(['security']);
+      expect(session.isSectionSkipped('security')).toBe(true);
+      expect(session.isSectionSkipped('privacy')).toBe(false);
+    });
+
+    it('should mark the session complete with its output path', () => {
+      const session = new sessionStore.InterviewSession();
+      session.complete('output/test_tdd.md');
+
+      const loaded = sessionStore.loadSession(session.id);
+      expect(loaded.status).toBe('complete');
+      expect(loaded.outputPath).toBe('output/test_tdd.md');
+    });
+
+    it('should not leave temporary files behind', () => {
+      const session = new sessionStore.InterviewSession();
+      session.save();
+
+      expect(fs.readdirSync(sessionsDir)).toEqual([`${session.id}.json`]);
+    });
+  });
+
+  describe('loadSession', () => {
+    it('should restore answers, stage, complexity and template', () => {
+      const session = new sessionStore.InterviewSession({
+        complexity: 'enterprise',
+        template: 'fintech',
+        tags: ['security']
+      });
+      session.recordAnswer('doc.version', '1.0.0');
+      session.skipSection('privacy');
+      session.setStage('deep_dive');
+
+      const loaded = sessionStore.loadSession(session.id);
+      expect(loaded.answers).toEqual({ 'doc.version': '1.0.0' });
+      expect(loaded.stage).toBe('deep_dive');
+      expect(loaded.complexity).toBe('enterprise');
+      expect(loaded.template).toBe('fintech');
+      expect(loaded.tags).toEqual(['security']);
+      expect(loaded.skippedSections).toEqual(['privacy']);
+    });
+
+    it('should load a session by unique prefix', () => {
+      const session = new sessionStore.InterviewSession();
+      session.save();
+
+      expect(sessionStore.loadSession(session.id.slice(0, 6)).id).toBe(session.id);
+    });
+
+    it('should reject ambiguous prefixes', () => {
+      new sessionStore.InterviewSession({ id: 'abc111' }).save();
+      new sessionStore.InterviewSession({ id: 'abc222' }).save();
+
+      expect(() => sessionStore.loadSession('abc')).toThrow('ambiguous');
+    });
+
+    it('should throw for unknown sessions', () => {
+      expect(() => sessionStore.loadSession('missing')).toThrow("Session 'missing' not found");
+    });
+  });
+
+  describe('listSessions', () => {
+    it('should return an empty list when no sessions exist', () => {
+      fs.rmSync(sessionsDir, { recursive: true, force: true });
+      expect(sessionStore.listSessions()).toEqual([]);
+    });
+
+    it('should list the most recently updated session first', () => {
+      const older = new sessionStore.InterviewSession({ id: 'older' });
+      older.save();
+      const newer = new sessionStore.InterviewSession({ id: 'newer' });
+      newer.save();
+      newer.updatedAt = new Date(Date.now() + 1000).toISOString();
+      fs.writeFileSync(newer.filePath, JSON.stringify(newer.toJSON()));
+
+      expect(sessionStore.listSessions().map(s => s.id)).toEqual(['newer', 'older']);
+    });
+
+    it('should ignore unreadable session files', () => {
+      fs.writeFileSync(path.join(sessionsDir, 'broken.json'), '{not json');
+      new sessionStore.InterviewSession().save();
+
+      expect(sessionStore.listSessions()).toHaveLength(1);
+    });
+  });
+
+  describe('deleteSession', () => {
+    it('should remove the session file', () => {
+      const session = new sessionStore.InterviewSession();
+      session.save();
+
+      sessionStore.deleteSession(session.id);
+      expect(sessionStore.listSessions()).toEqual([]);
+    });
+  });
+});
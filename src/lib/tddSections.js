@@ -0,0 +1,176 @@
+/**
+ * @fileoverview TDD Section Plan
+ * Describes the stages and subsections of the v5.0 TDD template, which of them
+ * each complexity level includes, and which answers belong to each one.
+ * Used by TDD generation (section pruning) and the review screen preview.
+ */
+
+/**
+ * Stages of templates/tdd_v5.0.md with the answer fields rendered in each
+ * Stages without subsections list their fields directly.
+ */
+const TDD_STAGES = [
+  {
+    stage: 1,
+    title: 'Stage 1: Project Foundation',
+    sections: [
+      { id: '1.1', title: '1.1 Document Information', fields: ['doc.version', 'doc.created_date', 'doc.authors', 'doc.stakeholders', 'doc.approval_status', 'doc.type'] },
+      { id: '1.2', title: '1.2 Executive Summary', fields: ['summary.problem', 'summary.solution', 'summary.key_decisions', 'summary.success_criteria'] }
+    ]
+  },
+  {
+    stage: 2,
+    title: 'Stage 2: Requirements & Context Analysis',
+    sections: [
+      { id: '2.1', title: '2.1 Business Context & Scope', fields: ['context.business_goals', 'context.scope_in', 'context.scope_out', 'context.personas'] },
+      { id: '2.2', title: '2.2 Constraints & Assumptions', fields: ['constraints.technical', 'constraints.business', 'constraints.compliance', 'constraints.assumptions'] }
+    ]
+  },
+  {
+    stage: 3,
+    title: 'Stage 3: Architecture Design',
+    sections: [
+      { id: '3.1', title: '3.1 Solution Strategy & Style', fields: ['architecture.style', 'architecture.principles', 'architecture.tech_stack'] },
+      { id: '3.2', title: '3.2 C4 Model: System Context (Level 1)', fields: ['architecture.c4_l1_description'] },
+      { id: '3.3', title: '3.3 C4 Model: Container Diagram (Level 2)', fields: ['architecture.c4_l2_description'] },
+      { id: '3.4', title: '3.4 Data Model & Flow', fields: ['architecture.data_model', 'architecture.data_flow_description'] },
+      { id: '3.5', title: '3.5 API Contract', fields: ['api.description', 'api.endpoints'] }
+    ]
+  },
+  {
+    stage: 4,
+    title: 'Stage 4: Non-Functional Requirements (NFRs)',
+    fields: ['nfr.performance', 'nfr.scalability', 'nfr.availability', 'nfr.maintainability', 'nfr.usability', 'nfr.cost', 'nfr.tradeoffs'],
+    sections: []
+  },
+  {
+    stage: 5,
+    title: 'Stage 5: Security & Privacy Architecture',
+    sections: [
+      { id: '5.1', title: '5.1 Security by Design', fields: ['security.threat_model', 'security.auth', 'security.controls', 'security.data_classification'] },
+      { id: '5.2', title: '5.2 Privacy by Design', fields: ['privacy.controls', 'privacy.residency', 'privacy.retention'] },
+      { id: '5.3', title: '5.3 [MCP] Tool Security Boundaries', fields: ['security.mcp_protocol_compliance', 'security.mcp_sandboxing_model', 'security.mcp_permission_model'] }
+    ]
+  },
+  {
+    stage: 6,
+    title: 'Stage 6: Operations & Observability',
+    fields: ['ops.deployment_strategy', 'ops.environments', 'ops.logging', 'ops.monitoring', 'ops.disaster_recovery'],
+    sections: []
+  },
+  {
+    stage: 7,
+    title: 'Stage 7: Implementation Planning',
+    fields: ['implementation.methodology', 'implementation.team', 'implementation.roadmap', 'implementation.testing_strategy'],
+    sections: []
+  },
+  {
+    stage: 8,
+    title: 'Stage 8: Risk Management & Technical Debt',
+    fields: ['risks.technical', 'risks.business', 'risks.mitigation', 'debt.known'],
+    sections: []
+  },
+  {
+    stage: 9,
+    title: 'Stage 9: Appendices & References',
+    fields: ['appendices.glossary', 'appendices.references', 'appendices.adrs'],
+    sections: []
+  }
+];
+
+const ALL_STAGES = TDD_STAGES.map(stage => stage.stage);
+
+// Stages included at each complexity level (progressive disclosure)
+// Every stage holding a field getMpkfRequirements requires at a level is included at it
+const STAGES_BY_COMPLEXITY = {
+  base: [1, 2],
+  simple: [1, 2],
+  minimal: [1, 2, 3],
+  standard: [1, 2, 3, 4, 5, 6, 7],
+  startup: [1, 2, 3, 4, 5, 6, 7, 8],
+  comprehensive: [1, 2, 3, 4, 5, 6, 7, 8],
+  enterprise: ALL_STAGES,
+  'mcp-specific': ALL_STAGES,
+  mcp: ALL_STAGES
+};
+
+const DEFAULT_STAGES = [1, 2, 3, 4, 5];
+
+// Subsections of included stages that a level still leaves out
+const SECTIONS_OMITTED_BY_COMPLEXITY = {
+  minimal: ['3.2', '3.3', '3.4'],
+  standard: ['3.3', '3.4', '5.2']
+};
+
+// How omitted sections appear in the generated TDD
+const OMITTED_SECTION_MODES = ['appendix', 'drop', 'include'];
+
+/**
+ * Get the stages and subsections included at a complexity level
+ * @param {string} complexity - The complexity level
+ * @returns {object} - { stages: number[], sections: string[] } (subsection IDs)
+ */
+function getSectionPlan(complexity) {
+  const stages = STAGES_BY_COMPLEXITY[complexity] || DEFAULT_STAGES;
+  const omitted = SECTIONS_OMITTED_BY_COMPLEXITY[complexity] || [];
+
+  const sections = TDD_STAGES
+    .filter(stage => stages.includes(stage.stage))
+    .flatMap(stage => stage.sections.map(section => section.id))
+    .filter(id => !omitted.includes(id));
+
+  return { stages: [...stages], sections };
+}
+
+/**
+ * Get a plan with every stage and subsection (used when omitted sections are included)
+ * @returns {object} - { stages: number[], sections: string[] }
+ */
+function getFullSectionPlan() {
+  return {
+    stages: [...ALL_STAGES],
+    sections: TDD_STAGES.flatMap(stage => stage.sections.map(section => section.id))
+  };
+}
+
+function isAnswered(value) {
+  return value !== undefined && value !== null && value !== '' &&
+    !(Array.isArray(value) && value.length === 0);
+}
+
+/**
+ * List the stages and subsections a plan leaves out, with the answers given for them
+ * A stage left out entirely is listed once; subsections are listed for included stages.
+ * @param {object} plan - Plan from getSectionPlan
+ * @param {object} answers - The project answers
+ * @returns {Array<object>} - [{ id, title, fields }] where fields are the answered field IDs
+ */
+function getOmittedSections(plan, answers = {}) {
+  const answered = fields => fields.filter(field => isAnswered(answers[field]));
+  const omitted = [];
+
+  for (const stage of TDD_STAGES) {
+    if (!plan.stages.includes(stage.stage)) {
+      const fields = [...(stage.fields || []), ...stage.sections.flatMap(section => section.fields)];
+      omitted.push({ id: String(stage.stage), title: stage.title, fields: answered(fields) });
+      continue;
+    }
+    for (const section of stage.sections) {
+      if (!plan.sections.includes(section.id)) {
+        omitted.push({ id: section.id, title: section.title, fields: answered(section.fields) });
+      }
+    }
+  }
+
+  return omitted;
+}
+
+module.exports = {
+  TDD_STAGES,
+  STAGES_BY_COMPLEXITY,
+  SECTIONS_OMITTED_BY_COMPLEXITY,
+  OMITTED_SECTION_MODES,
+  getSectionPlan,
+  getFullSectionPlan,
+  getOmittedSections
+};
@@ -0,0 +1,160 @@
+/**
+ * @fileoverview Unit tests for the TDD section plan and complexity-aware pruning
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  TDD_STAGES,
+  getSectionPlan,
+  getFullSectionPlan,
+  getOmittedSections
+} = require('./tddSections');
+const { validate_and_generate_tdd, getMpkfRequirements } = require('../../handlers/generate_tdd');
+
+const STARTUP_ANSWERS = require('../../tests/sample_startup.json');
+
+describe('TDD Section Plan', () => {
+  describe('TDD_STAGES', () => {
+    it('should cover every field rendered by the template', () => {
+      const template = fs.readFileSync(path.join(__dirname, '../../templates/tdd_v5.0.md'), 'utf8');
+      const planned = new Set(TDD_STAGES.flatMap(stage => [
+        ...(stage.fields || []),
+        ...stage.sections.flatMap(section => section.fields)
+      ]));
+      const rendered = [...template.matchAll(/`\{\{([a-z_]+\.[a-z0-9_]+)\}\}`/g)].map(match => match[1]);
+
+      expect(rendered.filter(field => !planned.has(field))).toEqual([]);
+    });
+  });
+
+  describe('getSectionPlan', () => {
+    it('should limit base to the first two stages', () => {
+      expect(getSectionPlan('base')).toEqual({ stages: [1, 2], sections: ['1.1', '1.2', '2.1', '2.2'] });
+      expect(getSectionPlan('simple')).toEqual(getSectionPlan('base'));
+    });
+
+    it('should leave out subsections a level does not cover', () => {
+      const plan = getSectionPlan('standard');
+
+      expect(plan.stages).toEqual([1, 2, 3, 4, 5, 6, 7]);
+      expect(plan.sections).toContain('3.2');
+      expect(plan.sections).not.toContain('3.3');
+      expect(plan.sections).not.toContain('5.2');
+      expect(plan.sections).toContain('5.3');
+    });
+
+    it('should include everything at enterprise level', () => {
+      expect(getSectionPlan('enterprise')).toEqual(getFullSectionPlan());
+    });
+
+    it('should render every field required at a level', () => {
+      const location = field => {
+        const stage = TDD_STAGES.find(candidate => (candidate.fields || []).includes(field) ||
+          candidate.sections.some(section => section.fields.includes(field)));
+        const section = stage && stage.sections.find(candidate => candidate.fields.includes(field));
+        return stage && { stage: stage.stage, section: section && section.id };
+      };
+      const pruned = [];
+
+      for (const level of ['base', 'minimal', 'standard', 'comprehensive', 'enterprise', 'simple', 'startup', 'mcp-specific']) {
+        const plan = getSectionPlan(level);
+        for (const field of Object.keys(getMpkfRequirements(level).required_fields)) {
+          const found = location(field);
+          if (found && (!plan.stages.includes(found.stage) || (found.section && !plan.sections.includes(found.section)))) {
+            pruned.push(`${level}: ${field}`);
+          }
+        }
+      }
+
+      expect(pruned).toEqual([]);
+    });
+  });
+
+  describe('getOmittedSections', () => {
+    it('should collapse omitted stages and list the answers given for them', () => {
+      const omitted = getOmittedSections(getSectionPlan('base'), {
+        'architecture.style': 'Monolith',
+        'api.endpoints': [],
+        'ops.logging': ''
+      });
+
+      expect(omitted.map(section => section.id)).toEqual(['3', '4', '5', '6', '7', '8', '9']);
+      expect(omitted[0]).toEqual({ id: '3', title: 'Stage 3: Architecture Design', fields: ['architecture.style'] });
+      expect(omitted[3].fields).toEqual([]);
+    });
+
+    it('should list omitted subsections of included stages', () => {
+      const omitted = getOmittedSections(getSectionPlan('minimal'), { 'architecture.data_model': 'Users, Orders' });
+
+      expect(omitted.slice(0, 3)).toEqual([
+        { id: '3.2', title: '3.2 C4 Model: System Context (Level 1)', fields: [] },
+        { id: '3.3', title: '3.3 C4 Model: Container Diagram (Level 2)', fields: [] },
+        { id: '3.4', title: '3.4 Data Model & Flow', fields: ['architecture.data_model'] }
+      ]);
+    });
+  });
+
+  describe('TDD generation', () => {
+    const generate = (args) => validate_and_generate_tdd({ project_data: STARTUP_ANSWERS, allowIncomplete: true, ...args });
+
+    it('should render a base TDD as a two-stage brief with a collapsed appendix', async () => {
+      const result = await generate({ complexity: 'base' });
+
+      expect(result.tdd).toContain('## Stage 2: Requirements & Context Analysis');
+      expect(result.tdd).not.toContain('## Stage 3: Architecture Design');
+      expect(result.tdd).not.toContain('@startuml');
+      expect(result.tdd).toContain('## Appendix: Omitted Sections');
+      expect(result.tdd).toContain('| Stage 3: Architecture Design | `architecture.style, architecture.tech_stack, architecture.c4_l1_description` |');
+      expect(result.tdd).toContain('| Stage 9: Appendices & References | None |');
+    });
+
+    it('should prune subsections within included stages', async () => {
+      const result = await generate({ complexity: 'standard' });
+
+      expect(result.tdd).toContain('### 3.2 C4 Model: System Context (Level 1)');
+      expect(result.tdd).not.toContain('### 5.2 Privacy by Design');
+      expect(result.tdd).toContain('| 5.2 Privacy by Design | None |');
+      expect(result.tdd).toContain('## Stage 6: Operations & Observability');
+      expect(result.tdd).toContain(`\`${STARTUP_ANSWERS['ops.deployment_strategy']}\``);
+      expect(result.tdd).toMatch(/\| Stage 8: Risk Management & Technical Debt \| `[^`]*risks\.technical/);
+    });
+
+    it('should drop omitted sections without an appendix', async () => {
+      const result = await generate({ complexity: 'base', omitted_sections: 'drop' });
+
+      expect(result.tdd).not.toContain('## Stage 3');
+      expect(result.tdd).not.toContain('Omitted Sections');
+    });
+
+    it('should include every stage on request', async () => {
+      const result = await generate({ complexity: 'base', omitted_sections: 'include' });
+
+      expect(result.tdd).toContain('## Stage 9: Appendices & References');
+      expect(result.tdd).not.toContain('Omitted Sections');
+    });
+
+    it('should reject unknown modes', async () => {
+      const result = await generate({ complexity: 'base', omitted_sections: 'hide' });
+
+      expect(result.status).toBe('error');
+      expect(result.validation_errors).toEqual(['omitted_sections must be one of: appendix, drop, include']);
+    });
+
+    it('should read the default mode from tdd.config.json', async () => {
+      const cwd = process.cwd();
+      const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tdd-sections-'));
+      fs.writeFileSync(path.join(tempDir, 'tdd.config.json'), JSON.stringify({ sections: { omitted: 'drop' } }));
+
+      try {
+        process.chdir(tempDir);
+        const result = await generate({ complexity: 'base' });
+        expect(result.tdd).not.toContain('Omitted Sections');
+      } finally {
+        process.chdir(cwd);
+        fs.rmSync(tempDir, { recursive: true, force: true });
+      }
+    });
+  });
+});
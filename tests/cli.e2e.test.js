@@ -393,6 +393,56 @@ describe('CLI End-to-End Tests', () => {
     });
   });
 
+  describe('Explain Command', () => {
+    const answersFile = path.join(testTempDir, 'explain_answers.json');
+
+    beforeAll(() => {
+      fs.mkdirSync(testTempDir, { recursive: true });
+      fs.writeFileSync(answersFile, JSON.stringify({ 'deployment.model': 'on-premise' }));
+    });
+
+    afterAll(() => {
+      cleanupFile(answersFile);
+    });
+
+    it('should explain why a question is skipped as JSON', () => {
+      const result = runCLI(`explain cloud.provider --answers ${answersFile} --json`);
+      const explanation = JSON.parse(result.stdout);
+
+      expect(result.success).toBe(true);
+      expect(explanation.status).toBe('skipped');
+      expect(explanation.skip_if.trace.children.map(child => child.result)).toEqual([true, true]);
+      expect(explanation.triggers.map(trigger => `${trigger.key}:${trigger.fired}`)).toEqual(['cloud:false', 'hybrid:false']);
+    });
+
+    it('should print the trace and fail for unknown questions', () => {
+      expect(runCLI(`explain datacenter.location --answers ${answersFile}`).stdout).toContain('Asked: triggered by deployment.model');
+      expect(runCLI('explain cloud.zone').success).toBe(false);
+    });
+  });
+
+  describe('Graph Command', () => {
+    const dotFile = path.join(testTempDir, 'questionnaire.dot');
+
+    afterAll(() => {
+      cleanupFile(dotFile);
+    });
+
+    it('should print the Mermaid graph without the banner', () => {
+      const result = runCLI('graph');
+
+      expect(result.success).toBe(true);
+      expect(result.stdout.startsWith('flowchart TD')).toBe(true);
+      expect(result.stdout).toContain('deployment_model -->|"cloud"| cloud_provider');
+    });
+
+    it('should write DOT to --output and reject unknown formats', () => {
+      expect(runCLI(`graph dot --output ${dotFile}`).success).toBe(true);
+      expect(fs.readFileSync(dotFile, 'utf8')).toContain('"privacy.pii" -> "privacy.controls" [label="true"];');
+      expect(runCLI('graph svg').success).toBe(false);
+    });
+  });
+
   describe('Template Support', () => {
     const outputFile = path.join(outputDir, 'test_template_project_tdd.md');
 
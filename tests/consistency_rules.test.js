@@ -0,0 +1,71 @@
+/**
+ * @fileoverview Tests for cross-field consistency rules in validateProjectData and the audit report
+ */
+
+const { validateProjectData, validate_and_generate_tdd } = require('../handlers/generate_tdd');
+const sampleSimple = require('./sample_simple.json');
+
+describe('Cross-field consistency', () => {
+  describe('validateProjectData', () => {
+    it('should report warnings without failing validation', () => {
+      const result = validateProjectData({
+        ...sampleSimple,
+        'deployment.model': 'cloud',
+        'cloud.regions': ['us-east-1'],
+        'operations.sla': '99.999'
+      }, 'base');
+
+      expect(result.valid).toBe(true);
+      expect(result.warnings).toEqual([
+        'operations.sla of 99.999 needs more than one region, but cloud.regions lists at most one (operations.sla, cloud.regions, deployment.model)'
+      ]);
+      expect(result.consistency.map(issue => issue.rule)).toEqual(['five-nines-single-region']);
+    });
+
+    it('should only check the regions of five-nines projects that list cloud regions', () => {
+      const unanswered = validateProjectData({ ...sampleSimple, 'deployment.model': 'cloud', 'operations.sla': '99.999' }, 'base');
+      const onPremise = validateProjectData({ ...sampleSimple, 'deployment.model': 'on-premise', 'operations.sla': '99.999' }, 'base');
+
+      expect(unanswered.consistency).toEqual([]);
+      expect(onPremise.consistency).toEqual([]);
+    });
+
+    it('should report cloud regions on premise once, without the five-nines warning', () => {
+      const result = validateProjectData({
+        ...sampleSimple,
+        'deployment.model': 'on-premise',
+        'cloud.regions': ['us-east-1'],
+        'operations.sla': '99.999'
+      }, 'base');
+
+      expect(result.warnings).toEqual(['cloud.regions is set, but deployment.model is on-premise (deployment.model, cloud.regions)']);
+      expect(result.consistency.map(issue => issue.rule)).toEqual(['cloud-regions-on-premise']);
+    });
+
+    it('should fail validation for error rules', () => {
+      const result = validateProjectData({ ...sampleSimple, 'project.start_date': '2025-06-01', 'project.end_date': '2025-01-01' }, 'base');
+
+      expect(result.valid).toBe(false);
+      expect(result.errors).toEqual(['project.end_date is before project.start_date (project.end_date, project.start_date)']);
+    });
+  });
+
+  describe('audit report', () => {
+    it('should list the contradictions in the completeness report', async () => {
+      const result = await validate_and_generate_tdd({
+        project_data: { ...sampleSimple, 'privacy.pii': true },
+        complexity: 'base'
+      });
+
+      expect(result.warnings).toEqual(['privacy.pii is true, but no privacy.controls are listed (privacy.pii, privacy.controls)']);
+      expect(result.tdd).toContain('| Cross-Field Consistency | ⚠️ Warning | privacy.pii is true, but no privacy.controls are listed (privacy.pii, privacy.controls) |');
+    });
+
+    it('should pass the check for consistent answers', async () => {
+      const result = await validate_and_generate_tdd({ project_data: sampleSimple, complexity: 'base' });
+
+      expect(result.warnings).toBeUndefined();
+      expect(result.tdd).toContain('| Cross-Field Consistency | ✅ Passed | No contradictions found between answers. |');
+    });
+  });
+});
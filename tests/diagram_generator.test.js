@@ -0,0 +1,163 @@
+/**
+ * @fileoverview Tests for answer-driven C4/data-flow diagram generation
+ */
+
+const {
+  parseTechStack,
+  classifyTechnology,
+  buildArchitectureModel,
+  generateDiagram
+} = require('../utils/diagramGenerator');
+const { validate_and_generate_tdd } = require('../handlers/generate_tdd');
+const sampleEnterprise = require('./sample_enterprise.json');
+
+const PROJECT = {
+  'project.name': 'Payments Hub',
+  'summary.solution': 'A payment orchestration service. It routes payments to providers.',
+  'context.personas': 'Merchants, Support Agents',
+  'architecture.tech_stack': 'Node.js, TypeScript, AWS (EKS, SQS), Stripe, Terraform',
+  'database.type': 'postgresql',
+  'cloud.provider': 'aws',
+  'deployment.model': 'cloud',
+  modules: [
+    { name: 'Checkout API', goal: 'Accept payment requests from merchants.', deps: ['Ledger', 'SQS'] },
+    { name: 'Ledger', goal: 'Record every transaction.', deps: ['PostgreSQL', 'Stripe', 'Legacy ERP'] }
+  ]
+};
+
+describe('Diagram Generator', () => {
+  describe('parseTechStack', () => {
+    it('should keep parenthesised services with their parent', () => {
+      expect(parseTechStack('AWS (EKS, RDS), Kafka')).toEqual([
+        { name: 'AWS', children: ['EKS', 'RDS'] },
+        { name: 'Kafka', children: [] }
+      ]);
+    });
+
+    it('should split "+" separated children and accept arrays', () => {
+      expect(parseTechStack('Supabase (PostgreSQL + Auth)')[0].children).toEqual(['PostgreSQL', 'Auth']);
+      expect(parseTechStack(['Redis', 'Go'])).toEqual([
+        { name: 'Redis', children: [] },
+        { name: 'Go', children: [] }
+      ]);
+    });
+
+    it('should ignore missing answers', () => {
+      expect(parseTechStack(undefined)).toEqual([]);
+      expect(parseTechStack('*Not Provided*')).toEqual([]);
+    });
+  });
+
+  describe('classifyTechnology', () => {
+    it('should classify known technologies', () => {
+      expect(classifyTechnology('PostgreSQL 15')).toEqual({ kind: 'datastore', label: 'PostgreSQL' });
+      expect(classifyTechnology('Apache Kafka')).toEqual({ kind: 'queue', label: 'Kafka' });
+      expect(classifyTechnology('Stripe')).toEqual({ kind: 'external', label: 'Stripe' });
+      expect(classifyTechnology('EKS')).toEqual({ kind: 'platform', label: 'EKS' });
+      expect(classifyTechnology('GitHub Actions')).toEqual({ kind: 'tooling', label: 'GitHub Actions' });
+    });
+
+    it('should treat anything else as a container technology', () => {
+      expect(classifyTechnology('Next.js')).toEqual({ kind: 'technology', label: 'Next.js' });
+    });
+  });
+
+  describe('buildArchitectureModel', () => {
+    const model = buildArchitectureModel(PROJECT);
+
+    it('should derive containers from modules', () => {
+      expect(model.containers.map(c => c.name)).toEqual(['Checkout API', 'Ledger']);
+      expect(model.containers[0].technology).toBe('Node.js, TypeScript');
+    });
+
+    it('should derive data stores, brokers and external systems', () => {
+      expect(model.datastores.map(d => d.name)).toEqual(['PostgreSQL']);
+      expect(model.queues.map(q => q.name)).toEqual(['Amazon SQS']);
+      expect(model.externals.map(e => e.name)).toEqual(['Stripe', 'Legacy ERP']);
+    });
+
+    it('should derive relationships from module deps', () => {
+      expect(model.relationships).toEqual(expect.arrayContaining([
+        { from: 'container_checkout_api', to: 'container_ledger', label: 'Uses' },
+        { from: 'container_checkout_api', to: 'queue_amazon_sqs', label: 'Publishes/consumes events' },
+        { from: 'container_ledger', to: 'db_postgresql', label: 'Reads/writes' },
+        { from: 'container_ledger', to: 'ext_legacy_erp', label: 'Calls API' }
+      ]));
+    });
+
+    it('should derive people and the deployment boundary', () => {
+      expect(model.people.map(p => p.name)).toEqual(['Merchants', 'Support Agents']);
+      expect(model.boundary).toBe('AWS Cloud - EKS');
+    });
+
+    it('should describe hybrid deployments', () => {
+      const hybrid = buildArchitectureModel({
+        ...PROJECT,
+        'deployment.model': 'hybrid',
+        'datacenter.location': 'Frankfurt'
+      });
+      expect(hybrid.boundary).toBe('Hybrid: AWS Cloud + On-Premise Data Center (Frankfurt) - EKS');
+    });
+
+    it('should keep aliases unique when names slug the same', () => {
+      const clashing = buildArchitectureModel({
+        'project.name': 'Identity',
+        modules: [{ name: 'Auth Service' }, { name: 'auth-service' }]
+      });
+
+      expect(clashing.containers.map(c => c.alias)).toEqual(['container_auth_service', 'container_auth_service_2']);
+    });
+
+    it('should fall back to a single application container', () => {
+      const minimal = buildArchitectureModel({ 'project.name': 'Notes', 'database.type': 'sqlite' });
+
+      expect(minimal.containers.map(c => c.name)).toEqual(['Notes Application']);
+      expect(minimal.people.map(p => p.name)).toEqual(['User']);
+      expect(minimal.relationships).toEqual([
+        { from: 'person_user', to: 'container_notes_application', label: 'Uses' },
+        { from: 'container_notes_application', to: 'db_sqlite', label: 'Reads/writes' }
+      ]);
+      expect(minimal.boundary).toBeNull();
+    });
+  });
+
+  describe('generateDiagram', () => {
+    it('should generate a C4 context diagram', () => {
+      const diagram = generateDiagram('C4 Model - Level 1', 'Merchants "pay" through the hub.', PROJECT);
+
+      expect(diagram).toMatch(/^\n```plantuml\n@startuml\n!include <C4\/C4_Context>/);
+      expect(diagram).toContain('System(system, "Payments Hub", "Merchants \'pay\' through the hub.")');
+      expect(diagram).toContain('System_Ext(ext_stripe, "Stripe", "External service")');
+      expect(diagram).toContain('Rel(person_merchants, system, "Uses")');
+      expect(diagram).not.toContain('Main System');
+    });
+
+    it('should generate a C4 container diagram', () => {
+      const diagram = generateDiagram('C4 Model - Level 2', 'Containers', PROJECT);
+
+      expect(diagram).toContain('!include <C4/C4_Container>');
+      expect(diagram).toContain('Boundary(deployment, "AWS Cloud - EKS") {');
+      expect(diagram).toContain('ContainerDb(db_postgresql, "PostgreSQL", "Database")');
+      expect(diagram).toContain('Rel(container_checkout_api, container_ledger, "Uses")');
+    });
+
+    it('should generate a data flow diagram', () => {
+      const diagram = generateDiagram('Data Flow Diagram', 'Payments flow', PROJECT);
+
+      expect(diagram).toContain('!include <C4/C4_Dynamic>');
+      expect(diagram).toContain('caption Payments flow');
+      expect(diagram).toContain('ContainerQueue(queue_amazon_sqs, "Amazon SQS", "Message broker")');
+    });
+  });
+
+  describe('TDD integration', () => {
+    it('should embed diagrams derived from the sample answers', async () => {
+      const result = await validate_and_generate_tdd({ project_data: sampleEnterprise, complexity: 'enterprise' });
+
+      expect(result.status).toBe('complete');
+      expect(result.tdd).toContain('title Enterprise Customer Data Platform - System Context (C4 Level 1)');
+      expect(result.tdd).toContain('ContainerQueue(queue_kafka, "Kafka", "Message broker")');
+      expect(result.tdd).not.toContain('[Main System]');
+    });
+  });
+});
@@ -0,0 +1,136 @@
+/**
+ * @fileoverview Tests for local PlantUML diagram rendering in exports
+ * A stub `plantuml` executable stands in for the real renderer, so these
+ * tests run without Java or PlantUML installed.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  findPlantUmlRenderer,
+  isDiagramLanguage,
+  renderPlantUml,
+  renderPlantUmlToHtml,
+  clearDiagramCache
+} = require('../utils/diagramRenderer');
+const { renderMarkdown } = require('../utils/markdownRenderer');
+
+const DIAGRAM = '@startuml\ntitle C4-L1: Payments\n[Main System] --> [Database]\n@enduml\n';
+const MARKDOWN = `## 3.2 System Context\n\n\`\`\`plantuml\n${DIAGRAM}\`\`\`\n`;
+
+// Echoes the requested format so tests can check the arguments
+const STUB_RENDERER = `#!/usr/bin/env node
+const format = process.argv.find(arg => arg.startsWith('-t')).slice(2);
+let input = '';
+process.stdin.on('data', chunk => { input += chunk; });
+process.stdin.on('end', () => {
+  if (input.includes('FAIL')) process.exit(1);
+  if (format === 'png') {
+    process.stdout.write(Buffer.from([0x89, 0x50, 0x4e, 0x47]));
+  } else {
+    process.stdout.write('<?xml version="1.0" encoding="UTF-8"?><svg xmlns="http://www.w3.org/2000/svg"><text>' + input.length + '</text></svg>');
+  }
+});
+`;
+
+describe('Diagram Renderer', () => {
+  const originalEnv = { ...process.env };
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'plantuml-'));
+    delete process.env.PLANTUML_BIN;
+    delete process.env.PLANTUML_JAR;
+    process.env.PATH = tempDir;
+    clearDiagramCache();
+  });
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  const installStub = () => {
+    const stubPath = path.join(tempDir, 'plantuml');
+    fs.writeFileSync(stubPath, STUB_RENDERER.replace('/usr/bin/env node', process.execPath), { mode: 0o755 });
+    return stubPath;
+  };
+
+  describe('isDiagramLanguage', () => {
+    it('should recognise plantuml and puml fences', () => {
+      expect(isDiagramLanguage('plantuml')).toBe(true);
+      expect(isDiagramLanguage('puml')).toBe(true);
+      expect(isDiagramLanguage('openapi')).toBe(false);
+    });
+  });
+
+  describe('when no renderer is installed', () => {
+    it('should not find a renderer', () => {
+      expect(findPlantUmlRenderer()).toBeNull();
+      expect(renderPlantUml(DIAGRAM)).toBeNull();
+    });
+
+    it('should fall back to the diagram source', () => {
+      const html = renderMarkdown(MARKDOWN);
+
+      expect(html).toContain('<pre><code class="language-plantuml">@startuml');
+      expect(html).not.toContain('<svg');
+    });
+
+    it('should ignore a PLANTUML_BIN that does not exist', () => {
+      process.env.PLANTUML_BIN = path.join(tempDir, 'missing');
+      expect(findPlantUmlRenderer()).toBeNull();
+    });
+  });
+
+  describe('when a renderer is installed', () => {
+    it('should find plantuml on PATH', () => {
+      const stubPath = installStub();
+      expect(findPlantUmlRenderer()).toEqual({ command: stubPath, args: [] });
+    });
+
+    it('should prefer PLANTUML_BIN', () => {
+      const stubPath = installStub();
+      process.env.PATH = '';
+      process.env.PLANTUML_BIN = stubPath;
+
+      expect(findPlantUmlRenderer().command).toBe(stubPath);
+    });
+
+    it('should embed diagrams as inline SVG', () => {
+      installStub();
+      const html = renderMarkdown(MARKDOWN);
+
+      expect(html).toContain('<figure class="diagram" role="img" aria-label="C4-L1: Payments">');
+      expect(html).toContain('<svg xmlns="http://www.w3.org/2000/svg">');
+      expect(html).not.toContain('<?xml');
+      expect(html).not.toContain('@startuml');
+    });
+
+    it('should embed diagrams as PNG data URIs', () => {
+      installStub();
+      const html = renderPlantUmlToHtml(DIAGRAM, 'png');
+      expect(html).toContain('<img src="data:image/png;base64,iVBORw==" alt="C4-L1: Payments">');
+    });
+
+    it('should keep the source when rendering fails', () => {
+      installStub();
+      const html = renderMarkdown('```plantuml\n@startuml\nFAIL\n@enduml\n```');
+
+      expect(html).toContain('<pre><code class="language-plantuml">');
+    });
+
+    it('should keep the source when diagrams are disabled', () => {
+      installStub();
+      const html = renderMarkdown(MARKDOWN, { diagrams: false });
+
+      expect(html).toContain('@startuml');
+      expect(html).not.toContain('<svg');
+    });
+
+    it('should reject unsupported formats', () => {
+      expect(() => renderPlantUml(DIAGRAM, 'gif')).toThrow('Unsupported diagram format');
+    });
+  });
+});
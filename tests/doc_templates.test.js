@@ -0,0 +1,204 @@
+/**
+ * @fileoverview Tests for built-in and organization document templates
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  parseDocumentTemplate,
+  getTemplateDirectory,
+  listDocumentTemplates,
+  loadDocumentTemplate
+} = require('../utils/docTemplates');
+const { validate_and_generate_tdd, clearTemplateCache, getEmbeddedTemplate, EMBEDDED_PARTIALS } = require('../handlers/generate_tdd');
+const sampleStartup = require('./sample_startup.json');
+
+const ORG_TEMPLATE = `---
+name: security-review
+title: Security Review Brief
+complexity: [standard, enterprise]
+requires: [project.name, security.threat_model]
+---
+# Security Review: {{project.name}}
+
+{{security.threat_model}}
+{{> signoff}}
+`;
+
+describe('Document Templates', () => {
+  let orgDir;
+
+  beforeEach(() => {
+    orgDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tdd-doc-templates-'));
+    fs.mkdirSync(path.join(orgDir, 'partials'));
+    fs.writeFileSync(path.join(orgDir, 'security_review.md'), ORG_TEMPLATE);
+    fs.writeFileSync(path.join(orgDir, 'partials', 'signoff.md'), 'Signed off by {{doc.authors}}\n');
+    clearTemplateCache();
+  });
+
+  afterEach(() => {
+    fs.rmSync(orgDir, { recursive: true, force: true });
+    delete process.env.TDD_TEMPLATE_DIR;
+    clearTemplateCache();
+  });
+
+  describe('parseDocumentTemplate', () => {
+    it('should read the metadata and strip the front matter', () => {
+      const template = parseDocumentTemplate('---\nname: brief\ncomplexity: all\nrequires: [project.name]\n---\n# {{project.name}}\n', 'brief.md');
+
+      expect(template).toMatchObject({ name: 'brief', title: 'brief', requires: ['project.name'], template: '# {{project.name}}\n' });
+      expect(template.complexity).toContain('enterprise');
+    });
+
+    it('should require front matter', () => {
+      expect(() => parseDocumentTemplate('# {{project.name}}', 'bare.md'))
+        .toThrow('Invalid document template bare.md: missing metadata front matter');
+    });
+
+    it('should report every metadata problem at once', () => {
+      const source = '---\nname: Brief\ncomplexity: [base, huge]\nrequires: [project.name, summary.problem]\n---\n# {{project.name}}\n';
+
+      expect(() => parseDocumentTemplate(source, 'brief.md')).toThrow(
+        'Invalid document template brief.md: name must be lowercase letters, digits, ".", "_" or "-"; ' +
+        'unknown complexity level(s): huge'
+      );
+      expect(() => parseDocumentTemplate(source, 'brief.md')).toThrow('requires {{summary.problem}} but the template never uses it');
+    });
+
+    it('should report syntax errors and unknown partials', () => {
+      const unclosed = '---\nname: brief\ncomplexity: all\n---\n{{#if a}}\n';
+      const partial = '---\nname: brief\ncomplexity: all\n---\n{{> footer}}\n';
+
+      expect(() => parseDocumentTemplate(unclosed, 'brief.md')).toThrow('Unclosed {{#if a}} (line 1)');
+      expect(() => parseDocumentTemplate(partial, 'brief.md')).toThrow('unknown partial {{> footer}}');
+      expect(() => parseDocumentTemplate(partial.replace('footer', 'toString'), 'brief.md')).toThrow('unknown partial {{> toString}}');
+    });
+
+    it('should count placeholders used in partials', () => {
+      const source = '---\nname: brief\ncomplexity: all\nrequires: [doc.authors]\n---\n{{> signoff}}\n';
+      expect(() => parseDocumentTemplate(source, 'brief.md', { signoff: '{{doc.authors}}' })).not.toThrow();
+    });
+  });
+
+  describe('registry', () => {
+    it('should ship the full TDD, a one-page RFC and an ADR brief', async () => {
+      const templates = await listDocumentTemplates({ directory: null });
+      expect(templates.map(template => template.name)).toEqual(['adr', 'rfc', 'tdd-v5']);
+    });
+
+    it('should keep the embedded fallback in sync with the template files', () => {
+      const builtin = path.join(__dirname, '..', 'templates');
+
+      expect(getEmbeddedTemplate()).toBe(fs.readFileSync(path.join(builtin, 'tdd_v5.0.md'), 'utf8'));
+      expect(Object.keys(EMBEDDED_PARTIALS)).toEqual(fs.readdirSync(path.join(builtin, 'partials')).map(file => path.basename(file, '.md')));
+      for (const [name, partial] of Object.entries(EMBEDDED_PARTIALS)) {
+        expect(partial).toBe(fs.readFileSync(path.join(builtin, 'partials', `${name}.md`), 'utf8'));
+      }
+    });
+
+    it('should add organization templates and partials', async () => {
+      const templates = await listDocumentTemplates({ directory: orgDir });
+      expect(templates.map(template => template.name)).toContain('security-review');
+
+      const template = await loadDocumentTemplate('security-review', { directory: orgDir });
+      expect(template.complexity).toEqual(['standard', 'enterprise']);
+      expect(template.partials.signoff).toBe('Signed off by {{doc.authors}}\n');
+    });
+
+    it('should let organization templates override built-ins by name', async () => {
+      fs.writeFileSync(path.join(orgDir, 'rfc.md'), '---\nname: rfc\ntitle: Acme RFC\ncomplexity: all\n---\n# Acme RFC\n');
+
+      const template = await loadDocumentTemplate('rfc', { directory: orgDir });
+      expect(template.title).toBe('Acme RFC');
+    });
+
+    it('should load templates from a file path', async () => {
+      const template = await loadDocumentTemplate(path.join(orgDir, 'security_review.md'), { directory: orgDir });
+      expect(template.name).toBe('security-review');
+    });
+
+    it('should list the available names for unknown templates', async () => {
+      await expect(loadDocumentTemplate('memo', { directory: null }))
+        .rejects.toThrow('Unknown document template "memo". Available: adr, rfc, tdd-v5');
+    });
+
+    it('should read the organization directory from the environment or tdd.config.json', () => {
+      fs.writeFileSync(path.join(orgDir, 'tdd.config.json'), JSON.stringify({ templates: { directory: 'org-templates' } }));
+      expect(getTemplateDirectory(orgDir)).toBe(path.join(orgDir, 'org-templates'));
+
+      process.env.TDD_TEMPLATE_DIR = '/srv/templates';
+      expect(getTemplateDirectory(orgDir)).toBe('/srv/templates');
+    });
+  });
+
+  describe('TDD generation', () => {
+    const generate = (args) => validate_and_generate_tdd({ project_data: sampleStartup, allowIncomplete: true, ...args });
+
+    it('should render the one-page RFC', async () => {
+      const result = await generate({ complexity: 'startup', doc_template: 'rfc' });
+
+      expect(result.status).toBe('complete');
+      expect(result.tdd).toMatch(/^# RFC: TaskFlow/);
+      expect(result.tdd).toContain(`## Problem\n${sampleStartup['summary.problem']}`);
+      expect(result.tdd).not.toContain('## Stage 1');
+      expect(result.tdd).toContain("generated from the 'One-Page RFC' document template (rfc)");
+      expect(result.metadata.doc_template).toBe('rfc');
+    });
+
+    it('should only load template files by path from the CLI', async () => {
+      const file = path.join(__dirname, '..', 'templates', 'rfc_one_page.md');
+      const remote = await generate({ complexity: 'startup', doc_template: file });
+      const cli = await validate_and_generate_tdd(
+        { project_data: sampleStartup, allowIncomplete: true, complexity: 'startup', doc_template: file },
+        { allowFilePaths: true }
+      );
+
+      expect(remote.validation_errors).toEqual(['doc_template must be a template name; template file paths are only accepted from the CLI']);
+      expect(cli.tdd).toMatch(/^# RFC: TaskFlow/);
+    });
+
+    it('should reject complexity levels a template does not support', async () => {
+      const result = await generate({ complexity: 'enterprise', doc_template: 'rfc' });
+
+      expect(result.status).toBe('error');
+      expect(result.validation_errors).toEqual([
+        "Document template \"rfc\" does not support complexity 'enterprise' (supported: base, simple, minimal, standard, startup)"
+      ]);
+    });
+
+    it('should ask for answers the template requires', async () => {
+      const project_data = { ...sampleStartup };
+      delete project_data['summary.key_decisions'];
+      const result = await validate_and_generate_tdd({ project_data, complexity: 'base', doc_template: 'adr' });
+
+      expect(result.status).toBe('incomplete');
+      expect(result.missing_fields).toContain('summary.key_decisions');
+      expect(result.adhoc_questions.find(question => question.field === 'summary.key_decisions').question)
+        .toBe('Please provide summary.key_decisions (required by the ADR-Style Design Brief template).');
+    });
+
+    it('should use organization templates and the configured default', async () => {
+      const cwd = process.cwd();
+      fs.writeFileSync(path.join(orgDir, 'tdd.config.json'), JSON.stringify({ templates: { directory: '.', default: 'security-review' } }));
+
+      try {
+        process.chdir(orgDir);
+        const result = await generate({ complexity: 'standard' });
+        expect(result.tdd).toMatch(/^# Security Review: TaskFlow/);
+        expect(result.tdd).toContain(`Signed off by ${sampleStartup['doc.authors']}`);
+      } finally {
+        process.chdir(cwd);
+      }
+    });
+
+    it('should report invalid templates as validation errors', async () => {
+      fs.writeFileSync(path.join(orgDir, 'broken.md'), '---\nname: broken\ncomplexity: all\n---\n{{#each items}}\n');
+      process.env.TDD_TEMPLATE_DIR = orgDir;
+
+      const result = await generate({ complexity: 'standard', doc_template: 'security-review' });
+      expect(result.status).toBe('error');
+      expect(result.validation_errors[0]).toContain('broken.md: Unclosed {{#each items}} (line 1)');
+    });
+  });
+});
@@ -0,0 +1,157 @@
+/**
+ * @fileoverview Tests for HTML, DOCX and Confluence export of rendered TDDs
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const JSZip = require('jszip');
+const { FORMATS, parseFormats, renderDocument, exportDocument } = require('../utils/documentExporter');
+
+const TDD = `# Technical Design Document: Payments
+
+## Stage 1: Project Foundation
+### 1.1 Document Information
+| Field | Value |
+|---|---|
+| **TDD Version** | \`1.0\` |
+
+### 1.2 Executive Summary
+- **Problem Statement:** Slow payouts
+  - Nested detail
+- See [the spec](https://example.com/spec)
+
+1. First step
+2. Second step
+
+## Stage 3: Architecture Design
+\`\`\`plantuml
+@startuml
+title Context ]]> edge
+@enduml
+\`\`\`
+
+\`\`\`yaml
+openapi: 3.1.0
+\`\`\`
+`;
+
+describe('Document Exporter', () => {
+  describe('parseFormats', () => {
+    it('should parse comma-separated formats and aliases', () => {
+      expect(parseFormats('html, DOCX,word,confluence')).toEqual(['html', 'docx', 'confluence']);
+    });
+
+    it('should accept caller-handled formats', () => {
+      expect(parseFormats('pdf,html', ['pdf'])).toEqual(['pdf', 'html']);
+    });
+
+    it('should reject unknown or missing formats', () => {
+      expect(() => parseFormats('html,rtf')).toThrow('Unsupported format: rtf. Use one or more of: md, html, docx, confluence');
+      expect(() => parseFormats('')).toThrow('Unsupported format: (none)');
+    });
+  });
+
+  describe('html', () => {
+    it('should produce a standalone document with a table of contents', async () => {
+      const html = await renderDocument(TDD, 'html');
+
+      expect(html).toMatch(/^<!DOCTYPE html>/);
+      expect(html).toContain('<title>Technical Design Document: Payments</title>');
+      expect(html).toContain('<nav class="toc">');
+      expect(html).toContain('<li><a href="#stage-1-project-foundation">Stage 1: Project Foundation</a><ul>');
+      expect(html).toContain('<li><a href="#11-document-information">1.1 Document Information</a></li>');
+      expect(html).toContain('<h3 id="11-document-information">1.1 Document Information</h3>');
+    });
+  });
+
+  describe('confluence', () => {
+    let xhtml;
+
+    beforeAll(async () => {
+      xhtml = await renderDocument(TDD, 'confluence');
+    });
+
+    it('should start with a toc macro', () => {
+      expect(xhtml).toMatch(/^<ac:structured-macro ac:name="toc">/);
+    });
+
+    it('should render headings without anchor IDs', () => {
+      expect(xhtml).toContain('<h2>Stage 1: Project Foundation</h2>');
+      expect(xhtml).not.toContain(' id="');
+    });
+
+    it('should render code blocks as code macros', () => {
+      expect(xhtml).toContain(
+        '<ac:structured-macro ac:name="code"><ac:parameter ac:name="language">yml</ac:parameter>' +
+        '<ac:plain-text-body><![CDATA[openapi: 3.1.0]]></ac:plain-text-body></ac:structured-macro>'
+      );
+      expect(xhtml).toContain('<ac:parameter ac:name="title">PlantUML</ac:parameter>');
+      expect(xhtml).toContain('title Context ]]]]><![CDATA[> edge');
+    });
+
+    it('should render tables with a single tbody', () => {
+      expect(xhtml).toContain('<table><tbody>\n<tr>\n<th>Field</th>');
+      expect(xhtml).not.toContain('<thead>');
+    });
+
+    it('should be well-formed XHTML', () => {
+      expect(xhtml).not.toMatch(/<br>|<hr>|<img [^>]*[^/]>/);
+      expect(xhtml.match(/<ul>/g).length).toBe(xhtml.match(/<\/ul>/g).length);
+    });
+  });
+
+  describe('docx', () => {
+    let documentXml;
+    let numberingXml;
+
+    beforeAll(async () => {
+      const buffer = await renderDocument(TDD, 'docx');
+      expect(buffer.subarray(0, 2).toString()).toBe('PK');
+
+      const zip = await JSZip.loadAsync(buffer);
+      documentXml = await zip.file('word/document.xml').async('string');
+      numberingXml = await zip.file('word/numbering.xml').async('string');
+    });
+
+    it('should use Word heading styles and a Contents field', () => {
+      expect(documentXml).toContain('<w:pStyle w:val="Heading1"/>');
+      expect(documentXml).toContain('<w:pStyle w:val="Heading3"/>');
+      expect(documentXml).toContain('TOC \\h \\o &quot;2-3&quot;');
+    });
+
+    it('should keep inline formatting, links and tables', () => {
+      expect(documentXml).toContain('<w:t xml:space="preserve">TDD Version</w:t>');
+      expect(documentXml).toContain('<w:tbl>');
+      expect(documentXml).toContain('<w:hyperlink');
+      expect(documentXml).toMatch(/<w:rFonts w:ascii="Consolas"[^>]*\/>.*?openapi: 3.1.0/s);
+    });
+
+    it('should render bullet and numbered lists', () => {
+      expect(documentXml).toMatch(/<w:numPr><w:ilvl w:val="1"\/>/);
+      expect(numberingXml).toContain('w:val="%1."');
+    });
+  });
+
+  describe('exportDocument', () => {
+    let tempDir;
+
+    beforeEach(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tdd-export-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    it('should write each format with its extension', async () => {
+      const basePath = path.join(tempDir, 'nested', 'payments_tdd');
+
+      for (const format of ['html', 'docx', 'confluence']) {
+        const outputPath = await exportDocument(TDD, format, basePath);
+        expect(outputPath).toBe(basePath + FORMATS[format]);
+        expect(fs.statSync(outputPath).size).toBeGreaterThan(0);
+      }
+    });
+  });
+});
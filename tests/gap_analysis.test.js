@@ -0,0 +1,100 @@
+/**
+ * @fileoverview Tests for the weighted gap analysis, the readiness score in the generation metadata
+ * and the answer quality issues listed with the gaps
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { validate_and_generate_tdd } = require('../handlers/generate_tdd');
+const sampleStartup = require('./sample_startup.json');
+
+describe('Weighted gap analysis', () => {
+  it('should report full readiness per stage for complete answers', async () => {
+    const result = await validate_and_generate_tdd({ project_data: sampleStartup, complexity: 'startup' });
+
+    expect(result.metadata.readiness.score).toBe(100);
+    expect(result.tdd).toContain(`**Readiness:** 100% (answered ${result.metadata.readiness.totalWeight} of ${result.metadata.readiness.totalWeight} weighted points)`);
+    expect(result.tdd).toContain('| Stage 8: Risk Management & Technical Debt | 🟢 Complete (100%) | - | Pre-TDD Client Questionnaire v2.0 |');
+    expect(result.tdd).not.toContain('Missing Fields by Impact');
+  });
+
+  it('should rank missing fields by impact and return the same score in the metadata', async () => {
+    const project_data = { ...sampleStartup, 'privacy.pii': true };
+    delete project_data['doc.authors'];
+    delete project_data['security.data_classification'];
+    delete project_data['risks.technical'];
+
+    const result = await validate_and_generate_tdd({ project_data, complexity: 'startup', allowIncomplete: true });
+    const { readiness } = result.metadata;
+
+    expect(readiness.gaps.map(gap => [gap.field, gap.severity])).toEqual([
+      ['security.data_classification', 'medium'],
+      ['risks.technical', 'medium'],
+      ['doc.authors', 'low']
+    ]);
+    expect(readiness.score).toBe(Math.round((readiness.answeredWeight / readiness.totalWeight) * 100));
+    expect(result.tdd).toContain(`**Readiness:** ${readiness.score}%`);
+    expect(result.tdd).toContain('| **Summary** | ⚠️ **3 gaps found** |');
+    expect(result.tdd).toMatch(/\| security\.data_classification \| 🟡 Medium \| 2 \| handlesPII \|[^\n]*\n\| risks\.technical \| 🟡 Medium \| 2 \| - \|[^\n]*\n\| doc\.authors \| ⚪ Low \| 1 \| - \| Who are the authors of this TDD\? \|/);
+  });
+
+  it('should list weak free-text answers in the gap report', async () => {
+    const result = await validate_and_generate_tdd({
+      project_data: { ...sampleStartup, 'security.threat_model': 'TBD', 'nfr.performance': 'Fast' },
+      complexity: 'startup'
+    });
+
+    expect(result.quality.map(issue => [issue.field, issue.rule])).toEqual([
+      ['nfr.performance', 'missing-quantity'],
+      ['security.threat_model', 'placeholder']
+    ]);
+    expect(result.tdd).toContain('### Answer Quality');
+    expect(result.tdd).toContain('| security.threat_model | ⚠️ Warning | placeholder | "TBD" is a placeholder, not an answer |');
+  });
+
+  it('should leave out the answer quality section for good answers', async () => {
+    const result = await validate_and_generate_tdd({ project_data: sampleStartup, complexity: 'startup' });
+
+    expect(result.quality).toBeUndefined();
+    expect(result.tdd).not.toContain('### Answer Quality');
+
+  });
+
+  describe('with an organization scoring model', () => {
+    let tempDir;
+    let modelFile;
+
+    beforeEach(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tdd-scoring-model-'));
+      modelFile = path.join(tempDir, 'scoring_model.json');
+      process.env.TDD_SCORING_MODEL = modelFile;
+    });
+
+    afterEach(() => {
+      delete process.env.TDD_SCORING_MODEL;
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    it('should reject an invalid model as an input error, and pick up the fixed model', async () => {
+      fs.writeFileSync(modelFile, JSON.stringify({ version: '1.0-org', thresholds: { standard: 50 } }));
+      const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      const remote = await validate_and_generate_tdd({ project_data: sampleStartup, complexity: 'startup' });
+      const cli = await validate_and_generate_tdd({ project_data: sampleStartup, complexity: 'startup' }, { allowFilePaths: true });
+
+      expect(remote.status).toBe('error');
+      expect(remote.validation_errors).toEqual(['The complexity scoring model configured for this server could not be loaded; see the server log for details']);
+      expect(errorSpy).toHaveBeenCalledWith(expect.stringContaining(`Invalid schema ${modelFile}`));
+      errorSpy.mockRestore();
+      expect(cli.status).toBe('error');
+      expect(cli.validation_errors[0]).toMatch(/^Invalid schema .*\/thresholds/s);
+
+      fs.writeFileSync(modelFile, JSON.stringify({ version: '1.0-org', thresholds: { comprehensive: 30 } }));
+      const fixed = await validate_and_generate_tdd({ project_data: sampleStartup, complexity: 'startup' });
+
+      expect(fixed.status).toBe('complete');
+      expect(fixed.metadata.readiness.score).toBe(100);
+    });
+  });
+});
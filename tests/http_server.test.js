@@ -0,0 +1,162 @@
+/**
+ * @fileoverview Tests for the local HTTP/REST API
+ * Starts the server on a free localhost port and exercises every endpoint.
+ */
+
+const { startHttpServer } = require('../handlers/http_server');
+
+jest.setTimeout(15000);
+
+const COMPLETE_PROJECT = {
+  'doc.version': '1.0',
+  'project.name': 'HTTP Test',
+  'summary.problem': 'The portal cannot call the CLI',
+  'summary.solution': 'Serve the generator over HTTP'
+};
+
+describe('HTTP API Server', () => {
+  let server;
+  let baseUrl;
+
+  beforeAll(async () => {
+    server = await startHttpServer({ port: 0 });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll((done) => {
+    server.close(done);
+  });
+
+  const postJson = (route, body) => fetch(`${baseUrl}${route}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: typeof body === 'string' ? body : JSON.stringify(body)
+  });
+
+  it('should bind to localhost by default', () => {
+    expect(server.address().address).toBe('127.0.0.1');
+  });
+
+  it('should report health', async () => {
+    const response = await fetch(`${baseUrl}/health`);
+    const body = await response.json();
+
+    expect(response.status).toBe(200);
+    expect(body.status).toBe('ok');
+  });
+
+  describe('POST /api/generate', () => {
+    it('should return a complete TDD envelope', async () => {
+      const response = await postJson('/api/generate', { project_data: COMPLETE_PROJECT, complexity: 'base' });
+      const body = await response.json();
+
+      expect(response.status).toBe(200);
+      expect(body.status).toBe('complete');
+      expect(body.tdd).toContain('# Technical Design Document: HTTP Test');
+      expect(body.metadata.complexity).toBe('base');
+    });
+
+    it('should return adhoc_questions when fields are missing', async () => {
+      const response = await postJson('/api/generate', { project_data: { 'project.name': 'HTTP Test' }, complexity: 'base' });
+      const body = await response.json();
+
+      expect(response.status).toBe(200);
+      expect(body.status).toBe('incomplete');
+      expect(body.adhoc_questions[0]).toEqual(expect.objectContaining({ field: expect.any(String), question: expect.any(String) }));
+    });
+
+    it('should return the error envelope with 400 for invalid input', async () => {
+      const response = await postJson('/api/generate', { project_data: {}, complexity: 'not-a-level' });
+      const body = await response.json();
+
+      expect(response.status).toBe(400);
+      expect(body.status).toBe('error');
+      expect(body.validation_errors.length).toBeGreaterThan(0);
+    });
+
+    it('should reject malformed JSON', async () => {
+      const response = await postJson('/api/generate', '{not json');
+      const body = await response.json();
+
+      expect(response.status).toBe(400);
+      expect(body.status).toBe('error');
+    });
+
+    it('should answer 413 for an oversized body before closing the connection', async () => {
+      const response = await postJson('/api/generate', JSON.stringify({ padding: 'x'.repeat(2 * 1024 * 1024) }));
+      const body = await response.json();
+
+      expect(response.status).toBe(413);
+      expect(body.message).toContain('Request body exceeds');
+    });
+  });
+
+  describe('POST /api/validate', () => {
+    it('should accept valid project data', async () => {
+      const response = await postJson('/api/validate', { project_data: COMPLETE_PROJECT, complexity: 'base' });
+      const body = await response.json();
+
+      expect(response.status).toBe(200);
+      expect(body.status).toBe('valid');
+    });
+
+    it('should report validation errors', async () => {
+      const response = await postJson('/api/validate', {
+        project_data: { 'doc.created_date': 'yesterday' },
+        complexity: 'base'
+      });
+      const body = await response.json();
+
+      expect(response.status).toBe(400);
+      expect(body.status).toBe('error');
+      expect(body.validation_errors.length).toBeGreaterThan(0);
+    });
+  });
+
+  describe('GET /api/requirements/:complexity', () => {
+    it('should return required fields for a level', async () => {
+      const response = await fetch(`${baseUrl}/api/requirements/base`);
+      const body = await response.json();
+
+      expect(response.status).toBe(200);
+      expect(Object.keys(body.required_fields)).toEqual(expect.arrayContaining(['project.name', 'summary.problem']));
+    });
+
+    it('should return 400 for a malformed escape', async () => {
+      const response = await fetch(`${baseUrl}/api/requirements/%E0%A4%A`);
+      const body = await response.json();
+
+      expect(response.status).toBe(400);
+      expect(body.status).toBe('error');
+    });
+
+    it('should reject an unknown level', async () => {
+      const response = await fetch(`${baseUrl}/api/requirements/huge`);
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('GET /api/questionnaire', () => {
+    it('should return the questionnaire schema', async () => {
+      const response = await fetch(`${baseUrl}/api/questionnaire`);
+      const body = await response.json();
+
+      expect(body.stages).toEqual(['core', 'review', 'deep_dive']);
+      expect(body.questions.length).toBeGreaterThan(0);
+    });
+  });
+
+  describe('routing errors', () => {
+    it('should return 404 for unknown routes', async () => {
+      const response = await fetch(`${baseUrl}/api/unknown`);
+      expect(response.status).toBe(404);
+    });
+
+    it('should return 405 with Allow for the wrong method', async () => {
+      const response = await fetch(`${baseUrl}/api/generate`);
+
+      expect(response.status).toBe(405);
+      expect(response.headers.get('allow')).toBe('POST');
+    });
+  });
+});
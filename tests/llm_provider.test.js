@@ -0,0 +1,235 @@
+/**
+ * @fileoverview Tests for the pluggable LLM provider behind the opus hooks
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const {
+  createLocalProvider,
+  loadProvider,
+  resolveProviderConfig,
+  getProvider,
+  clearProviderCache
+} = require('../utils/llmProvider');
+const { validate_and_generate_tdd } = require('../handlers/generate_tdd');
+const sampleStartup = require('./sample_startup.json');
+
+const DIAGRAM_INPUT = {
+  description: 'Web app with Supabase',
+  diagramType: 'C4 Model - Level 1',
+  project_data: { 'project.name': 'TaskFlow', 'architecture.tech_stack': 'Supabase, Stripe' }
+};
+
+describe('LLM Provider', () => {
+  const originalEnv = { ...process.env };
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'llm-provider-'));
+    Object.keys(process.env)
+      .filter(key => key.startsWith('TDD_LLM_'))
+      .forEach(key => delete process.env[key]);
+    clearProviderCache();
+  });
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+    fs.rmSync(tempDir, { recursive: true, force: true });
+    clearProviderCache();
+  });
+
+  describe('local provider', () => {
+    it('should be the default', () => {
+      expect(getProvider().name).toBe('local');
+    });
+
+    it('should be deterministic', async () => {
+      const provider = createLocalProvider();
+      const first = await provider.generateDiagram(DIAGRAM_INPUT);
+
+      expect(await provider.generateDiagram(DIAGRAM_INPUT)).toBe(first);
+      expect(first).toContain('System_Ext(ext_stripe, "Stripe", "External service")');
+      expect(await provider.expandProse({ field: 'summary.problem', text: 'As written' })).toBe('As written');
+    });
+  });
+
+  describe('resolveProviderConfig', () => {
+    it('should read tdd.config.json relative to its directory', () => {
+      fs.writeFileSync(path.join(tempDir, 'tdd.config.json'), JSON.stringify({
+        llm: { provider: 'fixture', fixtures: './fixtures/llm.json', model: 'team-model' }
+      }));
+
+      expect(resolveProviderConfig(tempDir)).toEqual({
+        provider: 'fixture',
+        fixtures: path.join(tempDir, 'fixtures/llm.json'),
+        model: 'team-model'
+      });
+    });
+
+    it('should let environment variables override the config file', () => {
+      fs.writeFileSync(path.join(tempDir, 'tdd.config.json'), JSON.stringify({ llm: { provider: 'fixture' } }));
+      process.env.TDD_LLM_PROVIDER = 'http';
+      process.env.TDD_LLM_ENDPOINT = 'http://localhost:9999/generate';
+      process.env.TDD_LLM_RECORD = '1';
+
+      expect(resolveProviderConfig(tempDir)).toMatchObject({
+        provider: 'http',
+        endpoint: 'http://localhost:9999/generate',
+        record: true
+      });
+    });
+
+    it('should reject an invalid config file', () => {
+      fs.writeFileSync(path.join(tempDir, 'tdd.config.json'), '{ nope');
+      expect(() => resolveProviderConfig(tempDir)).toThrow('Invalid tdd.config.json');
+    });
+  });
+
+  describe('fixture provider', () => {
+    it('should record misses and replay them', async () => {
+      const fixtures = path.join(tempDir, 'llm.json');
+      const recorder = loadProvider({ provider: 'fixture', fixtures, record: true });
+      const recorded = await recorder.generateDiagram(DIAGRAM_INPUT);
+
+      const saved = JSON.parse(fs.readFileSync(fixtures, 'utf8'));
+      const [key] = Object.keys(saved);
+      expect(key).toMatch(/^generateDiagram:[0-9a-f]{16}$/);
+      expect(saved[key]).toEqual({ hook: 'generateDiagram', output: recorded });
+
+      saved[key].output = 'replayed';
+      fs.writeFileSync(fixtures, JSON.stringify(saved));
+      const player = loadProvider({ provider: 'fixture', fixtures });
+      expect(await player.generateDiagram(DIAGRAM_INPUT)).toBe('replayed');
+    });
+
+    it('should fail on a missing fixture when not recording', async () => {
+      const provider = loadProvider({ provider: 'fixture', fixtures: path.join(tempDir, 'empty.json') });
+      await expect(provider.expandProse({ field: 'summary.problem', text: 'x' }))
+        .rejects.toThrow(/^No recorded fixture for expandProse:/);
+    });
+
+    it('should require a fixtures file', () => {
+      expect(() => loadProvider({ provider: 'fixture' })).toThrow('needs a fixtures file');
+    });
+  });
+
+  describe('module providers', () => {
+    it('should load a provider module and fall back to local for missing hooks', async () => {
+      const modulePath = path.join(tempDir, 'shouty.js');
+      fs.writeFileSync(modulePath, `
+        module.exports.createProvider = (config) => ({
+          expandProse: async ({ text }) => text.toUpperCase() + ' (' + config.model + ')'
+        });
+      `);
+      const provider = loadProvider({ provider: modulePath, model: 'm1' });
+
+      expect(provider.name).toBe('shouty.js');
+      expect(await provider.expandProse({ text: 'hello' })).toBe('HELLO (m1)');
+      expect(await provider.generateDiagram(DIAGRAM_INPUT)).toContain('@startuml');
+    });
+
+    it('should reject modules without hooks', () => {
+      const modulePath = path.join(tempDir, 'empty.js');
+      fs.writeFileSync(modulePath, 'module.exports = {};');
+      expect(() => loadProvider({ provider: modulePath })).toThrow('must implement one of');
+    });
+
+    it('should report modules that cannot be loaded', () => {
+      expect(() => loadProvider({ provider: path.join(tempDir, 'missing.js') }))
+        .toThrow('Cannot load LLM provider module');
+    });
+  });
+
+  describe('http provider', () => {
+    let server;
+    let endpoint;
+    let requests;
+
+    beforeEach(async () => {
+      requests = [];
+      server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+          const request = { headers: req.headers, body: JSON.parse(body) };
+          requests.push(request);
+          const status = request.body.input.text === 'fail' ? 500 : 200;
+          res.writeHead(status, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ output: `expanded: ${request.body.input.text}` }));
+        });
+      });
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+      endpoint = `http://127.0.0.1:${server.address().port}/generate`;
+    });
+
+    afterEach(async () => {
+      await new Promise(resolve => server.close(resolve));
+    });
+
+    it('should post hook calls to the endpoint', async () => {
+      const provider = loadProvider({ provider: 'http', endpoint, apiKey: 'secret', model: 'team-model' });
+      const output = await provider.expandProse({ field: 'summary.problem', text: 'short' });
+
+      expect(output).toBe('expanded: short');
+      expect(requests[0].headers.authorization).toBe('Bearer secret');
+      expect(requests[0].body).toEqual({
+        hook: 'expandProse',
+        model: 'team-model',
+        input: { field: 'summary.problem', text: 'short' }
+      });
+    });
+
+    it('should surface endpoint errors', async () => {
+      const provider = loadProvider({ provider: 'http', endpoint });
+      await expect(provider.expandProse({ text: 'fail' })).rejects.toThrow('LLM endpoint returned 500 for expandProse');
+    });
+
+    it('should require an endpoint', () => {
+      expect(() => loadProvider({ provider: 'http' })).toThrow('needs an endpoint');
+    });
+  });
+
+  describe('TDD integration', () => {
+    it('should route the opus hooks through the configured provider', async () => {
+      const modulePath = path.join(tempDir, 'team.js');
+      fs.writeFileSync(modulePath, `
+        module.exports = {
+          generateDiagram: ({ diagramType }) => '\\n[team diagram: ' + diagramType + ']\\n',
+          expandProse: ({ field, text }) => field === 'summary.problem' ? 'Expanded: ' + text : text
+        };
+      `);
+      process.env.TDD_LLM_PROVIDER = modulePath;
+
+      const result = await validate_and_generate_tdd({ project_data: sampleStartup, complexity: 'startup' });
+
+      expect(result.status).toBe('complete');
+      expect(result.tdd).toContain('[team diagram: C4 Model - Level 1]');
+      expect(result.tdd).toContain(`Expanded: ${sampleStartup['summary.problem']}`);
+    });
+
+    it('should replay the recorded startup fixtures', async () => {
+      const fixtures = path.join(__dirname, 'llm_fixtures_startup.json');
+      process.env.TDD_LLM_PROVIDER = 'fixture';
+      process.env.TDD_LLM_FIXTURES = fixtures;
+
+      const result = await validate_and_generate_tdd({ project_data: sampleStartup, complexity: 'startup' });
+      const diagram = Object.values(JSON.parse(fs.readFileSync(fixtures, 'utf8')))
+        .find(fixture => fixture.hook === 'generateDiagram');
+
+      expect(result.status).toBe('complete');
+      expect(result.tdd).toContain(diagram.output);
+    });
+
+    it('should report provider failures', async () => {
+      process.env.TDD_LLM_PROVIDER = 'fixture';
+      process.env.TDD_LLM_FIXTURES = path.join(tempDir, 'none.json');
+
+      const result = await validate_and_generate_tdd({ project_data: sampleStartup, complexity: 'startup' });
+
+      expect(result.status).toBe('error');
+      expect(result.message).toMatch(/^Failed to generate TDD: No recorded fixture for expandProse:/);
+    });
+  });
+});
@@ -0,0 +1,121 @@
+/**
+ * @fileoverview Tests for the Markdown rendering pipeline used by exports
+ */
+
+const { slugify, renderMarkdown, renderTableOfContents, renderHtmlDocument } = require('../utils/markdownRenderer');
+
+describe('Markdown Renderer', () => {
+  describe('slugify', () => {
+    it('should create GitHub-style anchors', () => {
+      expect(slugify('5.3 [MCP] Tool Security Boundaries')).toBe('53-mcp-tool-security-boundaries');
+      expect(slugify('Stage 1: Project Foundation')).toBe('stage-1-project-foundation');
+    });
+  });
+
+  describe('headings', () => {
+    it('should give every heading an anchor ID', () => {
+      const html = renderMarkdown('## 1.1 Document Control\n### Risks & Mitigation');
+
+      expect(html).toContain('<h2 id="11-document-control">1.1 Document Control</h2>');
+      expect(html).toContain('<h3 id="risks--mitigation">Risks &amp; Mitigation</h3>');
+    });
+
+    it('should de-duplicate repeated headings', () => {
+      const html = renderMarkdown('## Overview\n\n## Overview\n\n## Overview');
+
+      expect(html).toContain('id="overview"');
+      expect(html).toContain('id="overview-1"');
+      expect(html).toContain('id="overview-2"');
+    });
+  });
+
+  describe('lists', () => {
+    it('should render nested lists', () => {
+      const html = renderMarkdown('- Parent\n  - Child\n    - Grandchild\n- Sibling');
+
+      expect(html).toBe('<ul>\n<li>Parent\n<ul>\n<li>Child\n<ul>\n<li>Grandchild</li>\n</ul>\n</li>\n</ul>\n</li>\n<li>Sibling</li>\n</ul>\n');
+    });
+
+    it('should wrap each separate list', () => {
+      const html = renderMarkdown('- One\n\nParagraph\n\n1. Two');
+
+      expect(html).toContain('<ul>\n<li>One</li>\n</ul>');
+      expect(html).toContain('<ol>\n<li>Two</li>\n</ol>');
+    });
+  });
+
+  describe('tables', () => {
+    it('should render GFM tables with header cells and alignment', () => {
+      const html = renderMarkdown('| Field | Status |\n|:------|-------:|\n| `doc.version` | ✅ |');
+
+      expect(html).toContain('<thead>\n<tr>\n<th style="text-align:left">Field</th>');
+      expect(html).toContain('<td style="text-align:left"><code>doc.version</code></td>');
+      expect(html).toContain('<td style="text-align:right">✅</td>');
+    });
+  });
+
+  describe('code blocks', () => {
+    it('should syntax-highlight known languages', () => {
+      const html = renderMarkdown('```javascript\nconst x = 1;\n```');
+
+      expect(html).toContain('<pre><code class="hljs language-javascript">');
+      expect(html).toContain('<span class="hljs-keyword">const</span>');
+    });
+
+    it('should escape code in unknown languages', () => {
+      const html = renderMarkdown('```unknownlang\n<script>alert(1)</script>\n```');
+
+      expect(html).toContain('&lt;script&gt;');
+      expect(html).not.toContain('<script>');
+    });
+
+    it('should not split code blocks into line breaks', () => {
+      const html = renderMarkdown('```yaml\nopenapi: 3.0.0\ninfo:\n  title: API\n```');
+      expect(html).not.toContain('<br>');
+    });
+  });
+
+  describe('renderTableOfContents', () => {
+    it('should nest H2 and H3 headings with matching anchors', () => {
+      const toc = renderTableOfContents('# Title\n## Stage 1\n### 1.1 Info\n#### Detail\n## Stage 2');
+
+      expect(toc.replace(/\n/g, '')).toBe(
+        '<nav class="toc"><h2>Contents</h2><ul>' +
+        '<li><a href="#stage-1">Stage 1</a><ul><li><a href="#11-info">1.1 Info</a></li></ul></li>' +
+        '<li><a href="#stage-2">Stage 2</a></li>' +
+        '</ul></nav>'
+      );
+    });
+
+    it('should wrap a leading H3 in a parent list item', () => {
+      const toc = renderTableOfContents('# Title\n### Preface\n## Stage 1');
+
+      expect(toc.replace(/\n/g, '')).toBe(
+        '<nav class="toc"><h2>Contents</h2><ul>' +
+        '<li><ul><li><a href="#preface">Preface</a></li></ul></li>' +
+        '<li><a href="#stage-1">Stage 1</a></li>' +
+        '</ul></nav>'
+      );
+    });
+
+    it('should be empty without headings in range', () => {
+      expect(renderTableOfContents('# Title only')).toBe('');
+    });
+  });
+
+  describe('renderHtmlDocument', () => {
+    it('should produce a self-contained document with inlined styles', () => {
+      const html = renderHtmlDocument('# Title', { title: 'My <TDD>' });
+
+      expect(html).toMatch(/^<!DOCTYPE html>/);
+      expect(html).toContain('<title>My &lt;TDD&gt;</title>');
+      expect(html).toContain('.hljs');
+      expect(html).not.toMatch(/<link|<script/);
+    });
+
+    it('should escape raw HTML from answers', () => {
+      const html = renderHtmlDocument('Injected <img src=x onerror=alert(1)>');
+      expect(html).toContain('&lt;img src=x onerror=alert(1)&gt;');
+    });
+  });
+});
@@ -0,0 +1,167 @@
+/**
+ * @fileoverview Tests for the MCP stdio server
+ * Covers the JSON-RPC lifecycle (initialize, tools/list, tools/call),
+ * error handling, and an end-to-end round trip over a child process.
+ */
+
+const { spawn } = require('child_process');
+const path = require('path');
+const {
+  handleMessage,
+  handleLine,
+  listTools,
+  JSON_RPC_ERRORS,
+  SUPPORTED_PROTOCOL_VERSIONS
+} = require('../handlers/mcp_server');
+
+jest.setTimeout(15000);
+
+const request = (id, method, params) => ({ jsonrpc: '2.0', id, method, params });
+
+describe('MCP Server', () => {
+  describe('initialize', () => {
+    it('should echo a supported protocol version', async () => {
+      const response = await handleMessage(request(1, 'initialize', { protocolVersion: '2024-11-05' }));
+
+      expect(response.id).toBe(1);
+      expect(response.result.protocolVersion).toBe('2024-11-05');
+      expect(response.result.capabilities.tools).toBeDefined();
+      expect(response.result.serverInfo.name).toBe('tdd-builder-mpkf');
+    });
+
+    it('should offer the latest version for an unsupported request', async () => {
+      const response = await handleMessage(request(1, 'initialize', { protocolVersion: '1999-01-01' }));
+      expect(response.result.protocolVersion).toBe(SUPPORTED_PROTOCOL_VERSIONS[0]);
+    });
+  });
+
+  describe('notifications', () => {
+    it('should not respond to notifications/initialized', async () => {
+      const response = await handleMessage({ jsonrpc: '2.0', method: 'notifications/initialized' });
+      expect(response).toBeNull();
+    });
+  });
+
+  describe('tools/list', () => {
+    it('should list validate_and_generate_tdd with its input schema', async () => {
+      const response = await handleMessage(request(2, 'tools/list'));
+      const tool = response.result.tools.find(t => t.name === 'validate_and_generate_tdd');
+
+      expect(tool).toBeDefined();
+      expect(tool.inputSchema.required).toEqual(['project_data', 'complexity']);
+    });
+
+    it('should match the exported tool list', async () => {
+      const response = await handleMessage(request(2, 'tools/list'));
+      expect(response.result.tools).toEqual(listTools());
+    });
+  });
+
+  describe('tools/call', () => {
+    it('should return an incomplete envelope with adhoc_questions', async () => {
+      const response = await handleMessage(request(3, 'tools/call', {
+        name: 'validate_and_generate_tdd',
+        arguments: { project_data: { 'project.name': 'MCP Test' }, complexity: 'base' }
+      }));
+
+      expect(response.result.isError).toBe(false);
+      expect(response.result.structuredContent.status).toBe('incomplete');
+      expect(response.result.structuredContent.adhoc_questions.length).toBeGreaterThan(0);
+
+      const text = JSON.parse(response.result.content[0].text);
+      expect(text.status).toBe('incomplete');
+    });
+
+    it('should generate a complete TDD', async () => {
+      const response = await handleMessage(request(4, 'tools/call', {
+        name: 'validate_and_generate_tdd',
+        arguments: {
+          project_data: {
+            'doc.version': '1.0',
+            'project.name': 'MCP Test',
+            'summary.problem': 'Agents shell out to the CLI',
+            'summary.solution': 'Serve the handler over MCP'
+          },
+          complexity: 'base'
+        }
+      }));
+
+      expect(response.result.structuredContent.status).toBe('complete');
+      expect(response.result.structuredContent.tdd).toContain('# Technical Design Document: MCP Test');
+    });
+
+    it('should flag handler validation errors with isError', async () => {
+      const response = await handleMessage(request(5, 'tools/call', {
+        name: 'validate_and_generate_tdd',
+        arguments: { project_data: {}, complexity: 'not-a-level' }
+      }));
+
+      expect(response.result.isError).toBe(true);
+      expect(response.result.structuredContent.status).toBe('error');
+    });
+
+    it('should report missing required arguments as a tool error', async () => {
+      const response = await handleMessage(request(6, 'tools/call', {
+        name: 'validate_and_generate_tdd',
+        arguments: { complexity: 'base' }
+      }));
+
+      expect(response.result.isError).toBe(true);
+      expect(response.result.content[0].text).toContain('project_data');
+    });
+
+    it('should return INVALID_PARAMS for an unknown tool', async () => {
+      const response = await handleMessage(request(7, 'tools/call', { name: 'nope' }));
+      expect(response.error.code).toBe(JSON_RPC_ERRORS.INVALID_PARAMS);
+    });
+  });
+
+  describe('protocol errors', () => {
+    it('should return METHOD_NOT_FOUND for unknown methods', async () => {
+      const response = await handleMessage(request(8, 'resources/list'));
+      expect(response.error.code).toBe(JSON_RPC_ERRORS.METHOD_NOT_FOUND);
+    });
+
+    it('should return PARSE_ERROR for malformed JSON', async () => {
+      const response = await handleLine('{not json');
+      expect(response.error.code).toBe(JSON_RPC_ERRORS.PARSE_ERROR);
+      expect(response.id).toBeNull();
+    });
+
+    it('should return INVALID_REQUEST for non JSON-RPC 2.0 messages', async () => {
+      const response = await handleMessage({ id: 9, method: 'ping' });
+      expect(response.error.code).toBe(JSON_RPC_ERRORS.INVALID_REQUEST);
+    });
+
+    it('should ignore blank lines', async () => {
+      expect(await handleLine('   ')).toBeNull();
+    });
+  });
+
+  describe('stdio transport', () => {
+    it('should answer requests over stdin/stdout when launched from manifest command', (done) => {
+      const child = spawn('node', [path.join(__dirname, '..', 'handlers', 'generate_tdd.js')], {
+        cwd: path.join(__dirname, '..')
+      });
+
+      let stdout = '';
+      child.stdout.on('data', (chunk) => {
+        stdout += chunk.toString();
+        const lines = stdout.split('\n').filter(Boolean);
+        if (lines.length >= 2) {
+          const responses = lines.map(line => JSON.parse(line));
+          expect(responses[0].id).toBe(1);
+          expect(responses[0].result.serverInfo.name).toBe('tdd-builder-mpkf');
+          expect(responses[1].id).toBe(2);
+          expect(responses[1].result.tools.length).toBeGreaterThan(0);
+          child.kill();
+          done();
+        }
+      });
+
+      child.stdin.write(JSON.stringify(request(1, 'initialize', { protocolVersion: '2024-11-05' })) + '\n');
+      child.stdin.write(JSON.stringify({ jsonrpc: '2.0', method: 'notifications/initialized' }) + '\n');
+      child.stdin.write(JSON.stringify(request(2, 'tools/list')) + '\n');
+    });
+  });
+});
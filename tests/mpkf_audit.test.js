@@ -0,0 +1,178 @@
+/**
+ * @fileoverview Tests for the MPKF self-audit rules and the audit reports they produce
+ */
+
+const { runMpkfAudit, formatAuditRow } = require('../utils/mpkfAudit');
+const { validate_and_generate_tdd } = require('../handlers/generate_tdd');
+const sampleSimple = require('./sample_simple.json');
+const sampleMcp = require('./sample_mcp-specific.json');
+
+// A rendered 'simple' TDD (stages 1 and 2)
+const DOCUMENT = `# Technical Design Document: Dashboard
+
+## Stage 1: Project Foundation
+### 1.1 Document Information
+| Field | Value |
+|---|---|
+| **TDD Version** | \`1.0\` |
+
+### 1.2 Executive Summary
+- **Problem Statement:** \`No visibility\`
+
+## Stage 2: Requirements & Context Analysis
+### 2.1 Business Context & Scope
+- **Business Goals:** \`Visibility\`
+
+### 2.2 Constraints & Assumptions
+- **Technical Constraints:** \`None\`
+
+## Micro Builds Guide
+`;
+
+const ANSWERS = { 'doc.version': '1.0', 'project.name': 'Dashboard', 'summary.problem': 'No visibility', 'summary.solution': 'A dashboard' };
+
+function audit(overrides = {}) {
+  return runMpkfAudit({
+    project_data: ANSWERS,
+    complexity: 'simple',
+    tddOutput: DOCUMENT,
+    requiredFields: Object.keys(ANSWERS),
+    ...overrides
+  });
+}
+
+const byId = (result, id) => result.checks.find(check => check.id === id);
+
+describe('MPKF audit', () => {
+  describe('runMpkfAudit', () => {
+    it('should pass a complete document and record the checks run', () => {
+      const result = audit();
+
+      expect(result.status).toBe('pass');
+      expect(result.checks.map(check => check.item)).toEqual([
+        'Pre-TDD Gating', 'Template Population', 'Complexity Adherence', 'Downstream Compatibility',
+        'Self-Audit Executed', 'MCP Section Handling',
+        'Orphan Variables', 'Required Sections', 'Diagram Generation', 'Document Structure', 'Content Quality', 'Cross-Field Consistency'
+      ]);
+      expect(byId(result, 'mcp-section-handling').status).toBe('n/a');
+      expect(byId(result, 'self-audit').evidence).toBe(
+        '11 checks run against the answers and the rendered document: 9 passed, 0 warning(s), 0 failed, 2 not applicable.'
+      );
+    });
+
+    it('should fail gating for missing fields, invalid dates and script content', () => {
+      const gating = byId(audit({
+        project_data: { ...ANSWERS, 'summary.solution': '', 'project.end_date': '31/12/2025', 'summary.problem': '<img src=x onerror=alert(1)>' }
+      }), 'pre-tdd-gating');
+
+      expect(gating.status).toBe('fail');
+      expect(gating.evidence).toBe(
+        '1 required field(s) missing: summary.solution; invalid ISO 8601 date(s): project.end_date; script content in summary.problem.'
+      );
+    });
+
+    it('should warn about answers over the length limit', () => {
+      const gating = byId(audit({ project_data: { ...ANSWERS, 'summary.solution': 'x'.repeat(10001) } }), 'pre-tdd-gating');
+
+      expect(gating).toMatchObject({ status: 'warn', evidence: 'summary.solution exceed(s) 10,000 characters.' });
+    });
+
+    it('should fail when the rendered stages do not match the section plan', () => {
+      const result = audit({ complexity: 'minimal' });
+
+      expect(byId(result, 'complexity-adherence')).toMatchObject({ status: 'fail', evidence: expect.stringContaining('stage(s) 3 missing') });
+      expect(byId(result, 'required-sections').evidence).toBe('2 required section(s) missing: Stage 3: Architecture Design, 3.1 Solution Strategy & Style');
+      expect(result.status).toBe('fail');
+    });
+
+    it('should fail sections that are out of MPKF order', () => {
+      const swapped = DOCUMENT.replace('### 2.1 Business Context & Scope', '### 2.x').replace('### 2.2 Constraints & Assumptions', '### 2.1 Business Context & Scope')
+        .replace('### 2.x', '### 2.2 Constraints & Assumptions');
+
+      expect(byId(audit({ tddOutput: swapped }), 'required-sections')).toMatchObject({
+        status: 'fail',
+        evidence: 'Sections are present but do not follow the MPKF stage order.'
+      });
+    });
+
+    it('should report orphan tags, placeholder text and malformed tables', () => {
+      const broken = DOCUMENT
+        .replace('`No visibility`', '`{{summary.problem}}`')
+        .replace('`Visibility`', '`*Not Provided*`')
+        .replace('| **TDD Version** | `1.0` |', '| **TDD Version** | `1.0` | extra |');
+      const result = audit({ tddOutput: broken });
+
+      expect(byId(result, 'template-population').status).toBe('fail');
+      expect(byId(result, 'orphan-variables').evidence).toBe('1 orphan variable tag(s) found: \\{\\{summary.problem\\}\\}');
+      expect(byId(result, 'content-quality')).toMatchObject({ status: 'warn', evidence: '1 answer(s) rendered as *Not Provided*: 2.1 Business Context & Scope (1)' });
+      expect(byId(result, 'document-structure')).toMatchObject({ status: 'fail', evidence: 'table row at line 7 has 3 cells (expected 2).' });
+    });
+
+    it('should check diagrams for described diagram sections', () => {
+      const document = DOCUMENT.replace('## Micro Builds Guide', `## Stage 3: Architecture Design
+### 3.1 Solution Strategy & Style
+- **Technology Stack:** \`Node.js\`
+
+### 3.2 C4 Model: System Context (Level 1)
+- **Description:** \`Users call the API\`
+- **Diagram:**
+\`\`\`plantuml
+@startuml
+@enduml
+\`\`\`
+
+## Micro Builds Guide`);
+      const project_data = { ...ANSWERS, 'architecture.c4_l1_description': 'Users call the API' };
+      const plan = { stages: [1, 2, 3], sections: ['1.1', '1.2', '2.1', '2.2', '3.1', '3.2'] };
+
+      expect(byId(audit({ tddOutput: document, project_data, plan }), 'diagram-generation'))
+        .toMatchObject({ status: 'pass', evidence: '1 diagram(s) generated for 3.2.' });
+      expect(byId(audit({ tddOutput: document.replace(/```plantuml[\s\S]*?```\n/, ''), project_data, plan }), 'diagram-generation'))
+        .toMatchObject({ status: 'fail', evidence: 'No diagram generated for 3.2 C4 Model: System Context (Level 1) despite a description.' });
+    });
+
+    it('should skip section checks for templates without the staged layout', () => {
+      const result = audit({ tddOutput: '# ADR: Dashboard\n\n## Context\nNo visibility\n', docTemplate: { name: 'adr', title: 'ADR-Style Design Brief' } });
+
+      expect(byId(result, 'required-sections').status).toBe('n/a');
+      expect(byId(result, 'complexity-adherence').status).toBe('n/a');
+      expect(byId(result, 'template-population').evidence).toContain("generated from the 'ADR-Style Design Brief' document template (adr)");
+      expect(result.status).toBe('pass');
+    });
+  });
+
+  describe('formatAuditRow', () => {
+    it('should escape pipes and newlines in the evidence', () => {
+      expect(formatAuditRow({ item: 'Check', status: 'warn', evidence: 'a | b\nc' })).toBe('| Check | ⚠️ Warning | a \\| b c |');
+    });
+  });
+
+  describe('audit reports', () => {
+    it('should return the audit with the generated TDD', async () => {
+      const result = await validate_and_generate_tdd({ project_data: sampleSimple, complexity: 'simple' });
+
+      expect(result.audit.status).toBe('warn');
+      expect(byId(result.audit, 'content-quality').status).toBe('warn');
+      expect(result.tdd).toContain('| Complexity Adherence | ✅ Passed | Rendered stages 1, 2 match the \'simple\' section plan of the Adaptive Complexity Model. |');
+      expect(result.tdd).toContain('| Content Quality | ⚠️ Warning |');
+    });
+
+    it('should fail gating when generating with missing fields', async () => {
+      const result = await validate_and_generate_tdd({
+        project_data: { ...sampleSimple, 'summary.solution': '' },
+        complexity: 'simple',
+        allowIncomplete: true
+      });
+
+      expect(result.tdd).toContain('| Pre-TDD Gating | 🔴 Failed | 1 required field(s) missing: summary.solution. |');
+      expect(result.audit.status).toBe('fail');
+    });
+
+    it('should pass MCP section handling when the MCP answers are given', async () => {
+      const result = await validate_and_generate_tdd({ project_data: sampleMcp, complexity: 'mcp-specific' });
+
+      expect(byId(result.audit, 'mcp-section-handling').status).toBe('pass');
+      expect(byId(result.audit, 'required-sections').evidence).toBe("All 9 stages and 11 subsections of the 'mcp-specific' plan are present in MPKF order.");
+    });
+  });
+});
@@ -0,0 +1,192 @@
+/**
+ * @fileoverview Tests for OpenAPI 3.1 generation from api.endpoints
+ */
+
+const yaml = require('js-yaml');
+const {
+  validateEndpoints,
+  buildOpenApiDocument,
+  validateOpenApiDocument,
+  generateOpenApi
+} = require('../utils/openApiGenerator');
+const { validate_and_generate_tdd } = require('../handlers/generate_tdd');
+const sampleSimple = require('./sample_simple.json');
+
+const ENDPOINTS = [
+  {
+    method: 'GET',
+    path: '/payments/{paymentId}',
+    summary: 'Get a payment',
+    auth: 'bearer',
+    response: { id: 'uuid', amount: 'integer', currency: 'string', captured_at: 'date-time?' }
+  },
+  {
+    method: 'POST',
+    path: '/payments',
+    summary: 'Create a payment',
+    auth: 'api_key',
+    request: [
+      { name: 'amount', type: 'integer', description: 'Amount in cents' },
+      { name: 'currency', type: 'string' },
+      { name: 'tags', type: 'string[]', required: false }
+    ],
+    response: ['id:uuid']
+  },
+  {
+    method: 'delete',
+    path: '/payments/{paymentId}'
+  }
+];
+
+describe('OpenAPI Generator', () => {
+  describe('validateEndpoints', () => {
+    it('should accept well-formed endpoints', () => {
+      expect(validateEndpoints(ENDPOINTS)).toEqual([]);
+      expect(validateEndpoints(JSON.stringify(ENDPOINTS))).toEqual([]);
+    });
+
+    it('should report bad methods, paths, auth and field types', () => {
+      const errors = validateEndpoints([
+        { method: 'FETCH', path: 'payments', auth: 'magic', request: { amount: 'money' } }
+      ]);
+
+      expect(errors).toEqual([
+        expect.stringContaining('api.endpoints[0].method must be one of'),
+        'api.endpoints[0].path must be a string starting with "/"',
+        'api.endpoints[0].auth must be one of: none, bearer, api_key, basic, oauth2',
+        expect.stringContaining('api.endpoints[0].request.amount has unknown type "money"')
+      ]);
+    });
+
+    it('should report duplicate operations', () => {
+      const errors = validateEndpoints([ENDPOINTS[0], ENDPOINTS[0]]);
+      expect(errors).toEqual(['api.endpoints[1] duplicates GET /payments/{paymentId}']);
+    });
+
+    it('should report invalid JSON', () => {
+      expect(validateEndpoints('[{')[0]).toMatch(/^api.endpoints must be a JSON array/);
+    });
+  });
+
+  describe('buildOpenApiDocument', () => {
+    const document = buildOpenApiDocument(ENDPOINTS, { title: 'Payments API', version: '2.0.0' });
+
+    it('should produce a valid OpenAPI 3.1 document', () => {
+      expect(document.openapi).toBe('3.1.0');
+      expect(validateOpenApiDocument(document)).toEqual({ valid: true, errors: [] });
+    });
+
+    it('should declare path parameters and operation IDs', () => {
+      const get = document.paths['/payments/{paymentId}'].get;
+
+      expect(get.operationId).toBe('getPaymentsByPaymentId');
+      expect(get.parameters).toEqual([
+        { name: 'paymentId', in: 'path', required: true, schema: { type: 'string' } }
+      ]);
+    });
+
+    it('should build request and response schemas from fields', () => {
+      const post = document.paths['/payments'].post;
+
+      expect(post.requestBody.content['application/json'].schema).toEqual({
+        type: 'object',
+        properties: {
+          amount: { type: 'integer', description: 'Amount in cents' },
+          currency: { type: 'string' },
+          tags: { type: 'array', items: { type: 'string' } }
+        },
+        required: ['amount', 'currency']
+      });
+      expect(Object.keys(post.responses)).toEqual(['201', '400', '401']);
+
+      const response = document.paths['/payments/{paymentId}'].get.responses['200'];
+      expect(response.content['application/json'].schema.required).toEqual(['id', 'amount', 'currency']);
+      expect(response.content['application/json'].schema.properties.captured_at).toEqual({ type: 'string', format: 'date-time' });
+    });
+
+    it('should register security schemes for authenticated endpoints', () => {
+      expect(document.components.securitySchemes).toEqual({
+        bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' },
+        apiKeyAuth: { type: 'apiKey', in: 'header', name: 'X-API-Key' }
+      });
+      expect(document.paths['/payments'].post.security).toEqual([{ apiKeyAuth: [] }]);
+      expect(document.paths['/payments/{paymentId}'].delete.security).toBeUndefined();
+      expect(document.paths['/payments/{paymentId}'].delete.responses).toEqual({ '204': { description: 'No content' } });
+    });
+
+    it('should throw on invalid endpoints', () => {
+      expect(() => buildOpenApiDocument([{ method: 'GET' }])).toThrow('Invalid api.endpoints');
+    });
+  });
+
+  describe('validateOpenApiDocument', () => {
+    it('should report schema violations with JSON pointers', () => {
+      const result = validateOpenApiDocument({ openapi: '3.1.0', info: { title: 'x' }, paths: {} });
+
+      expect(result.valid).toBe(false);
+      expect(result.errors).toContain("/info must have required property 'version'");
+    });
+  });
+
+  describe('generateOpenApi', () => {
+    it('should return null without API answers', () => {
+      expect(generateOpenApi({ 'project.name': 'Notes' })).toBeNull();
+    });
+
+    it('should serialise the document to YAML', () => {
+      const result = generateOpenApi({
+        'project.name': 'Payments Hub',
+        'doc.version': '1.2',
+        'api.description': 'Payment orchestration API',
+        'api.endpoints': ENDPOINTS
+      });
+
+      expect(yaml.load(result.yaml)).toEqual(result.document);
+      expect(result.document.info).toEqual({
+        title: 'Payments Hub API',
+        version: '1.2',
+        description: 'Payment orchestration API'
+      });
+    });
+  });
+
+  describe('TDD integration', () => {
+    const project_data = {
+      ...sampleSimple,
+      'doc.created_date': '2025-01-15',
+      'doc.authors': 'Platform Team',
+      'context.scope_in': 'Card payments',
+      'architecture.style': 'Modular monolith',
+      'architecture.tech_stack': 'Node.js, PostgreSQL',
+      'api.description': 'Payment orchestration API',
+      'api.endpoints': ENDPOINTS
+    };
+
+    it('should embed the OpenAPI document and return it as YAML', async () => {
+      const result = await validate_and_generate_tdd({ project_data, complexity: 'minimal' });
+
+      expect(result.status).toBe('complete');
+      expect(result.tdd).toContain('### 3.5 API Contract');
+      expect(result.tdd).toContain('```yaml\nopenapi: 3.1.0\n');
+      expect(result.tdd).toContain('/payments/{paymentId}:');
+      expect(result.tdd).not.toContain('/api/v1/resource');
+      expect(yaml.load(result.openapi).paths['/payments'].post.summary).toBe('Create a payment');
+    });
+
+    it('should reject invalid endpoints during input validation', async () => {
+      const result = await validate_and_generate_tdd({
+        project_data: { ...project_data, 'api.endpoints': [{ method: 'GET', path: 'no-slash' }] },
+        complexity: 'simple'
+      });
+
+      expect(result.status).toBe('error');
+      expect(result.validation_errors).toEqual(['api.endpoints[0].path must be a string starting with "/"']);
+    });
+
+    it('should not return a document without API answers', async () => {
+      const result = await validate_and_generate_tdd({ project_data: sampleSimple, complexity: 'simple' });
+      expect(result.openapi).toBeUndefined();
+      expect(result.tdd).not.toContain('### 3.5 API Contract');
+    });
+  });
+});
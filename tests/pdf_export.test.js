@@ -136,19 +136,19 @@ code block
 
       const html = pdfExporter.markdownToHtml(markdown);
 
-      expect(html).toContain('<h1>Main Title</h1>');
-      expect(html).toContain('<h2>Subtitle</h2>');
-      expect(html).toContain('<h3>Sub-subtitle</h3>');
+      expect(html).toContain('<h1 id="main-title">Main Title</h1>');
+      expect(html).toContain('<h2 id="subtitle">Subtitle</h2>');
+      expect(html).toContain('<h3 id="sub-subtitle">Sub-subtitle</h3>');
       expect(html).toContain('<strong>bold</strong>');
       expect(html).toContain('<em>italic</em>');
       expect(html).toContain('<code>inline code</code>');
       expect(html).toContain('<pre><code>');
       expect(html).toContain('code block');
-      expect(html).toContain('<li>List item 1</li>');
-      expect(html).toContain('<li>List item 2</li>');
+      expect(html).toContain('<ul>\n<li>List item 1</li>\n<li>List item 2</li>\n</ul>');
       expect(html).toContain('<tr>');
-      expect(html).toContain('<td>Header 1</td>');
-      expect(html).toContain('<td>Header 2</td>');
+      expect(html).toContain('<th>Header 1</th>');
+      expect(html).toContain('<td>Cell 2</td>');
+      expect(html).not.toContain('<br>');
     });
 
     test('should handle batch export', async () => {
@@ -0,0 +1,123 @@
+/**
+ * @fileoverview Tests for organizational policies in validate_and_generate_tdd and the Policy Report
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { validate_and_generate_tdd } = require('../handlers/generate_tdd');
+const sampleEnterprise = require('./sample_enterprise.json');
+
+const POLICY_FILE = path.join(__dirname, '..', 'examples', 'policies.json');
+
+// As the CLI calls it: policy_file may be any local file
+function generate(project_data, args = {}) {
+  return validate_and_generate_tdd({ project_data, complexity: 'enterprise', policy_file: POLICY_FILE, ...args }, { allowFilePaths: true });
+}
+
+describe('Policy Report', () => {
+  it('should append the policy results to the TDD', async () => {
+    const result = await generate({ ...sampleEnterprise, 'privacy.pii': true, 'privacy.regulations': ['gdpr'] });
+
+    expect(result.status).toBe('complete');
+    expect(result.policies.map(policy => policy.status)).toEqual(['passed', 'passed', 'passed']);
+    expect(result.tdd).toContain(`## Policy Report
+
+**Policy file:** \`${POLICY_FILE}\` (3 policies: 3 passed, 0 violated, 0 not applicable; violations are reported only)`);
+    expect(result.tdd).toContain('| enterprise-disaster-recovery | 🔴 Error | ✅ Passed | Requires exists(ops.disaster_recovery) | - |');
+  });
+
+  it('should list violations with their remediation without blocking by default', async () => {
+    const result = await generate({ ...sampleEnterprise, 'privacy.pii': true, 'security.controls': ['audit-logging'] });
+
+    expect(result.status).toBe('complete');
+    expect(result.tdd).toContain(
+      '| pii-encryption-at-rest | 🔴 Error | ❌ Violated | PII is handled, but security.controls does not include encryption-at-rest | ' +
+      'Add encryption-at-rest to security.controls and describe key management in the security section. |'
+    );
+    expect(result.tdd).toContain('| regulated-audit-logging | ⚠️ Warning | N/A |');
+  });
+
+  it('should block generation on violations at the block level', async () => {
+    const result = await generate({ ...sampleEnterprise, 'privacy.pii': true, 'security.controls': ['audit-logging'] }, { policy_block_on: 'error' });
+
+    expect(result).toMatchObject({
+      status: 'error',
+      message: 'Generation blocked by policy',
+      validation_errors: ['pii-encryption-at-rest: PII is handled, but security.controls does not include encryption-at-rest']
+    });
+    expect(result.tdd).toBeUndefined();
+    expect(result.policies).toHaveLength(3);
+  });
+
+  it('should not block on violations below the block level', async () => {
+    const result = await generate(
+      { ...sampleEnterprise, 'privacy.regulations': ['hipaa'], 'security.controls': ['encryption-at-rest'] },
+      { policy_block_on: 'error' }
+    );
+
+    expect(result.status).toBe('complete');
+    expect(result.policies.find(policy => policy.policy === 'regulated-audit-logging').status).toBe('violated');
+  });
+
+  it('should reject a missing policy file and an unknown block level', async () => {
+    const result = await generate(sampleEnterprise, { policy_file: 'no-such-policies.json', policy_block_on: 'always' });
+
+    expect(result.status).toBe('error');
+    expect(result.validation_errors).toEqual([
+      expect.stringContaining('no-such-policies.json'),
+      'policy_block_on must be one of: never, error, warning, info'
+    ]);
+  });
+
+  describe('from the MCP and HTTP servers', () => {
+    let configDir;
+    const cwd = process.cwd();
+
+    beforeAll(() => {
+      configDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tdd-policies-'));
+      fs.writeFileSync(path.join(configDir, 'tdd.config.json'), JSON.stringify({ policies: { file: POLICY_FILE } }));
+      fs.writeFileSync(path.join(configDir, 'broken.json'), '{ "version": "1.0", "policies": [');
+    });
+
+    afterAll(() => {
+      fs.rmSync(configDir, { recursive: true, force: true });
+    });
+
+    it('should only accept the configured policy file', async () => {
+      try {
+        process.chdir(configDir);
+        const outside = await validate_and_generate_tdd({ project_data: sampleEnterprise, complexity: 'enterprise', policy_file: '/etc/passwd' });
+        const configured = await validate_and_generate_tdd({ project_data: sampleEnterprise, complexity: 'enterprise', policy_file: POLICY_FILE });
+
+        expect(outside).toMatchObject({ status: 'error', validation_errors: ['policy_file must be the policies.file configured in tdd.config.json'] });
+        expect(configured.status).toBe('complete');
+        expect(configured.policies).toHaveLength(3);
+      } finally {
+        process.chdir(cwd);
+      }
+    });
+
+    it('should not return parser messages for the configured file', async () => {
+      fs.writeFileSync(path.join(configDir, 'tdd.config.json'), JSON.stringify({ policies: { file: 'broken.json' } }));
+      const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+      try {
+        process.chdir(configDir);
+        const result = await validate_and_generate_tdd({ project_data: sampleEnterprise, complexity: 'enterprise' });
+
+        expect(result.validation_errors).toEqual(['The policy file configured in tdd.config.json could not be loaded; see the server log for details']);
+        expect(consoleError).toHaveBeenCalledWith(expect.stringContaining('broken.json'));
+      } finally {
+        process.chdir(cwd);
+        consoleError.mockRestore();
+      }
+    });
+  });
+
+  it('should leave the report out without a policy file', async () => {
+    const result = await validate_and_generate_tdd({ project_data: sampleEnterprise, complexity: 'enterprise' });
+
+    expect(result.tdd).not.toContain('## Policy Report');
+    expect(result.policies).toBeUndefined();
+  });
+});
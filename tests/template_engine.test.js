@@ -0,0 +1,160 @@
+/**
+ * @fileoverview Tests for the TDD template engine
+ */
+
+const { TemplateError, parseTemplate, renderTemplate } = require('../utils/templateEngine');
+const { validate_and_generate_tdd } = require('../handlers/generate_tdd');
+const sampleSimple = require('./sample_simple.json');
+const sampleMcp = require('./sample_mcp-specific.json');
+
+describe('Template Engine', () => {
+  describe('values', () => {
+    it('should look up flat field IDs before nested paths', () => {
+      const context = { 'project.name': 'Flat', project: { name: 'Nested', owner: 'Ops' } };
+      expect(renderTemplate('{{project.name}} / {{project.owner}}', context)).toBe('Flat / Ops');
+    });
+
+    it('should insert values literally, including regex metacharacters', () => {
+      const context = { 'cost.(usd)+': 'Costs $& more than $1' };
+      expect(renderTemplate('`{{cost.(usd)+}}`', context)).toBe('`Costs $& more than $1`');
+    });
+
+    it('should join arrays and use the name of objects', () => {
+      const context = { stack: ['Node.js', 'PostgreSQL', ''], owner: { name: 'Platform' } };
+      expect(renderTemplate('{{stack}} ({{owner}})', context)).toBe('Node.js, PostgreSQL (Platform)');
+    });
+
+    it('should render a placeholder for missing or empty values', () => {
+      expect(renderTemplate('{{a}} {{b}} {{c}}', { b: '', c: [] })).toBe('*Not Provided* *Not Provided* *Not Provided*');
+      expect(renderTemplate('[{{a}}]', {}, { missing: '' })).toBe('[]');
+    });
+
+    it('should keep escaped values on one line and inside their code span', () => {
+      const context = { text: 'Line one\n\n  Line `two`' };
+      expect(renderTemplate('`{{text}}`', context)).toBe("`Line one Line 'two'`");
+    });
+
+    it('should escape pipes in table rows only', () => {
+      const context = { authors: 'Alice | Bob' };
+      expect(renderTemplate('| **Authors** | `{{authors}}` |', context)).toBe('| **Authors** | `Alice \\| Bob` |');
+      expect(renderTemplate('| Fields | {{#if authors}}`{{authors}}`{{/if}} |', context)).toBe('| Fields | `Alice \\| Bob` |');
+      expect(renderTemplate('Authors: {{authors}}', context)).toBe('Authors: Alice | Bob');
+    });
+
+    it('should leave triple-brace values raw', () => {
+      const context = { diagram: '```plantuml\n@startuml\n@enduml\n```' };
+      expect(renderTemplate('{{{diagram}}}', context)).toBe(context.diagram);
+    });
+  });
+
+  describe('conditionals', () => {
+    it('should render the matching branch of if/else and unless', () => {
+      const template = '{{#if mcp}}MCP{{else}}Standard{{/if}}|{{#unless mcp}}no MCP{{/unless}}';
+      expect(renderTemplate(template, { mcp: true })).toBe('MCP|');
+      expect(renderTemplate(template, { mcp: false })).toBe('Standard|no MCP');
+    });
+
+    it('should treat empty strings and arrays as false', () => {
+      expect(renderTemplate('{{#if a}}A{{/if}}{{#if b}}B{{/if}}{{#if c}}C{{/if}}', { a: '', b: [], c: 0 })).toBe('C');
+    });
+
+    it('should drop block tags that sit on their own line', () => {
+      const template = 'Intro\n{{#if extra}}\n### Extra\n{{/if}}\n---\n';
+      expect(renderTemplate(template, {})).toBe('Intro\n---\n');
+      expect(renderTemplate(template, { extra: true })).toBe('Intro\n### Extra\n---\n');
+    });
+  });
+
+  describe('loops', () => {
+    it('should iterate arrays with item fields and loop data', () => {
+      const template = '{{#each modules}}{{@index}}:{{name}}{{#unless @last}}, {{/unless}}{{/each}}';
+      const context = { modules: [{ name: 'Auth' }, { name: 'Billing' }] };
+      expect(renderTemplate(template, context)).toBe('0:Auth, 1:Billing');
+    });
+
+    it('should expose scalar items as this and fall back to outer scopes', () => {
+      const template = '{{#each tags}}{{project.name}}/{{this}} {{/each}}';
+      expect(renderTemplate(template, { 'project.name': 'TDD', tags: ['a', 'b'] })).toBe('TDD/a TDD/b ');
+    });
+
+    it('should render the else branch for empty lists', () => {
+      expect(renderTemplate('{{#each items}}x{{else}}none{{/each}}', { items: [] })).toBe('none');
+    });
+  });
+
+  describe('partials', () => {
+    it('should render partials in the current scope', () => {
+      const partials = { item: '- {{name}}\n' };
+      const template = '{{#each modules}}\n{{> item}}\n{{/each}}\n';
+      expect(renderTemplate(template, { modules: [{ name: 'Auth' }, { name: 'Billing' }] }, { partials }))
+        .toBe('- Auth\n- Billing\n');
+    });
+
+    it('should reject unknown and endlessly recursive partials', () => {
+      expect(() => renderTemplate('{{> missing}}', {})).toThrow('Unknown partial {{> missing}} (line 1)');
+      expect(() => renderTemplate('x {{> toString}}', {})).toThrow('Unknown partial {{> toString}} (line 1)');
+      expect(() => renderTemplate('{{> constructor}}', {}, { partials: { footer: 'Footer' } })).toThrow(TemplateError);
+      expect(() => renderTemplate('{{> self}}', {}, { partials: { self: '{{> self}}' } })).toThrow(TemplateError);
+    });
+  });
+
+  describe('syntax errors', () => {
+    it('should report the line of unbalanced blocks', () => {
+      expect(() => parseTemplate('a\n{{#if x}}\nb')).toThrow('Unclosed {{#if x}} (line 2)');
+      expect(() => parseTemplate('{{#if x}}\n{{/each}}')).toThrow('Unexpected {{/each}} (line 2)');
+      expect(() => parseTemplate('{{else}}')).toThrow('Unexpected {{else}} (line 1)');
+    });
+
+    it('should reject unknown blocks', () => {
+      expect(() => parseTemplate('{{#with x}}{{/with}}')).toThrow('Unknown block {{#with}}');
+    });
+
+    it('should ignore comments', () => {
+      expect(renderTemplate('a{{! note }}b\n{{!-- {{not.a.tag}} --}}\nc', {})).toBe('ab\nc');
+    });
+  });
+
+  describe('TDD template', () => {
+    it('should keep table rows intact when answers contain pipes', async () => {
+      const result = await validate_and_generate_tdd({ project_data: { ...sampleSimple, 'doc.authors': 'Alice | Bob' }, complexity: 'simple' });
+
+      expect(result.tdd).toContain('| **Authors** | `Alice \\| Bob` |');
+      expect(result.tdd).not.toMatch(/Document Structure.*Failed/);
+    });
+
+
+    it('should omit the MCP and API sections when they do not apply', async () => {
+      const result = await validate_and_generate_tdd({ project_data: sampleSimple, complexity: 'simple' });
+
+      expect(result.tdd).not.toContain('5.3 [MCP] Tool Security Boundaries');
+      expect(result.tdd).not.toContain('3.5 API Contract');
+      expect(result.tdd).not.toMatch(/{{|}}/);
+    });
+
+    it('should include the MCP section for MCP projects', async () => {
+      const result = await validate_and_generate_tdd({ project_data: sampleMcp, complexity: 'mcp-specific' });
+
+      expect(result.tdd).toContain('### 5.3 [MCP] Tool Security Boundaries');
+      expect(result.tdd).toContain(`- **MCP Tool Sandboxing Model:** \`${sampleMcp['security.mcp_sandboxing_model']}\``);
+    });
+
+    it('should render list answers and the module breakdown', async () => {
+      const project_data = {
+        ...sampleSimple,
+        'context.scope_out': ['Mobile apps', 'Offline mode'],
+        modules: [
+          { name: 'Auth', owner: 'Platform', goal: 'Sign-in', deps: ['Users', 'Email'] },
+          { goal: 'Reports' }
+        ]
+      };
+      const result = await validate_and_generate_tdd({ project_data, complexity: 'simple' });
+
+      expect(result.tdd).toContain('- **Out-of-Scope Functionality:** `Mobile apps, Offline mode`');
+      expect(result.tdd).toContain(
+        '### Dynamic Module Breakdown (auto-generated)\n' +
+        '- **Auth** — Owner: Platform\n    - Goal: Sign-in\n    - Depends on: Users, Email\n' +
+        '- **Unnamed Module**\n    - Goal: Reports\n'
+      );
+    });
+  });
+});
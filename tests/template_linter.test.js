@@ -0,0 +1,130 @@
+/**
+ * @fileoverview Tests for the template/questionnaire cross-linter
+ */
+
+const { collectTemplateFields, lintSources, lintTemplates } = require('../utils/templateLinter');
+const { parseTemplate } = require('../utils/templateEngine');
+
+const TEMPLATE = `# {{project.name}}
+{{#if stage.1}}
+- {{summary.problem}}
+- {{doc.approval_status}}
+{{/if}}
+{{#each modules}}{{name}}{{/each}}
+{{{micro_builds}}}
+`;
+
+function sources(overrides = {}) {
+  return {
+    templates: [{ name: 'tdd-v5', path: 'templates/tdd_v5.0.md', template: TEMPLATE, partials: {} }],
+    questions: [{ id: 'project.name' }, { id: 'summary.problem' }, { id: 'cloud.provider' }],
+    fieldMetadata: {
+      'project.name': { related_fields: ['summary.problem'] },
+      'summary.problem': { related_fields: ['project.industry'] },
+      'project.industry': { related_fields: [] }
+    },
+    requirements: { base: { 'project.name': 'Name?', 'summary.solution': 'Solution?' } },
+    ...overrides
+  };
+}
+
+const byRule = (report, rule) => report.issues.filter(issue => issue.rule === rule);
+
+describe('Template Linter', () => {
+  describe('collectTemplateFields', () => {
+    it('should collect placeholders and block fields but not loop item fields', () => {
+      const fields = collectTemplateFields(parseTemplate(TEMPLATE));
+      expect([...fields].sort()).toEqual(['doc.approval_status', 'micro_builds', 'modules', 'project.name', 'stage.1', 'summary.problem']);
+    });
+
+    it('should follow partials', () => {
+      const fields = collectTemplateFields(parseTemplate('{{> footer}}'), { footer: '{{doc.authors}}' });
+      expect([...fields]).toEqual(['doc.authors']);
+    });
+  });
+
+  describe('lintSources', () => {
+    const report = lintSources(sources());
+
+    it('should report placeholders no question can fill, ignoring generated fields', () => {
+      expect(byRule(report, 'unfillable-placeholder').map(issue => issue.field)).toEqual(['doc.approval_status', 'modules']);
+      expect(byRule(report, 'unfillable-placeholder')[0]).toEqual({
+        rule: 'unfillable-placeholder',
+        severity: 'warning',
+        field: 'doc.approval_status',
+        source: 'templates/tdd_v5.0.md',
+        template: 'tdd-v5',
+        message: '{{doc.approval_status}} is not asked by any questionnaire question or required-field prompt'
+      });
+    });
+
+    it('should report questions whose answers never reach the document', () => {
+      expect(byRule(report, 'unused-question').map(issue => issue.field)).toEqual(['cloud.provider']);
+    });
+
+    it('should report required fields missing from the template', () => {
+      expect(byRule(report, 'required-field-not-rendered')).toEqual([expect.objectContaining({
+        severity: 'error',
+        field: 'summary.solution',
+        message: '"summary.solution" is required (base) but the template never renders it'
+      })]);
+    });
+
+    it('should report required fields whose section is pruned at their level', () => {
+      const pruned = lintSources(sources({
+        templates: [{ name: 'tdd-v5', path: 'tdd.md', template: '{{project.name}} {{nfr.performance}}', partials: {} }],
+        requirements: { base: { 'nfr.performance': 'Performance?' } }
+      }));
+
+      expect(byRule(pruned, 'required-field-omitted').map(issue => issue.message))
+        .toEqual(["\"nfr.performance\" is required at 'base' but section 4 is omitted at that level"]);
+    });
+
+    it('should report metadata and related fields for nonexistent fields as warnings', () => {
+      expect(byRule(report, 'unknown-metadata-field').map(issue => [issue.field, issue.severity])).toEqual([['project.industry', 'warning']]);
+      expect(byRule(report, 'unknown-related-field').map(issue => issue.message))
+        .toEqual(['field_metadata "summary.problem" lists unknown related field "project.industry"']);
+    });
+
+    it('should report fields without a review screen section', () => {
+      expect(byRule(report, 'unmapped-field').map(issue => issue.field)).toEqual(['cloud.provider', 'modules', 'project.name']);
+    });
+
+    it('should report invalid templates without stopping', () => {
+      const invalid = lintSources(sources({
+        templates: [{ name: 'broken', path: 'broken.md', error: 'Invalid document template broken.md: Unclosed {{#if a}} (line 1)' }]
+      }));
+
+      expect(byRule(invalid, 'invalid-template')).toHaveLength(1);
+      expect(invalid.summary.errors).toBeGreaterThan(0);
+    });
+
+    it('should summarise the issue counts', () => {
+      expect(report.summary).toEqual({
+        errors: 1,
+        warnings: report.issues.length - 1,
+        templates: 1,
+        questions: 3,
+        fields: 6
+      });
+    });
+  });
+
+  describe('repository templates', () => {
+    it('should render every required field, in the sections the review screen shows them', async () => {
+      const report = await lintTemplates({ directory: null });
+      const rules = new Set(report.issues.map(issue => issue.rule));
+
+      expect(report.summary.templates).toBe(3);
+      expect(rules.has('invalid-template')).toBe(false);
+      expect(rules.has('required-field-not-rendered')).toBe(false);
+      expect(rules.has('section-mismatch')).toBe(false);
+    });
+
+    it('should have no errors, so npm run lint:templates passes', async () => {
+      const report = await lintTemplates({ directory: null });
+
+      expect(report.issues.filter(issue => issue.severity === 'error')).toEqual([]);
+    });
+  });
+});
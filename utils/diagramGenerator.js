@@ -0,0 +1,542 @@
+/**
+ * Diagram generation from project answers
+ * Derives an architecture model from the answers already collected for the TDD
+ * and renders it as C4-PlantUML source for the C4 L1/L2 and data-flow sections:
+ * - architecture.tech_stack: data stores, message brokers, external services,
+ *   runtime platforms and container technologies
+ * - database.type: additional data store
+ * - cloud.provider / deployment.model / datacenter.location: deployment boundary
+ * - modules (with deps): containers and the relationships between them
+ * - context.personas: people using the system
+ *
+ * Output uses the C4 library bundled with PlantUML (!include <C4/...>), so it
+ * renders offline with any local PlantUML install.
+ */
+
+// Known technologies, matched as whole words in tech stack entries (first match wins)
+const TECHNOLOGY_CATALOGUE = {
+  tooling: {
+    terraform: 'Terraform',
+    pulumi: 'Pulumi',
+    ansible: 'Ansible',
+    docker: 'Docker',
+    'github actions': 'GitHub Actions',
+    jenkins: 'Jenkins'
+  },
+  datastore: {
+    postgresql: 'PostgreSQL',
+    postgres: 'PostgreSQL',
+    mysql: 'MySQL',
+    mariadb: 'MariaDB',
+    'sql server': 'SQL Server',
+    oracle: 'Oracle Database',
+    mongodb: 'MongoDB',
+    dynamodb: 'DynamoDB',
+    cassandra: 'Cassandra',
+    'cosmos db': 'Cosmos DB',
+    cosmosdb: 'Cosmos DB',
+    firestore: 'Firestore',
+    supabase: 'Supabase',
+    rds: 'Amazon RDS',
+    aurora: 'Amazon Aurora',
+    sqlite: 'SQLite',
+    snowflake: 'Snowflake',
+    bigquery: 'BigQuery',
+    redshift: 'Redshift',
+    elasticsearch: 'Elasticsearch',
+    opensearch: 'OpenSearch',
+    redis: 'Redis',
+    memcached: 'Memcached',
+    s3: 'Amazon S3',
+    'blob storage': 'Blob Storage',
+    'cloud storage': 'Cloud Storage'
+  },
+  queue: {
+    kafka: 'Kafka',
+    rabbitmq: 'RabbitMQ',
+    sqs: 'Amazon SQS',
+    sns: 'Amazon SNS',
+    kinesis: 'Kinesis',
+    'pub/sub': 'Pub/Sub',
+    pubsub: 'Pub/Sub',
+    nats: 'NATS',
+    eventbridge: 'EventBridge',
+    'event hubs': 'Event Hubs',
+    'service bus': 'Service Bus'
+  },
+  external: {
+    stripe: 'Stripe',
+    paypal: 'PayPal',
+    plaid: 'Plaid',
+    openai: 'OpenAI API',
+    anthropic: 'Anthropic API',
+    twilio: 'Twilio',
+    sendgrid: 'SendGrid',
+    mailgun: 'Mailgun',
+    auth0: 'Auth0',
+    okta: 'Okta',
+    segment: 'Segment',
+    salesforce: 'Salesforce',
+    slack: 'Slack',
+    github: 'GitHub',
+    'google maps': 'Google Maps'
+  },
+  platform: {
+    eks: 'EKS',
+    kubernetes: 'Kubernetes',
+    k8s: 'Kubernetes',
+    lambda: 'Lambda',
+    ecs: 'ECS',
+    fargate: 'Fargate',
+    vercel: 'Vercel',
+    netlify: 'Netlify',
+    heroku: 'Heroku',
+    'cloud run': 'Cloud Run',
+    'app engine': 'App Engine',
+    'azure functions': 'Azure Functions',
+    'cloud functions': 'Cloud Functions',
+    'api gateway': 'API Gateway'
+  },
+  cloud: {
+    aws: 'AWS',
+    azure: 'Azure',
+    gcp: 'GCP',
+    'google cloud': 'GCP'
+  }
+};
+
+const CLOUD_LABELS = {
+  aws: 'AWS Cloud',
+  azure: 'Microsoft Azure',
+  gcp: 'Google Cloud',
+  other: 'Cloud'
+};
+
+const DATASTORE_ROLES = {
+  Redis: 'Cache',
+  Memcached: 'Cache',
+  'Amazon S3': 'Object storage',
+  'Blob Storage': 'Object storage',
+  'Cloud Storage': 'Object storage',
+  Elasticsearch: 'Search index',
+  OpenSearch: 'Search index'
+};
+
+/**
+ * Escape a value for use inside a PlantUML string literal
+ */
+function escapePlantUml(value) {
+  return String(value == null ? '' : value)
+    .replace(/\s+/g, ' ')
+    .replace(/"/g, "'")
+    .trim();
+}
+
+/**
+ * Build a PlantUML alias from a name, suffixing collisions with a counter
+ * ("Auth Service" and "auth-service" both slug to auth_service)
+ * @param {Set<string>} used - Aliases already taken in the diagram; the new alias is added
+ */
+function toAlias(prefix, name, used) {
+  const slug = String(name).toLowerCase().replace(/[^a-z0-9]+/g, '_').substring(0, 40).replace(/^_|_$/g, '');
+  const base = `${prefix}_${slug || 'item'}`;
+  let alias = base;
+  for (let n = 2; used.has(alias); n++) {
+    alias = `${base}_${n}`;
+  }
+  used.add(alias);
+  return alias;
+}
+
+/**
+ * Shorten a description to its first sentence (at most maxLength characters)
+ */
+function summarize(text, maxLength = 120) {
+  if (!text || text === '*Not Provided*') return '';
+  const firstSentence = String(text).split(/(?<=\.)\s/)[0].trim();
+  return firstSentence.length > maxLength
+    ? `${firstSentence.substring(0, maxLength - 3).trim()}...`
+    : firstSentence;
+}
+
+/**
+ * Split a comma-separated list, keeping parenthesised groups together
+ * e.g. "AWS (EKS, RDS), Kafka" → ["AWS (EKS, RDS)", "Kafka"]
+ */
+function splitTopLevel(value) {
+  const parts = [];
+  let depth = 0;
+  let current = '';
+
+  for (const char of String(value)) {
+    if (char === '(') depth++;
+    if (char === ')') depth = Math.max(0, depth - 1);
+    if ((char === ',' || char === ';') && depth === 0) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  parts.push(current);
+
+  return parts.map(part => part.trim()).filter(Boolean);
+}
+
+/**
+ * Parse a tech stack answer (string or array) into entries with optional children
+ * e.g. "AWS (EKS, RDS)" → { name: "AWS", children: ["EKS", "RDS"] }
+ */
+function parseTechStack(techStack) {
+  if (!techStack || techStack === '*Not Provided*') return [];
+
+  const items = Array.isArray(techStack) ? techStack.map(String) : splitTopLevel(techStack);
+
+  return items.map(item => {
+    const match = item.match(/^([^(]+)\(([^)]*)\)\s*$/);
+    if (!match) {
+      return { name: item.trim(), children: [] };
+    }
+    return {
+      name: match[1].trim(),
+      children: splitTopLevel(match[2]).flatMap(child => child.split(/\s+\+\s+/)).map(child => child.trim())
+    };
+  });
+}
+
+/**
+ * Classify a technology name against the catalogue
+ * @param {string} name - Technology as written in the answers
+ * @returns {object} - { kind, label } where kind is datastore, queue, external, platform, tooling, cloud or technology
+ */
+function classifyTechnology(name) {
+  const normalized = ` ${String(name).toLowerCase().replace(/[^a-z0-9/.+#]+/g, ' ')} `;
+
+  for (const [kind, entries] of Object.entries(TECHNOLOGY_CATALOGUE)) {
+    for (const [keyword, label] of Object.entries(entries)) {
+      if (normalized.includes(` ${keyword} `)) {
+        return { kind, label };
+      }
+    }
+  }
+
+  return { kind: 'technology', label: String(name).trim() };
+}
+
+/**
+ * Derive the deployment boundary label from cloud/deployment answers
+ */
+function describeDeployment(project_data, cloudFromStack, platforms) {
+  const provider = project_data['cloud.provider'];
+  const model = project_data['deployment.model'];
+  const cloudLabel = CLOUD_LABELS[provider] || (cloudFromStack ? CLOUD_LABELS[cloudFromStack.toLowerCase()] : null);
+  const onPremise = project_data['datacenter.location']
+    ? `On-Premise Data Center (${escapePlantUml(project_data['datacenter.location'])})`
+    : 'On-Premise Data Center';
+
+  let label = null;
+  if (model === 'on-premise') {
+    label = onPremise;
+  } else if (model === 'hybrid') {
+    label = `Hybrid: ${cloudLabel || 'Cloud'} + ${onPremise}`;
+  } else if (model === 'cloud' || cloudLabel) {
+    label = cloudLabel || 'Cloud';
+  }
+
+  if (label && platforms.length > 0) {
+    label += ` - ${platforms.join(', ')}`;
+  }
+  return label;
+}
+
+/**
+ * Build an architecture model from project answers
+ * @param {object} project_data - The project answers
+ * @returns {object} - { system, people, containers, datastores, queues, externals, relationships, boundary }
+ */
+function buildArchitectureModel(project_data = {}) {
+  const projectName = project_data['project.name'] || 'System';
+  const model = {
+    system: {
+      alias: 'system',
+      name: projectName,
+      description: summarize(project_data['summary.solution'])
+    },
+    people: [],
+    containers: [],
+    datastores: [],
+    queues: [],
+    externals: [],
+    relationships: [],
+    boundary: null
+  };
+
+  const technologies = [];
+  const platforms = [];
+  let cloudFromStack = null;
+
+  const aliases = new Set([model.system.alias]);
+
+  const addElement = (collection, prefix, label, extra = {}) => {
+    const existing = collection.find(element => element.name === label);
+    if (existing) return existing;
+    const element = { alias: toAlias(prefix, label, aliases), name: label, ...extra };
+    collection.push(element);
+    return element;
+  };
+
+  const addClassified = ({ kind, label }) => {
+    switch (kind) {
+      case 'datastore':
+        return addElement(model.datastores, 'db', label, { role: DATASTORE_ROLES[label] || 'Database' });
+      case 'queue':
+        return addElement(model.queues, 'queue', label, { role: 'Message broker' });
+      case 'external':
+        return addElement(model.externals, 'ext', label, { role: 'External service' });
+      case 'platform':
+        if (!platforms.includes(label)) platforms.push(label);
+        return null;
+      case 'cloud':
+        cloudFromStack = cloudFromStack || label;
+        return null;
+      case 'tooling':
+        // Build and provisioning tools are not part of the runtime architecture
+        return null;
+      default:
+        if (!technologies.includes(label)) technologies.push(label);
+        return null;
+    }
+  };
+
+  // Tech stack: children of a cloud entry (e.g. "AWS (EKS, RDS)") are services;
+  // children of anything else (e.g. "Supabase (PostgreSQL + Auth)") describe it
+  parseTechStack(project_data['architecture.tech_stack']).forEach(entry => {
+    const classified = classifyTechnology(entry.name);
+    addClassified(classified);
+    if (classified.kind === 'cloud' || classified.kind === 'technology') {
+      entry.children.forEach(child => addClassified(classifyTechnology(child)));
+    }
+  });
+
+  // Explicit database answer
+  if (project_data['database.type'] && project_data['database.type'] !== '*Not Provided*') {
+    const classified = classifyTechnology(project_data['database.type']);
+    addClassified(classified.kind === 'datastore' ? classified : { kind: 'datastore', label: classified.label });
+  }
+
+  // People
+  const personas = project_data['context.personas'] && project_data['context.personas'] !== '*Not Provided*'
+    ? splitTopLevel(project_data['context.personas']).slice(0, 3)
+    : ['User'];
+  model.people = personas.map(persona => ({ alias: toAlias('person', persona, aliases), name: persona }));
+
+  // Containers: declared modules, otherwise a single application container
+  const modules = Array.isArray(project_data.modules) ? project_data.modules.filter(m => m && m.name) : [];
+  const containerTechnology = technologies.slice(0, 4).join(', ');
+
+  if (platforms.includes('API Gateway')) {
+    addElement(model.containers, 'container', 'API Gateway', { technology: 'API Gateway', description: 'Routes and secures API traffic' });
+  }
+
+  if (modules.length > 0) {
+    modules.forEach(module => {
+      addElement(model.containers, 'container', module.name, {
+        technology: module.tech || module.technology || containerTechnology,
+        description: summarize(module.goal, 80)
+      });
+    });
+  } else {
+    addElement(model.containers, 'container', `${projectName} Application`, {
+      technology: containerTechnology,
+      description: summarize(project_data['architecture.style'], 80)
+    });
+  }
+
+  // Relationships
+  const addRelationship = (from, to, label) => {
+    if (!from || !to || from.alias === to.alias) return;
+    if (model.relationships.some(rel => rel.from === from.alias && rel.to === to.alias)) return;
+    model.relationships.push({ from: from.alias, to: to.alias, label });
+  };
+
+  const relationshipLabel = target => {
+    if (model.datastores.includes(target)) return 'Reads/writes';
+    if (model.queues.includes(target)) return 'Publishes/consumes events';
+    if (model.externals.includes(target)) return 'Calls API';
+    return 'Uses';
+  };
+
+  const entry = model.containers[0];
+  model.people.forEach(person => addRelationship(person, entry, 'Uses'));
+
+  const gateway = model.containers.find(c => c.name === 'API Gateway');
+  const moduleContainers = model.containers.filter(c => c !== gateway);
+  if (gateway) {
+    moduleContainers.forEach(container => addRelationship(gateway, container, 'Routes requests'));
+  }
+
+  const findElement = name => {
+    const lower = String(name).toLowerCase().trim();
+    const all = [...model.containers, ...model.datastores, ...model.queues, ...model.externals];
+    const byName = all.find(element => element.name.toLowerCase() === lower);
+    if (byName) return byName;
+
+    const classified = classifyTechnology(name);
+    if (['datastore', 'queue', 'external'].includes(classified.kind)) {
+      return addClassified(classified);
+    }
+    return addElement(model.externals, 'ext', String(name).trim(), { role: 'External system' });
+  };
+
+  modules.forEach(module => {
+    const from = model.containers.find(c => c.name === module.name);
+    (Array.isArray(module.deps) ? module.deps : []).forEach(dep => {
+      const target = findElement(dep);
+      addRelationship(from, target, relationshipLabel(target));
+    });
+  });
+
+  // Infrastructure not referenced by any module dependency is used by the application
+  const referenced = new Set(model.relationships.map(rel => rel.to));
+  [...model.queues, ...model.datastores, ...model.externals]
+    .filter(element => !referenced.has(element.alias))
+    .forEach(element => moduleContainers.forEach(container => {
+      if (modules.length === 0 || container === moduleContainers[0]) {
+        addRelationship(container, element, relationshipLabel(element));
+      }
+    }));
+
+  model.boundary = describeDeployment(project_data, cloudFromStack, platforms);
+
+  return model;
+}
+
+/**
+ * Wrap PlantUML lines in a fenced code block
+ */
+function toFencedBlock(lines) {
+  return `\n\`\`\`plantuml\n${lines.join('\n')}\n\`\`\`\n`;
+}
+
+/**
+ * Render container-level element declarations (inside the system boundary)
+ */
+function renderContainerElements(model, indent) {
+  return [
+    ...model.containers.map(c => `${indent}Container(${c.alias}, "${escapePlantUml(c.name)}", "${escapePlantUml(c.technology)}", "${escapePlantUml(c.description)}")`),
+    ...model.queues.map(q => `${indent}ContainerQueue(${q.alias}, "${escapePlantUml(q.name)}", "${q.role}")`),
+    ...model.datastores.map(d => `${indent}ContainerDb(${d.alias}, "${escapePlantUml(d.name)}", "${d.role}")`)
+  ];
+}
+
+/**
+ * Wrap lines in the deployment boundary, when one is known
+ */
+function wrapInBoundary(model, lines) {
+  if (!model.boundary) return lines;
+  return [
+    `Boundary(deployment, "${escapePlantUml(model.boundary)}") {`,
+    ...lines.map(line => `  ${line}`),
+    '}'
+  ];
+}
+
+/**
+ * C4 Level 1: people, the system, and external systems
+ */
+function generateContextDiagram(model, description) {
+  const systemDescription = summarize(description) || model.system.description;
+  const lines = [
+    '@startuml',
+    '!include <C4/C4_Context>',
+    `title ${escapePlantUml(model.system.name)} - System Context (C4 Level 1)`,
+    '',
+    ...model.people.map(p => `Person(${p.alias}, "${escapePlantUml(p.name)}")`),
+    ...wrapInBoundary(model, [`System(${model.system.alias}, "${escapePlantUml(model.system.name)}", "${escapePlantUml(systemDescription)}")`]),
+    ...model.externals.map(e => `System_Ext(${e.alias}, "${escapePlantUml(e.name)}", "${e.role}")`),
+    '',
+    ...model.people.map(p => `Rel(${p.alias}, ${model.system.alias}, "Uses")`),
+    ...model.externals.map(e => `Rel(${model.system.alias}, ${e.alias}, "Integrates with")`),
+    '',
+    'SHOW_LEGEND()',
+    '@enduml'
+  ];
+  return toFencedBlock(lines);
+}
+
+/**
+ * C4 Level 2: containers, data stores and brokers inside the system boundary
+ */
+function generateContainerDiagram(model, description) {
+  const systemBoundary = [
+    `System_Boundary(${model.system.alias}, "${escapePlantUml(model.system.name)}") {`,
+    ...renderContainerElements(model, '  '),
+    '}'
+  ];
+  const caption = summarize(description);
+
+  const lines = [
+    '@startuml',
+    '!include <C4/C4_Container>',
+    `title ${escapePlantUml(model.system.name)} - Containers (C4 Level 2)`,
+    ...(caption ? [`caption ${escapePlantUml(caption)}`] : []),
+    '',
+    ...model.people.map(p => `Person(${p.alias}, "${escapePlantUml(p.name)}")`),
+    ...wrapInBoundary(model, systemBoundary),
+    ...model.externals.map(e => `System_Ext(${e.alias}, "${escapePlantUml(e.name)}", "${e.role}")`),
+    '',
+    ...model.relationships.map(rel => `Rel(${rel.from}, ${rel.to}, "${escapePlantUml(rel.label)}")`),
+    '',
+    'SHOW_LEGEND()',
+    '@enduml'
+  ];
+  return toFencedBlock(lines);
+}
+
+/**
+ * Data flow: numbered interactions from people through containers to data stores
+ */
+function generateDataFlowDiagram(model, description) {
+  const caption = summarize(description);
+
+  const lines = [
+    '@startuml',
+    '!include <C4/C4_Dynamic>',
+    `title ${escapePlantUml(model.system.name)} - Data Flow`,
+    ...(caption ? [`caption ${escapePlantUml(caption)}`] : []),
+    '',
+    ...model.people.map(p => `Person(${p.alias}, "${escapePlantUml(p.name)}")`),
+    ...renderContainerElements(model, ''),
+    ...model.externals.map(e => `System_Ext(${e.alias}, "${escapePlantUml(e.name)}", "${e.role}")`),
+    '',
+    ...model.relationships.map(rel => `Rel(${rel.from}, ${rel.to}, "${escapePlantUml(rel.label)}")`),
+    '@enduml'
+  ];
+  return toFencedBlock(lines);
+}
+
+/**
+ * Generate PlantUML source for a TDD diagram
+ * @param {string} diagramType - 'C4 Model - Level 1', 'C4 Model - Level 2' or 'Data Flow Diagram'
+ * @param {string} description - The diagram description from the answers
+ * @param {object} project_data - The project answers
+ * @returns {string} - A fenced ```plantuml block
+ */
+function generateDiagram(diagramType, description, project_data = {}) {
+  const model = buildArchitectureModel(project_data);
+
+  if (/level 2|l2|container/i.test(diagramType)) {
+    return generateContainerDiagram(model, description);
+  }
+  if (/data ?flow/i.test(diagramType)) {
+    return generateDataFlowDiagram(model, description);
+  }
+  return generateContextDiagram(model, description);
+}
+
+module.exports = {
+  parseTechStack,
+  classifyTechnology,
+  buildArchitectureModel,
+  generateDiagram
+};
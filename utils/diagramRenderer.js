@@ -0,0 +1,159 @@
+/**
+ * Local PlantUML diagram rendering for TDD exports
+ * Turns ```plantuml blocks (emitted by opus.generateDiagramSource for the
+ * C4 L1/L2 and data-flow sections) into SVG or PNG images for HTML/PDF export.
+ *
+ * Rendering only uses a locally installed PlantUML, found in this order:
+ * - PLANTUML_BIN: path to a plantuml executable
+ * - PLANTUML_JAR: path to plantuml.jar (run with java from PATH)
+ * - plantuml on PATH
+ *
+ * When no renderer is installed, or rendering fails, callers get null and
+ * should keep showing the diagram source.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { spawnSync } = require('child_process');
+
+const DIAGRAM_LANGUAGES = ['plantuml', 'puml'];
+const SUPPORTED_FORMATS = ['svg', 'png'];
+const RENDER_TIMEOUT_MS = 30000;
+
+// Rendered images keyed by hash of format + source
+const renderCache = new Map();
+
+/**
+ * Find an executable on PATH
+ * @param {string} name - Executable name
+ * @returns {string|null} - Full path, or null if not found
+ */
+function findOnPath(name) {
+  const extensions = process.platform === 'win32' ? ['.exe', '.cmd', '.bat', ''] : [''];
+  const dirs = (process.env.PATH || '').split(path.delimiter).filter(Boolean);
+
+  for (const dir of dirs) {
+    for (const ext of extensions) {
+      const candidate = path.join(dir, name + ext);
+      try {
+        fs.accessSync(candidate, fs.constants.X_OK);
+        return candidate;
+      } catch (error) {
+        // Not here, keep looking
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Locate a local PlantUML renderer
+ * @returns {object|null} - { command, args } to invoke, or null if none is installed
+ */
+function findPlantUmlRenderer() {
+  if (process.env.PLANTUML_BIN) {
+    return fs.existsSync(process.env.PLANTUML_BIN)
+      ? { command: process.env.PLANTUML_BIN, args: [] }
+      : null;
+  }
+
+  if (process.env.PLANTUML_JAR) {
+    const java = findOnPath('java');
+    return java && fs.existsSync(process.env.PLANTUML_JAR)
+      ? { command: java, args: ['-Djava.awt.headless=true', '-jar', process.env.PLANTUML_JAR] }
+      : null;
+  }
+
+  const plantuml = findOnPath('plantuml');
+  return plantuml ? { command: plantuml, args: [] } : null;
+}
+
+/**
+ * Check if a fenced code block language is a diagram we can render
+ */
+function isDiagramLanguage(lang) {
+  return DIAGRAM_LANGUAGES.includes((lang || '').trim().split(/\s+/)[0].toLowerCase());
+}
+
+/**
+ * Render PlantUML source to an image
+ * @param {string} source - PlantUML source (@startuml ... @enduml)
+ * @param {string} format - 'svg' (default) or 'png'
+ * @returns {object|null} - { format, data } (SVG markup or PNG Buffer), or null if unavailable
+ */
+function renderPlantUml(source, format = 'svg') {
+  if (!SUPPORTED_FORMATS.includes(format)) {
+    throw new Error(`Unsupported diagram format: ${format}. Use one of: ${SUPPORTED_FORMATS.join(', ')}`);
+  }
+
+  const renderer = findPlantUmlRenderer();
+  if (!renderer) {
+    return null;
+  }
+
+  const cacheKey = crypto.createHash('sha1').update(`${format}\n${source}`).digest('hex');
+  if (renderCache.has(cacheKey)) {
+    return renderCache.get(cacheKey);
+  }
+
+  const result = spawnSync(renderer.command, [...renderer.args, `-t${format}`, '-pipe', '-charset', 'UTF-8'], {
+    input: source,
+    timeout: RENDER_TIMEOUT_MS,
+    maxBuffer: 20 * 1024 * 1024
+  });
+
+  if (result.error || result.status !== 0 || !result.stdout || result.stdout.length === 0) {
+    return null;
+  }
+
+  const rendered = format === 'svg'
+    ? { format, data: result.stdout.toString('utf8') }
+    : { format, data: result.stdout };
+
+  // PlantUML exits 0 but draws an error image for invalid diagrams; keep the source instead
+  if (format === 'svg' && /Syntax Error\?/.test(rendered.data)) {
+    return null;
+  }
+
+  renderCache.set(cacheKey, rendered);
+  return rendered;
+}
+
+/**
+ * Render PlantUML source to embeddable HTML
+ * SVG is inlined; PNG is embedded as a data URI.
+ * @param {string} source - PlantUML source
+ * @param {string} format - 'svg' (default) or 'png'
+ * @returns {string|null} - HTML <figure>, or null when the source should be shown instead
+ */
+function renderPlantUmlToHtml(source, format = 'svg') {
+  const rendered = renderPlantUml(source, format);
+  if (!rendered) {
+    return null;
+  }
+
+  const titleMatch = source.match(/^\s*title\s+(.+)$/m);
+  const alt = (titleMatch ? titleMatch[1] : 'PlantUML diagram').replace(/[&<>"]/g, '');
+
+  const image = rendered.format === 'svg'
+    ? rendered.data.replace(/^\s*<\?xml[^>]*\?>\s*/, '')
+    : `<img src="data:image/png;base64,${rendered.data.toString('base64')}" alt="${alt}">`;
+
+  return `<figure class="diagram" role="img" aria-label="${alt}">\n${image}\n</figure>\n`;
+}
+
+/**
+ * Clear rendered diagrams (useful for testing)
+ */
+function clearDiagramCache() {
+  renderCache.clear();
+}
+
+module.exports = {
+  findPlantUmlRenderer,
+  isDiagramLanguage,
+  renderPlantUml,
+  renderPlantUmlToHtml,
+  clearDiagramCache
+};
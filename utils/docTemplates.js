@@ -0,0 +1,283 @@
+/**
+ * Document templates for TDD generation
+ *
+ * A document template is a Markdown template (see utils/templateEngine.js) that
+ * starts with YAML front matter declaring its metadata:
+ *
+ *   ---
+ *   name: rfc                                  # selected with --doc-template / doc_template
+ *   title: One-Page RFC
+ *   description: Problem, proposal, design and risks on a single page
+ *   complexity: [base, simple, minimal]        # supported levels, or "all"
+ *   requires: [project.name, summary.problem]  # answers the template cannot do without
+ *   ---
+ *
+ * Built-in templates live in templates/. An organization directory (tdd.config.json
+ * `templates.directory` or TDD_TEMPLATE_DIR) adds its own and overrides built-ins
+ * with the same name; its partials/ subdirectory overrides built-in partials.
+ * Metadata, template syntax, required placeholders and partials are checked when
+ * a template is loaded.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const yaml = require('js-yaml');
+const { TemplateError, parseTemplate } = require('./templateEngine');
+const { readProjectConfig } = require('./projectConfig');
+const { STAGES_BY_COMPLEXITY } = require('../src/lib/tddSections');
+
+const BUILTIN_DIR = path.join(__dirname, '..', 'templates');
+const DEFAULT_DOC_TEMPLATE = 'tdd-v5';
+const COMPLEXITY_LEVELS = Object.keys(STAGES_BY_COMPLEXITY);
+
+const FRONT_MATTER_PATTERN = /^---\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/;
+const NAME_PATTERN = /^[a-z0-9][a-z0-9._-]*$/;
+
+/**
+ * Split a template file into its front matter metadata and template body
+ * @param {string} source - Template file content
+ * @param {string} file - File name for error messages
+ * @returns {object} - { metadata, body }
+ * @throws {TemplateError} - When the front matter is missing or not valid YAML
+ */
+function parseFrontMatter(source, file) {
+  const match = source.match(FRONT_MATTER_PATTERN);
+  if (!match) {
+    throw new TemplateError(`Invalid document template ${file}: missing metadata front matter (--- ... ---)`);
+  }
+  let metadata;
+  try {
+    metadata = yaml.load(match[1]);
+  } catch (error) {
+    throw new TemplateError(`Invalid document template ${file}: front matter is not valid YAML (${error.reason || error.message})`);
+  }
+  if (!metadata || typeof metadata !== 'object' || Array.isArray(metadata)) {
+    throw new TemplateError(`Invalid document template ${file}: front matter must be a mapping`);
+  }
+  return { metadata, body: source.slice(match[0].length) };
+}
+
+/**
+ * Collect the field paths and partial names a parsed template uses, following partials
+ */
+function collectUsage(nodes, partials, usage = { fields: new Set(), partials: new Set() }) {
+  for (const node of nodes) {
+    if (node.type === 'var' || node.type === 'if' || node.type === 'unless' || node.type === 'each') {
+      usage.fields.add(node.path);
+    }
+    if (node.type === 'partial' && !usage.partials.has(node.name)) {
+      usage.partials.add(node.name);
+      if (typeof partials[node.name] === 'string') {
+        collectUsage(parseTemplate(partials[node.name]), partials, usage);
+      }
+    }
+    if (node.body) {
+      collectUsage(node.body, partials, usage);
+      collectUsage(node.inverse, partials, usage);
+    }
+  }
+  return usage;
+}
+
+function isStringList(value) {
+  return Array.isArray(value) && value.every(item => typeof item === 'string' && item.trim() !== '');
+}
+
+/**
+ * Validate a document template's metadata against its body
+ * @param {string} source - Template file content, including front matter
+ * @param {string} file - File name for error messages
+ * @param {object} partials - Available partials by name
+ * @returns {object} - { name, title, description, complexity, requires, path, template }
+ * @throws {TemplateError} - Listing every problem found
+ */
+function parseDocumentTemplate(source, file, partials = {}) {
+  const { metadata, body } = parseFrontMatter(source, file);
+  const errors = [];
+
+  if (typeof metadata.name !== 'string' || !NAME_PATTERN.test(metadata.name)) {
+    errors.push('name must be lowercase letters, digits, ".", "_" or "-"');
+  }
+  if (metadata.title !== undefined && typeof metadata.title !== 'string') {
+    errors.push('title must be a string');
+  }
+
+  let complexity = metadata.complexity;
+  if (complexity === 'all') {
+    complexity = [...COMPLEXITY_LEVELS];
+  } else if (!isStringList(complexity) || complexity.length === 0) {
+    errors.push('complexity must be "all" or a list of complexity levels');
+    complexity = [];
+  } else {
+    const unknown = complexity.filter(level => !COMPLEXITY_LEVELS.includes(level));
+    if (unknown.length > 0) {
+      errors.push(`unknown complexity level(s): ${unknown.join(', ')} (use ${COMPLEXITY_LEVELS.join(', ')})`);
+    }
+  }
+
+  const requires = metadata.requires === undefined ? [] : metadata.requires;
+  if (!isStringList(requires)) {
+    errors.push('requires must be a list of placeholders');
+  }
+
+  let nodes = null;
+  try {
+    nodes = parseTemplate(body);
+  } catch (error) {
+    errors.push(error.message);
+  }
+
+  if (nodes && isStringList(requires)) {
+    try {
+      const usage = collectUsage(nodes, partials);
+      requires
+        .filter(field => !usage.fields.has(field))
+        .forEach(field => errors.push(`requires {{${field}}} but the template never uses it`));
+      [...usage.partials]
+        .filter(name => !Object.prototype.hasOwnProperty.call(partials, name))
+        .forEach(name => errors.push(`unknown partial {{> ${name}}}`));
+    } catch (error) {
+      errors.push(`partial: ${error.message}`);
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new TemplateError(`Invalid document template ${file}: ${errors.join('; ')}`);
+  }
+
+  return {
+    name: metadata.name,
+    title: metadata.title || metadata.name,
+    description: metadata.description || '',
+    complexity,
+    requires: [...requires],
+    path: file,
+    template: body
+  };
+}
+
+/**
+ * Get the organization template directory, if one is configured
+ * TDD_TEMPLATE_DIR takes precedence over tdd.config.json `templates.directory`,
+ * which is resolved relative to the working directory.
+ * @param {string} cwd - Directory to read tdd.config.json from
+ * @returns {string|null} - Absolute directory path, or null
+ */
+function getTemplateDirectory(cwd = process.cwd()) {
+  const directory = process.env.TDD_TEMPLATE_DIR || (readProjectConfig(cwd).templates || {}).directory;
+  return directory ? path.resolve(cwd, directory) : null;
+}
+
+async function readMarkdownFiles(dir) {
+  let files;
+  try {
+    files = await fs.readdir(dir);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+  return files.filter(file => file.endsWith('.md')).sort().map(file => path.join(dir, file));
+}
+
+/**
+ * Read partials from the built-in and organization partials/ directories
+ * @param {string|null} directory - Organization template directory
+ * @param {object} base - Partials to start from (later directories override)
+ * @returns {object} - Partial templates by name
+ */
+async function loadPartials(directory, base = {}) {
+  const partials = { ...base };
+  const dirs = [path.join(BUILTIN_DIR, 'partials'), directory && path.join(directory, 'partials')].filter(Boolean);
+
+  for (const dir of dirs) {
+    for (const file of await readMarkdownFiles(dir)) {
+      partials[path.basename(file, '.md')] = await fs.readFile(file, 'utf8');
+    }
+  }
+  return partials;
+}
+
+/**
+ * Read and validate every template in the built-in and organization directories
+ * @returns {Map<string, object>} - Templates by name; organization templates win
+ */
+async function scanTemplates(directory, partials) {
+  const templates = new Map();
+
+  for (const dir of [BUILTIN_DIR, directory].filter(Boolean)) {
+    const seen = new Set();
+    for (const file of await readMarkdownFiles(dir)) {
+      const template = parseDocumentTemplate(await fs.readFile(file, 'utf8'), file, partials);
+      if (seen.has(template.name)) {
+        throw new TemplateError(`Duplicate document template name "${template.name}" in ${dir}`);
+      }
+      seen.add(template.name);
+      templates.set(template.name, template);
+    }
+  }
+  return templates;
+}
+
+/**
+ * List the available document templates
+ * @param {object} options
+ * @param {string|null} options.directory - Organization template directory (default: getTemplateDirectory())
+ * @param {object} options.partials - Fallback partials (overridden by partials on disk)
+ * @returns {Array<object>} - [{ name, title, description, complexity, requires, path }]
+ * @throws {TemplateError} - When a template in either directory is invalid
+ */
+async function listDocumentTemplates(options = {}) {
+  const directory = options.directory !== undefined ? options.directory : getTemplateDirectory();
+  const templates = await scanTemplates(directory, await loadPartials(directory, options.partials));
+  return [...templates.values()].map(({ template, ...metadata }) => metadata);
+}
+
+/**
+ * Load a document template by name, or from a .md file path
+ * @param {string} nameOrPath - Template name (e.g. "rfc") or path to a template file
+ * @param {object} options
+ * @param {string|null} options.directory - Organization template directory (default: getTemplateDirectory())
+ * @param {object} options.partials - Fallback partials (overridden by partials on disk)
+ * @returns {object} - { name, title, description, complexity, requires, path, template, partials }
+ * @throws {TemplateError} - When the template is unknown (error.code TEMPLATE_NOT_FOUND) or invalid
+ */
+async function loadDocumentTemplate(nameOrPath = DEFAULT_DOC_TEMPLATE, options = {}) {
+  const directory = options.directory !== undefined ? options.directory : getTemplateDirectory();
+  const partials = await loadPartials(directory, options.partials);
+
+  if (nameOrPath.endsWith('.md') || nameOrPath.includes('/') || nameOrPath.includes(path.sep)) {
+    const file = path.resolve(nameOrPath);
+    let source;
+    try {
+      source = await fs.readFile(file, 'utf8');
+    } catch (error) {
+      const notFound = new TemplateError(`Document template file not found: ${nameOrPath}`);
+      notFound.code = 'TEMPLATE_NOT_FOUND';
+      throw notFound;
+    }
+    return { ...parseDocumentTemplate(source, file, partials), partials };
+  }
+
+  const templates = await scanTemplates(directory, partials);
+  const template = templates.get(nameOrPath);
+  if (!template) {
+    const available = [...templates.keys()];
+    const notFound = new TemplateError(
+      `Unknown document template "${nameOrPath}"${available.length > 0 ? `. Available: ${available.join(', ')}` : ''}`
+    );
+    notFound.code = 'TEMPLATE_NOT_FOUND';
+    throw notFound;
+  }
+  return { ...template, partials };
+}
+
+module.exports = {
+  DEFAULT_DOC_TEMPLATE,
+  parseFrontMatter,
+  parseDocumentTemplate,
+  getTemplateDirectory,
+  listDocumentTemplates,
+  loadDocumentTemplate
+};
@@ -0,0 +1,454 @@
+/**
+ * Multi-format export for TDD documents
+ * Every format is generated from the same rendered TDD Markdown, parsed once
+ * by the markdown-it pipeline in markdownRenderer:
+ * - html:       standalone HTML with a table of contents and inlined styles
+ * - docx:       Word document with a Contents field, headings, lists, tables and code
+ * - confluence: Confluence storage-format XHTML (code and toc macros) for the
+ *               page editor's source view or the REST API
+ *
+ * PlantUML diagrams are embedded as images when a local renderer is installed
+ * (see diagramRenderer) and kept as code otherwise.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const {
+  Document,
+  Packer,
+  Paragraph,
+  TextRun,
+  ExternalHyperlink,
+  ImageRun,
+  HeadingLevel,
+  LevelFormat,
+  AlignmentType,
+  Table,
+  TableRow,
+  TableCell,
+  TableOfContents,
+  ShadingType,
+  WidthType,
+  BorderStyle
+} = require('docx');
+const { createRenderer, parseMarkdown, renderHtmlDocument } = require('./markdownRenderer');
+const { isDiagramLanguage, renderPlantUml } = require('./diagramRenderer');
+
+// Output formats and the file extension each one is written with
+const FORMATS = {
+  md: '.md',
+  html: '.html',
+  docx: '.docx',
+  confluence: '.confluence.xhtml'
+};
+
+const FORMAT_ALIASES = {
+  markdown: 'md',
+  word: 'docx',
+  xhtml: 'confluence'
+};
+
+const MONOSPACE_FONT = 'Consolas';
+const MAX_IMAGE_WIDTH = 600;
+
+/**
+ * Parse a --format value such as "html,docx"
+ * @param {string} value - Comma-separated format names
+ * @param {string[]} extra - Additional accepted names handled by the caller (e.g. 'pdf')
+ * @returns {string[]} - Normalised, de-duplicated format names
+ */
+function parseFormats(value, extra = []) {
+  const names = String(value || '')
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean)
+    .map(name => FORMAT_ALIASES[name] || name);
+
+  const supported = [...Object.keys(FORMATS), ...extra];
+  const unknown = names.filter(name => !supported.includes(name));
+  if (names.length === 0 || unknown.length > 0) {
+    throw new Error(`Unsupported format: ${unknown.join(', ') || '(none)'}. Use one or more of: ${supported.join(', ')}`);
+  }
+
+  return [...new Set(names)];
+}
+
+/**
+ * Get the document title from the first H1
+ */
+function documentTitle(markdown) {
+  const titleMatch = (markdown || '').match(/^# (.+)$/m);
+  return titleMatch ? titleMatch[1].trim() : 'Technical Design Document';
+}
+
+function diagramFormat() {
+  return process.env.PLANTUML_FORMAT === 'png' ? 'png' : 'svg';
+}
+
+// --- HTML ---
+
+/**
+ * Render a standalone HTML document with a table of contents
+ */
+function renderHtml(markdown) {
+  return renderHtmlDocument(markdown, {
+    title: documentTitle(markdown),
+    toc: true,
+    diagramFormat: diagramFormat()
+  });
+}
+
+// --- CONFLUENCE STORAGE FORMAT ---
+
+// Confluence code macro language names
+const CONFLUENCE_LANGUAGES = {
+  javascript: 'js',
+  js: 'js',
+  typescript: 'js',
+  ts: 'js',
+  json: 'js',
+  python: 'py',
+  py: 'py',
+  bash: 'bash',
+  sh: 'bash',
+  shell: 'bash',
+  yaml: 'yml',
+  yml: 'yml',
+  xml: 'xml',
+  html: 'xml',
+  sql: 'sql',
+  java: 'java',
+  css: 'css',
+  diff: 'diff',
+  ruby: 'ruby',
+  go: 'go'
+};
+
+/**
+ * Wrap text in CDATA, splitting any "]]>" it contains
+ */
+function cdata(text) {
+  return `<![CDATA[${text.replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
+}
+
+/**
+ * Render a fenced block as a Confluence code macro
+ */
+function confluenceCodeMacro(md, content, info) {
+  const lang = (info || '').trim().split(/\s+/)[0].toLowerCase();
+  const title = isDiagramLanguage(lang) ? 'PlantUML' : '';
+
+  return '<ac:structured-macro ac:name="code">' +
+    `<ac:parameter ac:name="language">${CONFLUENCE_LANGUAGES[lang] || 'text'}</ac:parameter>` +
+    (title ? `<ac:parameter ac:name="title">${md.utils.escapeHtml(title)}</ac:parameter>` : '') +
+    `<ac:plain-text-body>${cdata(content.replace(/\n$/, ''))}</ac:plain-text-body>` +
+    '</ac:structured-macro>\n';
+}
+
+/**
+ * Render Confluence storage-format XHTML
+ * Headings drop their anchor IDs (Confluence generates its own), tables use a
+ * single tbody, and a toc macro replaces the table of contents.
+ * @param {string} markdown - The markdown content
+ * @returns {string} - Storage-format XHTML fragment
+ */
+function renderConfluence(markdown) {
+  const md = createRenderer();
+  md.set({ xhtmlOut: true });
+
+  const rules = md.renderer.rules;
+  rules.fence = (tokens, idx) => confluenceCodeMacro(md, tokens[idx].content, tokens[idx].info);
+  rules.code_block = (tokens, idx) => confluenceCodeMacro(md, tokens[idx].content, '');
+  rules.heading_open = (tokens, idx) => `<${tokens[idx].tag}>`;
+  rules.table_open = () => '<table><tbody>\n';
+  rules.table_close = () => '</tbody></table>\n';
+  rules.thead_open = rules.thead_close = rules.tbody_open = rules.tbody_close = () => '';
+
+  return '<ac:structured-macro ac:name="toc"><ac:parameter ac:name="maxLevel">3</ac:parameter></ac:structured-macro>\n' +
+    md.render(markdown || '', { diagrams: false });
+}
+
+// --- DOCX ---
+
+const HEADING_LEVELS = {
+  h1: HeadingLevel.HEADING_1,
+  h2: HeadingLevel.HEADING_2,
+  h3: HeadingLevel.HEADING_3,
+  h4: HeadingLevel.HEADING_4,
+  h5: HeadingLevel.HEADING_5,
+  h6: HeadingLevel.HEADING_6
+};
+
+const ORDERED_LIST = 'ordered-list';
+
+/**
+ * Convert inline tokens to runs, keeping bold, italics, strikethrough, code and links
+ * @param {object} inline - The inline token
+ * @param {object} base - Base run style (e.g. { bold: true } for table headers)
+ */
+function inlineRuns(inline, base = {}) {
+  const runs = [];
+  const style = { bold: false, italics: false, strike: false, ...base };
+  let link = null;
+
+  const push = run => (link ? link.children.push(run) : runs.push(run));
+
+  for (const token of (inline && inline.children) || []) {
+    switch (token.type) {
+      case 'strong_open': style.bold = true; break;
+      case 'strong_close': style.bold = Boolean(base.bold); break;
+      case 'em_open': style.italics = true; break;
+      case 'em_close': style.italics = false; break;
+      case 's_open': style.strike = true; break;
+      case 's_close': style.strike = false; break;
+      case 'text':
+        if (token.content) push(new TextRun({ text: token.content, ...style, ...(link && { style: 'Hyperlink' }) }));
+        break;
+      case 'code_inline':
+        push(new TextRun({ text: token.content, ...style, font: MONOSPACE_FONT }));
+        break;
+      case 'softbreak':
+        push(new TextRun({ text: ' ', ...style }));
+        break;
+      case 'hardbreak':
+        push(new TextRun({ text: '', break: 1 }));
+        break;
+      case 'image':
+        push(new TextRun({ text: token.content, ...style }));
+        break;
+      case 'link_open':
+        link = { href: token.attrGet('href'), children: [] };
+        break;
+      case 'link_close':
+        runs.push(new ExternalHyperlink({ link: link.href, children: link.children }));
+        link = null;
+        break;
+      default:
+        break;
+    }
+  }
+
+  return runs;
+}
+
+/**
+ * Read PNG dimensions from the IHDR chunk
+ */
+function pngSize(buffer) {
+  return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+}
+
+/**
+ * Convert a code block to paragraphs, or an image for renderable diagrams
+ */
+function codeParagraphs(content, info) {
+  if (isDiagramLanguage(info)) {
+    const rendered = renderPlantUml(content, 'png');
+    if (rendered && rendered.data.length > 24) {
+      const { width, height } = pngSize(rendered.data);
+      const scale = Math.min(1, MAX_IMAGE_WIDTH / width);
+      return [new Paragraph({
+        alignment: AlignmentType.CENTER,
+        children: [new ImageRun({
+          type: 'png',
+          data: rendered.data,
+          transformation: { width: Math.round(width * scale), height: Math.round(height * scale) }
+        })]
+      })];
+    }
+  }
+
+  return content.replace(/\n$/, '').split('\n').map(line => new Paragraph({
+    shading: { type: ShadingType.CLEAR, fill: 'F6F8FA', color: 'auto' },
+    spacing: { before: 0, after: 0 },
+    children: [new TextRun({ text: line, font: MONOSPACE_FONT, size: 18 })]
+  }));
+}
+
+/**
+ * Convert a table (from table_open to table_close) to a docx Table
+ * @returns {object} - { table, next } where next is the index after table_close
+ */
+function tableFromTokens(tokens, start) {
+  const rows = [];
+  let cells = null;
+  let index = start + 1;
+
+  for (; tokens[index].type !== 'table_close'; index++) {
+    const token = tokens[index];
+    if (token.type === 'tr_open') {
+      cells = [];
+    } else if (token.type === 'tr_close') {
+      rows.push(new TableRow({ children: cells }));
+    } else if (token.type === 'th_open' || token.type === 'td_open') {
+      const header = token.type === 'th_open';
+      cells.push(new TableCell({
+        ...(header && { shading: { type: ShadingType.CLEAR, fill: 'F6F8FA', color: 'auto' } }),
+        children: [new Paragraph({ children: inlineRuns(tokens[index + 1], { bold: header }) })]
+      }));
+    }
+  }
+
+  return {
+    table: new Table({ rows, width: { size: 100, type: WidthType.PERCENTAGE } }),
+    next: index + 1
+  };
+}
+
+/**
+ * Convert markdown-it tokens to docx paragraphs and tables
+ */
+function tokensToDocx(tokens) {
+  const children = [];
+  const lists = [];
+  let orderedInstance = 0;
+  let quoteDepth = 0;
+  let itemStarted = false;
+
+  for (let index = 0; index < tokens.length; index++) {
+    const token = tokens[index];
+
+    switch (token.type) {
+      case 'heading_open':
+        children.push(new Paragraph({ heading: HEADING_LEVELS[token.tag], children: inlineRuns(tokens[index + 1]) }));
+        // The Contents field goes right after the document title
+        if (token.tag === 'h1' && !children.some(child => child instanceof TableOfContents)) {
+          children.push(new TableOfContents('Contents', { hyperlink: true, headingStyleRange: '2-3' }));
+        }
+        index += 2;
+        break;
+
+      case 'bullet_list_open':
+      case 'ordered_list_open':
+        lists.push({ ordered: token.type === 'ordered_list_open', instance: ++orderedInstance });
+        break;
+
+      case 'bullet_list_close':
+      case 'ordered_list_close':
+        lists.pop();
+        break;
+
+      case 'list_item_open':
+        itemStarted = true;
+        break;
+
+      case 'blockquote_open':
+        quoteDepth++;
+        break;
+
+      case 'blockquote_close':
+        quoteDepth--;
+        break;
+
+      case 'paragraph_open': {
+        const options = { children: inlineRuns(tokens[index + 1]) };
+        const list = lists[lists.length - 1];
+        if (list && itemStarted) {
+          const level = lists.length - 1;
+          Object.assign(options, list.ordered
+            ? { numbering: { reference: ORDERED_LIST, level, instance: list.instance } }
+            : { bullet: { level } });
+          itemStarted = false;
+        } else if (list || quoteDepth > 0) {
+          options.indent = { left: 720 * (lists.length + quoteDepth) };
+        }
+        children.push(new Paragraph(options));
+        index += 2;
+        break;
+      }
+
+      case 'fence':
+      case 'code_block':
+        children.push(...codeParagraphs(token.content, token.info));
+        break;
+
+      case 'table_open': {
+        const { table, next } = tableFromTokens(tokens, index);
+        children.push(table, new Paragraph({ children: [] }));
+        index = next - 1;
+        break;
+      }
+
+      case 'hr':
+        children.push(new Paragraph({
+          border: { bottom: { style: BorderStyle.SINGLE, size: 6, color: 'D1D9E0', space: 1 } },
+          children: []
+        }));
+        break;
+
+      default:
+        break;
+    }
+  }
+
+  return children;
+}
+
+/**
+ * Render a Word document
+ * @param {string} markdown - The markdown content
+ * @returns {Promise<Buffer>} - The .docx file contents
+ */
+async function renderDocx(markdown) {
+  const document = new Document({
+    creator: 'TDD Builder (MPKF)',
+    title: documentTitle(markdown),
+    features: { updateFields: true },
+    numbering: {
+      config: [{
+        reference: ORDERED_LIST,
+        levels: [0, 1, 2, 3, 4, 5].map(level => ({
+          level,
+          format: LevelFormat.DECIMAL,
+          text: `%${level + 1}.`,
+          alignment: AlignmentType.START,
+          style: { paragraph: { indent: { left: 720 * (level + 1), hanging: 360 } } }
+        }))
+      }]
+    },
+    sections: [{ children: tokensToDocx(parseMarkdown(markdown)) }]
+  });
+
+  return Packer.toBuffer(document);
+}
+
+// --- EXPORT ---
+
+/**
+ * Render a TDD in the given format
+ * @param {string} markdown - The rendered TDD Markdown
+ * @param {string} format - md, html, docx or confluence
+ * @returns {Promise<string|Buffer>} - The document contents
+ */
+async function renderDocument(markdown, format) {
+  switch (format) {
+    case 'md': return markdown;
+    case 'html': return renderHtml(markdown);
+    case 'docx': return renderDocx(markdown);
+    case 'confluence': return renderConfluence(markdown);
+    default: throw new Error(`Unsupported format: ${format}`);
+  }
+}
+
+/**
+ * Render a TDD and write it next to the other outputs
+ * @param {string} markdown - The rendered TDD Markdown
+ * @param {string} format - md, html, docx or confluence
+ * @param {string} basePath - Output path without extension (e.g. output/my_project_tdd)
+ * @returns {Promise<string>} - The written file path
+ */
+async function exportDocument(markdown, format, basePath) {
+  const contents = await renderDocument(markdown, format);
+  const outputPath = basePath + FORMATS[format];
+
+  await fs.mkdir(path.dirname(outputPath), { recursive: true });
+  await fs.writeFile(outputPath, contents, typeof contents === 'string' ? 'utf8' : undefined);
+  return outputPath;
+}
+
+module.exports = {
+  FORMATS,
+  parseFormats,
+  renderDocument,
+  exportDocument
+};
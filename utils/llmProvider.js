@@ -0,0 +1,249 @@
+/**
+ * LLM provider seam for the opus hooks in handlers/generate_tdd.js
+ * A provider implements any of these hooks (each may return a Promise):
+ * - generateDiagram({ description, diagramType, project_data }) → fenced diagram source
+ * - generateScaffold({ description, projectName, openApi }) → fenced API contract
+ * - expandProse({ field, text, project_data }) → expanded narrative text
+ * Hooks a provider leaves out fall back to the local provider.
+ *
+ * Built-in providers:
+ * - local:   deterministic and offline (default)
+ * - fixture: replays responses recorded in a JSON file; can record misses
+ * - http:    POSTs { hook, input } to a model endpoint and expects { output }
+ * Any other value is treated as a path to a module exporting a provider, or a
+ * createProvider(config) factory, so teams can plug in their own model.
+ *
+ * Configuration comes from the `llm` key of tdd.config.json in the working
+ * directory, overridden by environment variables:
+ *   TDD_LLM_PROVIDER, TDD_LLM_FIXTURES, TDD_LLM_RECORD, TDD_LLM_ENDPOINT,
+ *   TDD_LLM_API_KEY, TDD_LLM_MODEL, TDD_LLM_TIMEOUT_MS
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { generateDiagram } = require('./diagramGenerator');
+const { readProjectConfig } = require('./projectConfig');
+
+const HOOKS = ['generateDiagram', 'generateScaffold', 'expandProse'];
+const DEFAULT_TIMEOUT_MS = 60000;
+
+// Providers keyed by their resolved configuration
+const providerCache = new Map();
+
+/**
+ * Deterministic offline provider
+ * Diagrams are derived from the answers, the scaffold is the generated OpenAPI
+ * document, and prose is returned as written.
+ */
+function createLocalProvider() {
+  return {
+    name: 'local',
+    generateDiagram: ({ description, diagramType, project_data }) => generateDiagram(diagramType, description, project_data),
+    generateScaffold: ({ openApi }) => `\n\`\`\`yaml\n${openApi.yaml}\`\`\`\n`,
+    expandProse: ({ text }) => text
+  };
+}
+
+/**
+ * Key a hook call by a hash of its input
+ */
+function fixtureKey(hook, input) {
+  const hash = crypto.createHash('sha1').update(JSON.stringify(input)).digest('hex').substring(0, 16);
+  return `${hook}:${hash}`;
+}
+
+/**
+ * Provider that replays recorded responses
+ * Fixture files map "<hook>:<input hash>" to { hook, output }. With record
+ * enabled, misses are answered by the `recordFrom` provider and written back.
+ * @param {object} config - { fixtures, record, recordFrom }
+ */
+function createFixtureProvider(config = {}) {
+  if (!config.fixtures) {
+    throw new Error('The fixture provider needs a fixtures file (TDD_LLM_FIXTURES or llm.fixtures)');
+  }
+
+  const fixturesPath = path.resolve(config.fixtures);
+  const fixtures = fs.existsSync(fixturesPath) ? JSON.parse(fs.readFileSync(fixturesPath, 'utf8')) : {};
+  const source = config.record
+    ? loadProvider({ ...config, provider: config.recordFrom || 'local', record: false })
+    : null;
+
+  const replay = hook => async (input) => {
+    const key = fixtureKey(hook, input);
+    if (fixtures[key]) {
+      return fixtures[key].output;
+    }
+    if (!source) {
+      throw new Error(`No recorded fixture for ${key} in ${fixturesPath}`);
+    }
+
+    const output = await source[hook](input);
+    fixtures[key] = { hook, output };
+    fs.mkdirSync(path.dirname(fixturesPath), { recursive: true });
+    fs.writeFileSync(fixturesPath, JSON.stringify(fixtures, null, 2) + '\n', 'utf8');
+    return output;
+  };
+
+  return {
+    name: 'fixture',
+    generateDiagram: replay('generateDiagram'),
+    generateScaffold: replay('generateScaffold'),
+    expandProse: replay('expandProse')
+  };
+}
+
+/**
+ * Provider that calls a model endpoint over HTTP
+ * Request body: { hook, model, input }; expected response: { output: string }.
+ * @param {object} config - { endpoint, apiKey, model, timeoutMs }
+ */
+function createHttpProvider(config = {}) {
+  if (!config.endpoint) {
+    throw new Error('The http provider needs an endpoint (TDD_LLM_ENDPOINT or llm.endpoint)');
+  }
+
+  const call = hook => async (input) => {
+    const response = await fetch(config.endpoint, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(config.apiKey && { Authorization: `Bearer ${config.apiKey}` })
+      },
+      body: JSON.stringify({ hook, model: config.model, input }),
+      signal: AbortSignal.timeout(Number(config.timeoutMs) || DEFAULT_TIMEOUT_MS)
+    });
+
+    if (!response.ok) {
+      throw new Error(`LLM endpoint returned ${response.status} for ${hook}`);
+    }
+    const body = await response.json();
+    if (typeof body.output !== 'string') {
+      throw new Error(`LLM endpoint response for ${hook} must contain an "output" string`);
+    }
+    return body.output;
+  };
+
+  return {
+    name: 'http',
+    generateDiagram: call('generateDiagram'),
+    generateScaffold: call('generateScaffold'),
+    expandProse: call('expandProse')
+  };
+}
+
+const BUILT_IN_PROVIDERS = {
+  local: createLocalProvider,
+  fixture: createFixtureProvider,
+  http: createHttpProvider
+};
+
+/**
+ * Load a provider from a module path
+ */
+function loadModuleProvider(config) {
+  const modulePath = path.resolve(config.provider);
+  let exported;
+  try {
+    exported = require(modulePath);
+  } catch (error) {
+    throw new Error(`Cannot load LLM provider module ${modulePath}: ${error.message}`);
+  }
+
+  const provider = typeof exported.createProvider === 'function'
+    ? exported.createProvider(config)
+    : exported;
+
+  if (!provider || !HOOKS.some(hook => typeof provider[hook] === 'function')) {
+    throw new Error(`LLM provider module ${modulePath} must implement one of: ${HOOKS.join(', ')}`);
+  }
+  return { name: path.basename(modulePath), ...provider };
+}
+
+/**
+ * Create a provider from configuration, filling missing hooks from the local provider
+ * @param {object} config - { provider, ...provider options }
+ * @returns {object} - Provider with every hook implemented
+ */
+function loadProvider(config = {}) {
+  const spec = config.provider || 'local';
+  const provider = BUILT_IN_PROVIDERS[spec]
+    ? BUILT_IN_PROVIDERS[spec](config)
+    : loadModuleProvider({ ...config, provider: spec });
+
+  const fallback = createLocalProvider();
+  const complete = { name: provider.name || spec };
+  for (const hook of HOOKS) {
+    complete[hook] = typeof provider[hook] === 'function'
+      ? provider[hook].bind(provider)
+      : fallback[hook];
+  }
+  return complete;
+}
+
+/**
+ * Resolve provider configuration from tdd.config.json and the environment
+ * Relative paths in the config file are resolved against its directory.
+ * @param {string} cwd - Directory to look for tdd.config.json in
+ * @returns {object} - { provider, fixtures, record, recordFrom, endpoint, apiKey, model, timeoutMs }
+ */
+function resolveProviderConfig(cwd = process.cwd()) {
+  const fileConfig = readProjectConfig(cwd).llm || {};
+  const fromFile = value => (typeof value === 'string' && /^\.{1,2}\//.test(value) ? path.join(cwd, value) : value);
+
+  const config = {
+    ...fileConfig,
+    provider: fromFile(fileConfig.provider) || 'local',
+    fixtures: fromFile(fileConfig.fixtures)
+  };
+
+  const env = {
+    provider: process.env.TDD_LLM_PROVIDER,
+    fixtures: process.env.TDD_LLM_FIXTURES,
+    endpoint: process.env.TDD_LLM_ENDPOINT,
+    apiKey: process.env.TDD_LLM_API_KEY,
+    model: process.env.TDD_LLM_MODEL,
+    timeoutMs: process.env.TDD_LLM_TIMEOUT_MS
+  };
+  for (const [key, value] of Object.entries(env)) {
+    if (value) config[key] = value;
+  }
+  if (process.env.TDD_LLM_RECORD) {
+    config.record = process.env.TDD_LLM_RECORD === '1' || process.env.TDD_LLM_RECORD === 'true';
+  }
+
+  return config;
+}
+
+/**
+ * Get the configured provider (cached per configuration)
+ * @returns {object} - Provider with every hook implemented
+ */
+function getProvider() {
+  const config = resolveProviderConfig();
+  const cacheKey = JSON.stringify(config);
+
+  if (!providerCache.has(cacheKey)) {
+    providerCache.set(cacheKey, loadProvider(config));
+  }
+  return providerCache.get(cacheKey);
+}
+
+/**
+ * Clear cached providers (useful for testing)
+ */
+function clearProviderCache() {
+  providerCache.clear();
+}
+
+module.exports = {
+  HOOKS,
+  createLocalProvider,
+  createFixtureProvider,
+  createHttpProvider,
+  loadProvider,
+  resolveProviderConfig,
+  getProvider,
+  clearProviderCache
+};
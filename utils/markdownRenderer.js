@@ -0,0 +1,283 @@
+/**
+ * Markdown rendering pipeline for TDD exports
+ * Renders GitHub-flavored Markdown to HTML so exported documents look like
+ * the Markdown does on GitHub:
+ * - GFM tables, strikethrough and autolinks (markdown-it)
+ * - Nested lists
+ * - Headings with GitHub-style anchor IDs
+ * - Syntax-highlighted fenced code blocks (highlight.js)
+ * - PlantUML blocks rendered to SVG/PNG when a local renderer is installed
+ *
+ * Everything runs locally; stylesheets are inlined so the HTML is self-contained.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const MarkdownIt = require('markdown-it');
+const hljs = require('highlight.js');
+const { isDiagramLanguage, renderPlantUmlToHtml } = require('./diagramRenderer');
+
+const HIGHLIGHT_THEME = path.join(path.dirname(require.resolve('highlight.js/package.json')), 'styles', 'github.min.css');
+
+/**
+ * Convert heading text to a GitHub-style anchor slug
+ * @param {string} text - Heading text
+ * @returns {string} - Slug (lowercase, punctuation stripped, spaces to hyphens)
+ */
+function slugify(text) {
+  return text
+    .trim()
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\p{M}\s_-]/gu, '')
+    .replace(/\s/g, '-');
+}
+
+/**
+ * markdown-it plugin that gives every heading a unique anchor ID
+ * Duplicate headings get -1, -2, ... suffixes, as on GitHub.
+ */
+function headingAnchors(md) {
+  md.core.ruler.push('heading_anchors', (state) => {
+    const seen = new Map();
+
+    state.tokens.forEach((token, index) => {
+      if (token.type !== 'heading_open') return;
+
+      const inline = state.tokens[index + 1];
+      const text = inline.children
+        .filter(child => child.type === 'text' || child.type === 'code_inline')
+        .map(child => child.content)
+        .join('');
+
+      const base = slugify(text) || 'section';
+      const count = seen.get(base) || 0;
+      seen.set(base, count + 1);
+
+      token.attrSet('id', count === 0 ? base : `${base}-${count}`);
+    });
+  });
+}
+
+/**
+ * markdown-it plugin that renders PlantUML fences as images
+ * Controlled per render through env: { diagrams: false } keeps the source,
+ * { diagramFormat: 'png' } embeds PNG instead of inline SVG.
+ * Falls back to the highlighted source when no renderer is available.
+ */
+function plantUmlDiagrams(md) {
+  const defaultFence = md.renderer.rules.fence;
+
+  md.renderer.rules.fence = (tokens, idx, options, env, self) => {
+    const token = tokens[idx];
+    const renderDiagrams = !env || env.diagrams !== false;
+
+    if (renderDiagrams && isDiagramLanguage(token.info)) {
+      const figure = renderPlantUmlToHtml(token.content, (env && env.diagramFormat) || 'svg');
+      if (figure) {
+        return figure;
+      }
+    }
+
+    return defaultFence(tokens, idx, options, env, self);
+  };
+}
+
+/**
+ * Highlight a fenced code block
+ * Unknown or missing languages are escaped without highlighting.
+ */
+function highlightCode(md, code, lang) {
+  const language = (lang || '').trim().split(/\s+/)[0];
+
+  if (language && hljs.getLanguage(language)) {
+    try {
+      const highlighted = hljs.highlight(code, { language, ignoreIllegals: true }).value;
+      return `<pre><code class="hljs language-${md.utils.escapeHtml(language)}">${highlighted}</code></pre>`;
+    } catch (error) {
+      // Fall through to plain rendering
+    }
+  }
+
+  return '';
+}
+
+/**
+ * Create a configured markdown-it instance
+ * Raw HTML in the Markdown is escaped, since TDD content includes user answers.
+ * @returns {MarkdownIt} - The renderer
+ */
+function createRenderer() {
+  const md = new MarkdownIt({
+    html: false,
+    linkify: true,
+    typographer: false
+  });
+
+  md.set({ highlight: (code, lang) => highlightCode(md, code, lang) });
+  md.use(headingAnchors);
+  md.use(plantUmlDiagrams);
+
+  return md;
+}
+
+const renderer = createRenderer();
+
+/**
+ * Render Markdown to an HTML fragment
+ * @param {string} markdown - The markdown content
+ * @param {object} options - { diagrams, diagramFormat } (diagrams render as SVG by default)
+ * @returns {string} - HTML fragment
+ */
+function renderMarkdown(markdown, options = {}) {
+  return renderer.render(markdown || '', {
+    diagrams: options.diagrams !== false,
+    diagramFormat: options.diagramFormat || 'svg'
+  });
+}
+
+/**
+ * Parse Markdown into markdown-it tokens (headings carry their anchor IDs)
+ * Lets other output formats render from the same parse as the HTML.
+ * @param {string} markdown - The markdown content
+ * @returns {Array} - markdown-it tokens
+ */
+function parseMarkdown(markdown) {
+  return renderer.parse(markdown || '', {});
+}
+
+/**
+ * List the headings of a document
+ * @param {Array} tokens - Tokens from parseMarkdown
+ * @returns {Array} - [{ level, text, id }]
+ */
+function extractHeadings(tokens) {
+  return tokens
+    .map((token, index) => ({ token, inline: tokens[index + 1] }))
+    .filter(({ token }) => token.type === 'heading_open')
+    .map(({ token, inline }) => ({
+      level: Number(token.tag.slice(1)),
+      text: inline.content,
+      id: token.attrGet('id')
+    }));
+}
+
+/**
+ * Render a nested table of contents linking to heading anchors
+ * @param {string} markdown - The markdown content
+ * @param {object} options - { minLevel, maxLevel } (defaults: 2 and 3)
+ * @returns {string} - HTML <nav>, or '' when there are no headings
+ */
+function renderTableOfContents(markdown, options = {}) {
+  const minLevel = options.minLevel || 2;
+  const maxLevel = options.maxLevel || 3;
+  const headings = extractHeadings(parseMarkdown(markdown))
+    .filter(heading => heading.level >= minLevel && heading.level <= maxLevel);
+
+  if (headings.length === 0) {
+    return '';
+  }
+
+  let html = '<nav class="toc">\n<h2>Contents</h2>\n';
+  let depth = 0;
+  headings.forEach(heading => {
+    const level = heading.level - minLevel + 1;
+    if (level > depth) {
+      // Skipped levels (e.g. an h3 first) get an empty wrapper <li> so every nested <ul> has a parent
+      html += '<ul>\n' + '<li>\n<ul>\n'.repeat(level - depth - 1);
+    } else {
+      html += '</li>\n' + '</ul>\n</li>\n'.repeat(depth - level);
+    }
+    depth = level;
+    html += `<li><a href="#${heading.id}">${renderer.utils.escapeHtml(heading.text)}</a>`;
+  });
+  html += '</li>\n' + '</ul>\n</li>\n'.repeat(depth - 1) + '</ul>\n</nav>\n';
+
+  return html;
+}
+
+/**
+ * Load the highlight.js theme so it can be inlined
+ */
+function loadHighlightTheme() {
+  try {
+    return fs.readFileSync(HIGHLIGHT_THEME, 'utf8');
+  } catch (error) {
+    return '';
+  }
+}
+
+// GitHub-like document styling, tuned for A4 print
+const DOCUMENT_STYLES = `
+    body {
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Helvetica, Arial, sans-serif;
+      font-size: 14px;
+      line-height: 1.6;
+      color: #1f2328;
+      max-width: 880px;
+      margin: 0 auto;
+      padding: 20px;
+      word-wrap: break-word;
+    }
+    h1, h2, h3, h4, h5, h6 { margin: 24px 0 16px; font-weight: 600; line-height: 1.25; page-break-after: avoid; }
+    h1 { font-size: 2em; padding-bottom: 0.3em; border-bottom: 1px solid #d1d9e0; }
+    h2 { font-size: 1.5em; padding-bottom: 0.3em; border-bottom: 1px solid #d1d9e0; }
+    h3 { font-size: 1.25em; }
+    h4 { font-size: 1em; }
+    p, ul, ol, table, pre, blockquote { margin: 0 0 16px; }
+    a { color: #0969da; text-decoration: none; }
+    ul, ol { padding-left: 2em; }
+    li + li { margin-top: 0.25em; }
+    li > ul, li > ol { margin: 0.25em 0 0; }
+    code { font-family: ui-monospace, SFMono-Regular, Menlo, Consolas, monospace; font-size: 85%; background: rgba(175, 184, 193, 0.2); padding: 0.2em 0.4em; border-radius: 6px; }
+    pre { background: #f6f8fa; padding: 16px; border-radius: 6px; overflow-x: auto; line-height: 1.45; page-break-inside: avoid; }
+    pre code { background: transparent; padding: 0; font-size: 85%; white-space: pre-wrap; }
+    pre code.hljs { padding: 0; background: transparent; }
+    table { border-collapse: collapse; display: table; width: auto; max-width: 100%; page-break-inside: auto; }
+    tr { page-break-inside: avoid; }
+    th, td { border: 1px solid #d1d9e0; padding: 6px 13px; text-align: left; vertical-align: top; }
+    th { font-weight: 600; background-color: #f6f8fa; }
+    tr:nth-child(2n) td { background-color: #f6f8fa; }
+    blockquote { color: #59636e; border-left: 0.25em solid #d1d9e0; padding: 0 1em; }
+    hr { height: 0.25em; padding: 0; margin: 24px 0; background-color: #d1d9e0; border: 0; }
+    img, svg { max-width: 100%; }
+    figure.diagram { margin: 0 0 16px; text-align: center; page-break-inside: avoid; }
+    figure.diagram svg, figure.diagram img { height: auto; }
+    nav.toc { margin: 0 0 24px; padding: 8px 16px; border: 1px solid #d1d9e0; border-radius: 6px; }
+    nav.toc h2 { margin-top: 8px; font-size: 1.2em; border-bottom: 0; }
+    nav.toc ul { list-style: none; padding-left: 1.2em; }
+    nav.toc > ul { padding-left: 0; }
+    @media print { nav.toc { page-break-after: always; } }`;
+
+/**
+ * Render Markdown to a complete, self-contained HTML document
+ * @param {string} markdown - The markdown content
+ * @param {object} options - { title, toc, diagrams, diagramFormat } (toc adds a table of contents)
+ * @returns {string} - HTML document
+ */
+function renderHtmlDocument(markdown, options = {}) {
+  const title = options.title || 'Technical Design Document';
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>${renderer.utils.escapeHtml(title)}</title>
+  <style>${DOCUMENT_STYLES}
+    ${loadHighlightTheme()}
+  </style>
+</head>
+<body>
+${options.toc ? renderTableOfContents(markdown) : ''}${renderMarkdown(markdown, options)}
+</body>
+</html>`;
+}
+
+module.exports = {
+  slugify,
+  createRenderer,
+  parseMarkdown,
+  extractHeadings,
+  renderMarkdown,
+  renderTableOfContents,
+  renderHtmlDocument
+};
@@ -0,0 +1,464 @@
+/**
+ * MPKF self-audit rules
+ *
+ * Executable form of docs/mpkf_audit_checklist.md, run against the answers and the
+ * rendered document before the audit reports are appended:
+ * - Compliance report: Pre-TDD Gating, Template Population, Complexity Adherence,
+ *   Downstream Compatibility, Self-Audit Executed and MCP Section Handling
+ * - Completeness report: Orphan Variables, Required Sections, Diagram Generation,
+ *   Document Structure, Content Quality and Cross-Field Consistency
+ *
+ * Every check is { id, report, item, status, evidence } where status is one of
+ * pass, warn, fail or n/a, and evidence is a one-line explanation for the report.
+ * Section checks only apply to the staged v5.0 layout (the default document template).
+ */
+
+const { validateIS8601Date } = require('../src/validation/date');
+const { DEFAULT_DOC_TEMPLATE } = require('./docTemplates');
+const { TDD_STAGES, getSectionPlan } = require('../src/lib/tddSections');
+
+// Answers longer than this are flagged (checklist: field length limits)
+const MAX_FIELD_LENGTH = 10000;
+
+// Report cell for each status
+const STATUS_LABELS = {
+  pass: '✅ Passed',
+  warn: '⚠️ Warning',
+  fail: '🔴 Failed',
+  'n/a': 'N/A'
+};
+
+const MISSING = '*Not Provided*';
+const ORPHAN_PATTERN = /{{[^}]+}}/g;
+const DATE_FIELD_PATTERN = /(_date|deadline)$/;
+const SCRIPT_PATTERNS = [/<script\b/i, /javascript:/i, /<[^>]+\son\w+\s*=/i];
+const MCP_FIELDS = ['security.mcp_protocol_compliance', 'security.mcp_sandboxing_model', 'security.mcp_permission_model'];
+
+// Subsections rendered only when their answers exist (3.5 needs an API, 5.3 MCP answers)
+const CONDITIONAL_SECTIONS = ['3.5', '5.3'];
+
+// Diagram subsections with the answers they are generated from
+const DIAGRAM_SECTIONS = [
+  { id: '3.2', fields: ['architecture.c4_l1_description'] },
+  { id: '3.3', fields: ['architecture.c4_l2_description'] },
+  { id: '3.4', fields: ['architecture.data_model', 'architecture.data_flow_description'] }
+];
+
+const SECTION_TITLES = new Map(TDD_STAGES.flatMap(stage => stage.sections.map(section => [section.id, section.title])));
+
+function isMcpComplexity(complexity) {
+  return complexity === 'mcp-specific' || complexity === 'mcp';
+}
+
+function isAnswered(value) {
+  return value !== undefined && value !== null && value !== '' &&
+    !(Array.isArray(value) && value.length === 0);
+}
+
+function check(id, report, item, status, evidence) {
+  return { id, report, item, status, evidence };
+}
+
+function listSome(items, limit = 5) {
+  return items.slice(0, limit).join(', ') + (items.length > limit ? ', ...' : '');
+}
+
+function escapeOrphan(tag) {
+  return tag.replace(/{{/g, '\\{\\{').replace(/}}/g, '\\}\\}');
+}
+
+/**
+ * Split a document into lines with their heading level, skipping fenced code blocks
+ * @param {string} document - Rendered Markdown
+ * @returns {object} - { lines: [{ text, index, inFence }], headings: [{ level, text, index }], fences }
+ */
+function scanMarkdown(document) {
+  const lines = [];
+  const headings = [];
+  let fences = 0;
+  let inFence = false;
+
+  document.split('\n').forEach((text, index) => {
+    if (/^\s*```/.test(text)) {
+      fences++;
+      inFence = !inFence;
+      lines.push({ text, index, inFence: true });
+      return;
+    }
+    lines.push({ text, index, inFence });
+    const heading = !inFence && text.match(/^(#{1,6})\s+(.*)$/);
+    if (heading) {
+      headings.push({ level: heading[1].length, text: heading[2].trim(), index });
+    }
+  });
+
+  return { lines, headings, fences };
+}
+
+function headingSlug(text) {
+  return text.toLowerCase().replace(/[^\w\s-]/g, '').trim().replace(/\s/g, '-');
+}
+
+function tableCells(line) {
+  return line.trim().replace(/^\|/, '').replace(/\|$/, '').split(/(?<!\\)\|/).length;
+}
+
+/**
+ * Collect string answers, flattening arrays and nested objects
+ */
+function stringAnswers(project_data) {
+  const strings = [];
+  const visit = (field, value) => {
+    if (typeof value === 'string') {
+      strings.push({ field, value });
+    } else if (Array.isArray(value)) {
+      value.forEach(item => visit(field, item));
+    } else if (value && typeof value === 'object') {
+      Object.values(value).forEach(item => visit(field, item));
+    }
+  };
+  Object.entries(project_data).forEach(([field, value]) => visit(field, value));
+  return strings;
+}
+
+// --- COMPLIANCE REPORT ---
+
+// Checklist: Input Data Validation and Complexity-Specific Requirements
+function checkPreTddGating({ project_data, complexity, requiredFields }) {
+  const missing = requiredFields.filter(field => !isAnswered(project_data[field]));
+  const dateFields = Object.keys(project_data).filter(field => DATE_FIELD_PATTERN.test(field) && isAnswered(project_data[field]));
+  const badDates = dateFields.filter(field => !validateIS8601Date(project_data[field]).isValid);
+  const strings = stringAnswers(project_data);
+  const tooLong = [...new Set(strings.filter(({ value }) => value.length > MAX_FIELD_LENGTH).map(({ field }) => field))];
+  const scripts = [...new Set(strings.filter(({ value }) => SCRIPT_PATTERNS.some(pattern => pattern.test(value))).map(({ field }) => field))];
+
+  const failures = [];
+  if (missing.length > 0) failures.push(`${missing.length} required field(s) missing: ${listSome(missing)}`);
+  if (badDates.length > 0) failures.push(`invalid ISO 8601 date(s): ${listSome(badDates)}`);
+  if (scripts.length > 0) failures.push(`script content in ${listSome(scripts)}`);
+  if (failures.length > 0) {
+    return check('pre-tdd-gating', 'compliance', 'Pre-TDD Gating', 'fail', `${failures.join('; ')}.`);
+  }
+  if (tooLong.length > 0) {
+    return check('pre-tdd-gating', 'compliance', 'Pre-TDD Gating', 'warn',
+      `${listSome(tooLong)} exceed(s) ${MAX_FIELD_LENGTH.toLocaleString('en-US')} characters.`);
+  }
+  return check('pre-tdd-gating', 'compliance', 'Pre-TDD Gating', 'pass',
+    `${requiredFields.length} of ${requiredFields.length} required fields answered for the '${complexity}' complexity; ` +
+    `${dateFields.length} date field(s) checked for ISO 8601; no answer exceeds ${MAX_FIELD_LENGTH.toLocaleString('en-US')} characters or contains script content.`);
+}
+
+// Checklist: Template Validation
+function checkTemplatePopulation({ tddOutput, docTemplate }) {
+  const source = docTemplate.name === DEFAULT_DOC_TEMPLATE
+    ? "by populating the authoritative 'Universal_Enterprise_Grade_TDD_Template_v5.0.md'"
+    : `from the '${docTemplate.title || docTemplate.name}' document template (${docTemplate.name})`;
+  const orphans = tddOutput.match(ORPHAN_PATTERN) || [];
+
+  if (orphans.length > 0) {
+    return check('template-population', 'compliance', 'Template Population', 'fail',
+      `The TDD was generated ${source}, but ${orphans.length} placeholder(s) were not substituted.`);
+  }
+  return check('template-population', 'compliance', 'Template Population', 'pass',
+    `The TDD was generated ${source}; every placeholder was substituted.`);
+}
+
+// Checklist: Compliance Standards (complexity model followed)
+function checkComplexityAdherence({ headings, complexity, plan, staged }) {
+  if (!staged) {
+    return check('complexity-adherence', 'compliance', 'Complexity Adherence', 'n/a',
+      'The document template does not use the staged TDD layout.');
+  }
+  const rendered = headings
+    .filter(heading => heading.level === 2)
+    .map(heading => heading.text.match(/^Stage (\d+):/))
+    .filter(Boolean)
+    .map(match => Number(match[1]));
+  const missing = plan.stages.filter(stage => !rendered.includes(stage));
+  const extra = rendered.filter(stage => !plan.stages.includes(stage));
+
+  if (missing.length > 0 || extra.length > 0) {
+    const problems = [];
+    if (missing.length > 0) problems.push(`stage(s) ${missing.join(', ')} missing`);
+    if (extra.length > 0) problems.push(`stage(s) ${extra.join(', ')} rendered outside the plan`);
+    return check('complexity-adherence', 'compliance', 'Complexity Adherence', 'fail',
+      `The '${complexity}' section plan does not match the document: ${problems.join('; ')}.`);
+  }
+  return check('complexity-adherence', 'compliance', 'Complexity Adherence', 'pass',
+    `Rendered stages ${rendered.join(', ')} match the '${complexity}' section plan of the Adaptive Complexity Model.`);
+}
+
+// Checklist: Output Validation (a single titled document downstream tools can key on)
+function checkDownstreamCompatibility({ headings, project_data }) {
+  const titles = headings.filter(heading => heading.level === 1);
+  const seen = new Set();
+  const duplicates = [...new Set(headings.filter(heading => heading.level > 1)
+    .map(heading => heading.text)
+    .filter(text => seen.has(text) || !seen.add(text)))];
+  const name = project_data['project.name'];
+
+  const problems = [];
+  if (titles.length !== 1) problems.push(`${titles.length} top-level titles (expected 1)`);
+  if (titles.length === 1 && typeof name === 'string' && !titles[0].text.includes(name)) problems.push('the title does not name the project');
+  if (duplicates.length > 0) problems.push(`duplicate heading(s): ${listSome(duplicates)}`);
+  if (problems.length > 0) {
+    return check('downstream-compatibility', 'compliance', 'Downstream Compatibility', 'fail', `${problems.join('; ')}.`);
+  }
+  return check('downstream-compatibility', 'compliance', 'Downstream Compatibility', 'pass',
+    `One title heading ("${titles[0].text}") and ${headings.length - 1} unique section headings, as the Phoenix and Iris Gem schemas expect.`);
+}
+
+// Checklist: MCP Standards (protocol compliance, security boundaries, permission model)
+function checkMcpSectionHandling({ project_data, complexity, sections }) {
+  const rendered = sections.get('5.3');
+  if (!isMcpComplexity(complexity) && rendered === undefined) {
+    return check('mcp-section-handling', 'compliance', 'MCP Section Handling', 'n/a', 'Not applicable for this complexity level.');
+  }
+  if (rendered === undefined) {
+    return check('mcp-section-handling', 'compliance', 'MCP Section Handling', 'fail', 'Stage 5.3 [MCP] Tool Security Boundaries is missing.');
+  }
+  const unanswered = MCP_FIELDS.filter(field => !isAnswered(project_data[field]));
+  if (rendered.includes(MISSING)) {
+    return check('mcp-section-handling', 'compliance', 'MCP Section Handling', 'fail', `Stage 5.3 renders MCP answers as ${MISSING}.`);
+  }
+  if (unanswered.length > 0) {
+    return check('mcp-section-handling', 'compliance', 'MCP Section Handling', 'warn',
+      `Stage 5.3 uses the built-in defaults for ${unanswered.join(', ')}.`);
+  }
+  return check('mcp-section-handling', 'compliance', 'MCP Section Handling', 'pass',
+    'MCP protocol compliance, sandboxing and permission model answered in Stage 5.3.');
+}
+
+// --- COMPLETENESS REPORT ---
+
+// Checklist: Template Validation (no orphan {{variable}} tags)
+function checkOrphanVariables({ tddOutput }) {
+  const orphans = tddOutput.match(ORPHAN_PATTERN) || [];
+  if (orphans.length > 0) {
+    const display = orphans.slice(0, 5).map(escapeOrphan).join(', ') + (orphans.length > 5 ? '...' : '');
+    return check('orphan-variables', 'completeness', 'Orphan Variables', 'fail', `${orphans.length} orphan variable tag(s) found: ${display}`);
+  }
+  return check('orphan-variables', 'completeness', 'Orphan Variables', 'pass', 'No orphan variable tags remain in the final document.');
+}
+
+// Checklist: Content Population (required sections present, in MPKF order)
+function checkRequiredSections({ headings, complexity, plan, staged }) {
+  if (!staged) {
+    return check('required-sections', 'completeness', 'Required Sections', 'n/a', 'The document template does not use the staged TDD layout.');
+  }
+  const expected = TDD_STAGES
+    .filter(stage => plan.stages.includes(stage.stage))
+    .flatMap(stage => [
+      { level: 2, title: stage.title },
+      ...stage.sections
+        .filter(section => plan.sections.includes(section.id))
+        .filter(section => !CONDITIONAL_SECTIONS.includes(section.id) || (section.id === '5.3' && isMcpComplexity(complexity)))
+        .map(section => ({ level: 3, title: section.title }))
+    ]);
+  const positions = expected.map(({ level, title }) => {
+    const found = headings.find(heading => heading.level === level && heading.text === title);
+    return found ? found.index : -1;
+  });
+  const missing = expected.filter((_, i) => positions[i] < 0).map(({ title }) => title);
+  const present = positions.filter(position => position >= 0);
+  const inOrder = present.every((position, i) => i === 0 || position > present[i - 1]);
+
+  if (missing.length > 0) {
+    return check('required-sections', 'completeness', 'Required Sections', 'fail', `${missing.length} required section(s) missing: ${listSome(missing)}`);
+  }
+  if (!inOrder) {
+    return check('required-sections', 'completeness', 'Required Sections', 'fail', 'Sections are present but do not follow the MPKF stage order.');
+  }
+  const subsections = expected.filter(({ level }) => level === 3).length;
+  return check('required-sections', 'completeness', 'Required Sections', 'pass',
+    `All ${plan.stages.length} stages and ${subsections} subsections of the '${complexity}' plan are present in MPKF order.`);
+}
+
+// Checklist: Content Population (diagram placeholders populated)
+function checkDiagramGeneration({ project_data, sections, staged }) {
+  const rendered = DIAGRAM_SECTIONS.filter(({ id }) => sections.has(id));
+  if (!staged || rendered.length === 0) {
+    return check('diagram-generation', 'completeness', 'Diagram Generation', 'n/a', 'No diagram sections at this complexity level.');
+  }
+  const described = rendered.filter(({ fields }) => fields.some(field => isAnswered(project_data[field])));
+  const notGenerated = described.filter(({ id }) => !/^\s*```/m.test(sections.get(id)));
+  const undescribed = rendered.filter(section => !described.includes(section));
+
+  if (notGenerated.length > 0) {
+    return check('diagram-generation', 'completeness', 'Diagram Generation', 'fail',
+      `No diagram generated for ${notGenerated.map(({ id }) => SECTION_TITLES.get(id)).join(', ')} despite a description.`);
+  }
+  if (undescribed.length > 0) {
+    return check('diagram-generation', 'completeness', 'Diagram Generation', 'warn',
+      `Diagram placeholders marked as not provided for ${undescribed.map(({ id }) => SECTION_TITLES.get(id)).join(', ')}.`);
+  }
+  return check('diagram-generation', 'completeness', 'Diagram Generation', 'pass',
+    `${described.length} diagram(s) generated for ${described.map(({ id }) => id).join(', ')}.`);
+}
+
+// Checklist: Document Structure (Markdown syntax, headers, tables, links)
+function checkDocumentStructure({ lines, headings, fences }) {
+  const failures = [];
+  const warnings = [];
+
+  if (fences % 2 !== 0) failures.push('unclosed code block');
+
+  let tables = 0;
+  let table = null;
+  for (const { text, index, inFence } of lines) {
+    const isRow = !inFence && text.trim().startsWith('|');
+    if (!isRow) {
+      table = null;
+      continue;
+    }
+    if (!table) {
+      table = { columns: tableCells(text), row: 0 };
+      tables++;
+    } else if (table.row === 1 && !/^\s*\|?\s*:?-+/.test(text)) {
+      failures.push(`table at line ${index + 1} has no separator row`);
+    } else if (tableCells(text) !== table.columns) {
+      failures.push(`table row at line ${index + 1} has ${tableCells(text)} cells (expected ${table.columns})`);
+    }
+    table.row++;
+  }
+
+  const malformed = lines.filter(({ text, inFence }) => !inFence && /^#{1,6}[^#\s]/.test(text));
+  if (malformed.length > 0) warnings.push(`${malformed.length} heading(s) without a space after #`);
+  const skipped = headings.filter((heading, i) => i > 0 && heading.level > headings[i - 1].level + 1);
+  if (skipped.length > 0) warnings.push(`heading level skipped at ${listSome(skipped.map(({ text }) => `"${text}"`))}`);
+
+  const anchors = new Set(headings.map(({ text }) => headingSlug(text)));
+  const links = lines.filter(({ inFence }) => !inFence).flatMap(({ text }) => [...text.matchAll(/\[[^\]]*\]\(([^)]*)\)/g)].map(match => match[1].trim()));
+  const broken = links.filter(target => target === '' || (target.startsWith('#') && !anchors.has(target.slice(1))));
+  if (broken.length > 0) warnings.push(`${broken.length} broken link(s)`);
+
+  if (failures.length > 0) {
+    return check('document-structure', 'completeness', 'Document Structure', 'fail', `${listSome([...failures, ...warnings], 3)}.`);
+  }
+  if (warnings.length > 0) {
+    return check('document-structure', 'completeness', 'Document Structure', 'warn', `${warnings.join('; ')}.`);
+  }
+  return check('document-structure', 'completeness', 'Document Structure', 'pass',
+    `${headings.length} headings, ${tables} table(s) and ${fences / 2} code block(s) are well-formed Markdown.`);
+}
+
+// Checklist: Content Quality (no placeholder text remains)
+function checkContentQuality({ lines, headings }) {
+  const counts = new Map();
+  for (const { text, index, inFence } of lines) {
+    if (inFence || !text.includes(MISSING)) continue;
+    const heading = [...headings].reverse().find(candidate => candidate.index < index);
+    const section = heading ? heading.text : 'Document';
+    counts.set(section, (counts.get(section) || 0) + text.split(MISSING).length - 1);
+  }
+  const total = [...counts.values()].reduce((sum, count) => sum + count, 0);
+
+  if (total > 0) {
+    const bySection = [...counts].map(([section, count]) => `${section} (${count})`);
+    return check('content-quality', 'completeness', 'Content Quality', 'warn',
+      `${total} answer(s) rendered as ${MISSING}: ${listSome(bySection)}`);
+  }
+  return check('content-quality', 'completeness', 'Content Quality', 'pass', 'No placeholder text remains; every rendered answer has content.');
+}
+
+// Questionnaire consistency_rules that fired (errors already fail validation)
+function checkCrossFieldConsistency({ consistency }) {
+  if (consistency.length > 0) {
+    return check('cross-field-consistency', 'completeness', 'Cross-Field Consistency', 'warn',
+      consistency.map(issue => `${issue.message} (${issue.fields.join(', ')})`).join('<br>'));
+  }
+  return check('cross-field-consistency', 'completeness', 'Cross-Field Consistency', 'pass', 'No contradictions found between answers.');
+}
+
+/**
+ * Map a rendered staged document to the text of each subsection, by ID
+ */
+function sectionBodies(lines, headings) {
+  const bodies = new Map();
+  headings.forEach((heading, i) => {
+    const match = heading.level === 3 && heading.text.match(/^(\d+\.\d+)\s/);
+    if (match && SECTION_TITLES.get(match[1]) === heading.text) {
+      const end = i + 1 < headings.length ? headings[i + 1].index : lines.length;
+      bodies.set(match[1], lines.slice(heading.index + 1, end).map(({ text }) => text).join('\n'));
+    }
+  });
+  return bodies;
+}
+
+/**
+ * Run the MPKF audit checklist against the answers and the rendered document
+ * @param {object} input
+ * @param {object} input.project_data - The answers
+ * @param {string} input.complexity - The complexity level
+ * @param {string} input.tddOutput - The rendered document, without audit reports
+ * @param {string[]} input.requiredFields - Fields required by the complexity level and document template
+ * @param {object} input.docTemplate - The document template ({ name, title })
+ * @param {object} input.plan - Section plan the document was rendered with (default: getSectionPlan(complexity))
+ * @param {Array<object>} input.consistency - Consistency issues from validateProjectData
+ * @returns {object} - { status, checks } where status is the worst check status (pass, warn or fail)
+ */
+function runMpkfAudit({
+  project_data = {},
+  complexity,
+  tddOutput,
+  requiredFields = [],
+  docTemplate = { name: DEFAULT_DOC_TEMPLATE },
+  plan = getSectionPlan(complexity),
+  consistency = []
+}) {
+  const { lines, headings, fences } = scanMarkdown(tddOutput);
+  const staged = docTemplate.name === DEFAULT_DOC_TEMPLATE;
+  const input = {
+    project_data: project_data || {},
+    complexity,
+    tddOutput,
+    requiredFields,
+    docTemplate,
+    plan,
+    consistency,
+    staged,
+    lines,
+    headings,
+    fences,
+    sections: staged ? sectionBodies(lines, headings) : new Map()
+  };
+
+  const checks = [
+    checkPreTddGating,
+    checkTemplatePopulation,
+    checkComplexityAdherence,
+    checkDownstreamCompatibility,
+    checkMcpSectionHandling,
+    checkOrphanVariables,
+    checkRequiredSections,
+    checkDiagramGeneration,
+    checkDocumentStructure,
+    checkContentQuality,
+    checkCrossFieldConsistency
+  ].map(rule => rule(input));
+
+  const count = status => checks.filter(result => result.status === status).length;
+  const summary = `${checks.length} checks run against the answers and the rendered document: ` +
+    `${count('pass')} passed, ${count('warn')} warning(s), ${count('fail')} failed, ${count('n/a')} not applicable.`;
+  checks.splice(4, 0, check('self-audit', 'compliance', 'Self-Audit Executed', 'pass', summary));
+
+  const status = count('fail') > 0 ? 'fail' : count('warn') > 0 ? 'warn' : 'pass';
+  return { status, checks };
+}
+
+/**
+ * Format a check as a row of the audit report tables
+ * @param {object} result - Check from runMpkfAudit
+ * @returns {string} - | item | status | evidence |
+ */
+function formatAuditRow(result) {
+  const evidence = result.evidence.replace(/\r?\n/g, ' ').replace(/(?<!\\)\|/g, '\\|');
+  return `| ${result.item} | ${STATUS_LABELS[result.status]} | ${evidence} |`;
+}
+
+module.exports = {
+  MAX_FIELD_LENGTH,
+  STATUS_LABELS,
+  runMpkfAudit,
+  formatAuditRow
+};
@@ -0,0 +1,392 @@
+/**
+ * OpenAPI generation from structured endpoint definitions
+ * Builds an OpenAPI 3.1 document from the `api.endpoints` answer, validates it
+ * against the official OpenAPI 3.1 JSON Schema with Ajv, and serialises it to
+ * YAML for embedding in the TDD and writing as a standalone file.
+ *
+ * Each endpoint looks like:
+ *   {
+ *     "method": "POST",
+ *     "path": "/payments/{id}/refunds",
+ *     "summary": "Refund a payment",
+ *     "auth": "bearer",                       // none (default), bearer, api_key, basic, oauth2
+ *     "request": { "amount": "integer", "reason": "string?" },
+ *     "response": [{ "name": "id", "type": "uuid", "required": true }],
+ *     "status": 201
+ *   }
+ *
+ * Fields are either a map of name → type or a list of { name, type, required, description }.
+ * A trailing "?" on a type marks the field optional, "[]" makes it an array.
+ */
+
+const yaml = require('js-yaml');
+const Ajv2020 = require('ajv/dist/2020');
+const openApiSchema = require('@apidevtools/openapi-schemas/schemas/v3.1/schema.json');
+
+const OPENAPI_VERSION = '3.1.0';
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+const METHODS_WITH_BODY = ['post', 'put', 'patch'];
+
+// Field types accepted in endpoint definitions, mapped to JSON Schema
+const FIELD_TYPES = {
+  string: { type: 'string' },
+  integer: { type: 'integer' },
+  number: { type: 'number' },
+  boolean: { type: 'boolean' },
+  object: { type: 'object' },
+  date: { type: 'string', format: 'date' },
+  'date-time': { type: 'string', format: 'date-time' },
+  datetime: { type: 'string', format: 'date-time' },
+  email: { type: 'string', format: 'email' },
+  uuid: { type: 'string', format: 'uuid' },
+  uri: { type: 'string', format: 'uri' },
+  url: { type: 'string', format: 'uri' }
+};
+
+// Authentication schemes, registered under components.securitySchemes
+const SECURITY_SCHEMES = {
+  bearer: { name: 'bearerAuth', scheme: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' } },
+  jwt: { name: 'bearerAuth', scheme: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' } },
+  api_key: { name: 'apiKeyAuth', scheme: { type: 'apiKey', in: 'header', name: 'X-API-Key' } },
+  apikey: { name: 'apiKeyAuth', scheme: { type: 'apiKey', in: 'header', name: 'X-API-Key' } },
+  basic: { name: 'basicAuth', scheme: { type: 'http', scheme: 'basic' } },
+  oauth2: {
+    name: 'oauth2',
+    scheme: {
+      type: 'oauth2',
+      flows: {
+        clientCredentials: { tokenUrl: '/oauth/token', scopes: {} }
+      }
+    }
+  }
+};
+
+/**
+ * Point the schema's `$dynamicRef: "#meta"` hooks at its own default Schema Object
+ * definition. Ajv resolves these dynamic references to the wrong anchor, which
+ * rejects every inline schema; without a dialect extension they mean the same thing.
+ */
+function resolveDynamicRefs(node) {
+  if (Array.isArray(node)) return node.map(resolveDynamicRefs);
+  if (!node || typeof node !== 'object') return node;
+
+  const resolved = {};
+  for (const [key, value] of Object.entries(node)) {
+    if (key === '$dynamicRef' && value === '#meta') {
+      resolved.$ref = '#/$defs/schema';
+    } else if (key !== '$dynamicAnchor') {
+      resolved[key] = resolveDynamicRefs(value);
+    }
+  }
+  return resolved;
+}
+
+const ajv = new Ajv2020({ allErrors: true, strict: false });
+// The OpenAPI schema annotates strings with these formats; the structure is what we validate
+ajv.addFormat('uri', true);
+ajv.addFormat('uri-reference', true);
+ajv.addFormat('media-range', true);
+const validateDocument = ajv.compile(resolveDynamicRefs(openApiSchema));
+
+/**
+ * Parse the api.endpoints answer (array or JSON string)
+ * @param {Array|string} endpoints - The raw answer
+ * @returns {Array} - Endpoint definitions (empty when not provided)
+ */
+function parseEndpoints(endpoints) {
+  if (!endpoints || endpoints === '*Not Provided*') return [];
+  if (typeof endpoints === 'string') {
+    try {
+      return parseEndpoints(JSON.parse(endpoints));
+    } catch (error) {
+      throw new Error(`api.endpoints must be a JSON array: ${error.message}`);
+    }
+  }
+  return Array.isArray(endpoints) ? endpoints : [endpoints];
+}
+
+/**
+ * Normalise request/response fields to [{ name, type, required, description }]
+ */
+function normalizeFields(fields) {
+  if (!fields) return [];
+  if (Array.isArray(fields)) {
+    return fields.map(field => (typeof field === 'string' ? parseFieldShorthand(field) : field));
+  }
+  return Object.entries(fields).map(([name, type]) => (
+    typeof type === 'object' && type !== null ? { name, ...type } : { name, ...parseTypeShorthand(type) }
+  ));
+}
+
+/**
+ * Parse "name:type" shorthand
+ */
+function parseFieldShorthand(field) {
+  const [name, type = 'string'] = field.split(':').map(part => part.trim());
+  return { name, ...parseTypeShorthand(type) };
+}
+
+/**
+ * Parse a type string: "string", "string?" (optional), "uuid[]" (array)
+ */
+function parseTypeShorthand(type) {
+  let value = String(type || 'string').trim();
+  const required = !value.endsWith('?');
+  if (!required) value = value.slice(0, -1);
+  return { type: value, required };
+}
+
+/**
+ * Check the endpoint definitions for mistakes before generating the document
+ * @param {Array|string} endpoints - The api.endpoints answer
+ * @returns {string[]} - Error messages (empty when valid)
+ */
+function validateEndpoints(endpoints) {
+  let list;
+  try {
+    list = parseEndpoints(endpoints);
+  } catch (error) {
+    return [error.message];
+  }
+
+  const errors = [];
+  const seen = new Set();
+
+  list.forEach((endpoint, index) => {
+    const where = `api.endpoints[${index}]`;
+    if (!endpoint || typeof endpoint !== 'object') {
+      errors.push(`${where} must be an object`);
+      return;
+    }
+
+    const method = String(endpoint.method || '').toLowerCase();
+    if (!HTTP_METHODS.includes(method)) {
+      errors.push(`${where}.method must be one of: ${HTTP_METHODS.map(m => m.toUpperCase()).join(', ')}`);
+    }
+    if (typeof endpoint.path !== 'string' || !endpoint.path.startsWith('/')) {
+      errors.push(`${where}.path must be a string starting with "/"`);
+    }
+    if (endpoint.auth && !['none', ...Object.keys(SECURITY_SCHEMES)].includes(String(endpoint.auth).toLowerCase())) {
+      errors.push(`${where}.auth must be one of: none, bearer, api_key, basic, oauth2`);
+    }
+
+    ['query', 'request', 'response'].forEach(part => {
+      normalizeFields(endpoint[part]).forEach((field, fieldIndex) => {
+        if (!field || !field.name) {
+          errors.push(`${where}.${part}[${fieldIndex}] must have a name`);
+        } else if (!FIELD_TYPES[String(field.type || 'string').replace(/\[\]$/, '').toLowerCase()]) {
+          errors.push(`${where}.${part}.${field.name} has unknown type "${field.type}" (use: ${Object.keys(FIELD_TYPES).join(', ')})`);
+        }
+      });
+    });
+
+    const key = `${method} ${endpoint.path}`;
+    if (seen.has(key)) {
+      errors.push(`${where} duplicates ${method.toUpperCase()} ${endpoint.path}`);
+    }
+    seen.add(key);
+  });
+
+  return errors;
+}
+
+/**
+ * Convert a field type to a JSON Schema
+ */
+function fieldSchema(field) {
+  const type = String(field.type || 'string').toLowerCase();
+  const schema = type.endsWith('[]')
+    ? { type: 'array', items: { ...FIELD_TYPES[type.slice(0, -2)] } }
+    : { ...FIELD_TYPES[type] };
+  if (field.description) schema.description = field.description;
+  return schema;
+}
+
+/**
+ * Build an object schema from a list of fields
+ */
+function objectSchema(fields) {
+  const schema = { type: 'object', properties: {} };
+  const required = [];
+
+  fields.forEach(field => {
+    schema.properties[field.name] = fieldSchema(field);
+    if (field.required !== false) required.push(field.name);
+  });
+
+  if (required.length > 0) schema.required = required;
+  return schema;
+}
+
+/**
+ * Build an operationId such as getPaymentsById from method and path
+ */
+function operationId(method, pathTemplate) {
+  const words = pathTemplate
+    .split('/')
+    .filter(Boolean)
+    .map(segment => {
+      const param = segment.match(/^\{(.+)\}$/);
+      return param ? `by ${param[1]}` : segment;
+    })
+    .join(' ')
+    .split(/[^a-zA-Z0-9]+/)
+    .filter(Boolean);
+
+  return method + words.map(word => word.charAt(0).toUpperCase() + word.slice(1)).join('');
+}
+
+/**
+ * Default success status for a method
+ */
+function defaultStatus(method) {
+  if (method === 'post') return '201';
+  if (method === 'delete') return '204';
+  return '200';
+}
+
+/**
+ * Build an OpenAPI 3.1 document from endpoint definitions
+ * @param {Array|string} endpoints - The api.endpoints answer
+ * @param {object} info - { title, version, description }
+ * @returns {object} - The OpenAPI document
+ */
+function buildOpenApiDocument(endpoints, info = {}) {
+  const errors = validateEndpoints(endpoints);
+  if (errors.length > 0) {
+    throw new Error(`Invalid api.endpoints: ${errors.join('; ')}`);
+  }
+
+  const document = {
+    openapi: OPENAPI_VERSION,
+    info: {
+      title: info.title || 'API',
+      version: info.version || '1.0.0'
+    },
+    paths: {}
+  };
+  if (info.description && info.description !== '*Not Provided*') {
+    document.info.description = info.description;
+  }
+
+  const securitySchemes = {};
+
+  parseEndpoints(endpoints).forEach(endpoint => {
+    const method = endpoint.method.toLowerCase();
+    const operation = {
+      operationId: endpoint.operationId || operationId(method, endpoint.path),
+      summary: endpoint.summary || `${method.toUpperCase()} ${endpoint.path}`
+    };
+    if (endpoint.description) operation.description = endpoint.description;
+    if (endpoint.tags) operation.tags = [].concat(endpoint.tags);
+
+    // Path parameters are required by OpenAPI for every {param} in the path
+    const pathParams = [...endpoint.path.matchAll(/\{([^}]+)\}/g)].map(match => ({
+      name: match[1],
+      in: 'path',
+      required: true,
+      schema: { type: 'string' }
+    }));
+    const queryParams = normalizeFields(endpoint.query).map(field => ({
+      name: field.name,
+      in: 'query',
+      required: field.required === true,
+      schema: fieldSchema(field)
+    }));
+    if (pathParams.length + queryParams.length > 0) {
+      operation.parameters = [...pathParams, ...queryParams];
+    }
+
+    const requestFields = normalizeFields(endpoint.request);
+    if (requestFields.length > 0 || (METHODS_WITH_BODY.includes(method) && endpoint.request)) {
+      operation.requestBody = {
+        required: true,
+        content: { 'application/json': { schema: objectSchema(requestFields) } }
+      };
+    }
+
+    const status = String(endpoint.status || defaultStatus(method));
+    const responseFields = normalizeFields(endpoint.response);
+    operation.responses = {
+      [status]: status === '204'
+        ? { description: 'No content' }
+        : {
+          description: 'Successful response',
+          content: { 'application/json': { schema: objectSchema(responseFields) } }
+        }
+    };
+    if (operation.requestBody) {
+      operation.responses['400'] = { description: 'Invalid request' };
+    }
+
+    const auth = String(endpoint.auth || 'none').toLowerCase();
+    if (auth !== 'none') {
+      const { name, scheme } = SECURITY_SCHEMES[auth];
+      securitySchemes[name] = scheme;
+      operation.security = [{ [name]: [] }];
+      operation.responses['401'] = { description: 'Unauthorized' };
+    }
+
+    document.paths[endpoint.path] = document.paths[endpoint.path] || {};
+    document.paths[endpoint.path][method] = operation;
+  });
+
+  if (Object.keys(securitySchemes).length > 0) {
+    document.components = { securitySchemes };
+  }
+
+  return document;
+}
+
+/**
+ * Validate a document against the OpenAPI 3.1 JSON Schema
+ * @param {object} document - The OpenAPI document
+ * @returns {object} - { valid, errors } with errors as "<pointer> <message>"
+ */
+function validateOpenApiDocument(document) {
+  const valid = validateDocument(document);
+  return {
+    valid,
+    errors: valid ? [] : validateDocument.errors.map(error => `${error.instancePath || '/'} ${error.message}`)
+  };
+}
+
+/**
+ * Serialise an OpenAPI document to YAML
+ */
+function toYaml(document) {
+  return yaml.dump(document, { noRefs: true, lineWidth: -1 });
+}
+
+/**
+ * Generate the OpenAPI document for a project
+ * @param {object} project_data - The project answers
+ * @returns {object|null} - { document, yaml }, or null when neither api.endpoints nor api.description is provided
+ */
+function generateOpenApi(project_data = {}) {
+  if (!project_data['api.endpoints'] && !project_data['api.description']) {
+    return null;
+  }
+
+  const document = buildOpenApiDocument(project_data['api.endpoints'], {
+    title: `${project_data['project.name'] || 'Project'} API`,
+    version: project_data['api.version'] || project_data['doc.version'],
+    description: project_data['api.description']
+  });
+
+  const { valid, errors } = validateOpenApiDocument(document);
+  if (!valid) {
+    throw new Error(`Generated OpenAPI document is invalid: ${errors.join('; ')}`);
+  }
+
+  return { document, yaml: toYaml(document) };
+}
+
+module.exports = {
+  OPENAPI_VERSION,
+  validateEndpoints,
+  buildOpenApiDocument,
+  validateOpenApiDocument,
+  toYaml,
+  generateOpenApi
+};
@@ -5,10 +5,13 @@
  * 
  * Environment Variables:
  * - EXPORT_PATH: Configurable export directory (default: ./exports)
+ * - PLANTUML_BIN / PLANTUML_JAR: Local PlantUML renderer for diagrams (see diagramRenderer)
+ * - PLANTUML_FORMAT: Embedded diagram format, svg (default) or png
  */
 
 const fs = require('fs').promises;
 const path = require('path');
+const { renderHtmlDocument } = require('./markdownRenderer');
 
 class PDFExporter {
   constructor() {
@@ -128,71 +131,18 @@ class PDFExporter {
 
   /**
    * Convert markdown to HTML for PDF generation
+   * Uses the GitHub-flavored rendering pipeline (tables, nested lists,
+   * heading anchors, highlighted code) from markdownRenderer.
+   * PlantUML blocks become images when a local renderer is installed.
    * @param {string} markdown - The markdown content
    * @returns {string} - HTML content
    */
   markdownToHtml(markdown) {
-    // Basic markdown to HTML conversion
-    let html = markdown
-      // Headers
-      .replace(/^### (.*$)/gim, '<h3>$1</h3>')
-      .replace(/^## (.*$)/gim, '<h2>$1</h2>')
-      .replace(/^# (.*$)/gim, '<h1>$1</h1>')
-      
-      // Bold and italic
-      .replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>')
-      .replace(/\*(.*?)\*/g, '<em>$1</em>')
-      
-      // Code blocks
-      .replace(/```([\s\S]*?)```/g, '<pre><code>$1</code></pre>')
-      .replace(/`(.*?)`/g, '<code>$1</code>')
-      
-      // Lists
-      .replace(/^\- (.*$)/gim, '<li>$1</li>')
-      .replace(/(<li>.*<\/li>)/s, '<ul>$1</ul>')
-      
-      // Line breaks
-      .replace(/\n/g, '<br>')
-      
-      // Tables (basic support)
-      .replace(/\|(.+)\|/g, (match, content) => {
-        const cells = content.split('|').map(cell => `<td>${cell.trim()}</td>`).join('');
-        return `<tr>${cells}</tr>`;
-      });
-
-    // Wrap in proper HTML structure
-    return `
-<!DOCTYPE html>
-<html>
-<head>
-  <meta charset="utf-8">
-  <title>Technical Design Document</title>
-  <style>
-    body {
-      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
-      line-height: 1.6;
-      color: #333;
-      max-width: 800px;
-      margin: 0 auto;
-      padding: 20px;
-    }
-    h1 { color: #2c3e50; border-bottom: 2px solid #3498db; padding-bottom: 10px; }
-    h2 { color: #34495e; border-bottom: 1px solid #bdc3c7; padding-bottom: 5px; }
-    h3 { color: #7f8c8d; }
-    code { background: #f8f9fa; padding: 2px 4px; border-radius: 3px; font-family: 'Monaco', 'Consolas', monospace; }
-    pre { background: #f8f9fa; padding: 15px; border-radius: 5px; overflow-x: auto; }
-    table { border-collapse: collapse; width: 100%; margin: 20px 0; }
-    th, td { border: 1px solid #ddd; padding: 8px; text-align: left; }
-    th { background-color: #f2f2f2; }
-    ul { padding-left: 20px; }
-    li { margin: 5px 0; }
-    hr { border: none; border-top: 1px solid #eee; margin: 30px 0; }
-  </style>
-</head>
-<body>
-  ${html}
-</body>
-</html>`;
+    const titleMatch = markdown.match(/^# (.+)$/m);
+    return renderHtmlDocument(markdown, {
+      title: titleMatch ? titleMatch[1].trim() : 'Technical Design Document',
+      diagramFormat: process.env.PLANTUML_FORMAT === 'png' ? 'png' : 'svg'
+    });
   }
 
   /**
@@ -0,0 +1,49 @@
+/**
+ * Project configuration from tdd.config.json in the working directory
+ * Sections:
+ * - llm:      LLM provider settings (see utils/llmProvider.js)
+ * - sections: { omitted: 'appendix' | 'drop' | 'include' } for TDD section pruning
+ * - templates: { directory, default } for document templates (see utils/docTemplates.js)
+ * - policies: { file, block_on } for organizational policies (see src/lib/policies.ts)
+ * - complexity: { scoring_model } for the organization's complexity scoring model override
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const CONFIG_FILE = 'tdd.config.json';
+
+/**
+ * Read tdd.config.json, if present
+ * @param {string} cwd - Directory to look for tdd.config.json in
+ * @returns {object} - Parsed configuration ({} when there is no file)
+ * @throws {Error} - When the file is not valid JSON
+ */
+function readProjectConfig(cwd = process.cwd()) {
+  const configPath = path.join(cwd, CONFIG_FILE);
+  if (!fs.existsSync(configPath)) {
+    return {};
+  }
+  try {
+    return JSON.parse(fs.readFileSync(configPath, 'utf8')) || {};
+  } catch (error) {
+    throw new Error(`Invalid ${CONFIG_FILE}: ${error.message}`);
+  }
+}
+
+/**
+ * Path of the organization's complexity scoring model override, if one is configured
+ * TDD_SCORING_MODEL takes precedence over complexity.scoring_model in tdd.config.json.
+ * @param {string} cwd - Directory to look for tdd.config.json in (relative paths resolve from it)
+ * @returns {string|null} - Absolute path, or null to use the built-in model
+ */
+function getScoringModelPath(cwd = process.cwd()) {
+  const configured = process.env.TDD_SCORING_MODEL || (readProjectConfig(cwd).complexity || {}).scoring_model;
+  return configured ? path.resolve(cwd, configured) : null;
+}
+
+module.exports = {
+  CONFIG_FILE,
+  readProjectConfig,
+  getScoringModelPath
+};
@@ -0,0 +1,334 @@
+/**
+ * Template engine for the Markdown TDD templates
+ *
+ * Syntax:
+ *   {{field.id}}                      value, made safe for inline Markdown
+ *   {{{field.id}}}                    raw value (diagrams, generated sections)
+ *   {{#if field}}...{{else}}...{{/if}}
+ *   {{#unless field}}...{{/unless}}
+ *   {{#each list}}...{{else}}...{{/each}}
+ *   {{> partial}}                     template from the partials map
+ *   {{! comment }} / {{!-- comment --}}
+ *
+ * Field IDs are looked up as flat keys first ("project.name" in project_data),
+ * then as nested paths. Inside {{#each}}, `this`, `@index`, `@first`, `@last`
+ * and the item's own fields are available; unknown names fall back to the
+ * enclosing scopes. Block tags on a line of their own leave no blank line behind.
+ */
+
+const MISSING = '*Not Provided*';
+const MAX_PARTIAL_DEPTH = 10;
+
+const TAG_PATTERN = /\{\{\{\s*([\s\S]*?)\s*\}\}\}|\{\{!--[\s\S]*?--\}\}|\{\{\s*([\s\S]*?)\s*\}\}/g;
+const BLOCKS = ['if', 'unless', 'each'];
+
+class TemplateError extends Error {
+  constructor(message, line) {
+    super(line ? `${message} (line ${line})` : message);
+    this.name = 'TemplateError';
+    this.line = line;
+  }
+}
+
+/**
+ * Default escaping for {{value}}: keep the value on one line and inside its code span;
+ * in a table row, also keep it in its cell (a code span does not protect `|` in GFM tables)
+ * @param {string} text - Formatted value
+ * @param {object} context - { cell: true } when the tag is on a Markdown table row
+ * @returns {string}
+ */
+function escapeInline(text, context = {}) {
+  const inline = text.replace(/\s*\r?\n\s*/g, ' ').replace(/`/g, "'");
+  return context.cell ? inline.replace(/\\?\|/g, '\\|') : inline;
+}
+
+/**
+ * Classify the inside of a {{ }} tag
+ */
+function classifyTag(inner, raw, line) {
+  if (raw) {
+    return { type: 'var', path: inner, raw: true, line };
+  }
+  if (inner.startsWith('!')) {
+    return { type: 'comment', line };
+  }
+  if (inner === 'else') {
+    return { type: 'else', line };
+  }
+  if (inner.startsWith('>')) {
+    return { type: 'partial', name: inner.slice(1).trim(), line };
+  }
+  if (inner.startsWith('#')) {
+    const [block, ...args] = inner.slice(1).trim().split(/\s+/);
+    if (!BLOCKS.includes(block)) {
+      throw new TemplateError(`Unknown block {{#${block}}}`, line);
+    }
+    if (args.length !== 1) {
+      throw new TemplateError(`{{#${block}}} takes exactly one field`, line);
+    }
+    return { type: 'open', block, path: args[0], line };
+  }
+  if (inner.startsWith('/')) {
+    return { type: 'close', block: inner.slice(1).trim(), line };
+  }
+  if (!inner) {
+    throw new TemplateError('Empty tag {{}}', line);
+  }
+  return { type: 'var', path: inner, raw: false, line };
+}
+
+/**
+ * Split a template into text and tag tokens
+ * Non-output tags alone on a line swallow that line's indentation and newline.
+ * @param {string} source - Template source
+ * @returns {Array<object>} - Tokens
+ */
+function tokenize(source) {
+  const tokens = [];
+  let cursor = 0;
+  let line = 1;
+  let match;
+
+  TAG_PATTERN.lastIndex = 0;
+  while ((match = TAG_PATTERN.exec(source)) !== null) {
+    const start = match.index;
+    let end = start + match[0].length;
+    line += countNewlines(source, cursor, start);
+
+    const raw = match[1] !== undefined;
+    const tag = classifyTag(raw ? match[1] : (match[2] || '!'), raw, line);
+
+    const lineStart = source.lastIndexOf('\n', start - 1) + 1;
+    let textEnd = start;
+    if (tag.type === 'var') {
+      tag.cell = /^[ \t]*\|/.test(source.slice(lineStart, start));
+    } else {
+      const newline = source.indexOf('\n', end);
+      const lineEnd = newline === -1 ? source.length : newline + 1;
+      if (lineStart >= cursor &&
+          /^[ \t]*$/.test(source.slice(lineStart, start)) &&
+          /^[ \t]*\r?\n?$/.test(source.slice(end, lineEnd))) {
+        textEnd = lineStart;
+        end = lineEnd;
+      }
+    }
+
+    if (textEnd > cursor) {
+      tokens.push({ type: 'text', value: source.slice(cursor, textEnd) });
+    }
+    tokens.push(tag);
+    line += countNewlines(source, start, end);
+    cursor = end;
+  }
+
+  if (cursor < source.length) {
+    tokens.push({ type: 'text', value: source.slice(cursor) });
+  }
+  return tokens;
+}
+
+function countNewlines(source, from, to) {
+  let count = 0;
+  for (let i = source.indexOf('\n', from); i !== -1 && i < to; i = source.indexOf('\n', i + 1)) {
+    count++;
+  }
+  return count;
+}
+
+/**
+ * Parse a template into a node tree
+ * @param {string} source - Template source
+ * @returns {Array<object>} - Nodes: text, var, if, unless, each, partial
+ * @throws {TemplateError} - On unknown, unbalanced or misplaced tags
+ */
+function parseTemplate(source) {
+  const root = { body: [] };
+  const stack = [root];
+
+  for (const token of tokenize(source)) {
+    const current = stack[stack.length - 1];
+    const target = current.inElse ? current.inverse : current.body;
+
+    switch (token.type) {
+      case 'text':
+      case 'var':
+      case 'partial':
+        target.push(token);
+        break;
+      case 'comment':
+        break;
+      case 'open': {
+        const node = { type: token.block, path: token.path, line: token.line, body: [], inverse: [] };
+        target.push(node);
+        stack.push(node);
+        break;
+      }
+      case 'else':
+        if (stack.length === 1 || current.inElse) {
+          throw new TemplateError('Unexpected {{else}}', token.line);
+        }
+        current.inElse = true;
+        break;
+      case 'close':
+        if (stack.length === 1 || current.type !== token.block) {
+          throw new TemplateError(`Unexpected {{/${token.block}}}`, token.line);
+        }
+        delete current.inElse;
+        stack.pop();
+        break;
+    }
+  }
+
+  if (stack.length > 1) {
+    const open = stack[stack.length - 1];
+    throw new TemplateError(`Unclosed {{#${open.type} ${open.path}}}`, open.line);
+  }
+  return root.body;
+}
+
+/**
+ * Resolve a field ID against one scope: flat key first, then nested path
+ */
+function resolveIn(scope, path) {
+  if (scope === null || typeof scope !== 'object') {
+    return undefined;
+  }
+  if (Object.prototype.hasOwnProperty.call(scope, path)) {
+    return scope[path];
+  }
+  let value = scope;
+  for (const part of path.split('.')) {
+    if (value === null || typeof value !== 'object' || !Object.prototype.hasOwnProperty.call(value, part)) {
+      return undefined;
+    }
+    value = value[part];
+  }
+  return value;
+}
+
+/**
+ * Look a field up through the scope chain (innermost first)
+ */
+function lookup(path, frames) {
+  const frame = frames[frames.length - 1];
+  if (path === 'this' || path === '.') {
+    return frame.scope;
+  }
+  if (path.startsWith('@')) {
+    return frame.data[path.slice(1)];
+  }
+  if (path.startsWith('this.')) {
+    return resolveIn(frame.scope, path.slice(5));
+  }
+  for (let i = frames.length - 1; i >= 0; i--) {
+    const value = resolveIn(frames[i].scope, path);
+    if (value !== undefined) {
+      return value;
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Whether a value counts as absent for {{#if}} and placeholders
+ */
+function isEmpty(value) {
+  return value === undefined || value === null || value === false || value === '' ||
+    (Array.isArray(value) && value.length === 0);
+}
+
+/**
+ * Format a value for output; lists are joined with commas
+ */
+function formatValue(value) {
+  if (Array.isArray(value)) {
+    return value.filter(item => !isEmpty(item)).map(formatValue).join(', ');
+  }
+  if (value !== null && typeof value === 'object') {
+    return value.name !== undefined ? String(value.name) : JSON.stringify(value);
+  }
+  return String(value);
+}
+
+function renderNodes(nodes, frames, options, depth) {
+  let output = '';
+
+  for (const node of nodes) {
+    switch (node.type) {
+      case 'text':
+        output += node.value;
+        break;
+      case 'var': {
+        const value = lookup(node.path, frames);
+        if (isEmpty(value)) {
+          output += options.missing;
+        } else {
+          const text = formatValue(value);
+          output += node.raw ? text : options.escape(text, { cell: node.cell });
+        }
+        break;
+      }
+      case 'if':
+      case 'unless': {
+        const truthy = !isEmpty(lookup(node.path, frames));
+        const branch = truthy === (node.type === 'if') ? node.body : node.inverse;
+        output += renderNodes(branch, frames, options, depth);
+        break;
+      }
+      case 'each': {
+        const value = lookup(node.path, frames);
+        const items = Array.isArray(value) ? value : (isEmpty(value) ? [] : [value]);
+        if (items.length === 0) {
+          output += renderNodes(node.inverse, frames, options, depth);
+          break;
+        }
+        items.forEach((item, index) => {
+          const data = { index, first: index === 0, last: index === items.length - 1 };
+          output += renderNodes(node.body, [...frames, { scope: item, data }], options, depth);
+        });
+        break;
+      }
+      case 'partial': {
+        const partial = Object.prototype.hasOwnProperty.call(options.partials, node.name) ? options.partials[node.name] : undefined;
+        if (partial === undefined) {
+          throw new TemplateError(`Unknown partial {{> ${node.name}}}`, node.line);
+        }
+        if (depth >= MAX_PARTIAL_DEPTH) {
+          throw new TemplateError(`Partials nested more than ${MAX_PARTIAL_DEPTH} deep at {{> ${node.name}}}`, node.line);
+        }
+        const parsed = typeof partial === 'string' ? parseTemplate(partial) : partial;
+        output += renderNodes(parsed, frames, options, depth + 1);
+        break;
+      }
+    }
+  }
+
+  return output;
+}
+
+/**
+ * Render a template against a context
+ * @param {string} template - Template source
+ * @param {object} context - Values by field ID (flat or nested)
+ * @param {object} options - Rendering options
+ * @param {object} options.partials - Partial templates by name
+ * @param {string} options.missing - Output for absent values (default: *Not Provided*)
+ * @param {Function} options.escape - Escaping for {{value}}, called with (text, { cell }) (default: escapeInline)
+ * @returns {string} - Rendered output
+ * @throws {TemplateError} - On template syntax errors or unknown partials
+ */
+function renderTemplate(template, context = {}, options = {}) {
+  const settings = {
+    partials: options.partials || {},
+    missing: options.missing !== undefined ? options.missing : MISSING,
+    escape: options.escape || escapeInline
+  };
+  return renderNodes(parseTemplate(template), [{ scope: context, data: {} }], settings, 0);
+}
+
+module.exports = {
+  TemplateError,
+  escapeInline,
+  parseTemplate,
+  renderTemplate
+};
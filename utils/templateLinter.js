@@ -0,0 +1,275 @@
+/**
+ * Cross-linter for the document templates and the questionnaire
+ *
+ * Checks that the pieces describing the same answer fields agree with each other:
+ * - template placeholders (templates/ and the organization template directory)
+ * - questionnaire question IDs (schemas/Pre-TDD_Client_Questionnaire_v2.0.json)
+ * - tag schema field_metadata (schemas/Universal_Tag_Schema_v1.1.json)
+ * - required fields per complexity level (getMpkfRequirements in handlers/generate_tdd.js)
+ * - review screen sections (SECTION_MAPPING in src/lib/reviewScreen.js) and the TDD section plan
+ *
+ * Every issue is { rule, severity, field, source, message } plus `template` where one applies,
+ * so the report can be consumed as JSON in CI.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { DEFAULT_DOC_TEMPLATE, listDocumentTemplates, loadDocumentTemplate } = require('./docTemplates');
+const { parseTemplate } = require('./templateEngine');
+const { TDD_STAGES, STAGES_BY_COMPLEXITY, getSectionPlan } = require('../src/lib/tddSections');
+const { getSectionInfo } = require('../src/lib/reviewScreen');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const SCHEMAS_DIR = path.join(ROOT_DIR, 'schemas');
+const QUESTIONNAIRE_FILE = 'schemas/Pre-TDD_Client_Questionnaire_v2.0.json';
+const TAG_SCHEMA_FILE = 'schemas/Universal_Tag_Schema_v1.1.json';
+const REQUIREMENTS_SOURCE = 'handlers/generate_tdd.js#getMpkfRequirements';
+const SECTION_MAPPING_SOURCE = 'src/lib/reviewScreen.js#SECTION_MAPPING';
+
+// Context keys set by the generator (handlers/generate_tdd.js) rather than answered
+const GENERATED_FIELDS = [
+  'complexity',
+  'omitted',
+  'micro_builds',
+  'architecture.c4_l1_diagram',
+  'architecture.c4_l2_diagram',
+  'architecture.data_flow_diagram',
+  'api.scaffold'
+];
+const SECTION_FLAG_PATTERN = /^(stage|section)\.[0-9.]+$/;
+
+// Rule IDs with their severity; errors fail the lint
+// Metadata findings are warnings: the tag schema also describes answers given directly in
+// project_data, such as the project.industry and architecture.multitenancy risk factor inputs.
+const RULES = {
+  'invalid-template': 'error',
+  'required-field-not-rendered': 'error',
+  'section-mismatch': 'error',
+  'unknown-metadata-field': 'warning',
+  'unknown-related-field': 'warning',
+  'unfillable-placeholder': 'warning',
+  'unused-question': 'warning',
+  'required-field-omitted': 'warning',
+  'unmapped-field': 'warning'
+};
+
+function isGeneratedField(field) {
+  return GENERATED_FIELDS.includes(field) || SECTION_FLAG_PATTERN.test(field);
+}
+
+/**
+ * Collect the answer fields a template renders
+ * {{#each}} bodies are item-scoped and skipped; partials outside loops are followed.
+ * @param {Array<object>} nodes - Parsed template (parseTemplate)
+ * @param {object} partials - Partial templates by name
+ * @returns {Set<string>} - Field IDs, including generated ones and section flags
+ */
+function collectTemplateFields(nodes, partials = {}, fields = new Set(), seen = new Set()) {
+  for (const node of nodes) {
+    if (node.type === 'var' || node.type === 'if' || node.type === 'unless' || node.type === 'each') {
+      fields.add(node.path);
+    }
+    if (node.type === 'partial' && typeof partials[node.name] === 'string' && !seen.has(node.name)) {
+      seen.add(node.name);
+      collectTemplateFields(parseTemplate(partials[node.name]), partials, fields, seen);
+    }
+    if (node.type === 'if' || node.type === 'unless') {
+      collectTemplateFields(node.body, partials, fields, seen);
+    }
+    if (node.inverse) {
+      collectTemplateFields(node.inverse, partials, fields, seen);
+    }
+  }
+  return fields;
+}
+
+/**
+ * Find the TDD stage or subsection that renders a field
+ * @returns {object|null} - { stage, section } (section is null for stages without subsections)
+ */
+function findTddSection(field) {
+  for (const stage of TDD_STAGES) {
+    if ((stage.fields || []).includes(field)) {
+      return { stage: stage.stage, section: null };
+    }
+    const section = stage.sections.find(candidate => candidate.fields.includes(field));
+    if (section) {
+      return { stage: stage.stage, section: section.id };
+    }
+  }
+  return null;
+}
+
+/**
+ * Cross-check the lint sources
+ * @param {object} sources - From collectLintSources
+ * @param {Array<object>} sources.templates - [{ name, path, template, partials }] or [{ name, path, error }]
+ * @param {Array<object>} sources.questions - Questionnaire questions ({ id })
+ * @param {object} sources.fieldMetadata - Tag schema field_metadata by field ID
+ * @param {object} sources.requirements - Required fields ({ field: question }) by complexity level
+ * @returns {object} - { summary: { errors, warnings, templates, questions, fields }, issues }
+ */
+function lintSources(sources) {
+  const issues = [];
+  const report = (rule, field, source, message, extra = {}) => {
+    issues.push({ rule, severity: RULES[rule], field, source, ...extra, message });
+  };
+
+  // Fields rendered by each template
+  const rendered = new Map();
+  for (const template of sources.templates) {
+    if (template.error) {
+      report('invalid-template', null, template.path, template.error, { template: template.name });
+      continue;
+    }
+    const fields = collectTemplateFields(parseTemplate(template.template), template.partials);
+    rendered.set(template.name, { ...template, fields });
+  }
+
+  const questionIds = new Set(sources.questions.map(question => question.id));
+  const requiredByLevel = sources.requirements;
+  const requiredFields = new Set(Object.values(requiredByLevel).flatMap(fields => Object.keys(fields)));
+  const placeholders = new Set([...rendered.values()].flatMap(template => [...template.fields]));
+  const answerPlaceholders = [...placeholders].filter(field => !isGeneratedField(field));
+
+  // Placeholders no question (interview or required-field prompt) can fill
+  for (const template of rendered.values()) {
+    for (const field of template.fields) {
+      if (!isGeneratedField(field) && !questionIds.has(field) && !requiredFields.has(field)) {
+        report('unfillable-placeholder', field, template.path,
+          `{{${field}}} is not asked by any questionnaire question or required-field prompt`, { template: template.name });
+      }
+    }
+  }
+
+  // Questions whose answers never reach a document
+  for (const id of questionIds) {
+    if (!placeholders.has(id)) {
+      report('unused-question', id, QUESTIONNAIRE_FILE, `Answer to "${id}" is not rendered by any document template`);
+    }
+  }
+
+  // Required fields the default template does not render, or prunes at the level that requires them
+  const main = rendered.get(DEFAULT_DOC_TEMPLATE);
+  if (main) {
+    for (const field of requiredFields) {
+      if (!main.fields.has(field)) {
+        const levels = Object.keys(requiredByLevel).filter(level => requiredByLevel[level][field] !== undefined);
+        report('required-field-not-rendered', field, main.path,
+          `"${field}" is required (${levels.join(', ')}) but the template never renders it`, { template: main.name });
+      }
+    }
+
+    for (const [level, fields] of Object.entries(requiredByLevel)) {
+      const plan = getSectionPlan(level);
+      for (const field of Object.keys(fields)) {
+        const location = findTddSection(field);
+        if (location && main.fields.has(field) &&
+            (!plan.stages.includes(location.stage) || (location.section && !plan.sections.includes(location.section)))) {
+          report('required-field-omitted', field, REQUIREMENTS_SOURCE,
+            `"${field}" is required at '${level}' but section ${location.section || location.stage} is omitted at that level`);
+        }
+      }
+    }
+  }
+
+  // Tag schema metadata for fields nothing asks for, renders or requires
+  const knownFields = new Set([...questionIds, ...answerPlaceholders, ...requiredFields]);
+  for (const [field, metadata] of Object.entries(sources.fieldMetadata)) {
+    if (!knownFields.has(field)) {
+      report('unknown-metadata-field', field, TAG_SCHEMA_FILE, `field_metadata entry "${field}" matches no question, placeholder or required field`);
+    }
+    for (const related of (metadata && metadata.related_fields) || []) {
+      if (!knownFields.has(related)) {
+        report('unknown-related-field', related, TAG_SCHEMA_FILE, `field_metadata "${field}" lists unknown related field "${related}"`);
+      }
+    }
+  }
+
+  // Review screen grouping against the TDD section plan
+  for (const field of [...knownFields].sort()) {
+    const info = getSectionInfo(field);
+    if (info.stage === 0) {
+      report('unmapped-field', field, SECTION_MAPPING_SOURCE, `"${field}" has no review screen section and is listed under Other`);
+      continue;
+    }
+    const location = findTddSection(field);
+    if (location && location.stage !== info.stage) {
+      report('section-mismatch', field, SECTION_MAPPING_SOURCE,
+        `"${field}" is reviewed under Stage ${info.stage} but rendered in Stage ${location.stage}`);
+    }
+  }
+
+  return {
+    summary: {
+      errors: issues.filter(issue => issue.severity === 'error').length,
+      warnings: issues.filter(issue => issue.severity === 'warning').length,
+      templates: sources.templates.length,
+      questions: questionIds.size,
+      fields: knownFields.size
+    },
+    issues
+  };
+}
+
+/**
+ * Load the templates, schemas and requirement tables to lint
+ * @param {object} options
+ * @param {string|null} options.directory - Organization template directory (default: from tdd.config.json)
+ * @param {string} options.schemasDir - Directory with the questionnaire and tag schemas
+ * @param {Function} options.getRequirements - complexity => { required_fields } (default: getMpkfRequirements)
+ * @returns {object} - Sources for lintSources
+ */
+async function collectLintSources(options = {}) {
+  const schemasDir = options.schemasDir || SCHEMAS_DIR;
+  const getRequirements = options.getRequirements || require('../handlers/generate_tdd').getMpkfRequirements;
+  const templateOptions = options.directory !== undefined ? { directory: options.directory } : {};
+
+  const templates = [];
+  let listed = [];
+  try {
+    listed = await listDocumentTemplates(templateOptions);
+  } catch (error) {
+    templates.push({ name: null, path: null, error: error.message });
+  }
+  for (const { name } of listed) {
+    const template = await loadDocumentTemplate(name, templateOptions);
+    // Report built-in templates relative to the repository
+    const relative = path.relative(ROOT_DIR, template.path);
+    templates.push({ ...template, path: relative.startsWith('..') ? template.path : relative });
+  }
+
+  const readJson = file => JSON.parse(fs.readFileSync(path.join(schemasDir, path.basename(file)), 'utf8'));
+  const questionnaire = readJson(QUESTIONNAIRE_FILE);
+  const tagSchema = readJson(TAG_SCHEMA_FILE);
+
+  const requirements = {};
+  for (const level of Object.keys(STAGES_BY_COMPLEXITY)) {
+    requirements[level] = getRequirements(level).required_fields;
+  }
+
+  return {
+    templates,
+    questions: questionnaire.questions || [],
+    fieldMetadata: tagSchema.field_metadata || {},
+    requirements
+  };
+}
+
+/**
+ * Lint the templates, schemas and requirement tables
+ * @param {object} options - See collectLintSources
+ * @returns {object} - { summary, issues }
+ */
+async function lintTemplates(options = {}) {
+  return lintSources(await collectLintSources(options));
+}
+
+module.exports = {
+  RULES,
+  GENERATED_FIELDS,
+  collectTemplateFields,
+  lintSources,
+  collectLintSources,
+  lintTemplates
+};